@@ -0,0 +1,45 @@
+/**
+ * Diff command handler - compares two site exports object by object
+ */
+
+import chalk from "chalk";
+import { readArchive } from "../lib/archive.js";
+import { diffArchives, hasDifferences, printDiff } from "../lib/differ.js";
+import {
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+
+/**
+ * Diff command action
+ * @param {string} archiveA - Path to the first (older) archive
+ * @param {string} archiveB - Path to the second (newer) archive
+ */
+export async function diffCommand(archiveA, archiveB) {
+	try {
+		const { entries: entriesA } = readArchive(archiveA);
+		const { entries: entriesB } = readArchive(archiveB);
+		const diff = diffArchives(entriesA, entriesB);
+
+		if (isMachineOutput()) {
+			printResult("diff", {
+				archiveA,
+				archiveB,
+				hasDifferences: hasDifferences(diff),
+				diff,
+			});
+			return;
+		}
+
+		printMessage(chalk.bold.blue("\n🔀 Site Export Diff\n"));
+		printMessage(chalk.gray(`   A: ${archiveA}`));
+		printMessage(chalk.gray(`   B: ${archiveB}`));
+		printDiff(diff);
+	} catch (error) {
+		printError(chalk.red(`\n❌ Diff failed: ${error.message}\n`));
+		exitWithError("diff", error);
+	}
+}
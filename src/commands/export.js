@@ -5,24 +5,88 @@
 import fs from "node:fs";
 import path from "node:path";
 import chalk from "chalk";
-import ora from "ora";
+import {
+	printBatchSummary,
+	resolveInstances,
+	runWithConcurrency,
+} from "../lib/batch.js";
 import {
 	filterEnabledDataUnits,
-	generateArchiveName,
 	loadConfig,
 	printExportSummary,
 } from "../lib/config.js";
+import { getConfigFormat, renderConfig } from "../lib/config-format.js";
+import {
+	BatchError,
+	ConfigError,
+	ConnectionError,
+	classifyB2cFailure,
+	EnvironmentError,
+	ERROR_CODES,
+	toExporterError,
+} from "../lib/errors.js";
 import {
-	checkB2cCli,
+	describeRetry,
+	describeScan,
+	emitRetryEvent,
+	getScanSettings,
+	getTransformRules,
+	isDownloaded,
+	resolveArchiveName,
+	scanDownload,
+	transformDownload,
+} from "../lib/export-run.js";
+import {
+	buildB2cArgs,
+	buildDataUnitsPayload,
+	buildExportArgs,
 	checkDwJsonExists,
-	executeSiteExport,
+	executeSiteExportWithRetry,
+	formatB2cCommandLine,
+	getB2cCliVersion,
 	getInstanceInfo,
+	requiresDataUnitsPayload,
+	resolveRetryOptions,
 	testInstanceConnectivity,
 } from "../lib/exporter.js";
+import {
+	checkInstanceIds,
+	createMissingIdsError,
+	INSTANCE_ID_LISTS,
+	printInstanceCheck,
+} from "../lib/instance-check.js";
 import {
 	displayInteractiveSummary,
 	runInteractivePrompts,
 } from "../lib/interactive.js";
+import {
+	buildManifest,
+	getManifestPath,
+	writeManifest,
+} from "../lib/manifest.js";
+import {
+	createSpinner,
+	emitEvent,
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+import {
+	expandPresetFromInstance,
+	findWildcardSections,
+	getPreset,
+	loadPresets,
+} from "../lib/presets.js";
+import { createSecretsFoundError, printScanReport } from "../lib/scanner.js";
+import { printTransformReport } from "../lib/transformer.js";
+import { createDestination, uploadExport } from "../lib/upload.js";
+
+/**
+ * Output directory when neither the command line nor the configuration sets it
+ */
+const DEFAULT_OUTPUT = "./exports";
 
 /**
  * Build data units from interactive config format
@@ -35,117 +99,648 @@ function buildDataUnitsFromInteractiveConfig(config) {
 		sites: config.sites || {},
 	};
 
+	if (config.catalogs) dataUnits.catalogs = config.catalogs;
+	if (config.price_lists) dataUnits.price_lists = config.price_lists;
+	if (config.libraries) dataUnits.libraries = config.libraries;
+	if (config.customer_lists) dataUnits.customer_lists = config.customer_lists;
 	if (config.inventory_lists)
 		dataUnits.inventory_lists = config.inventory_lists;
 
 	return dataUnits;
 }
 
+/**
+ * Writes the run manifest next to the downloaded archive
+ * @param {object} run - Export run details (see buildManifest)
+ * @param {string} outputPath - Output directory of the export
+ * @returns {string|null} Path to the manifest, or null if nothing was downloaded
+ */
+function writeRunManifest(run, outputPath) {
+	if (!isDownloaded(run.result, outputPath)) {
+		return null;
+	}
+	return writeManifest(run.result.localPath, buildManifest(run));
+}
+
+/**
+ * Returns the upload destinations of an export run
+ * @param {object|undefined} config - Export configuration
+ * @param {object} options - Command options
+ * @returns {object[]} Destination settings; none with --no-upload
+ */
+function getUploadDestinations(config, options) {
+	return options.upload ? config?.upload?.destinations || [] : [];
+}
+
+/**
+ * Describes an uploaded destination
+ * @param {object} destination - Destination result from uploadExport
+ * @returns {string} Human-readable description
+ */
+function describeUpload({ location, files }) {
+	return `Uploaded to ${location} (${files.length} file(s), checksums verified)`;
+}
+
+/**
+ * Checks that the configured sites and IDs exist on the instance before the
+ * export job is started (skipped with --no-preflight)
+ * @param {object} dataUnits - The filtered data units
+ * @param {string|null} instance - Instance name from dw.json
+ * @param {object} options - Command options
+ * @param {Function} warn - Prints a warning
+ * @returns {Promise<object>} Result of checkInstanceIds
+ */
+async function runPreflightCheck(dataUnits, instance, options, warn) {
+	const check = await checkInstanceIds(dataUnits, {
+		instance,
+		debug: options.debug,
+	});
+	emitEvent("preflight", { instance, ...check });
+
+	for (const { section, ids } of check.skipped) {
+		warn(
+			`Could not list the ${INSTANCE_ID_LISTS[section].plural} of the instance: ${ids.join(", ")} not checked`,
+		);
+	}
+	return check;
+}
+
+/**
+ * Resolves the export job of an instance without starting it (--dry-run)
+ * @param {string|null} instance - Instance name from dw.json
+ * @param {object} context - Export context (config, dataUnits, outputPath,
+ *   keepArchive, options)
+ * @returns {Promise<object>} The job: b2c arguments and command line, data
+ *   units payload, archive name and local paths
+ */
+async function planExportJob(instance, context) {
+	const { config, dataUnits, outputPath, keepArchive, options, scanSettings } =
+		context;
+	const instanceInfo = await getInstanceInfo({
+		instance,
+		debug: options.debug,
+	});
+	const archiveName = resolveArchiveName(
+		config,
+		dataUnits,
+		instanceInfo,
+		options,
+		instance,
+	);
+
+	const args = buildB2cArgs(
+		buildExportArgs(dataUnits, {
+			outputPath,
+			keepArchive,
+			zipOnly: options.zipOnly,
+			// A named archive is renamed on the instance before its download
+			noDownload: !options.download || Boolean(archiveName),
+			timeout: options.timeout,
+		}),
+		{ instance, debug: options.debug },
+	);
+
+	// The archive is renamed after the template, on the instance and once
+	// downloaded; without one it keeps the name generated by the instance
+	const archivePath =
+		options.download && archiveName
+			? path.join(
+					outputPath,
+					options.zipOnly ? `${archiveName}.zip` : archiveName,
+				)
+			: null;
+
+	return {
+		instance,
+		hostname: instanceInfo.hostname,
+		args,
+		commandLine: formatB2cCommandLine(args),
+		dataUnitsPayload: buildDataUnitsPayload(dataUnits),
+		usesDataUnitsPayload: requiresDataUnitsPayload(dataUnits),
+		archiveName,
+		outputPath,
+		archivePath,
+		manifestPath: archivePath ? getManifestPath(archivePath) : null,
+		keptOnInstance: Boolean(keepArchive || !options.download),
+		transformRules: options.download
+			? getTransformRules(config, options).length
+			: 0,
+		scanPolicy: options.download ? scanSettings?.policy || null : null,
+		uploads: getUploadDestinations(config, options).map((settings) => {
+			const { type, location } = createDestination(settings);
+			return { type, location };
+		}),
+		deleteLocal: Boolean(config?.upload?.deleteLocal && options.upload),
+	};
+}
+
+/**
+ * Prints an export job resolved by planExportJob
+ * @param {object} job - The job
+ */
+function printExportJob(job) {
+	const row = (label, value) =>
+		printMessage(`  ${chalk.gray(label.padEnd(18))}${value}`);
+
+	printMessage(
+		chalk.cyan(
+			`\n🧪 ${job.instance ? `[${job.instance}] ` : ""}Export job (not started)\n`,
+		),
+	);
+	row("Instance:", job.hostname);
+	row("Archive name:", job.archiveName || "generated by the instance");
+	row("Output directory:", job.outputPath);
+	if (job.archivePath) {
+		row("Archive:", job.archivePath);
+		row("Manifest:", job.manifestPath);
+	}
+	if (job.keptOnInstance) {
+		row("Kept on instance:", "Impex/src/instance/");
+	}
+	if (job.transformRules > 0) {
+		row("Transform:", `${job.transformRules} rule(s)`);
+	}
+	if (job.scanPolicy) {
+		row("Secret scan:", job.scanPolicy);
+	}
+	for (const upload of job.uploads) {
+		row("Upload to:", `${upload.location} (${upload.type})`);
+	}
+	if (job.uploads.length > 0 && job.deleteLocal) {
+		row("Local copy:", "deleted after the uploads");
+	}
+
+	printMessage(chalk.cyan("\n  b2c command:\n"));
+	printMessage(`    ${job.commandLine}`);
+
+	printMessage(
+		chalk.cyan(
+			job.usesDataUnitsPayload
+				? "\n  Data units payload (--data-units):\n"
+				: "\n  Equivalent data units payload (the job is submitted with individual flags):\n",
+		),
+	);
+	printMessage(
+		`${JSON.stringify(job.dataUnitsPayload, null, 2)
+			.split("\n")
+			.map((line) => `    ${line}`)
+			.join("\n")}\n`,
+	);
+}
+
+/**
+ * Exports the same data units from several instances
+ * Each instance gets its own output subfolder; a failing instance does not
+ * stop the others
+ * @param {string[]} instances - Instance names from dw.json
+ * @param {object} context - Export context
+ * @returns {Promise<object[]>} Per-instance results
+ */
+async function runBatchExport(instances, context) {
+	const {
+		config,
+		dataUnits,
+		outputPath,
+		keepArchive,
+		options,
+		b2cCliVersion,
+		transformRules,
+		scanSettings,
+	} = context;
+	const concurrency = Number.parseInt(options.concurrency, 10) || 1;
+
+	printMessage(
+		chalk.cyan(
+			`\n🚀 Exporting from ${instances.length} instances (concurrency: ${concurrency})\n`,
+		),
+	);
+
+	return runWithConcurrency(instances, concurrency, async (instance) => {
+		const startTime = Date.now();
+		const log = (message) =>
+			printMessage(`${chalk.cyan(`[${instance}]`)} ${message}`);
+
+		try {
+			const connectivityTest = await testInstanceConnectivity({
+				debug: options.debug,
+				instance,
+			});
+			if (!connectivityTest.success) {
+				throw classifyB2cFailure(
+					`Could not connect to the SFCC instance${connectivityTest.error ? `: ${connectivityTest.error}` : ""}`,
+					{ fallback: ConnectionError },
+				);
+			}
+			log(`Connected to ${connectivityTest.hostname}`);
+			emitEvent("connectivity", {
+				instance,
+				success: true,
+				hostname: connectivityTest.hostname,
+			});
+
+			if (options.preflight) {
+				const check = await runPreflightCheck(
+					dataUnits,
+					instance,
+					options,
+					(message) => log(chalk.yellow(message)),
+				);
+				if (check.missing.length > 0) {
+					throw createMissingIdsError(check.missing, instance);
+				}
+				log(`Pre-flight check: ${check.checked} configured ID(s) found`);
+			}
+
+			const instanceInfo = await getInstanceInfo({
+				instance,
+				debug: options.debug,
+			});
+			const instanceOutputPath = path.join(outputPath, instance);
+
+			log("Starting site export job...");
+			emitEvent("job-started", { instance });
+			const result = await executeSiteExportWithRetry(dataUnits, {
+				...resolveRetryOptions(config, options),
+				onRetry: (retry) => {
+					log(chalk.yellow(describeRetry(retry)));
+					emitRetryEvent(instance, retry);
+				},
+				outputPath: instanceOutputPath,
+				keepArchive,
+				zipOnly: options.zipOnly,
+				noDownload: !options.download,
+				timeout: options.timeout,
+				debug: options.debug,
+				instance,
+				archiveName: resolveArchiveName(
+					config,
+					dataUnits,
+					instanceInfo,
+					options,
+					instance,
+				),
+			});
+			const endTime = Date.now();
+			emitEvent("job-finished", {
+				instance,
+				durationMs: endTime - startTime,
+				archiveFilename: result.archiveFilename || null,
+				attempts: result.attempts,
+				resumed: result.resumed,
+			});
+
+			let transform = null;
+			if (
+				transformRules.length > 0 &&
+				isDownloaded(result, instanceOutputPath)
+			) {
+				transform = transformDownload(
+					result.localPath,
+					transformRules,
+					instance,
+				);
+				log(
+					`Transformed: ${transform.changes.length} change(s) in ${transform.files} file(s) (see the manifest)`,
+				);
+			}
+
+			let scan = null;
+			if (scanSettings && isDownloaded(result, instanceOutputPath)) {
+				scan = scanDownload(result.localPath, scanSettings, instance);
+				log(`${describeScan(scan)} (see the manifest)`);
+				if (scanSettings.failOnSecrets && scan.unredactedSecrets > 0) {
+					throw createSecretsFoundError(scan, result.localPath);
+				}
+			}
+
+			const manifestPath = writeRunManifest(
+				{
+					dataUnits,
+					instanceInfo,
+					instance,
+					configPath: options.interactive
+						? config._saveFilePath || null
+						: options.config,
+					configProfile: options.interactive ? null : options.profile,
+					configPreset: options.interactive ? null : options.preset,
+					b2cCliVersion,
+					startTime,
+					endTime,
+					result,
+					transform,
+					scan,
+				},
+				instanceOutputPath,
+			);
+
+			if (manifestPath) {
+				emitEvent("downloaded", {
+					instance,
+					localPath: result.localPath,
+					manifestPath,
+				});
+			}
+
+			// Each instance is uploaded into its own folder of the destinations
+			const destinations = getUploadDestinations(config, options);
+			let uploads = null;
+			if (manifestPath && destinations.length > 0) {
+				uploads = await uploadExport(
+					{ localPath: result.localPath, manifestPath, remoteDir: instance },
+					config.upload,
+					{
+						onUploading: ({ location }) => log(`Uploading to ${location}...`),
+						onUploaded: (destination) => {
+							log(describeUpload(destination));
+							emitEvent("uploaded", { instance, ...destination });
+						},
+					},
+				);
+			}
+
+			log(chalk.green("Export completed"));
+			return {
+				instance,
+				success: true,
+				durationMs: endTime - startTime,
+				localPath: result.localPath,
+				archiveFilename: result.archiveFilename,
+				attempts: result.attempts,
+				...(transform && { transform }),
+				...(scan && { scan }),
+				...(uploads && { uploads }),
+			};
+		} catch (error) {
+			log(chalk.red(`Export failed: ${error.message}`));
+			const { code, exitCode, retryable } = toExporterError(error);
+			emitEvent("instance-failed", {
+				instance,
+				error: { code, message: error.message, exitCode, retryable },
+			});
+			return {
+				instance,
+				success: false,
+				durationMs: Date.now() - startTime,
+				error: error.message,
+				errorCode: code,
+				retryable,
+				archiveFilename: error.archiveFilename || null,
+			};
+		}
+	});
+}
+
 /**
  * Export command action
  * @param {object} options - Command options
  */
 export async function exportCommand(options) {
-	const spinner = ora();
+	const spinner = createSpinner();
 
 	try {
-		console.log(chalk.bold.blue("\n🚀 SFCC Site Exporter\n"));
+		printMessage(chalk.bold.blue("\n🚀 SFCC Site Exporter\n"));
 
-		// Validate that either config or interactive mode is specified
-		if (!options.interactive && !options.config) {
-			console.log(
+		// Validate that either config, preset or interactive mode is specified
+		if (!options.interactive && !options.config && !options.preset) {
+			printMessage(
 				chalk.red(
-					"❌ Error: You must specify either a config file (-c) or use interactive mode (-i)",
+					"❌ Error: You must specify either a config file (-c), a preset (--preset) or use interactive mode (-i)",
 				),
 			);
-			console.log(chalk.gray("\n   Examples:"));
-			console.log(
+			printMessage(chalk.gray("\n   Examples:"));
+			printMessage(
 				chalk.gray("     sfcc-site-exporter export -c ./export-config.json"),
 			);
-			console.log(chalk.gray("     sfcc-site-exporter export -i"));
-			process.exit(1);
+			printMessage(
+				chalk.gray("     sfcc-site-exporter export --preset sandbox-config"),
+			);
+			printMessage(chalk.gray("     sfcc-site-exporter export -i"));
+			exitWithError(
+				"export",
+				new ConfigError(
+					"You must specify either a config file (-c), a preset (--preset) or use interactive mode (-i)",
+					{ code: ERROR_CODES.INVALID_OPTIONS },
+				),
+			);
+		}
+
+		// Prompts need the terminal: interactive mode only works with text output
+		if (options.interactive && isMachineOutput()) {
+			printMessage(
+				chalk.red(
+					"❌ Error: Interactive mode cannot be combined with --json or --ndjson",
+				),
+			);
+			exitWithError(
+				"export",
+				new ConfigError(
+					"Interactive mode cannot be combined with --json or --ndjson",
+					{ code: ERROR_CODES.INVALID_OPTIONS },
+				),
+			);
 		}
 
 		// Step 1: Check if b2c CLI is available
 		spinner.start("Checking b2c CLI...");
-		const cliAvailable = await checkB2cCli();
-		if (!cliAvailable) {
+		const b2cCliVersion = await getB2cCliVersion();
+		if (!b2cCliVersion) {
 			spinner.fail("b2c CLI not found");
-			console.log(chalk.red("\n❌ The b2c CLI is required but not installed."));
-			console.log(
+			printError(chalk.red("\n❌ The b2c CLI is required but not installed."));
+			printError(
 				chalk.gray("   Install it with: npm install -g @salesforce/b2c-cli"),
 			);
-			console.log(
+			printError(
 				chalk.gray(
 					"   See: https://salesforcecommercecloud.github.io/b2c-developer-tooling/guide/installation.html\n",
 				),
 			);
-			process.exit(1);
+			exitWithError(
+				"export",
+				new EnvironmentError("The b2c CLI is required but not installed", {
+					code: ERROR_CODES.B2C_CLI_NOT_FOUND,
+				}),
+			);
 		}
-		spinner.succeed("b2c CLI found");
+		spinner.succeed(`b2c CLI found: ${chalk.cyan(b2cCliVersion)}`);
+		emitEvent("cli-check", { version: b2cCliVersion });
 
 		// Step 2: Check if dw.json exists or environment variables are set
 		spinner.start("Checking instance configuration (dw.json)...");
 		const dwJsonCheck = checkDwJsonExists();
 		if (!dwJsonCheck.exists) {
 			spinner.fail("No instance configuration found");
-			console.log(
+			printError(
 				chalk.red("\n❌ No dw.json file or environment variables found."),
 			);
-			console.log(
+			printError(
 				chalk.gray("\n   Create a dw.json file in your project root:"),
 			);
-			console.log(chalk.gray("   {"));
-			console.log(
+			printError(chalk.gray("   {"));
+			printError(
 				chalk.gray(
 					'     "hostname": "your-instance.dx.commercecloud.salesforce.com",',
 				),
 			);
-			console.log(chalk.gray('     "client-id": "your-client-id",'));
-			console.log(chalk.gray('     "client-secret": "your-client-secret",'));
-			console.log(chalk.gray("   }"));
-			console.log(
+			printError(chalk.gray('     "client-id": "your-client-id",'));
+			printError(chalk.gray('     "client-secret": "your-client-secret",'));
+			printError(chalk.gray("   }"));
+			printError(
 				chalk.gray(
 					"\n   Or set environment variables: SFCC_SERVER, SFCC_CLIENT_ID, etc.\n",
 				),
 			);
-			process.exit(1);
+			exitWithError(
+				"export",
+				new EnvironmentError("No dw.json file or environment variables found", {
+					code: ERROR_CODES.DWJSON_NOT_FOUND,
+				}),
+			);
 		}
 		spinner.succeed(
 			`Instance configuration found: ${chalk.cyan(dwJsonCheck.path)}`,
 		);
-
-		// Step 3: Test connectivity to the SFCC instance
-		spinner.start("Testing connectivity to SFCC instance...");
-		const connectivityTest = await testInstanceConnectivity({
-			debug: options.debug,
-		});
-		if (!connectivityTest.success) {
-			spinner.fail("Failed to connect to SFCC instance");
-			console.log(chalk.red(`\n❌ Could not connect to the SFCC instance.`));
-			if (connectivityTest.error) {
-				console.log(chalk.gray(`   Error: ${connectivityTest.error}`));
-			}
-			console.log(chalk.gray("\n   Please verify:"));
-			console.log(chalk.gray("   - Your hostname is correct"));
-			console.log(
-				chalk.gray("   - Your client-id and client-secret are valid"),
-			);
-			console.log(chalk.gray("   - Your network can reach the instance"));
-			console.log(chalk.gray("   - Run with -d flag for debug output\n"));
-			process.exit(1);
-		}
-		spinner.succeed(`Connected to: ${chalk.cyan(connectivityTest.hostname)}`);
+		emitEvent("dwjson-found", { path: dwJsonCheck.path });
 
 		let config;
 		let dataUnits;
 		let outputPath;
 		let keepArchive;
+		let transformRules = [];
+
+		// The preset replaces the data units of the configuration (interactive
+		// mode preselects them instead)
+		const preset = options.preset
+			? getPreset(loadPresets(options.presets), options.preset)
+			: null;
 
-		// Interactive mode or config file mode
+		// Load the configuration file first: it may list the instances to export from
+		if (!options.interactive && options.config) {
+			spinner.start("Loading export configuration...");
+			const loadedConfig = loadConfig(options.config, {
+				profile: options.profile,
+				envFile: options.envFile,
+			});
+			spinner.succeed(
+				`Configuration loaded from ${chalk.cyan(options.config)}${options.profile ? ` (profile ${chalk.cyan(options.profile)})` : ""}`,
+			);
+
+			// Filter enabled data units
+			dataUnits = filterEnabledDataUnits(loadedConfig.dataUnits);
+			emitEvent("config-loaded", {
+				path: options.config,
+				profile: options.profile || null,
+				dataUnits,
+			});
+			outputPath = path.resolve(
+				options.output || loadedConfig.output_directory || DEFAULT_OUTPUT,
+			);
+			keepArchive = options.keepArchive;
+			transformRules = getTransformRules(loadedConfig, options);
+			config = loadedConfig;
+		} else if (!options.interactive) {
+			config = {};
+			dataUnits = {};
+			outputPath = path.resolve(options.output || DEFAULT_OUTPUT);
+			keepArchive = options.keepArchive;
+		}
+
+		const instances = resolveInstances(options.instance, config?.instances);
+		const isBatch = instances.length > 1;
+		const instance = isBatch ? null : instances[0] || null;
+
+		// Resuming downloads one known archive from one instance
+		if (options.resume && (isBatch || !options.download)) {
+			exitWithError(
+				"export",
+				new ConfigError(
+					"--resume downloads an archive from a single instance: it cannot be combined with a batch export or --no-download",
+					{ code: ERROR_CODES.INVALID_OPTIONS },
+				),
+			);
+		}
+
+		// The "*" IDs of a preset are listed on a single instance
+		const wildcardSections =
+			preset && !options.interactive
+				? findWildcardSections(preset.dataUnits)
+				: [];
+		if (isBatch && wildcardSections.length > 0) {
+			exitWithError(
+				"export",
+				new ConfigError(
+					`Preset "${preset.name}" lists the ${wildcardSections.map((section) => INSTANCE_ID_LISTS[section].plural).join(", ")} of one instance: it cannot be used in a batch export. Create a configuration with init --preset ${preset.name} instead`,
+					{ code: ERROR_CODES.INVALID_OPTIONS },
+				),
+			);
+		}
+
+		// A dry run only prints the job: nothing is downloaded
+		if (options.dryRun && options.resume) {
+			exitWithError(
+				"export",
+				new ConfigError("--dry-run cannot be combined with --resume", {
+					code: ERROR_CODES.INVALID_OPTIONS,
+				}),
+			);
+		}
+
+		// Step 3: Test connectivity to the SFCC instance
+		// (tested per instance during a batch export, not during a dry run)
+		if (!isBatch && !options.dryRun) {
+			spinner.start("Testing connectivity to SFCC instance...");
+			const connectivityTest = await testInstanceConnectivity({
+				debug: options.debug,
+				instance,
+			});
+			if (!connectivityTest.success) {
+				spinner.fail("Failed to connect to SFCC instance");
+				printError(chalk.red(`\n❌ Could not connect to the SFCC instance.`));
+				if (connectivityTest.error) {
+					printError(chalk.gray(`   Error: ${connectivityTest.error}`));
+				}
+				printError(chalk.gray("\n   Please verify:"));
+				printError(chalk.gray("   - Your hostname is correct"));
+				printError(
+					chalk.gray("   - Your client-id and client-secret are valid"),
+				);
+				printError(chalk.gray("   - Your network can reach the instance"));
+				printError(chalk.gray("   - Run with -d flag for debug output\n"));
+				exitWithError(
+					"export",
+					classifyB2cFailure(
+						`Could not connect to the SFCC instance${connectivityTest.error ? `: ${connectivityTest.error}` : ""}`,
+						{ fallback: ConnectionError },
+					),
+				);
+			}
+			spinner.succeed(`Connected to: ${chalk.cyan(connectivityTest.hostname)}`);
+			emitEvent("connectivity", {
+				instance,
+				success: true,
+				hostname: connectivityTest.hostname,
+			});
+		}
+
+		// Preset: list the IDs its "*" IDs stand for
+		if (preset && !options.interactive) {
+			spinner.start(`Expanding preset ${preset.name}...`);
+			dataUnits = filterEnabledDataUnits(
+				await expandPresetFromInstance(preset, {
+					instance,
+					debug: options.debug,
+				}),
+			);
+			spinner.succeed(`Preset ${chalk.cyan(preset.name)} expanded`);
+			emitEvent("preset-expanded", { preset: preset.name, dataUnits });
+		}
+
+		// Interactive mode
 		if (options.interactive) {
-			// Run interactive prompts
-			config = await runInteractivePrompts();
+			// Run interactive prompts, starting from the preset if any
+			config = await runInteractivePrompts({
+				presets: loadPresets(options.presets),
+				preset,
+			});
 
 			// Display summary
 			displayInteractiveSummary(config);
@@ -154,7 +749,9 @@ export async function exportCommand(options) {
 			dataUnits = buildDataUnitsFromInteractiveConfig(config);
 
 			// Use output from interactive config or options
-			outputPath = path.resolve(config.output_directory || options.output);
+			outputPath = path.resolve(
+				config.output_directory || options.output || DEFAULT_OUTPUT,
+			);
 			keepArchive = config.keep_archive || options.keepArchive;
 
 			// Save config if requested
@@ -164,42 +761,34 @@ export async function exportCommand(options) {
 				delete saveConfig._saveFilePath;
 				fs.writeFileSync(
 					config._saveFilePath,
-					JSON.stringify(saveConfig, null, 2),
+					renderConfig(saveConfig, getConfigFormat(config._saveFilePath)),
 				);
-				console.log(
+				printMessage(
 					chalk.green(`✔ Configuration saved to ${config._saveFilePath}`),
 				);
 			}
-		} else {
-			// Load configuration from file
-			spinner.start("Loading export configuration...");
-			const loadedConfig = loadConfig(options.config);
-			spinner.succeed(
-				`Configuration loaded from ${chalk.cyan(options.config)}`,
-			);
-
-			// Filter enabled data units
-			dataUnits = filterEnabledDataUnits(loadedConfig.dataUnits);
-			outputPath = path.resolve(options.output);
-			keepArchive = options.keepArchive;
-			config = loadedConfig;
 		}
 
 		if (Object.keys(dataUnits).length === 0) {
-			console.log(chalk.yellow("\n⚠️  No data units are enabled for export."));
-			if (!options.interactive) {
-				console.log(
+			printMessage(chalk.yellow("\n⚠️  No data units are enabled for export."));
+			if (!options.interactive && !preset) {
+				printMessage(
 					chalk.gray(
 						`   Edit ${options.config} to enable the data you want to export.`,
 					),
 				);
-				console.log(
+				printMessage(
 					chalk.gray(
 						`   Or run with --interactive flag to select interactively.\n`,
 					),
 				);
 			}
-			process.exit(1);
+			exitWithError(
+				"export",
+				new ConfigError("No data units are enabled for export", {
+					code: ERROR_CODES.NO_DATA_UNITS,
+				}),
+			);
 		}
 
 		// Print export summary (only for non-interactive, as interactive already shows it)
@@ -207,11 +796,106 @@ export async function exportCommand(options) {
 			printExportSummary(dataUnits);
 		}
 
+		const scanSettings = getScanSettings(config, dataUnits, options);
+
+		// Dry run: print the job of each instance instead of starting it
+		if (options.dryRun) {
+			const jobs = [];
+			for (const name of isBatch ? instances : [instance]) {
+				const job = await planExportJob(name, {
+					config,
+					dataUnits,
+					outputPath: isBatch ? path.join(outputPath, name) : outputPath,
+					keepArchive,
+					options,
+					scanSettings,
+				});
+				printExportJob(job);
+				jobs.push(job);
+			}
+			printMessage(
+				chalk.green(
+					"✅ Dry run complete: no export job was started. Run without --dry-run to export.\n",
+				),
+			);
+			printResult("export", { dryRun: true, jobs });
+			return;
+		}
+
+		// Batch export: same data units from every instance
+		if (isBatch) {
+			printMessage(chalk.gray(`   Output directory: ${outputPath}`));
+			const results = await runBatchExport(instances, {
+				config,
+				dataUnits,
+				outputPath,
+				keepArchive,
+				options,
+				b2cCliVersion,
+				transformRules,
+				scanSettings,
+			});
+			printBatchSummary(results);
+
+			const failed = results.filter((r) => !r.success).length;
+			const batchError =
+				failed > 0
+					? new BatchError(
+							`${failed} of ${results.length} instance exports failed`,
+						)
+					: null;
+			printResult(
+				"export",
+				{
+					outputPath,
+					results,
+					...(batchError && {
+						error: {
+							code: batchError.code,
+							message: batchError.message,
+							exitCode: batchError.exitCode,
+							retryable: results.every((r) => r.success || r.retryable),
+						},
+					}),
+				},
+				!batchError,
+			);
+			if (batchError) {
+				process.exit(batchError.exitCode);
+			}
+			return;
+		}
+
+		// Pre-flight: the configured IDs must exist before a job is started
+		if (options.preflight && !options.resume) {
+			spinner.start("Checking the configured IDs on the instance...");
+			const check = await runPreflightCheck(
+				dataUnits,
+				instance,
+				options,
+				(message) => spinner.warn(message),
+			);
+			if (check.missing.length > 0) {
+				spinner.fail("Configured IDs not found on the instance");
+				printMessage("");
+				printInstanceCheck(check);
+				printMessage(
+					chalk.gray(
+						"\n   Fix the configuration, or run with --no-preflight to skip this check.\n",
+					),
+				);
+				exitWithError("export", createMissingIdsError(check.missing, instance));
+			}
+			spinner.succeed(
+				`Pre-flight check: ${check.checked} configured ID(s) found on the instance`,
+			);
+		}
+
 		// Get instance info
 		spinner.start("Checking SFCC instance configuration...");
 		const instanceOptions = {};
-		if (options.instance) {
-			instanceOptions.instance = options.instance;
+		if (instance) {
+			instanceOptions.instance = instance;
 		}
 		instanceOptions.debug = options.debug;
 
@@ -219,14 +903,18 @@ export async function exportCommand(options) {
 		spinner.succeed(`Instance: ${chalk.cyan(instanceInfo.hostname)}`);
 
 		// Generate archive name if template is provided
-		const archiveTemplate =
-			config.archive?.name || config.archive_name_template;
-		if (archiveTemplate) {
-			const archiveName = generateArchiveName(archiveTemplate);
-			console.log(chalk.gray(`   Archive name template: ${archiveName}`));
+		const archiveName = resolveArchiveName(
+			config,
+			dataUnits,
+			instanceInfo,
+			options,
+			instance,
+		);
+		if (archiveName) {
+			printMessage(chalk.gray(`   Archive name: ${archiveName}`));
 		}
 
-		console.log(chalk.gray(`   Output directory: ${outputPath}`));
+		printMessage(chalk.gray(`   Output directory: ${outputPath}`));
 
 		// Execute export
 		const exportOptions = {
@@ -236,31 +924,180 @@ export async function exportCommand(options) {
 			noDownload: !options.download, // Note: commander inverts --no-* flags
 			timeout: options.timeout,
 			debug: options.debug,
-			instance: options.instance,
+			instance,
+			archiveName,
+			resumeArchive: options.resume || null,
+			...resolveRetryOptions(config, options),
+			onRetry: (retry) => {
+				spinner.warn(describeRetry(retry));
+				emitRetryEvent(instance, retry);
+				spinner.start(
+					retry.resume
+						? `Waiting ${retry.delaySeconds}s before downloading ${retry.error.archiveFilename}...`
+						: `Waiting ${retry.delaySeconds}s before restarting the export job...`,
+				);
+			},
 		};
 
-		spinner.start("Starting site export job (this may take a while)...");
-		console.log("");
+		spinner.start(
+			options.resume
+				? `Downloading ${options.resume} from the instance...`
+				: "Starting site export job (this may take a while)...",
+		);
+		printMessage("");
+		emitEvent("job-started", {
+			instance,
+			hostname: instanceInfo.hostname,
+			resume: options.resume || null,
+		});
 
 		const startTime = Date.now();
-		const result = await executeSiteExport(dataUnits, exportOptions);
-		const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+		const result = await executeSiteExportWithRetry(dataUnits, exportOptions);
+		const endTime = Date.now();
+		const duration = ((endTime - startTime) / 1000).toFixed(1);
 
-		spinner.succeed(`Export completed in ${duration}s`);
+		spinner.succeed(
+			`Export completed in ${duration}s${result.attempts > 1 ? ` (${result.attempts} attempts)` : ""}`,
+		);
+		emitEvent("job-finished", {
+			instance,
+			durationMs: endTime - startTime,
+			archiveFilename: result.archiveFilename || null,
+			attempts: result.attempts,
+			resumed: result.resumed,
+		});
+
+		// Apply the transformation rules of the configuration
+		let transform = null;
+		if (transformRules.length > 0 && isDownloaded(result, outputPath)) {
+			spinner.start("Applying transformation rules...");
+			transform = transformDownload(result.localPath, transformRules, instance);
+			spinner.succeed(
+				`Transformed: ${transform.changes.length} change(s) in ${transform.files} file(s)`,
+			);
+			printTransformReport(transform, config.transform.rules);
+		}
+
+		// Scan the archive for secrets and personal data
+		let scan = null;
+		if (scanSettings && isDownloaded(result, outputPath)) {
+			spinner.start("Scanning the archive for secrets and personal data...");
+			scan = scanDownload(result.localPath, scanSettings, instance);
+			spinner.succeed(describeScan(scan));
+			printScanReport(scan);
+			if (scanSettings.failOnSecrets && scan.unredactedSecrets > 0) {
+				throw createSecretsFoundError(scan, result.localPath);
+			}
+		}
+
+		// Write the run manifest next to the downloaded archive
+		const manifestPath = writeRunManifest(
+			{
+				dataUnits,
+				instanceInfo,
+				instance,
+				configPath: options.interactive
+					? config._saveFilePath || null
+					: options.config,
+				configProfile: options.interactive ? null : options.profile,
+				configPreset: options.interactive ? null : options.preset,
+				b2cCliVersion,
+				startTime,
+				endTime,
+				result,
+				transform,
+				scan,
+			},
+			outputPath,
+		);
+
+		if (manifestPath) {
+			emitEvent("downloaded", {
+				instance,
+				localPath: result.localPath,
+				manifestPath,
+			});
+		}
+
+		// Upload the archive and its manifest to the configured destinations
+		const destinations = getUploadDestinations(config, options);
+		let uploads = null;
+		if (destinations.length > 0 && !manifestPath) {
+			printMessage(
+				chalk.yellow(
+					"\n⚠️  Nothing was downloaded: the upload destinations are skipped.",
+				),
+			);
+		} else if (destinations.length > 0) {
+			try {
+				uploads = await uploadExport(
+					{ localPath: result.localPath, manifestPath },
+					config.upload,
+					{
+						onUploading: ({ location }) =>
+							spinner.start(`Uploading to ${location}...`),
+						onUploaded: (destination) => {
+							spinner.succeed(describeUpload(destination));
+							emitEvent("uploaded", { instance, ...destination });
+						},
+					},
+				);
+			} catch (error) {
+				spinner.fail("Upload failed");
+				printError(chalk.red(`\n❌ ${error.message}`));
+				printError(
+					chalk.gray(`   The export was kept at: ${result.localPath}\n`),
+				);
+				exitWithError("export", error);
+			}
+		}
+
+		printResult("export", {
+			instance,
+			hostname: instanceInfo.hostname,
+			durationMs: endTime - startTime,
+			localPath: manifestPath ? result.localPath : null,
+			archiveFilename: result.archiveFilename || null,
+			manifestPath,
+			keptOnInstance: Boolean(
+				keepArchive || !options.download || result.cleanedUp === false,
+			),
+			attempts: result.attempts,
+			resumed: result.resumed,
+			...(transform && { transform }),
+			...(scan && { scan }),
+			...(uploads && { uploads }),
+		});
 
 		// Print result
-		if (result.localPath) {
-			console.log(
+		if (uploads?.deletedLocal) {
+			printMessage(
+				chalk.green(
+					`\n✅ Export uploaded to ${uploads.destinations.length} destination(s); the local copy was deleted`,
+				),
+			);
+		} else if (result.localPath) {
+			printMessage(
 				chalk.green(`\n✅ Export saved to: ${chalk.bold(result.localPath)}`),
 			);
+			if (manifestPath) {
+				printMessage(chalk.gray(`   Manifest: ${manifestPath}`));
+			}
+			if (result.cleanedUp === false) {
+				printMessage(
+					chalk.yellow(
+						`   ⚠️  Could not remove the archive from the instance: Impex/src/instance/${result.archiveFilename}`,
+					),
+				);
+			}
 		} else if (result.archiveFilename) {
-			console.log(
+			printMessage(
 				chalk.green(
 					`\n✅ Export archive created: ${chalk.bold(result.archiveFilename)}`,
 				),
 			);
 			if (options.keepArchive) {
-				console.log(
+				printMessage(
 					chalk.gray(
 						`   Archive kept on instance at: Impex/src/instance/${result.archiveFilename}`,
 					),
@@ -268,16 +1105,28 @@ export async function exportCommand(options) {
 			}
 		}
 
-		console.log("");
+		printMessage("");
 	} catch (error) {
 		spinner.fail("Export failed");
-		console.error(chalk.red(`\n❌ Error: ${error.message}`));
+		printError(chalk.red(`\n❌ Error: ${error.message}`));
+		if (error.archiveFilename) {
+			printError(
+				chalk.gray(
+					`   The archive was created on the instance: ${error.archiveFilename}`,
+				),
+			);
+			printError(
+				chalk.gray(
+					`   Download it without a new export job: sfcc-site-exporter export ${options.interactive ? "-i" : [options.config && `-c ${options.config}${options.profile ? ` --profile ${options.profile}` : ""}`, options.preset && `--preset ${options.preset}`].filter(Boolean).join(" ")} --resume ${error.archiveFilename}`,
+				),
+			);
+		}
 
 		if (options.debug) {
 			console.error(chalk.gray("\nStack trace:"));
 			console.error(chalk.gray(error.stack));
 		}
 
-		process.exit(1);
+		exitWithError("export", error);
 	}
 }
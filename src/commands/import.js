@@ -0,0 +1,273 @@
+/**
+ * Import command handler - pushes a site archive into an instance
+ */
+
+import path from "node:path";
+import chalk from "chalk";
+import { resolveInstances } from "../lib/batch.js";
+import {
+	ConfigError,
+	ConnectionError,
+	classifyB2cFailure,
+	EnvironmentError,
+	ERROR_CODES,
+} from "../lib/errors.js";
+import {
+	buildB2cArgs,
+	checkDwJsonExists,
+	formatB2cCommandLine,
+	getB2cCliVersion,
+	getInstanceInfo,
+	testInstanceConnectivity,
+} from "../lib/exporter.js";
+import {
+	buildImportArgs,
+	confirmProductionImport,
+	executeSiteImport,
+	looksLikeProduction,
+	resolveImportArchive,
+} from "../lib/importer.js";
+import { formatSize, printInventory } from "../lib/inspector.js";
+import {
+	createSpinner,
+	emitEvent,
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+
+/**
+ * Import command action
+ * @param {string} archive - Path to the archive (zip file or folder)
+ * @param {object} options - Command options
+ */
+export async function importCommand(archive, options) {
+	const spinner = createSpinner();
+
+	try {
+		printMessage(chalk.bold.blue("\n📥 SFCC Site Import\n"));
+
+		// Step 1: Check if b2c CLI is available
+		spinner.start("Checking b2c CLI...");
+		const b2cCliVersion = await getB2cCliVersion();
+		if (!b2cCliVersion) {
+			spinner.fail("b2c CLI not found");
+			printError(chalk.red("\n❌ The b2c CLI is required but not installed."));
+			printError(
+				chalk.gray("   Install it with: npm install -g @salesforce/b2c-cli\n"),
+			);
+			exitWithError(
+				"import",
+				new EnvironmentError("The b2c CLI is required but not installed", {
+					code: ERROR_CODES.B2C_CLI_NOT_FOUND,
+				}),
+			);
+		}
+		spinner.succeed(`b2c CLI found: ${chalk.cyan(b2cCliVersion)}`);
+		emitEvent("cli-check", { version: b2cCliVersion });
+
+		// Step 2: Check if dw.json exists or environment variables are set
+		spinner.start("Checking instance configuration (dw.json)...");
+		const dwJsonCheck = checkDwJsonExists();
+		if (!dwJsonCheck.exists) {
+			spinner.fail("No instance configuration found");
+			printError(
+				chalk.red("\n❌ No dw.json file or environment variables found."),
+			);
+			printError(
+				chalk.gray(
+					"   Create a dw.json file in your project root, or set SFCC_SERVER, SFCC_CLIENT_ID, etc.\n",
+				),
+			);
+			exitWithError(
+				"import",
+				new EnvironmentError("No dw.json file or environment variables found", {
+					code: ERROR_CODES.DWJSON_NOT_FOUND,
+				}),
+			);
+		}
+		spinner.succeed(
+			`Instance configuration found: ${chalk.cyan(dwJsonCheck.path)}`,
+		);
+		emitEvent("dwjson-found", { path: dwJsonCheck.path });
+
+		// Step 3: Read the archive and the manifest written next to it
+		spinner.start("Reading archive...");
+		const source = resolveImportArchive(archive);
+		const archiveName = path.basename(source.path);
+		spinner.succeed(
+			`Archive: ${chalk.cyan(source.path)} ${chalk.gray(`(${source.isZip ? "zip file" : "folder"}, ${source.inventory.totals.files} files, ${formatSize(source.inventory.totals.size)})`)}`,
+		);
+		if (source.manifest) {
+			printMessage(
+				chalk.gray(
+					`   Exported from ${source.manifest.instance?.hostname || "unknown instance"} on ${source.manifest.finishedAt}`,
+				),
+			);
+		}
+		emitEvent("archive-read", {
+			path: source.path,
+			manifestPath: source.manifestPath,
+			files: source.inventory.totals.files,
+			size: source.inventory.totals.size,
+		});
+		if (!isMachineOutput()) {
+			printInventory(source.inventory);
+		}
+
+		// Import targets one instance
+		const instances = resolveInstances(options.instance);
+		if (instances.length > 1) {
+			exitWithError(
+				"import",
+				new ConfigError(
+					"Import targets a single instance: pass one --instance",
+					{
+						code: ERROR_CODES.INVALID_OPTIONS,
+					},
+				),
+			);
+		}
+		const instance = instances[0] || null;
+
+		// Step 4: Test connectivity to the SFCC instance (not during a dry run)
+		let hostname;
+		if (options.dryRun) {
+			({ hostname } = await getInstanceInfo({
+				instance,
+				debug: options.debug,
+			}));
+		} else {
+			spinner.start("Testing connectivity to SFCC instance...");
+			const connectivityTest = await testInstanceConnectivity({
+				debug: options.debug,
+				instance,
+			});
+			if (!connectivityTest.success) {
+				spinner.fail("Failed to connect to SFCC instance");
+				printError(chalk.red(`\n❌ Could not connect to the SFCC instance.`));
+				if (connectivityTest.error) {
+					printError(chalk.gray(`   Error: ${connectivityTest.error}`));
+				}
+				printError(chalk.gray("   Run with -d flag for debug output\n"));
+				exitWithError(
+					"import",
+					classifyB2cFailure(
+						`Could not connect to the SFCC instance${connectivityTest.error ? `: ${connectivityTest.error}` : ""}`,
+						{ fallback: ConnectionError },
+					),
+				);
+			}
+			hostname = connectivityTest.hostname;
+			spinner.succeed(`Connected to: ${chalk.cyan(hostname)}`);
+			emitEvent("connectivity", { instance, success: true, hostname });
+		}
+
+		const production = looksLikeProduction({ instance, hostname });
+		const importOptions = {
+			keepArchive: options.keepArchive,
+			timeout: options.timeout,
+			debug: options.debug,
+			instance,
+		};
+
+		// Dry run: print the import job instead of starting it
+		if (options.dryRun) {
+			const commandLine = formatB2cCommandLine(
+				buildB2cArgs(buildImportArgs(source.path, importOptions), {
+					instance,
+					debug: options.debug,
+				}),
+			);
+			printMessage(
+				chalk.cyan(
+					`\n🧪 Import job on ${chalk.bold(instance || "default instance")} (${hostname})`,
+				),
+			);
+			if (production) {
+				printMessage(
+					chalk.yellow(
+						"   ⚠️  Production instance: the import asks for confirmation (or --yes)",
+					),
+				);
+			}
+			printMessage(chalk.gray(`   ${commandLine}\n`));
+			printMessage(
+				chalk.green(
+					"✅ Dry run complete: no import job was started. Run without --dry-run to import.\n",
+				),
+			);
+			printResult("import", {
+				dryRun: true,
+				instance,
+				hostname,
+				production,
+				archive: source.path,
+				commandLine,
+			});
+			return;
+		}
+
+		// Production instances need an explicit confirmation
+		if (production && !options.yes) {
+			await confirmProductionImport(
+				instance ? `${instance} (${hostname})` : hostname,
+				archiveName,
+			);
+		}
+
+		spinner.start("Starting site import job (this may take a while)...");
+		printMessage("");
+		emitEvent("job-started", { instance, hostname, archive: source.path });
+
+		const startTime = Date.now();
+		const result = await executeSiteImport(source.path, importOptions);
+		const endTime = Date.now();
+		const duration = ((endTime - startTime) / 1000).toFixed(1);
+
+		spinner.succeed(`Import completed in ${duration}s`);
+		emitEvent("job-finished", {
+			instance,
+			durationMs: endTime - startTime,
+			archiveFilename: result.archiveFilename,
+		});
+
+		printResult("import", {
+			instance,
+			hostname,
+			production,
+			archive: source.path,
+			durationMs: endTime - startTime,
+			archiveFilename: result.archiveFilename,
+			keptOnInstance: Boolean(options.keepArchive),
+		});
+
+		// Print result
+		printMessage(
+			chalk.green(
+				`\n✅ ${chalk.bold(archiveName)} imported into ${chalk.bold(hostname)}`,
+			),
+		);
+		if (options.keepArchive && result.archiveFilename) {
+			printMessage(
+				chalk.gray(
+					`   Archive kept on instance at: Impex/src/instance/${result.archiveFilename}`,
+				),
+			);
+		}
+
+		printMessage("");
+	} catch (error) {
+		spinner.fail("Import failed");
+		printError(chalk.red(`\n❌ Error: ${error.message}`));
+
+		if (options.debug) {
+			console.error(chalk.gray("\nStack trace:"));
+			console.error(chalk.gray(error.stack));
+		}
+
+		exitWithError("import", error);
+	}
+}
@@ -5,7 +5,33 @@
 import fs from "node:fs";
 import path from "node:path";
 import chalk from "chalk";
-import { globalDataOptions, siteDataOptions } from "../lib/config.js";
+import {
+	GLOBAL_DATA_DESCRIPTIONS,
+	globalDataOptions,
+	SENSITIVE_DATA_UNITS,
+	SITE_DATA_DESCRIPTIONS,
+	siteDataOptions,
+} from "../lib/config.js";
+import {
+	CONFIG_FORMATS,
+	getConfigFormat,
+	renderConfig,
+} from "../lib/config-format.js";
+import { ConfigError, ERROR_CODES, FileError } from "../lib/errors.js";
+import { INSTANCE_ID_LISTS } from "../lib/instance-check.js";
+import {
+	exitWithError,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+import {
+	expandPreset,
+	findWildcardSections,
+	getPreset,
+	loadPresets,
+} from "../lib/presets.js";
+import { SCHEMA_PATH } from "../lib/schema.js";
 
 /**
  * Minimal configuration for quick start
@@ -20,7 +46,6 @@ const minimalConfig = {
 			custom_types: true,
 		},
 		sites: {
-			// Replace 'YourSiteId' with your actual site ID
 			YourSiteId: {
 				content: true,
 				site_preferences: true,
@@ -31,7 +56,26 @@ const minimalConfig = {
 };
 
 /**
- * Full configuration with all options documented
+ * Header of the generated configuration files
+ */
+const TEMPLATE_HEADER = [
+	"SFCC Site Exporter - export configuration",
+	"Check it with: sfcc-site-exporter validate -c <this file>",
+];
+
+/**
+ * Comments of the minimal configuration, by key path
+ */
+const MINIMAL_COMMENTS = {
+	archive: "Name template of the downloaded archive (zip file or folder)",
+	dataUnits: "Data units to export",
+	"dataUnits.sites": "Sites to export (key: site ID)",
+	"dataUnits.sites.YourSiteId": "Replace 'YourSiteId' with your actual site ID",
+};
+
+/**
+ * Full configuration with all options
+ * @returns {object} The configuration
  */
 function generateFullConfig() {
 	// Build site data options object
@@ -47,126 +91,471 @@ function generateFullConfig() {
 	}
 
 	return {
-		// Archive configuration
 		archive: {
-			// Name template for the export archive
-			// Available placeholders:
-			//   {date}      - Current date (YYYY-MM-DD)
-			//   {time}      - Current time (HH-MM-SS)
-			//   {timestamp} - Unix timestamp
-			//   {site}      - Site ID (if exporting single site)
 			name: "export-{date}-{timestamp}",
 		},
-
-		// Data units to export
+		output_directory: "./exports",
+		retry: {
+			retries: 2,
+			delaySeconds: 30,
+		},
+		upload: {
+			destinations: [],
+			deleteLocal: false,
+		},
+		transform: {
+			rules: [],
+		},
+		scan: {
+			policy: "report",
+			failOnSecrets: false,
+		},
 		dataUnits: {
-			// Global data configuration
-			// Set any option to true to export that data type
 			global_data: globalDataConfig,
-
-			// Sites to export
-			// Key is the site ID, value can be:
-			//   - true: export all site data
-			//   - object: specific data types to export
 			sites: {
 				ExampleSite: siteDataConfig,
 			},
+			catalogs: {},
+			price_lists: {},
+			libraries: {},
+			customer_lists: {},
+			inventory_lists: {},
+		},
+	};
+}
 
-			// Customer lists (list_id: true)
-			customer_lists: {
-				// 'my-customer-list': true,
-			},
+/**
+ * Comments of the full configuration, by key path: every data unit option
+ * is described next to its value
+ * @returns {object} Template notes (comments and examples)
+ */
+function getFullConfigNotes() {
+	const comments = {
+		archive: [
+			"Archive configuration",
+			"Name template for the downloaded archive (zip file or folder)",
+			"Available placeholders (each may appear several times):",
+			"  {date}        - Current date (YYYY-MM-DD)",
+			"  {time}        - Current time (HH-MM-SS)",
+			"  {timestamp}   - Unix timestamp",
+			"  {site}        - Site ID (if exporting single site)",
+			"  {instance}    - Instance name from dw.json (--instance)",
+			"  {hostname}    - Instance hostname",
+			"  {codeVersion} - Active code version on the instance",
+			"  {config}      - Export configuration file name",
+			"  {user}        - Name of the user running the export",
+		],
+		output_directory: [
+			"Output directory of the downloaded archive; --output wins",
+			"Any string value or key may reference environment variables:",
+			`\${NAME} or \${NAME:-default}`,
+		],
+		retry: [
+			"Retries of transient failures (connection drops, job timeouts, quota)",
+			"The delay is doubled after each retry; --retries and --retry-delay win",
+		],
+		upload: [
+			"Upload the downloaded archive and its manifest (checked with SHA-256)",
+			"Destinations, for example:",
+			'  { "type": "s3", "bucket": "exports", "endpoint": "http://localhost:9000" }',
+			'  { "type": "sftp", "host": "backup.example.com", "path": "/backups" }',
+			'  { "type": "directory", "path": "/mnt/share/exports" }',
+		],
+		"upload.deleteLocal": "Delete the local copy once every upload is checked",
+		transform: [
+			"Change the downloaded archive before it is uploaded or imported",
+			"Rules run in order and every change is reported, for example:",
+			'  { "action": "remove", "select": "//service-credential/password" }',
+			'  { "action": "replace", "search": "www.example.com", "replacement": "dev.example.com" }',
+			'  { "action": "rename", "section": "sites", "from": "RefArch", "to": "RefArchDev" }',
+		],
+		scan: [
+			"Scan the downloaded archive for secrets and personal data",
+			"Always runs (in report mode) when a sensitive unit is exported",
+			'Policies: "report" lists the findings, "redact" also replaces them',
+			"Values matching an allow pattern are never reported, for example:",
+			'  "allow": ["@example\\\\.com$"]',
+		],
+		"scan.failOnSecrets":
+			"Fail the export when unredacted passwords, secrets or keys remain",
+		dataUnits: "Data units to export",
+		"dataUnits.global_data": [
+			"Global data configuration",
+			"Set any option to true to export that data type",
+		],
+		"dataUnits.sites": [
+			"Sites to export",
+			"Key is the site ID, value can be:",
+			"  - true: export all site data",
+			"  - object: specific data types to export",
+		],
+		"dataUnits.sites.ExampleSite":
+			"Replace 'ExampleSite' with your actual site ID",
+		"dataUnits.catalogs": "Catalogs (catalog_id: true)",
+		"dataUnits.price_lists": "Price lists / price books (price_book_id: true)",
+		"dataUnits.libraries": "Content libraries (library_id: true)",
+		"dataUnits.customer_lists": [
+			"Customer lists (list_id: true)",
+			`⚠️ sensitive: ${SENSITIVE_DATA_UNITS.customer_lists}`,
+		],
+		"dataUnits.inventory_lists": "Inventory lists (list_id: true)",
+	};
+	for (const option of globalDataOptions) {
+		comments[`dataUnits.global_data.${option}`] = SENSITIVE_DATA_UNITS[option]
+			? [
+					GLOBAL_DATA_DESCRIPTIONS[option],
+					`⚠️ sensitive: ${SENSITIVE_DATA_UNITS[option]}`,
+				]
+			: GLOBAL_DATA_DESCRIPTIONS[option];
+	}
+	for (const option of siteDataOptions) {
+		comments[`dataUnits.sites.ExampleSite.${option}`] =
+			SITE_DATA_DESCRIPTIONS[option];
+	}
+
+	return {
+		header: TEMPLATE_HEADER,
+		comments,
+		examples: {
+			"dataUnits.catalogs": { "storefront-catalog": true },
+			"dataUnits.price_lists": { "usd-list-prices": true },
+			"dataUnits.libraries": { SharedLibrary: true },
+			"dataUnits.customer_lists": { "my-customer-list": true },
+			"dataUnits.inventory_lists": { "my-inventory": true },
+		},
+	};
+}
+
+/**
+ * IDs written in place of the "*" IDs of a preset, by section (the site of
+ * the template is used for sites)
+ */
+const PRESET_PLACEHOLDER_IDS = {
+	catalogs: "YourCatalogId",
+	price_lists: "YourPriceBookId",
+	libraries: "YourLibraryId",
+	customer_lists: "YourCustomerListId",
+	inventory_lists: "YourInventoryListId",
+};
+
+/**
+ * Merges data units into the data units of a template: objects are merged
+ * key by key, other values replaced
+ * @param {object} target - Template data units
+ * @param {object} source - Data units to merge
+ * @returns {object} The merged data units
+ */
+function mergeDataUnits(target, source) {
+	const isObject = (item) => typeof item === "object" && item !== null;
+	const merged = { ...target };
+	for (const [key, value] of Object.entries(source)) {
+		merged[key] =
+			isObject(value) && isObject(merged[key])
+				? mergeDataUnits(merged[key], value)
+				: value;
+	}
+	return merged;
+}
+
+/**
+ * Starts a template from the data units of a preset: the minimal template
+ * takes them as they are, the full template has them enabled among every
+ * other option; "*" IDs become placeholders to replace
+ * @param {object} template - The configuration template
+ * @param {object} notes - Template notes
+ * @param {object} preset - Preset from getPreset
+ * @param {boolean} full - Whether the template is the full one
+ * @returns {{config: object, notes: object}} Configuration and notes
+ */
+function applyPreset(template, notes, preset, full) {
+	const siteId = full ? "ExampleSite" : "YourSiteId";
+	const wildcardSections = findWildcardSections(preset.dataUnits);
+	const placeholders = Object.fromEntries(
+		wildcardSections.map((section) => [
+			section,
+			[section === "sites" ? siteId : PRESET_PLACEHOLDER_IDS[section]],
+		]),
+	);
+	const dataUnits = expandPreset(preset.dataUnits, placeholders);
+
+	const comments = {
+		...notes.comments,
+		dataUnits: [
+			`Data units of preset "${preset.name}"${preset.description ? `: ${preset.description}` : ""}`,
+			"Enable or disable options to customise it",
+		],
+	};
+	for (const section of wildcardSections) {
+		const { label, plural } = INSTANCE_ID_LISTS[section];
+		const [placeholder] = placeholders[section];
+		comments[`dataUnits.${section}.${placeholder}`] =
+			`Replace '${placeholder}' with your ${label} IDs (the preset exports all ${plural} of the instance)`;
+	}
+	const examples = Object.fromEntries(
+		Object.entries(notes.examples || {}).filter(
+			([keyPath]) => !dataUnits[keyPath.replace("dataUnits.", "")],
+		),
+	);
+
+	return {
+		config: {
+			...template,
+			dataUnits: full
+				? mergeDataUnits(template.dataUnits, dataUnits)
+				: dataUnits,
+		},
+		notes: { ...notes, comments, examples },
+	};
+}
+
+/**
+ * Name of the package, as installed in node_modules
+ */
+const PACKAGE_NAME = "sfcc-site-exporter";
 
-			// Inventory lists (list_id: true)
-			inventory_lists: {
-				// 'my-inventory': true,
+/**
+ * Finds the shipped JSON Schema in the node_modules of the project holding
+ * the configuration file
+ * Configuration files are shared, so they only point to the schema of a local
+ * dependency: the path of a global or npx install differs on every machine
+ * @param {string} outputPath - Absolute path of the configuration file
+ * @returns {string|null} Path of the schema, relative to the configuration
+ *   file (`./node_modules/sfcc-site-exporter/schema/...`), or null if the
+ *   package is not a dependency of the project
+ */
+function findSchemaReference(outputPath) {
+	const configDir = path.dirname(outputPath);
+	const schemaFile = path.relative(
+		path.resolve(SCHEMA_PATH, "..", ".."),
+		SCHEMA_PATH,
+	);
+
+	for (let dir = configDir; ; dir = path.dirname(dir)) {
+		const schemaPath = path.join(dir, "node_modules", PACKAGE_NAME, schemaFile);
+		if (fs.existsSync(schemaPath)) {
+			const reference = path
+				.relative(configDir, schemaPath)
+				.split(path.sep)
+				.join("/");
+			return reference.startsWith("../") ? reference : `./${reference}`;
+		}
+		if (path.dirname(dir) === dir) {
+			return null;
+		}
+	}
+}
+
+/**
+ * Points the configuration to the JSON Schema, for editor autocompletion:
+ * a "$schema" key in JSON, a yaml-language-server modeline in YAML
+ * @param {object} config - The configuration
+ * @param {object} notes - Template notes
+ * @param {string} format - Output format
+ * @param {string|null} schemaPath - Schema reference from findSchemaReference;
+ *   without one, the configuration is left as is
+ * @returns {{config: object, notes: object}} Configuration and notes with
+ *   the schema reference
+ */
+function addSchemaReference(config, notes, format, schemaPath) {
+	if (!schemaPath) {
+		return { config, notes };
+	}
+
+	if (format === "yaml") {
+		return {
+			config,
+			notes: {
+				...notes,
+				header: [
+					`yaml-language-server: $schema=${schemaPath}`,
+					...notes.header,
+				],
+			},
+		};
+	}
+	return {
+		config: { $schema: schemaPath, ...config },
+		notes: {
+			...notes,
+			comments: {
+				...notes.comments,
+				$schema: ["JSON Schema of this file, for editor autocompletion"],
 			},
 		},
 	};
 }
 
+/**
+ * Resolves the path and format of the file to create
+ * The --format option wins over the extension of the output path; without
+ * an output path, the file is export-config with the extension of the format
+ * @param {object} options - Command options
+ * @returns {{outputPath: string, format: string}} Absolute path and format
+ */
+function resolveOutput(options) {
+	if (options.format && !CONFIG_FORMATS[options.format]) {
+		throw new ConfigError(
+			`Unknown format "${options.format}". Supported formats: ${Object.keys(CONFIG_FORMATS).join(", ")}`,
+			{ code: ERROR_CODES.INVALID_OPTIONS },
+		);
+	}
+
+	const format =
+		options.format ||
+		(options.output ? getConfigFormat(options.output) : "json");
+	const outputPath =
+		options.output || `./export-config${CONFIG_FORMATS[format].extension}`;
+	return { outputPath: path.resolve(outputPath), format };
+}
+
 /**
  * Init command action
  * @param {object} options - Command options
  */
 export async function initCommand(options) {
-	const outputPath = path.resolve(options.output);
+	let outputPath;
+	let format;
+	try {
+		({ outputPath, format } = resolveOutput(options));
+	} catch (error) {
+		printError(chalk.red(`\n❌ Error: ${error.message}\n`));
+		exitWithError("init", error);
+	}
 
 	// Check if file already exists
 	if (fs.existsSync(outputPath)) {
-		console.log(
+		printMessage(
 			chalk.yellow(`\n⚠️  Configuration file already exists: ${outputPath}`),
 		);
-		console.log(
+		printMessage(
 			chalk.gray(
 				"   Use a different output path or delete the existing file.\n",
 			),
 		);
-		process.exit(1);
+		exitWithError(
+			"init",
+			new FileError(`Configuration file already exists: ${outputPath}`, {
+				code: ERROR_CODES.FILE_EXISTS,
+			}),
+		);
 	}
 
-	// Generate configuration
-	const config = options.full ? generateFullConfig() : minimalConfig;
+	// Generate configuration, from the data units of the preset if any
+	let preset = null;
+	try {
+		preset = options.preset
+			? getPreset(loadPresets(options.presets), options.preset)
+			: null;
+	} catch (error) {
+		printError(chalk.red(`\n❌ Error: ${error.message}\n`));
+		exitWithError("init", error);
+	}
+	const template = options.full ? generateFullConfig() : minimalConfig;
+	const notes = options.full
+		? getFullConfigNotes()
+		: { header: TEMPLATE_HEADER, comments: MINIMAL_COMMENTS };
+	const presetTemplate = preset
+		? applyPreset(template, notes, preset, options.full)
+		: { config: template, notes };
+	const schemaPath = findSchemaReference(outputPath);
+	const { config, notes: schemaNotes } = addSchemaReference(
+		presetTemplate.config,
+		presetTemplate.notes,
+		format,
+		schemaPath,
+	);
 
 	// Write configuration file
 	try {
-		const content = JSON.stringify(config, null, 2);
+		const content = renderConfig(config, format, schemaNotes);
 		fs.writeFileSync(outputPath, content, "utf8");
+		printResult("init", {
+			path: outputPath,
+			template: options.full ? "full" : "minimal",
+			format,
+			preset: preset?.name || null,
+			schema: schemaPath,
+		});
 
-		console.log(
+		printMessage(
 			chalk.green(
 				`\n✅ Configuration file created: ${chalk.bold(outputPath)}\n`,
 			),
 		);
+		if (!schemaPath) {
+			printMessage(
+				chalk.gray(
+					`   No JSON Schema reference: install ${PACKAGE_NAME} as a dependency of the project for editor autocompletion.\n`,
+				),
+			);
+		}
 
-		if (options.full) {
-			console.log(
+		if (preset) {
+			printMessage(
+				chalk.cyan(
+					`   Configuration generated from preset ${chalk.bold(preset.name)}.`,
+				),
+			);
+			printMessage(
+				chalk.gray(
+					"   Edit the file to replace the placeholder IDs and customise the data units.\n",
+				),
+			);
+		} else if (options.full) {
+			printMessage(
 				chalk.cyan(
 					"   Full configuration with all options has been generated.",
 				),
 			);
-			console.log(
+			printMessage(
 				chalk.gray(
 					"   Edit the file to enable the data types you want to export.\n",
 				),
 			);
+			if (format === "json") {
+				printMessage(
+					chalk.gray(
+						`   JSON has no comments: use ${chalk.cyan("--format jsonc")} or ${chalk.cyan("--format yaml")} for a template describing every option.\n`,
+					),
+				);
+			}
 		} else {
-			console.log(chalk.cyan("   Minimal configuration has been generated."));
-			console.log(chalk.gray("   Edit the file to:"));
-			console.log(
+			printMessage(chalk.cyan("   Minimal configuration has been generated."));
+			printMessage(chalk.gray("   Edit the file to:"));
+			printMessage(
 				chalk.gray('   1. Replace "YourSiteId" with your actual site ID'),
 			);
-			console.log(chalk.gray("   2. Enable additional data types as needed"));
-			console.log(
+			printMessage(chalk.gray("   2. Enable additional data types as needed"));
+			printMessage(
 				chalk.gray("   3. Add customer lists, inventory lists, etc.\n"),
 			);
-			console.log(
+			printMessage(
 				chalk.gray(
 					`   Run ${chalk.cyan("sfcc-site-exporter init --full")} for a complete configuration template.\n`,
 				),
 			);
 		}
 
-		console.log(chalk.bold("Next steps:"));
-		console.log(
+		printMessage(chalk.bold("Next steps:"));
+		printMessage(
 			chalk.gray(
 				"   1. Configure your SFCC instance in dw.json (or use environment variables)",
 			),
 		);
-		console.log(
+		printMessage(
 			chalk.gray(
 				"   2. Edit the export configuration to specify what data to export",
 			),
 		);
-		console.log(
+		printMessage(
 			chalk.gray(
 				`   3. Run ${chalk.cyan("sfcc-site-exporter export")} to start the export\n`,
 			),
 		);
 	} catch (error) {
-		console.error(
+		printError(
 			chalk.red(`\n❌ Failed to create configuration file: ${error.message}\n`),
 		);
-		process.exit(1);
+		exitWithError("init", error);
 	}
 }
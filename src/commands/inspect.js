@@ -0,0 +1,101 @@
+/**
+ * Inspect command handler - reports what a downloaded site export contains
+ */
+
+import fs from "node:fs";
+import chalk from "chalk";
+import { readArchive } from "../lib/archive.js";
+import { filterEnabledDataUnits, loadConfig } from "../lib/config.js";
+import {
+	compareWithDataUnits,
+	inspectArchive,
+	printComparison,
+	printInventory,
+} from "../lib/inspector.js";
+import { getManifestPath, readManifest } from "../lib/manifest.js";
+import {
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+
+/**
+ * Resolves the data units the archive is expected to contain
+ * The --config option wins over the manifest written next to the archive
+ * @param {string} archive - Path to the archive
+ * @param {object} options - Command options
+ * @returns {{dataUnits: object, source: string}|null} Requested data units, if known
+ */
+function resolveRequestedDataUnits(archive, options) {
+	if (options.config) {
+		const config = loadConfig(options.config, {
+			profile: options.profile,
+			envFile: options.envFile,
+		});
+		return {
+			dataUnits: filterEnabledDataUnits(config.dataUnits),
+			source: options.config,
+		};
+	}
+
+	if (fs.existsSync(getManifestPath(archive))) {
+		const { path: manifestPath, manifest } = readManifest(archive);
+		return { dataUnits: manifest.dataUnits || {}, source: manifestPath };
+	}
+
+	return null;
+}
+
+/**
+ * Inspect command action
+ * @param {string} archive - Path to the archive (zip file or extracted folder)
+ * @param {object} options - Command options
+ */
+export async function inspectCommand(archive, options) {
+	try {
+		const { entries } = readArchive(archive);
+		const inventory = inspectArchive(entries);
+		const requested = resolveRequestedDataUnits(archive, options);
+		const comparison = requested
+			? compareWithDataUnits(entries, requested.dataUnits)
+			: null;
+
+		if (isMachineOutput()) {
+			printResult(
+				"inspect",
+				{
+					archive,
+					inventory,
+					requestedFrom: requested?.source || null,
+					...comparison,
+				},
+				!(comparison?.issues.length > 0),
+			);
+		} else {
+			printMessage(chalk.bold.blue(`\n📂 Inspecting ${archive}`));
+			printInventory(inventory);
+
+			if (requested) {
+				printMessage(
+					chalk.cyan(`🧮 Compared with data units from ${requested.source}:\n`),
+				);
+				printComparison(comparison);
+			} else {
+				printMessage(
+					chalk.gray(
+						"   No manifest next to the archive: pass -c <config> to check the requested data units.\n",
+					),
+				);
+			}
+		}
+
+		if (comparison?.issues.length > 0) {
+			process.exit(1);
+		}
+	} catch (error) {
+		printError(chalk.red(`\n❌ Inspection failed: ${error.message}\n`));
+		exitWithError("inspect", error);
+	}
+}
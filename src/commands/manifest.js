@@ -0,0 +1,36 @@
+/**
+ * Manifest command handler - prints the manifest of an exported archive
+ */
+
+import chalk from "chalk";
+import { printExportSummary } from "../lib/config.js";
+import { printManifest, readManifest } from "../lib/manifest.js";
+import {
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+
+/**
+ * Manifest command action
+ * @param {string} archive - Path to the archive (zip file or folder) or its manifest
+ */
+export async function manifestCommand(archive) {
+	try {
+		const { path: manifestPath, manifest } = readManifest(archive);
+
+		if (isMachineOutput()) {
+			printResult("manifest", { path: manifestPath, manifest });
+			return;
+		}
+
+		printMessage(chalk.gray(`\n   Manifest: ${manifestPath}`));
+		printManifest(manifest);
+		printExportSummary(manifest.dataUnits || {});
+	} catch (error) {
+		printError(chalk.red(`\n❌ ${error.message}\n`));
+		exitWithError("manifest", error);
+	}
+}
@@ -0,0 +1,48 @@
+/**
+ * Presets command handler - lists the export presets and what they expand to
+ */
+
+import chalk from "chalk";
+import {
+	exitWithError,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+import { getPreset, loadPresets, printPresets } from "../lib/presets.js";
+
+/**
+ * Presets command action
+ * @param {string} [name] - Preset to show (default: every preset)
+ * @param {object} options - Command options
+ */
+export async function presetsCommand(name, options) {
+	try {
+		const presets = loadPresets(options.presets);
+		const shown = name
+			? [getPreset(presets, name)]
+			: Object.keys(presets).map((presetName) =>
+					getPreset(presets, presetName),
+				);
+
+		printResult("presets", {
+			presets: shown.map((preset) => ({
+				name: preset.name,
+				description: preset.description,
+				source: preset.source,
+				dataUnits: preset.dataUnits,
+			})),
+		});
+
+		printMessage(chalk.cyan("\n🧩 Export Presets:\n"));
+		printPresets(shown);
+		printMessage(
+			chalk.gray(
+				`   Start from a preset with ${chalk.cyan("export --preset <name>")}, ${chalk.cyan("export -i --preset <name>")} or ${chalk.cyan("init --preset <name>")}.\n`,
+			),
+		);
+	} catch (error) {
+		printError(chalk.red(`\n❌ ${error.message}\n`));
+		exitWithError("presets", error);
+	}
+}
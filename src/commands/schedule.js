@@ -0,0 +1,165 @@
+/**
+ * Schedule command handler - runs exports on cron schedules (daemon mode)
+ */
+
+import chalk from "chalk";
+import { Cron } from "croner";
+import { loadConfig } from "../lib/config.js";
+import {
+	emitEvent,
+	exitWithError,
+	printError,
+	printMessage,
+} from "../lib/output.js";
+import {
+	assertDistinctOutputPaths,
+	buildScheduleJobs,
+	pruneArchives,
+	pruneInstanceArchives,
+	runScheduledExport,
+} from "../lib/scheduler.js";
+
+/**
+ * Formats the current time for log lines
+ * @returns {string} ISO timestamp
+ */
+function now() {
+	return new Date().toISOString();
+}
+
+/**
+ * Runs a scheduled job once: export, then retention
+ * @param {object} job - Scheduled job
+ * @param {object} options - Command options
+ */
+async function runJob(job, options) {
+	printMessage(chalk.bold(`\n${now()} ▶ ${job.name}: starting export`));
+	emitEvent("run-started", { job: job.name, instance: job.instance });
+	const startTime = Date.now();
+	const code = await runScheduledExport(job, options);
+	const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+	emitEvent("run-finished", {
+		job: job.name,
+		success: code === 0,
+		exitCode: code,
+		durationMs: Date.now() - startTime,
+	});
+
+	if (code !== 0) {
+		printMessage(
+			chalk.red(
+				`${now()} ✖ ${job.name}: export failed (exit code ${code}) after ${duration}s`,
+			),
+		);
+		return;
+	}
+	printMessage(
+		chalk.green(`${now()} ✔ ${job.name}: export completed in ${duration}s`),
+	);
+
+	// Retention only runs after a successful export, so a failing instance
+	// never prunes its last good archives
+	const removed = pruneArchives(job.outputPath, job.retention);
+	for (const archive of removed) {
+		printMessage(chalk.gray(`   Pruned ${archive.path}`));
+		emitEvent("pruned", { job: job.name, path: archive.path });
+	}
+
+	if (job.retention.pruneInstance) {
+		const fileNames = removed
+			.map((archive) => archive.instanceFileName)
+			.filter(Boolean);
+		const results = await pruneInstanceArchives(fileNames, {
+			instance: job.instance,
+			debug: options.debug,
+		});
+		for (const result of results) {
+			emitEvent("instance-pruned", { job: job.name, ...result });
+			printMessage(
+				result.success
+					? chalk.gray(`   Pruned on instance: ${result.fileName}`)
+					: chalk.yellow(
+							`   ⚠️  Could not prune on instance: ${result.fileName}`,
+						),
+			);
+		}
+	}
+}
+
+/**
+ * Schedule command action
+ * @param {object} options - Command options
+ */
+export async function scheduleCommand(options) {
+	let jobs;
+
+	try {
+		printMessage(chalk.bold.blue("\n⏰ SFCC Site Exporter - Scheduler\n"));
+
+		jobs = options.config.flatMap((configPath) =>
+			buildScheduleJobs(
+				configPath,
+				loadConfig(configPath, {
+					profile: options.profile,
+					envFile: options.envFile,
+				}),
+				options.output,
+			),
+		);
+		assertDistinctOutputPaths(jobs);
+	} catch (error) {
+		printError(chalk.red(`\n❌ Error: ${error.message}\n`));
+		exitWithError("schedule", error);
+	}
+
+	const crons = jobs.map(
+		(job) =>
+			new Cron(
+				job.cron,
+				{
+					name: job.name,
+					// Never start a job while its previous run is still in progress
+					protect: () =>
+						printMessage(
+							chalk.yellow(
+								`${now()} ⏭  ${job.name}: previous run still in progress, skipping`,
+							),
+						),
+				},
+				() => runJob(job, options),
+			),
+	);
+
+	for (const [index, job] of jobs.entries()) {
+		printMessage(
+			`  ${chalk.cyan(job.name)} ${chalk.gray(`(${job.cron})`)} → ${job.outputPath}`,
+		);
+		printMessage(
+			chalk.gray(`    Next run: ${crons[index].nextRun()?.toISOString()}`),
+		);
+		emitEvent("scheduled", {
+			job: job.name,
+			cron: job.cron,
+			outputPath: job.outputPath,
+			nextRun: crons[index].nextRun()?.toISOString() || null,
+		});
+	}
+	printMessage(chalk.gray("\n   Press Ctrl+C to stop the scheduler.\n"));
+
+	if (options.runNow) {
+		for (const cron of crons) {
+			cron.trigger();
+		}
+	}
+
+	const stop = () => {
+		printMessage(chalk.gray(`\n${now()} Stopping scheduler...`));
+		emitEvent("stopped");
+		for (const cron of crons) {
+			cron.stop();
+		}
+		process.exit(0);
+	};
+	process.on("SIGINT", stop);
+	process.on("SIGTERM", stop);
+}
@@ -0,0 +1,46 @@
+/**
+ * Schema command handler - prints or writes the JSON Schema of the export
+ * configuration
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import {
+	exitWithError,
+	isMachineOutput,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+import { buildConfigSchema } from "../lib/schema.js";
+
+/**
+ * Schema command action
+ * @param {object} options - Command options
+ */
+export async function schemaCommand(options) {
+	try {
+		const content = `${JSON.stringify(buildConfigSchema(), null, 2)}\n`;
+
+		if (!options.output) {
+			if (isMachineOutput()) {
+				printResult("schema", { schema: buildConfigSchema() });
+			} else {
+				process.stdout.write(content);
+			}
+			return;
+		}
+
+		const outputPath = path.resolve(options.output);
+		fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+		fs.writeFileSync(outputPath, content, "utf8");
+		printResult("schema", { path: outputPath });
+		printMessage(
+			chalk.green(`\n✅ JSON Schema written: ${chalk.bold(outputPath)}\n`),
+		);
+	} catch (error) {
+		printError(chalk.red(`\n❌ ${error.message}\n`));
+		exitWithError("schema", error);
+	}
+}
@@ -0,0 +1,398 @@
+/**
+ * Sync command handler - exports from one instance and imports the archive
+ * into another in one step, applying the transformation rules and the secret
+ * scan of the configuration in between
+ */
+
+import path from "node:path";
+import chalk from "chalk";
+import {
+	filterEnabledDataUnits,
+	loadConfig,
+	printExportSummary,
+} from "../lib/config.js";
+import {
+	ConfigError,
+	ConnectionError,
+	classifyB2cFailure,
+	EnvironmentError,
+	ERROR_CODES,
+	FileError,
+	toExporterError,
+} from "../lib/errors.js";
+import {
+	describeRetry,
+	describeScan,
+	emitRetryEvent,
+	getScanSettings,
+	getTransformRules,
+	isDownloaded,
+	resolveArchiveName,
+	scanDownload,
+	transformDownload,
+} from "../lib/export-run.js";
+import {
+	checkDwJsonExists,
+	executeSiteExportWithRetry,
+	getB2cCliVersion,
+	getInstanceInfo,
+	resolveRetryOptions,
+	testInstanceConnectivity,
+} from "../lib/exporter.js";
+import {
+	confirmProductionImport,
+	executeSiteImport,
+	looksLikeProduction,
+} from "../lib/importer.js";
+import {
+	checkInstanceIds,
+	createMissingIdsError,
+	printInstanceCheck,
+} from "../lib/instance-check.js";
+import { buildManifest, writeManifest } from "../lib/manifest.js";
+import {
+	createSpinner,
+	emitEvent,
+	exitWithError,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+import { createSecretsFoundError, printScanReport } from "../lib/scanner.js";
+import { printTransformReport } from "../lib/transformer.js";
+
+/**
+ * Output directory of the intermediate archives when neither the command line
+ * nor the configuration sets it
+ */
+const DEFAULT_OUTPUT = "./exports";
+
+/**
+ * Archive name of a sync run when the configuration has no template
+ */
+const DEFAULT_ARCHIVE_NAME = "sync-{instance}-{date}-{time}";
+
+/**
+ * Tests the connectivity to an instance of the sync
+ * @param {string} instance - Instance name from dw.json
+ * @param {string} role - "source" or "target"
+ * @param {object} options - Command options
+ * @returns {Promise<string>} Host name of the instance
+ * @throws {ExporterError} If the instance cannot be reached
+ */
+async function connectToInstance(instance, role, options) {
+	const connectivityTest = await testInstanceConnectivity({
+		debug: options.debug,
+		instance,
+	});
+	if (!connectivityTest.success) {
+		throw classifyB2cFailure(
+			`Could not connect to the ${role} instance ${instance}${connectivityTest.error ? `: ${connectivityTest.error}` : ""}`,
+			{ fallback: ConnectionError },
+		);
+	}
+	emitEvent("connectivity", {
+		instance,
+		role,
+		success: true,
+		hostname: connectivityTest.hostname,
+	});
+	return connectivityTest.hostname;
+}
+
+/**
+ * Sync command action
+ * @param {object} options - Command options
+ */
+export async function syncCommand(options) {
+	const spinner = createSpinner();
+	const { from, to } = options;
+
+	// Step of the sync that is running, reported when it fails
+	let step = "setup";
+	let localPath = null;
+
+	try {
+		printMessage(chalk.bold.blue("\n🔁 SFCC Site Sync\n"));
+
+		if (from === to) {
+			throw new ConfigError(
+				"--from and --to must name two different instances",
+				{ code: ERROR_CODES.INVALID_OPTIONS },
+			);
+		}
+
+		// Step 1: Check if b2c CLI is available
+		spinner.start("Checking b2c CLI...");
+		const b2cCliVersion = await getB2cCliVersion();
+		if (!b2cCliVersion) {
+			throw new EnvironmentError(
+				"The b2c CLI is required but not installed (npm install -g @salesforce/b2c-cli)",
+				{ code: ERROR_CODES.B2C_CLI_NOT_FOUND },
+			);
+		}
+		spinner.succeed(`b2c CLI found: ${chalk.cyan(b2cCliVersion)}`);
+		emitEvent("cli-check", { version: b2cCliVersion });
+
+		// Step 2: Check if dw.json exists or environment variables are set
+		spinner.start("Checking instance configuration (dw.json)...");
+		const dwJsonCheck = checkDwJsonExists();
+		if (!dwJsonCheck.exists) {
+			throw new EnvironmentError(
+				"No dw.json file or environment variables found",
+				{ code: ERROR_CODES.DWJSON_NOT_FOUND },
+			);
+		}
+		spinner.succeed(
+			`Instance configuration found: ${chalk.cyan(dwJsonCheck.path)}`,
+		);
+		emitEvent("dwjson-found", { path: dwJsonCheck.path });
+
+		// Step 3: Load the export configuration
+		spinner.start("Loading export configuration...");
+		const config = loadConfig(options.config, {
+			profile: options.profile,
+			envFile: options.envFile,
+		});
+		const dataUnits = filterEnabledDataUnits(config.dataUnits);
+		spinner.succeed(
+			`Configuration loaded from ${chalk.cyan(options.config)}${options.profile ? ` (profile ${chalk.cyan(options.profile)})` : ""}`,
+		);
+		emitEvent("config-loaded", {
+			path: options.config,
+			profile: options.profile || null,
+			dataUnits,
+		});
+		if (Object.keys(dataUnits).length === 0) {
+			throw new ConfigError("No data units are enabled for export", {
+				code: ERROR_CODES.NO_DATA_UNITS,
+			});
+		}
+		printExportSummary(dataUnits);
+		const transformRules = getTransformRules(config, options);
+		const scanSettings = getScanSettings(config, dataUnits, options);
+
+		// Step 4: Test connectivity to both instances
+		step = "connectivity";
+		spinner.start(`Testing connectivity to ${from}...`);
+		const sourceHostname = await connectToInstance(from, "source", options);
+		spinner.succeed(`Source: ${chalk.cyan(from)} (${sourceHostname})`);
+		spinner.start(`Testing connectivity to ${to}...`);
+		const targetHostname = await connectToInstance(to, "target", options);
+		spinner.succeed(`Target: ${chalk.cyan(to)} (${targetHostname})`);
+
+		// Production targets need an explicit confirmation, asked before the
+		// export so a refusal costs nothing
+		if (
+			looksLikeProduction({ instance: to, hostname: targetHostname }) &&
+			!options.yes
+		) {
+			step = "confirmation";
+			await confirmProductionImport(
+				`${to} (${targetHostname})`,
+				`the export of ${from}`,
+			);
+		}
+
+		// Step 5: Pre-flight check of the configured IDs on the source
+		if (options.preflight) {
+			step = "preflight";
+			spinner.start(`Checking the configured IDs on ${from}...`);
+			const check = await checkInstanceIds(dataUnits, {
+				instance: from,
+				debug: options.debug,
+			});
+			emitEvent("preflight", { instance: from, ...check });
+			if (check.missing.length > 0) {
+				spinner.fail("Configured IDs not found on the source instance");
+				printMessage("");
+				printInstanceCheck(check);
+				throw createMissingIdsError(check.missing, from);
+			}
+			spinner.succeed(
+				`Pre-flight check: ${check.checked} configured ID(s) found on ${from}`,
+			);
+		}
+
+		// Step 6: Export from the source instance
+		step = "export";
+		const outputPath = path.resolve(
+			options.output || config.output_directory || DEFAULT_OUTPUT,
+		);
+		const sourceInfo = await getInstanceInfo({
+			instance: from,
+			debug: options.debug,
+		});
+		const archiveName = resolveArchiveName(
+			config,
+			dataUnits,
+			sourceInfo,
+			options,
+			from,
+			DEFAULT_ARCHIVE_NAME,
+		);
+
+		spinner.start(`Exporting from ${from} (this may take a while)...`);
+		emitEvent("job-started", {
+			step,
+			instance: from,
+			hostname: sourceHostname,
+		});
+		const exportStart = Date.now();
+		const exported = await executeSiteExportWithRetry(dataUnits, {
+			outputPath,
+			timeout: options.timeout,
+			debug: options.debug,
+			instance: from,
+			archiveName,
+			...resolveRetryOptions(config, options),
+			onRetry: (retry) => {
+				spinner.warn(describeRetry(retry));
+				emitRetryEvent(from, retry);
+				spinner.start(
+					`Waiting ${retry.delaySeconds}s before retrying the export...`,
+				);
+			},
+		});
+		const exportEnd = Date.now();
+		// Without a downloaded archive there is nothing to import
+		if (!isDownloaded(exported, outputPath)) {
+			throw new FileError(
+				`The export of ${from} finished but its archive was not found in ${outputPath}`,
+				{ code: ERROR_CODES.ARCHIVE_NOT_FOUND },
+			);
+		}
+		localPath = exported.localPath;
+		spinner.succeed(
+			`Exported from ${from} in ${((exportEnd - exportStart) / 1000).toFixed(1)}s: ${chalk.cyan(localPath)}`,
+		);
+		emitEvent("job-finished", {
+			step,
+			instance: from,
+			durationMs: exportEnd - exportStart,
+			archiveFilename: exported.archiveFilename || null,
+			attempts: exported.attempts,
+		});
+
+		// Step 7: Apply the transformation rules before the import
+		let transform = null;
+		if (transformRules.length > 0) {
+			step = "transform";
+			spinner.start("Applying transformation rules...");
+			transform = transformDownload(localPath, transformRules, from);
+			spinner.succeed(
+				`Transformed: ${transform.changes.length} change(s) in ${transform.files} file(s)`,
+			);
+			printTransformReport(transform, config.transform.rules);
+		}
+
+		// Step 8: Scan for secrets and personal data; unredacted secrets stop
+		// the sync before the import when scan.failOnSecrets is set
+		let scan = null;
+		if (scanSettings) {
+			step = "scan";
+			spinner.start("Scanning the archive for secrets and personal data...");
+			scan = scanDownload(localPath, scanSettings, from);
+			spinner.succeed(describeScan(scan));
+			printScanReport(scan);
+			if (scanSettings.failOnSecrets && scan.unredactedSecrets > 0) {
+				throw createSecretsFoundError(scan, localPath);
+			}
+		}
+
+		const manifestPath = writeManifest(
+			localPath,
+			buildManifest({
+				dataUnits,
+				instanceInfo: sourceInfo,
+				instance: from,
+				configPath: options.config,
+				configProfile: options.profile,
+				b2cCliVersion,
+				startTime: exportStart,
+				endTime: exportEnd,
+				result: exported,
+				transform,
+				scan,
+			}),
+		);
+		emitEvent("downloaded", { instance: from, localPath, manifestPath });
+
+		// Step 9: Import into the target instance
+		step = "import";
+		spinner.start(`Importing into ${to} (this may take a while)...`);
+		emitEvent("job-started", {
+			step,
+			instance: to,
+			hostname: targetHostname,
+			archive: localPath,
+		});
+		const importStart = Date.now();
+		const imported = await executeSiteImport(localPath, {
+			timeout: options.timeout,
+			debug: options.debug,
+			instance: to,
+			keepArchive: options.keepArchive,
+		});
+		const importEnd = Date.now();
+		spinner.succeed(
+			`Imported into ${to} in ${((importEnd - importStart) / 1000).toFixed(1)}s`,
+		);
+		emitEvent("job-finished", {
+			step,
+			instance: to,
+			durationMs: importEnd - importStart,
+			archiveFilename: imported.archiveFilename,
+		});
+
+		printResult("sync", {
+			from: { instance: from, hostname: sourceHostname },
+			to: { instance: to, hostname: targetHostname },
+			localPath,
+			manifestPath,
+			export: {
+				durationMs: exportEnd - exportStart,
+				archiveFilename: exported.archiveFilename || null,
+				attempts: exported.attempts,
+			},
+			transform,
+			scan,
+			import: {
+				durationMs: importEnd - importStart,
+				archiveFilename: imported.archiveFilename,
+			},
+		});
+
+		// Print result
+		printMessage(
+			chalk.green(
+				`\n✅ ${chalk.bold(from)} synced to ${chalk.bold(to)} (${targetHostname})`,
+			),
+		);
+		printMessage(chalk.gray(`   Intermediate archive: ${localPath}`));
+		printMessage("");
+	} catch (error) {
+		spinner.fail(`Sync failed during the ${step} step`);
+		printError(chalk.red(`\n❌ Error: ${error.message}`));
+		if (localPath) {
+			printError(chalk.gray(`   Intermediate archive kept at: ${localPath}`));
+		}
+		if (step === "import") {
+			printError(
+				chalk.gray(
+					`   Retry the import only: sfcc-site-exporter import ${localPath} -n ${to}`,
+				),
+			);
+		}
+
+		if (options.debug) {
+			console.error(chalk.gray("\nStack trace:"));
+			console.error(chalk.gray(error.stack));
+		}
+
+		exitWithError(
+			"sync",
+			Object.assign(toExporterError(error), { step, localPath }),
+		);
+	}
+}
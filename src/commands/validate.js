@@ -2,12 +2,148 @@
  * Validate command handler - validates a configuration file
  */
 
+import path from "node:path";
 import chalk from "chalk";
+import { resolveInstances } from "../lib/batch.js";
 import {
 	filterEnabledDataUnits,
-	loadConfig,
 	printExportSummary,
+	resolveConfig,
+	validateConfig,
 } from "../lib/config.js";
+import { ConnectionError, classifyB2cFailure } from "../lib/errors.js";
+import {
+	getSiteDataUnits,
+	requiresDataUnitsPayload,
+	testInstanceConnectivity,
+} from "../lib/exporter.js";
+import {
+	checkInstanceIds,
+	createMissingIdsError,
+	printInstanceCheck,
+} from "../lib/instance-check.js";
+import {
+	emitEvent,
+	exitWithError,
+	printError,
+	printMessage,
+	printResult,
+} from "../lib/output.js";
+
+/**
+ * Prints the exact data units each site will be exported with
+ * @param {object} dataUnits - The filtered data units
+ */
+function printSiteExportPlan(dataUnits) {
+	const sites = dataUnits.sites;
+	printMessage(
+		chalk.cyan("🗂  Per-site data units submitted to the export job:\n"),
+	);
+	for (const [siteId, siteConfig] of Object.entries(sites)) {
+		printMessage(
+			`    ${chalk.green(siteId)}: ${getSiteDataUnits(siteConfig).join(", ")}`,
+		);
+	}
+
+	if (requiresDataUnitsPayload(dataUnits)) {
+		printMessage(
+			chalk.gray(
+				"\n   The job is submitted with a per-site --data-units payload.\n",
+			),
+		);
+	} else {
+		printMessage(
+			chalk.gray("\n   All sites share the same selection (--site-data).\n"),
+		);
+	}
+}
+
+/**
+ * Prints where the resolved configuration comes from and the resolved
+ * configuration itself
+ * @param {object} resolved - Result of resolveConfig
+ */
+function printResolvedConfig({ config, files, profile }) {
+	printMessage(chalk.cyan("\n🧩 Resolved configuration:\n"));
+	printMessage(
+		chalk.gray(
+			`   Files (merged in order): ${files.map((file) => path.relative(process.cwd(), file) || file).join(", ")}`,
+		),
+	);
+	if (profile) {
+		printMessage(chalk.gray(`   Profile: ${profile}`));
+	}
+	printMessage(
+		`\n${JSON.stringify(config, null, 2)
+			.split("\n")
+			.map((line) => `   ${line}`)
+			.join("\n")}\n`,
+	);
+}
+
+/**
+ * Prints the environment variables referenced by the configuration (never
+ * their values)
+ * @param {object[]} variables - Variable references from resolveConfig
+ */
+function printVariables(variables) {
+	const byName = new Map();
+	for (const reference of variables) {
+		byName.set(reference.name, [
+			...(byName.get(reference.name) || []),
+			reference,
+		]);
+	}
+	printMessage(chalk.cyan("\n🔑 Environment variables:\n"));
+	for (const [name, references] of byName) {
+		const status = references.some((r) => r.status === "default")
+			? chalk.yellow("default value")
+			: chalk.green("defined");
+		printMessage(
+			`    ${chalk.bold(name)} (${status}) → ${references.map((r) => r.keyPath).join(", ")}`,
+		);
+	}
+	printMessage();
+}
+
+/**
+ * Checks that the configured sites and IDs exist on each instance (--online)
+ * @param {object} dataUnits - The filtered data units
+ * @param {string[]} instances - Instance names from dw.json, empty for the
+ *   default instance
+ * @returns {Promise<object[]>} Per-instance results: instance, hostname and
+ *   the result of checkInstanceIds
+ * @throws {ExporterError} If an instance cannot be reached
+ */
+async function checkOnline(dataUnits, instances) {
+	printMessage(chalk.cyan("🌐 Checking the configured IDs on the instance:\n"));
+	const results = [];
+
+	for (const instance of instances.length > 0 ? instances : [null]) {
+		const connectivityTest = await testInstanceConnectivity({ instance });
+		if (!connectivityTest.success) {
+			throw classifyB2cFailure(
+				`Could not connect to the SFCC instance${instance ? ` "${instance}"` : ""}${connectivityTest.error ? `: ${connectivityTest.error}` : ""}`,
+				{ fallback: ConnectionError },
+			);
+		}
+
+		printMessage(
+			`  ${chalk.bold(instance || "Default instance")} ${chalk.gray(`(${connectivityTest.hostname})`)}`,
+		);
+		const check = await checkInstanceIds(dataUnits, { instance });
+		printInstanceCheck(check);
+		emitEvent("online-check", {
+			instance,
+			hostname: connectivityTest.hostname,
+			...check,
+		});
+		results.push({ instance, hostname: connectivityTest.hostname, ...check });
+	}
+
+	printMessage();
+	return results;
+}
 
 /**
  * Validate command action
@@ -15,34 +151,117 @@ import {
  */
 export async function validateCommand(options) {
 	try {
-		console.log(chalk.bold.blue("\n🔍 Validating Configuration\n"));
+		printMessage(chalk.bold.blue("\n🔍 Validating Configuration\n"));
 
-		// Load and validate configuration
-		const config = loadConfig(options.config);
-		console.log(
+		// Resolve (variables, extends, profile) and validate the configuration
+		const resolved = resolveConfig(options.config, {
+			profile: options.profile,
+			envFile: options.envFile,
+		});
+		const config = validateConfig(resolved.config, {
+			sources: resolved.sources,
+			variables: resolved.variables,
+		});
+		printMessage(
 			chalk.green(
 				`✅ Configuration file is valid: ${chalk.bold(options.config)}`,
 			),
 		);
+		if (resolved.files.length > 1 || resolved.profile) {
+			printMessage(
+				chalk.gray(
+					`   Resolved from ${resolved.files.length} file(s)${resolved.profile ? ` with profile "${resolved.profile}"` : ""}`,
+				),
+			);
+		}
+		if (resolved.variables.length > 0) {
+			printVariables(resolved.variables);
+		}
+		if (options.resolved) {
+			printResolvedConfig(resolved);
+		}
 
 		// Show what would be exported
 		const dataUnits = filterEnabledDataUnits(config.dataUnits);
+		emitEvent("config-loaded", { path: options.config, dataUnits });
 
-		if (Object.keys(dataUnits).length === 0) {
-			console.log(
+		const hasDataUnits = Object.keys(dataUnits).length > 0;
+		if (!hasDataUnits) {
+			printMessage(
 				chalk.yellow("\n⚠️  Warning: No data units are enabled for export."),
 			);
-			console.log(
+			printMessage(
 				chalk.gray(
 					"   Edit your configuration file to enable the data you want to export.\n",
 				),
 			);
 		} else {
 			printExportSummary(dataUnits);
-			console.log(chalk.green("✅ Configuration is ready for export.\n"));
+			if (dataUnits.sites) {
+				printSiteExportPlan(dataUnits);
+			}
+		}
+
+		// Online check: the configured IDs must exist on the instance(s)
+		const online =
+			options.online && hasDataUnits
+				? await checkOnline(
+						dataUnits,
+						resolveInstances(options.instance, config.instances),
+					)
+				: null;
+		const missing = online?.flatMap((result) => result.missing) || [];
+		const onlineError =
+			missing.length > 0
+				? createMissingIdsError(
+						missing,
+						online.length === 1 ? online[0].instance : null,
+					)
+				: null;
+
+		if (onlineError) {
+			printMessage(
+				chalk.red("❌ Some configured IDs do not exist on the instance.\n"),
+			);
+		} else if (hasDataUnits) {
+			printMessage(chalk.green("✅ Configuration is ready for export.\n"));
+		}
+
+		printResult(
+			"validate",
+			{
+				path: options.config,
+				valid: !onlineError,
+				profile: resolved.profile,
+				files: resolved.files,
+				variables: resolved.variables,
+				...(options.resolved && { resolvedConfig: config }),
+				dataUnits,
+				sites: Object.fromEntries(
+					Object.entries(dataUnits.sites || {}).map(([siteId, siteConfig]) => [
+						siteId,
+						getSiteDataUnits(siteConfig),
+					]),
+				),
+				dataUnitsPayload: requiresDataUnitsPayload(dataUnits),
+				...(online && { online }),
+				warnings: hasDataUnits ? [] : ["No data units are enabled for export"],
+				...(onlineError && {
+					error: {
+						code: onlineError.code,
+						message: onlineError.message,
+						exitCode: onlineError.exitCode,
+						retryable: onlineError.retryable,
+					},
+				}),
+			},
+			!onlineError,
+		);
+		if (onlineError) {
+			process.exit(onlineError.exitCode);
 		}
 	} catch (error) {
-		console.error(chalk.red(`\n❌ Validation failed: ${error.message}\n`));
-		process.exit(1);
+		printError(chalk.red(`\n❌ Validation failed: ${error.message}\n`));
+		exitWithError("validate", error);
 	}
 }
@@ -6,26 +6,55 @@
  */
 
 import { Command } from "commander";
+import { diffCommand } from "./commands/diff.js";
 import { exportCommand } from "./commands/export.js";
+import { importCommand } from "./commands/import.js";
 import { initCommand } from "./commands/init.js";
+import { inspectCommand } from "./commands/inspect.js";
+import { manifestCommand } from "./commands/manifest.js";
+import { presetsCommand } from "./commands/presets.js";
+import { scheduleCommand } from "./commands/schedule.js";
+import { schemaCommand } from "./commands/schema.js";
+import { syncCommand } from "./commands/sync.js";
 import { validateCommand } from "./commands/validate.js";
+import { configureOutput } from "./lib/output.js";
 
 const program = new Command();
 
 program
 	.name("sfcc-site-exporter")
-	.description("CLI tool to export SFCC site data using @salesforce/b2c-cli")
-	.version("1.0.0");
+	.description(
+		"CLI tool to export and import SFCC site data using @salesforce/b2c-cli",
+	)
+	.version("1.0.0")
+	.option("--json", "Print the result as a single JSON object on stdout")
+	.option(
+		"--ndjson",
+		"Print progress events and the result as newline-delimited JSON on stdout",
+	)
+	.hook("preAction", (thisCommand) => configureOutput(thisCommand.opts()));
 
 // Export command
 program
 	.command("export")
 	.description("Export site data from an SFCC instance")
 	.option("-c, --config <path>", "Path to export configuration file")
+	.option("-p, --profile <name>", "Profile of the configuration file to apply")
+	.option(
+		"--env-file <path>",
+		"Load variables referenced by the configuration from an .env file",
+	)
+	.option(
+		"--preset <name>",
+		"Export the data units of a preset (replaces the dataUnits of the configuration; with -i, preselects them)",
+	)
+	.option(
+		"--presets <path>",
+		"Presets file with user-defined presets (default: ./export-presets.json)",
+	)
 	.option(
 		"-o, --output <path>",
-		"Output directory for the exported archive",
-		"./exports",
+		"Output directory for the exported archive (default: ./exports, or output_directory of the configuration)",
 	)
 	.option(
 		"-i, --interactive",
@@ -33,8 +62,13 @@ program
 		false,
 	)
 	.option(
-		"-n, --instance <name>",
-		"Instance name from dw.json (for multi-instance configs)",
+		"-n, --instance <names>",
+		"Instance name(s) from dw.json, comma-separated for a batch export",
+	)
+	.option(
+		"--concurrency <count>",
+		"Maximum number of instances exported at the same time in a batch export",
+		"2",
 	)
 	.option(
 		"-k, --keep-archive",
@@ -48,6 +82,39 @@ program
 		"600",
 	)
 	.option("--no-download", "Do not download archive (implies --keep-archive)")
+	.option(
+		"--no-upload",
+		"Do not upload the archive to the destinations of the configuration",
+	)
+	.option(
+		"--dry-run",
+		"Print the b2c command and data units payload of the export job without starting it",
+		false,
+	)
+	.option(
+		"--no-preflight",
+		"Do not check that the configured sites and IDs exist on the instance before the export job",
+	)
+	.option(
+		"--no-transform",
+		"Do not apply the transformation rules of the configuration to the downloaded archive",
+	)
+	.option(
+		"--no-scan",
+		"Do not scan the downloaded archive for secrets and personal data",
+	)
+	.option(
+		"--retries <count>",
+		"Retries of transient failures (connection, timeout, quota) (default: 2)",
+	)
+	.option(
+		"--retry-delay <seconds>",
+		"Delay before the first retry, doubled after each retry (default: 30)",
+	)
+	.option(
+		"--resume <archiveFilename>",
+		"Download an archive already created on the instance instead of starting a new export job",
+	)
 	.option(
 		"-d, --debug",
 		"Enable debug logging with network traffic details",
@@ -55,18 +122,171 @@ program
 	)
 	.action(exportCommand);
 
+// Import command - pushes a site archive into an instance
+program
+	.command("import")
+	.description("Import a site archive into an SFCC instance")
+	.argument(
+		"<archive>",
+		"Path to the site archive (zip file or folder produced by export)",
+	)
+	.option("-n, --instance <name>", "Instance name from dw.json")
+	.option(
+		"-y, --yes",
+		"Do not ask for confirmation when the instance looks like production",
+		false,
+	)
+	.option(
+		"--dry-run",
+		"Print the b2c command of the import job without starting it",
+		false,
+	)
+	.option(
+		"-k, --keep-archive",
+		"Keep archive on the SFCC instance after the import",
+		false,
+	)
+	.option(
+		"-t, --timeout <seconds>",
+		"Timeout in seconds for the import job",
+		"600",
+	)
+	.option(
+		"-d, --debug",
+		"Enable debug logging with network traffic details",
+		false,
+	)
+	.action(importCommand);
+
+// Sync command - exports from one instance and imports into another
+program
+	.command("sync")
+	.description(
+		"Export site data from one SFCC instance and import it into another",
+	)
+	.requiredOption("--from <name>", "Source instance name from dw.json")
+	.requiredOption("--to <name>", "Target instance name from dw.json")
+	.requiredOption("-c, --config <path>", "Path to export configuration file")
+	.option("-p, --profile <name>", "Profile of the configuration file to apply")
+	.option(
+		"--env-file <path>",
+		"Load variables referenced by the configuration from an .env file",
+	)
+	.option(
+		"-o, --output <path>",
+		"Output directory for the intermediate archive (default: ./exports, or output_directory of the configuration)",
+	)
+	.option(
+		"-y, --yes",
+		"Do not ask for confirmation when the target looks like production",
+		false,
+	)
+	.option(
+		"-k, --keep-archive",
+		"Keep the archive on the target instance after the import",
+		false,
+	)
+	.option(
+		"-t, --timeout <seconds>",
+		"Timeout in seconds for the export and import jobs",
+		"600",
+	)
+	.option(
+		"--no-preflight",
+		"Do not check that the configured sites and IDs exist on the source instance",
+	)
+	.option(
+		"--no-transform",
+		"Do not apply the transformation rules of the configuration before the import",
+	)
+	.option(
+		"--no-scan",
+		"Do not scan the archive for secrets and personal data before the import",
+	)
+	.option(
+		"--retries <count>",
+		"Retries of transient export failures (connection, timeout, quota) (default: 2)",
+	)
+	.option(
+		"--retry-delay <seconds>",
+		"Delay before the first retry, doubled after each retry (default: 30)",
+	)
+	.option(
+		"-d, --debug",
+		"Enable debug logging with network traffic details",
+		false,
+	)
+	.action(syncCommand);
+
+// Schedule command - runs exports on cron schedules
+program
+	.command("schedule")
+	.description(
+		"Run exports on the cron schedules of export configurations and apply retention rules",
+	)
+	.requiredOption(
+		"-c, --config <paths...>",
+		"Export configuration file(s) with a schedule section",
+	)
+	.option("-p, --profile <name>", "Profile of the configuration files to apply")
+	.option(
+		"--env-file <path>",
+		"Load variables referenced by the configuration from an .env file",
+	)
+	.option(
+		"-o, --output <path>",
+		"Root output directory, one subfolder per configuration and instance (default: output_directory of each configuration, else ./exports)",
+	)
+	.option(
+		"-k, --keep-archive",
+		"Keep archives on the SFCC instance after download",
+		false,
+	)
+	.option("-z, --zip-only", "Save as zip file without extracting", false)
+	.option(
+		"-t, --timeout <seconds>",
+		"Timeout in seconds for each export job",
+		"600",
+	)
+	.option("--run-now", "Run every job once right after starting", false)
+	.option(
+		"-d, --debug",
+		"Enable debug logging with network traffic details",
+		false,
+	)
+	.action(scheduleCommand);
+
 // Init command - creates a sample configuration file
 program
 	.command("init")
 	.description("Create a sample export configuration file")
 	.option(
 		"-o, --output <path>",
-		"Output path for the configuration file",
-		"./export-config.json",
+		"Output path for the configuration file; .json, .jsonc, .yaml or .yml picks the format (default: ./export-config.json)",
+	)
+	.option(
+		"--format <format>",
+		"Configuration format: json, jsonc (JSON with comments) or yaml (default: from the output path, else json)",
 	)
 	.option("-f, --full", "Generate a full configuration with all options", false)
+	.option("--preset <name>", "Start from the data units of a preset")
+	.option(
+		"--presets <path>",
+		"Presets file with user-defined presets (default: ./export-presets.json)",
+	)
 	.action(initCommand);
 
+// Presets command - lists the export presets and what they expand to
+program
+	.command("presets")
+	.description("List the export presets and the data units they expand to")
+	.argument("[name]", "Preset to show (default: every preset)")
+	.option(
+		"--presets <path>",
+		"Presets file with user-defined presets (default: ./export-presets.json)",
+	)
+	.action(presetsCommand);
+
 // Validate command - validates a configuration file
 program
 	.command("validate")
@@ -76,7 +296,76 @@ program
 		"Path to export configuration file",
 		"./export-config.json",
 	)
+	.option("-p, --profile <name>", "Profile of the configuration file to apply")
+	.option(
+		"--env-file <path>",
+		"Load variables referenced by the configuration from an .env file",
+	)
+	.option(
+		"--resolved",
+		"Print the resolved configuration (after extends and profile)",
+		false,
+	)
+	.option(
+		"--online",
+		"Also check that the configured sites and IDs exist on the instance",
+		false,
+	)
+	.option(
+		"-n, --instance <names>",
+		"Instance name(s) from dw.json checked by --online, comma-separated (default: instances of the configuration)",
+	)
 	.action(validateCommand);
 
+// Schema command - prints the JSON Schema of export configurations
+program
+	.command("schema")
+	.description(
+		"Print the JSON Schema of export configuration files (for editor autocompletion)",
+	)
+	.option("-o, --output <path>", "Write the schema to a file instead")
+	.action(schemaCommand);
+
+// Manifest command - prints the manifest written next to an exported archive
+program
+	.command("manifest")
+	.description("Print the manifest of an exported archive")
+	.argument("<archive>", "Path to the exported archive (zip file or folder)")
+	.action(manifestCommand);
+
+// Inspect command - reports what a downloaded archive contains
+program
+	.command("inspect")
+	.description(
+		"Report the contents of a downloaded archive and check them against the requested data units",
+	)
+	.argument("<archive>", "Path to the exported archive (zip file or folder)")
+	.option(
+		"-c, --config <path>",
+		"Export configuration to compare with (defaults to the archive manifest)",
+	)
+	.option("-p, --profile <name>", "Profile of the configuration file to apply")
+	.option(
+		"--env-file <path>",
+		"Load variables referenced by the configuration from an .env file",
+	)
+	.action(inspectCommand);
+
+// Diff command - compares two site exports
+program
+	.command("diff")
+	.description(
+		"Compare two site exports by object ID (attribute definitions, preferences, services, promotions, content assets, jobs)",
+	)
+	.argument(
+		"<archiveA>",
+		"Path to the first (older) archive, zip file or folder",
+	)
+	.argument(
+		"<archiveB>",
+		"Path to the second (newer) archive, zip file or folder",
+	)
+	.action(diffCommand);
+
 // Parse command line arguments
 program.parse();
@@ -0,0 +1,202 @@
+/**
+ * Site export archive reader
+ * Gives the same view of a downloaded archive, zipped or extracted
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import AdmZip from "adm-zip";
+import { ERROR_CODES, FileError } from "./errors.js";
+
+/**
+ * Top-level folders of a site export archive
+ */
+export const KNOWN_TOP_LEVEL_FOLDERS = [
+	"catalogs",
+	"custom-objects",
+	"customer-lists",
+	"inventory-lists",
+	"libraries",
+	"meta",
+	"pricebooks",
+	"sites",
+	"static",
+];
+
+/**
+ * Reads the file entries of a site export archive
+ * Entry paths use forward slashes and are relative to the archive root: the
+ * top-level folder the export job wraps everything in is stripped
+ * @param {string} archivePath - Path to the archive (zip file or extracted folder)
+ * @returns {{root: string|null, entries: {path: string, size: number, read: function(): Buffer}[]}}
+ */
+export function readArchive(archivePath) {
+	const absolutePath = path.resolve(archivePath);
+
+	if (!fs.existsSync(absolutePath)) {
+		throw new FileError(`Archive not found: ${absolutePath}`, {
+			code: ERROR_CODES.ARCHIVE_NOT_FOUND,
+		});
+	}
+
+	const entries = fs.statSync(absolutePath).isDirectory()
+		? readFolderEntries(absolutePath)
+		: readZipEntries(absolutePath);
+
+	return stripArchiveRoot(entries);
+}
+
+/**
+ * Lists the files of an extracted archive folder
+ * @param {string} folderPath - Absolute path to the folder
+ * @returns {object[]} File entries
+ */
+function readFolderEntries(folderPath) {
+	return fs
+		.readdirSync(folderPath, { recursive: true, withFileTypes: true })
+		.filter((dirent) => dirent.isFile())
+		.map((dirent) => {
+			const filePath = path.join(dirent.parentPath, dirent.name);
+			return {
+				path: path.relative(folderPath, filePath).split(path.sep).join("/"),
+				size: fs.statSync(filePath).size,
+				read: () => fs.readFileSync(filePath),
+			};
+		});
+}
+
+/**
+ * Lists the files of a zip archive
+ * @param {string} zipPath - Absolute path to the zip file
+ * @returns {object[]} File entries
+ */
+function readZipEntries(zipPath) {
+	let zip;
+	try {
+		zip = new AdmZip(zipPath);
+	} catch (error) {
+		throw new FileError(
+			`Cannot read zip archive ${zipPath}: ${error.message}`,
+			{ code: ERROR_CODES.ARCHIVE_INVALID },
+		);
+	}
+
+	return zip
+		.getEntries()
+		.filter((entry) => !entry.isDirectory)
+		.map((entry) => ({
+			path: entry.entryName.replace(/\\/g, "/"),
+			size: entry.header.size,
+			read: () => entry.getData(),
+		}));
+}
+
+/**
+ * Strips the single top-level folder shared by every entry, if any
+ * @param {object[]} entries - File entries
+ * @returns {{root: string|null, entries: object[]}}
+ */
+function stripArchiveRoot(entries) {
+	const roots = new Set(entries.map((entry) => entry.path.split("/")[0]));
+	const [root] = roots;
+
+	if (
+		roots.size !== 1 ||
+		entries.some((entry) => !entry.path.includes("/")) ||
+		// Keep well-known export folders: the archive has no wrapping folder
+		KNOWN_TOP_LEVEL_FOLDERS.includes(root)
+	) {
+		return { root: null, entries };
+	}
+
+	return {
+		root,
+		entries: entries.map((entry) => ({
+			...entry,
+			path: entry.path.slice(root.length + 1),
+		})),
+	};
+}
+
+/**
+ * Opens a site export archive for changes
+ * Entries are read as with readArchive; `save` writes the changed files and
+ * moves the renamed ones, in place for a folder and by repacking a zip file
+ * @param {string} archivePath - Path to the archive (zip file or extracted folder)
+ * @returns {{root: string|null, entries: object[], save: function({writes: Map<string, Buffer>, renames: Map<string, string>}): void}}
+ *   The archive; `save` takes the new contents and new paths by entry path
+ */
+export function openArchive(archivePath) {
+	const absolutePath = path.resolve(archivePath);
+	const { root, entries } = readArchive(absolutePath);
+	const toArchivePath = (entryPath) =>
+		root ? `${root}/${entryPath}` : entryPath;
+	const save = fs.statSync(absolutePath).isDirectory()
+		? (changes) => saveFolderChanges(absolutePath, toArchivePath, changes)
+		: (changes) => saveZipChanges(absolutePath, toArchivePath, changes);
+
+	return { root, entries, save };
+}
+
+/**
+ * Writes the changes of an extracted archive folder
+ * Folders left empty by the renames are removed
+ * @param {string} folderPath - Absolute path to the folder
+ * @param {Function} toArchivePath - Adds the archive root to an entry path
+ * @param {{writes: Map<string, Buffer>, renames: Map<string, string>}} changes
+ */
+function saveFolderChanges(folderPath, toArchivePath, { writes, renames }) {
+	const toFilePath = (entryPath) =>
+		path.join(folderPath, ...toArchivePath(entryPath).split("/"));
+
+	for (const [entryPath, data] of writes) {
+		fs.writeFileSync(toFilePath(entryPath), data);
+	}
+
+	for (const [from, to] of renames) {
+		const source = toFilePath(from);
+		const target = toFilePath(to);
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.renameSync(source, target);
+
+		let folder = path.dirname(source);
+		while (folder !== folderPath && fs.readdirSync(folder).length === 0) {
+			fs.rmdirSync(folder);
+			folder = path.dirname(folder);
+		}
+	}
+}
+
+/**
+ * Writes the changes of a zip archive and repacks it
+ * Folder entries left empty by the renames are dropped
+ * @param {string} zipPath - Absolute path to the zip file
+ * @param {Function} toArchivePath - Adds the archive root to an entry path
+ * @param {{writes: Map<string, Buffer>, renames: Map<string, string>}} changes
+ */
+function saveZipChanges(zipPath, toArchivePath, { writes, renames }) {
+	const zip = new AdmZip(zipPath);
+	const byPath = new Map(
+		zip
+			.getEntries()
+			.map((entry) => [entry.entryName.replace(/\\/g, "/"), entry]),
+	);
+
+	for (const [entryPath, data] of writes) {
+		byPath.get(toArchivePath(entryPath)).setData(data);
+	}
+	for (const [from, to] of renames) {
+		byPath.get(toArchivePath(from)).entryName = toArchivePath(to);
+	}
+
+	if (renames.size > 0) {
+		const files = zip.getEntries().filter((entry) => !entry.isDirectory);
+		for (const folder of zip.getEntries().filter((e) => e.isDirectory)) {
+			if (!files.some((file) => file.entryName.startsWith(folder.entryName))) {
+				zip.deleteFile(folder.entryName);
+			}
+		}
+	}
+
+	zip.writeZip(zipPath);
+}
@@ -0,0 +1,140 @@
+/**
+ * b2c backends - how b2c CLI commands are actually executed
+ *
+ * A backend is an object with:
+ * - name: backend name
+ * - version(): Promise<string|null> - b2c CLI version, null if unavailable
+ * - exec(args, { cwd, debug }): Promise<{stdout, stderr, code}> - runs a command
+ *
+ * The process backend starts the real `b2c` binary. The fake backend
+ * (SFCC_EXPORTER_BACKEND=fake) answers with canned responses, for offline
+ * testing; SFCC_EXPORTER_FAKE_ERROR makes its export job fail with the given
+ * message, SFCC_EXPORTER_FAKE_DOWNLOAD_ERROR makes the first export job fail
+ * after creating its archive, SFCC_EXPORTER_FAKE_IMPORT_ERROR makes the import
+ * job fail with the given message.
+ */
+
+import { spawn } from "node:child_process";
+import { createFakeBackend } from "./fake-backend.js";
+import { isMachineOutput } from "./output.js";
+
+let currentBackend = null;
+
+/**
+ * Creates the backend that runs the real b2c CLI in a child process
+ * @returns {object} The process backend
+ */
+export function createProcessBackend() {
+	return {
+		name: "process",
+
+		version() {
+			return new Promise((resolve) => {
+				const child = spawn("b2c", ["--version"], {
+					shell: true,
+					stdio: "pipe",
+				});
+
+				let stdout = "";
+				child.stdout.on("data", (data) => {
+					stdout += data.toString();
+				});
+
+				child.on("close", (code) => {
+					resolve(code === 0 ? stdout.trim() : null);
+				});
+
+				child.on("error", () => {
+					resolve(null);
+				});
+			});
+		},
+
+		exec(args, { cwd = process.cwd(), debug = false } = {}) {
+			return new Promise((resolve, reject) => {
+				// Use shell: false to avoid escaping issues with JSON
+				// Find the b2c executable path
+				const b2cPath = process.platform === "win32" ? "b2c.cmd" : "b2c";
+
+				const child = spawn(b2cPath, args, {
+					shell: false,
+					cwd,
+					stdio: "pipe",
+					env: { ...process.env },
+				});
+
+				let stdout = "";
+				let stderr = "";
+
+				child.stdout.on("data", (data) => {
+					stdout += data.toString();
+					if (debug) {
+						// stdout only carries JSON in the machine-readable modes
+						(isMachineOutput() ? process.stderr : process.stdout).write(data);
+					}
+				});
+
+				child.stderr.on("data", (data) => {
+					stderr += data.toString();
+					if (debug) {
+						process.stderr.write(data);
+					}
+				});
+
+				child.on("close", (code) => {
+					resolve({ stdout, stderr, code });
+				});
+
+				child.on("error", (err) => {
+					reject(err);
+				});
+			});
+		},
+	};
+}
+
+/**
+ * Creates the fake backend selected through the environment
+ * @returns {object} The fake backend
+ */
+function createFakeBackendFromEnv() {
+	const jobError = process.env.SFCC_EXPORTER_FAKE_ERROR;
+	const downloadError = process.env.SFCC_EXPORTER_FAKE_DOWNLOAD_ERROR;
+	const importError = process.env.SFCC_EXPORTER_FAKE_IMPORT_ERROR;
+	const failWith = (message) => ({
+		code: 1,
+		stdout: JSON.stringify({ error: { message } }),
+	});
+
+	return createFakeBackend({
+		downloadError: jobError ? undefined : downloadError,
+		responses: {
+			...(jobError && { "job export": failWith(jobError) }),
+			...(importError && { "job import": failWith(importError) }),
+		},
+	});
+}
+
+/**
+ * Returns the backend used to run b2c commands
+ * Defaults to the process backend, or the fake backend when the
+ * SFCC_EXPORTER_BACKEND environment variable is set to "fake"
+ * @returns {object} The current backend
+ */
+export function getB2cBackend() {
+	if (!currentBackend) {
+		currentBackend =
+			process.env.SFCC_EXPORTER_BACKEND === "fake"
+				? createFakeBackendFromEnv()
+				: createProcessBackend();
+	}
+	return currentBackend;
+}
+
+/**
+ * Replaces the backend used to run b2c commands
+ * @param {object|null} backend - The backend, or null to restore the default
+ */
+export function setB2cBackend(backend) {
+	currentBackend = backend;
+}
@@ -0,0 +1,99 @@
+/**
+ * Batch helpers - run the same export against several instances
+ */
+
+import chalk from "chalk";
+import { printMessage } from "./output.js";
+
+/**
+ * Resolves the list of instances to export from
+ * The --instance option (comma-separated) takes precedence over the
+ * `instances` array of the export configuration
+ * @param {string|undefined} instanceOption - Value of the --instance option
+ * @param {string[]|undefined} configInstances - `instances` from the export config
+ * @returns {string[]} Instance names (empty for the default instance)
+ */
+export function resolveInstances(instanceOption, configInstances) {
+	if (instanceOption) {
+		return [
+			...new Set(
+				instanceOption
+					.split(",")
+					.map((name) => name.trim())
+					.filter(Boolean),
+			),
+		];
+	}
+	return Array.isArray(configInstances) ? [...new Set(configInstances)] : [];
+}
+
+/**
+ * Runs a worker on every item, with at most `limit` workers at a time
+ * Results are returned in the order of the items
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results
+ */
+export async function runWithConcurrency(items, limit, worker) {
+	const results = new Array(items.length);
+	let next = 0;
+
+	const runners = Array.from(
+		{ length: Math.max(1, Math.min(limit, items.length)) },
+		async () => {
+			while (next < items.length) {
+				const index = next++;
+				results[index] = await worker(items[index], index);
+			}
+		},
+	);
+
+	await Promise.all(runners);
+	return results;
+}
+
+/**
+ * Prints the combined summary table of a batch export
+ * @param {object[]} results - Per-instance results
+ * @param {string} results[].instance - Instance name
+ * @param {boolean} results[].success - Whether the export succeeded
+ * @param {number} results[].durationMs - Duration of the instance export
+ * @param {string} [results[].localPath] - Path of the downloaded archive
+ * @param {string} [results[].error] - Error message if the export failed
+ */
+export function printBatchSummary(results) {
+	const nameWidth = Math.max(
+		"Instance".length,
+		...results.map((r) => r.instance.length),
+	);
+
+	printMessage(chalk.cyan("\n📊 Batch Export Summary:\n"));
+	printMessage(
+		chalk.gray(
+			`  ${"Instance".padEnd(nameWidth)}  ${"Status".padEnd(7)}  ${"Duration".padStart(8)}  Result`,
+		),
+	);
+
+	for (const result of results) {
+		const status = result.success
+			? chalk.green("success".padEnd(7))
+			: chalk.red("failed".padEnd(7));
+		const duration = `${(result.durationMs / 1000).toFixed(1)}s`.padStart(8);
+		const detail = result.success
+			? result.localPath || result.archiveFilename || ""
+			: chalk.red(result.error);
+		printMessage(
+			`  ${result.instance.padEnd(nameWidth)}  ${status}  ${duration}  ${detail}`,
+		);
+	}
+
+	const failed = results.filter((r) => !r.success).length;
+	printMessage(
+		failed > 0
+			? chalk.red(
+					`\n❌ ${failed} of ${results.length} instance exports failed\n`,
+				)
+			: chalk.green(`\n✅ All ${results.length} instance exports succeeded\n`),
+	);
+}
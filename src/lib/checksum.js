@@ -0,0 +1,27 @@
+/**
+ * File checksums, used to check uploaded copies against the local files
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
+
+/**
+ * Computes the SHA-256 checksum of a file, reading it as a stream
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex-encoded checksum
+ */
+export async function sha256File(filePath) {
+	const hash = crypto.createHash("sha256");
+	await pipeline(fs.createReadStream(filePath), hash);
+	return hash.digest("hex");
+}
+
+/**
+ * Computes the SHA-256 checksum of a buffer or string
+ * @param {Buffer|string} data - The data
+ * @returns {string} Hex-encoded checksum
+ */
+export function sha256(data) {
+	return crypto.createHash("sha256").update(data).digest("hex");
+}
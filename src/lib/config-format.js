@@ -0,0 +1,253 @@
+/**
+ * Configuration file formats - JSON, JSON with comments (JSONC) and YAML
+ * The format of a file is chosen by its extension; other extensions are
+ * read as JSON
+ */
+
+import path from "node:path";
+import YAML from "yaml";
+
+/**
+ * Formats by file extension
+ */
+const FORMATS_BY_EXTENSION = {
+	".json": "json",
+	".jsonc": "jsonc",
+	".yaml": "yaml",
+	".yml": "yaml",
+};
+
+/**
+ * Supported formats, with their default file extension and display name
+ */
+export const CONFIG_FORMATS = {
+	json: { extension: ".json", label: "JSON" },
+	jsonc: { extension: ".jsonc", label: "JSONC" },
+	yaml: { extension: ".yaml", label: "YAML" },
+};
+
+/**
+ * Returns the format of a configuration file
+ * @param {string} filePath - Path to the file
+ * @returns {"json"|"jsonc"|"yaml"} The format
+ */
+export function getConfigFormat(filePath) {
+	return FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || "json";
+}
+
+/**
+ * Blanks the comments and trailing commas of JSON with comments, keeping the
+ * line and column of everything else (for parse error positions)
+ * @param {string} text - JSONC text
+ * @returns {string} JSON text
+ */
+export function stripJsonComments(text) {
+	let result = "";
+	let index = 0;
+	const blank = (chunk) => chunk.replace(/[^\n]/g, " ");
+
+	while (index < text.length) {
+		const char = text[index];
+
+		if (char === '"') {
+			// Copy the string, escapes included
+			let end = index + 1;
+			while (end < text.length && text[end] !== '"') {
+				end += text[end] === "\\" ? 2 : 1;
+			}
+			result += text.slice(index, end + 1);
+			index = end + 1;
+		} else if (char === "/" && text[index + 1] === "/") {
+			const end = text.indexOf("\n", index);
+			const stop = end === -1 ? text.length : end;
+			result += blank(text.slice(index, stop));
+			index = stop;
+		} else if (char === "/" && text[index + 1] === "*") {
+			const end = text.indexOf("*/", index + 2);
+			const stop = end === -1 ? text.length : end + 2;
+			result += blank(text.slice(index, stop));
+			index = stop;
+		} else {
+			result += char;
+			index++;
+		}
+	}
+
+	// Trailing commas: a comma followed only by blanks before } or ]
+	return result.replace(
+		/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g,
+		(_match, string, closing) => string ?? ` ${closing}`,
+	);
+}
+
+/**
+ * Parses the text of a configuration file
+ * @param {string} text - File content
+ * @param {"json"|"jsonc"|"yaml"} format - File format
+ * @returns {*} The parsed value
+ * @throws {SyntaxError} If the text is not valid in the format
+ */
+export function parseConfigText(text, format) {
+	if (format === "yaml") {
+		try {
+			return YAML.parse(text);
+		} catch (error) {
+			if (error instanceof YAML.YAMLError) {
+				throw new SyntaxError(error.message);
+			}
+			throw error;
+		}
+	}
+	return JSON.parse(format === "jsonc" ? stripJsonComments(text) : text);
+}
+
+/**
+ * Checks whether a value is rendered as a nested block
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Lists the comment lines of a key path
+ * A single string is written at the end of the value line for plain values,
+ * a list of lines always above the key
+ * @param {object} notes - Template notes
+ * @param {string} keyPath - Key path
+ * @param {*} value - Value at the key path
+ * @returns {{above: string[], inline: string|null}} Comment lines
+ */
+function getComments(notes, keyPath, value) {
+	const comment = notes.comments?.[keyPath];
+	if (comment === undefined) {
+		return { above: [], inline: null };
+	}
+	if (typeof comment === "string" && !isObject(value)) {
+		return { above: [], inline: comment };
+	}
+	return { above: [comment].flat(), inline: null };
+}
+
+/**
+ * Renders an object as commented JSONC
+ * @param {*} value - The value
+ * @param {object} notes - Template notes
+ * @param {string} keyPath - Key path of the value
+ * @param {number} depth - Nesting depth
+ * @returns {string} JSONC text of the value
+ */
+function renderJsonc(value, notes, keyPath, depth) {
+	if (!isObject(value)) {
+		return JSON.stringify(value);
+	}
+
+	const indent = "  ".repeat(depth + 1);
+	const entries = Object.entries(value);
+	const lines = [];
+
+	entries.forEach(([key, item], index) => {
+		const itemPath = keyPath ? `${keyPath}.${key}` : key;
+		const { above, inline } = getComments(notes, itemPath, item);
+		if (above.length > 0) {
+			if (index > 0) lines.push("");
+			lines.push(...above.map((line) => `${indent}// ${line}`));
+		}
+		const separator = index < entries.length - 1 ? "," : "";
+		lines.push(
+			`${indent}${JSON.stringify(key)}: ${renderJsonc(item, notes, itemPath, depth + 1)}${separator}${inline ? ` // ${inline}` : ""}`,
+		);
+	});
+
+	for (const [key, item] of Object.entries(notes.examples?.[keyPath] || {})) {
+		lines.push(`${indent}// ${JSON.stringify(key)}: ${JSON.stringify(item)},`);
+	}
+
+	if (lines.length === 0) {
+		return "{}";
+	}
+	return `{\n${lines.join("\n")}\n${"  ".repeat(depth)}}`;
+}
+
+/**
+ * Renders a key or plain value as a YAML scalar (flow style for arrays)
+ * @param {*} value - The value
+ * @returns {string} YAML text
+ */
+function yamlScalar(value) {
+	return Array.isArray(value)
+		? JSON.stringify(value)
+		: YAML.stringify(value).trimEnd();
+}
+
+/**
+ * Renders an object as commented YAML
+ * @param {object} value - The object
+ * @param {object} notes - Template notes
+ * @param {string} keyPath - Key path of the object
+ * @param {number} depth - Nesting depth
+ * @returns {string[]} YAML lines
+ */
+function renderYaml(value, notes, keyPath, depth) {
+	const indent = "  ".repeat(depth);
+	const lines = [];
+
+	Object.entries(value).forEach(([key, item], index) => {
+		const itemPath = keyPath ? `${keyPath}.${key}` : key;
+		const { above, inline } = getComments(notes, itemPath, item);
+		const examples = Object.entries(notes.examples?.[itemPath] || {});
+		if (above.length > 0 || examples.length > 0) {
+			if (index > 0) lines.push("");
+			lines.push(...above.map((line) => `${indent}# ${line}`));
+			lines.push(
+				...examples.map(
+					([exampleKey, example]) =>
+						`${indent}# Example: ${yamlScalar({ [exampleKey]: example })}`,
+				),
+			);
+		}
+
+		if (isObject(item) && Object.keys(item).length > 0) {
+			lines.push(`${indent}${yamlScalar(key)}:`);
+			lines.push(...renderYaml(item, notes, itemPath, depth + 1));
+		} else {
+			lines.push(
+				`${indent}${yamlScalar(key)}: ${isObject(item) ? "{}" : yamlScalar(item)}${inline ? ` # ${inline}` : ""}`,
+			);
+		}
+	});
+
+	return lines;
+}
+
+/**
+ * Renders a configuration in a format, with comments where the format has
+ * them (JSON has none)
+ * @param {object} config - The configuration
+ * @param {"json"|"jsonc"|"yaml"} format - Output format
+ * @param {object} [notes] - Template notes
+ * @param {string[]} [notes.header] - Lines written at the top of the file
+ * @param {object} [notes.comments] - Comment (string or lines) by key path
+ * @param {object} [notes.examples] - Commented-out example entries of an
+ *   object, by key path of the object
+ * @returns {string} The file content
+ */
+export function renderConfig(config, format, notes = {}) {
+	const header = notes.header || [];
+
+	if (format === "yaml") {
+		return `${[
+			...header.map((line) => `# ${line}`),
+			...(header.length > 0 ? [""] : []),
+			...renderYaml(config, notes, "", 0),
+		].join("\n")}\n`;
+	}
+	if (format === "jsonc") {
+		return `${[
+			...header.map((line) => `// ${line}`),
+			renderJsonc(config, notes, "", 0),
+		].join("\n")}\n`;
+	}
+	return `${JSON.stringify(config, null, 2)}\n`;
+}
@@ -4,8 +4,21 @@
  */
 
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
 import chalk from "chalk";
+import {
+	CONFIG_FORMATS,
+	getConfigFormat,
+	parseConfigText,
+} from "./config-format.js";
+import { ConfigError, ERROR_CODES } from "./errors.js";
+import { getUnmappedSections } from "./exporter.js";
+import { printMessage } from "./output.js";
+import { checkCronExpression } from "./scheduler.js";
+import { buildConfigSchema, toJsonPath, validateSchema } from "./schema.js";
+import { parseSelector } from "./transformer.js";
+import { getConfigVariables, interpolateVariables } from "./variables.js";
 
 /**
  * Default configuration structure with all available options
@@ -13,8 +26,10 @@ import chalk from "chalk";
 export const defaultConfig = {
 	// Archive configuration
 	archive: {
-		// Name template for the export archive
-		// Supports placeholders: {date}, {time}, {timestamp}, {site}
+		// Name template for the archive on the instance and the downloaded
+		// zip/folder
+		// Supports placeholders: {date}, {time}, {timestamp}, {site}, {instance},
+		// {hostname}, {codeVersion}, {config}, {user}
 		name: "export-{date}-{timestamp}",
 	},
 
@@ -84,6 +99,21 @@ export const defaultConfig = {
 			// }
 		},
 
+		// Catalogs - key is catalog ID, value is boolean
+		catalogs: {
+			// Example: 'storefront-catalog': true
+		},
+
+		// Price lists (price books) - key is price book ID, value is boolean
+		price_lists: {
+			// Example: 'usd-list-prices': true
+		},
+
+		// Content libraries - key is library ID, value is boolean
+		libraries: {
+			// Example: 'SharedLibrary': true
+		},
+
 		// Customer lists - key is list ID, value is boolean
 		customer_lists: {
 			// Example: 'my-customer-list': true
@@ -162,118 +192,623 @@ export const globalDataOptions = [
 ];
 
 /**
- * Loads and validates the export configuration file
- * @param {string} configPath - Path to the configuration file
- * @returns {object} The loaded and validated configuration
+ * Descriptions for global data units
+ */
+export const GLOBAL_DATA_DESCRIPTIONS = {
+	access_roles: "User access roles and permissions",
+	all: "Export all global data",
+	csc_settings: "Customer Service Center settings",
+	csrf_whitelists: "CSRF whitelist configurations",
+	custom_preference_groups: "Custom preference group definitions",
+	custom_quota_settings: "Custom quota configurations",
+	custom_types: "Custom object type definitions",
+	geolocations: "Geolocation data",
+	global_custom_objects: "Global custom object instances",
+	job_schedules: "Job schedule configurations",
+	job_schedules_deprecated: "Deprecated job schedules",
+	locales: "Locale configurations",
+	meta_data: "System and custom object metadata",
+	oauth_providers: "OAuth provider configurations",
+	ocapi_settings: "Global OCAPI settings",
+	page_meta_tags: "Page meta tag definitions",
+	preferences: "Global system preferences",
+	price_adjustment_limits: "Price adjustment limit settings",
+	services: "Service configurations",
+	sorting_rules: "Global sorting rules",
+	static_resources: "Static resource files",
+	system_type_definitions: "System type definitions",
+	users: "Business Manager users",
+	webdav_client_permissions: "WebDAV client permission settings",
+};
+
+/**
+ * Descriptions for site data units
  */
-export function loadConfig(configPath) {
-	const absolutePath = path.resolve(configPath);
+export const SITE_DATA_DESCRIPTIONS = {
+	all: "Export all site data",
+	ab_tests: "A/B test configurations",
+	active_data_feeds: "Active data feed configurations",
+	cache_settings: "Page cache settings",
+	campaigns_and_promotions: "Campaigns and promotion definitions",
+	content: "Content assets and folders",
+	coupons: "Coupon definitions",
+	custom_objects: "Site-specific custom objects",
+	customer_cdn_settings: "Customer CDN configurations",
+	customer_groups: "Customer group definitions",
+	distributed_commerce_extensions: "Distributed commerce extensions",
+	dynamic_file_resources: "Dynamic file resources",
+	gift_certificates: "Gift certificate configurations",
+	ocapi_settings: "Site-specific OCAPI settings",
+	payment_methods: "Payment method configurations",
+	payment_processors: "Payment processor configurations",
+	redirect_urls: "URL redirect rules",
+	search_settings: "Search configuration settings",
+	shipping: "Shipping method configurations",
+	site_descriptor: "Site descriptor settings",
+	site_preferences: "Site preference values",
+	sitemap_settings: "Sitemap configurations",
+	slots: "Content slot configurations",
+	sorting_rules: "Product sorting rules",
+	source_codes: "Source code definitions",
+	static_dynamic_alias_mappings: "Static/dynamic alias mappings",
+	stores: "Store locator data",
+	tax: "Tax configurations",
+	url_rules: "URL rewrite rules",
+};
+
+/**
+ * Data units holding credentials or personal data, with what they hold
+ * Exports including them are scanned for secrets (see scanner.js)
+ */
+export const SENSITIVE_DATA_UNITS = {
+	users: "Business Manager accounts and their email addresses",
+	services: "Service credentials (user names and passwords)",
+	oauth_providers: "OAuth client IDs and client secrets",
+	customer_lists: "Customer profiles, email addresses and phone numbers",
+};
+
+/**
+ * Lists the sensitive data units of an export
+ * @param {object} dataUnits - The data units
+ * @returns {string[]} Names of the enabled sensitive units
+ */
+export function findSensitiveDataUnits(dataUnits) {
+	const globalData = dataUnits.global_data || {};
+	const units = ["users", "services", "oauth_providers"].filter(
+		(unit) => globalData.all === true || globalData[unit] === true,
+	);
+	if (Object.values(dataUnits.customer_lists || {}).some(Boolean)) {
+		units.push("customer_lists");
+	}
+	return units;
+}
 
+/**
+ * Keys of a configuration file that only drive how it is resolved
+ * (removed from the resolved configuration)
+ */
+const RESOLUTION_KEYS = ["extends", "profiles"];
+
+/**
+ * Checks whether a value is a plain object (merged key by key)
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Formats a configuration file path for messages (relative to the working
+ * directory when possible)
+ * @param {string} absolutePath - Absolute path of the file
+ * @returns {string} Path for messages
+ */
+function displayPath(absolutePath) {
+	const relativePath = path.relative(process.cwd(), absolutePath);
+	return relativePath && !relativePath.startsWith("..")
+		? relativePath
+		: absolutePath;
+}
+
+/**
+ * Reads one configuration file (JSON, JSONC or YAML, by extension), without
+ * resolving it
+ * @param {string} absolutePath - Absolute path of the file
+ * @returns {object} The parsed file content
+ */
+function readConfigFile(absolutePath) {
 	if (!fs.existsSync(absolutePath)) {
-		throw new Error(`Configuration file not found: ${absolutePath}`);
+		throw new ConfigError(`Configuration file not found: ${absolutePath}`, {
+			code: ERROR_CODES.CONFIG_NOT_FOUND,
+		});
 	}
 
+	const format = getConfigFormat(absolutePath);
+	let content;
 	try {
-		const content = fs.readFileSync(absolutePath, "utf8");
-		const config = JSON.parse(content);
-
-		// Validate and return
-		return validateConfig(config);
+		content = parseConfigText(fs.readFileSync(absolutePath, "utf8"), format);
 	} catch (error) {
 		if (error instanceof SyntaxError) {
-			throw new Error(`Invalid JSON in configuration file: ${error.message}`);
+			throw new ConfigError(
+				`Invalid ${CONFIG_FORMATS[format].label} in configuration file ${displayPath(absolutePath)}: ${error.message}`,
+			);
 		}
 		throw error;
 	}
+
+	if (!isPlainObject(content)) {
+		throw new ConfigError(
+			`Configuration file ${displayPath(absolutePath)} must contain a ${CONFIG_FORMATS[format].label} object`,
+		);
+	}
+	return content;
+}
+
+/**
+ * Reads a configuration file and the files it extends, recursively
+ * Variables are replaced in everything but the profiles, which are replaced
+ * once selected
+ * @param {string} absolutePath - Absolute path of the file
+ * @param {Function} interpolate - Replaces the variables of a value
+ *   (value, origin)
+ * @param {string[]} chain - Files extending this one, to detect cycles
+ * @returns {{file: string, content: object}[]} Files to merge, base files first
+ */
+function collectConfigLayers(absolutePath, interpolate, chain = []) {
+	if (chain.includes(absolutePath)) {
+		throw new ConfigError(
+			`Circular "extends" between configuration files: ${[...chain, absolutePath].map(displayPath).join(" → ")}`,
+		);
+	}
+
+	const { profiles, ...fileContent } = readConfigFile(absolutePath);
+	const content = {
+		...interpolate(fileContent, displayPath(absolutePath)),
+		...(profiles !== undefined && { profiles }),
+	};
+	const bases = content.extends === undefined ? [] : [content.extends].flat();
+	if (bases.some((base) => typeof base !== "string" || base.trim() === "")) {
+		throw new ConfigError(
+			`"extends" in ${displayPath(absolutePath)} must be a file path or a list of file paths`,
+		);
+	}
+	if (content.profiles !== undefined && !isPlainObject(content.profiles)) {
+		throw new ConfigError(
+			`"profiles" in ${displayPath(absolutePath)} must be an object of named profiles`,
+		);
+	}
+
+	return [
+		...bases.flatMap((base) =>
+			collectConfigLayers(
+				path.resolve(path.dirname(absolutePath), base),
+				interpolate,
+				[...chain, absolutePath],
+			),
+		),
+		{ file: absolutePath, content },
+	];
+}
+
+/**
+ * Deep merges a configuration layer into the resolved configuration
+ * Objects are merged key by key; arrays and other values replace the
+ * inherited value. The origin of every merged value is recorded in `sources`.
+ * @param {object} target - Resolved configuration (modified)
+ * @param {object} source - Layer to merge
+ * @param {string} origin - Where the layer comes from (file, profile)
+ * @param {object} sources - Origin of each value by key path (modified)
+ * @param {string} prefix - Key path of `target`
+ */
+function mergeConfigLayer(target, source, origin, sources, prefix = "") {
+	for (const [key, value] of Object.entries(source)) {
+		if (!prefix && RESOLUTION_KEYS.includes(key)) continue;
+
+		const keyPath = prefix ? `${prefix}.${key}` : key;
+		if (isPlainObject(value)) {
+			if (!isPlainObject(target[key])) {
+				target[key] = {};
+				forgetSources(sources, keyPath);
+			}
+			sources[keyPath] ??= origin;
+			mergeConfigLayer(target[key], value, origin, sources, keyPath);
+		} else {
+			target[key] = Array.isArray(value) ? [...value] : value;
+			forgetSources(sources, keyPath);
+			sources[keyPath] = origin;
+		}
+	}
+}
+
+/**
+ * Removes the recorded origins of a key path and everything below it
+ * @param {object} sources - Origin of each value by key path
+ * @param {string} keyPath - The replaced key path
+ */
+function forgetSources(sources, keyPath) {
+	for (const recordedPath of Object.keys(sources)) {
+		if (recordedPath === keyPath || recordedPath.startsWith(`${keyPath}.`)) {
+			delete sources[recordedPath];
+		}
+	}
+}
+
+/**
+ * Resolves a configuration file: replaces the variable references, merges
+ * the files it extends (in order, the file itself last) and then the
+ * selected profile of each of them
+ * @param {string} configPath - Path to the configuration file
+ * @param {object} [options] - Resolution options
+ * @param {string} [options.profile] - Name of the profile to apply
+ * @param {string} [options.envFile] - .env-style file with more variables
+ * @param {object} [options.variables] - Variables by name (defaults to the
+ *   process environment and the env file)
+ * @returns {{config: object, sources: object, files: string[], profile: string|null, variables: object[]}}
+ *   The resolved configuration, the origin of each value by key path, the
+ *   merged files, the applied profile and the variable references
+ *   ({ name, status, keyPath, source })
+ */
+export function resolveConfig(
+	configPath,
+	{ profile = null, envFile, variables = getConfigVariables(envFile) } = {},
+) {
+	const references = [];
+	const interpolate = (value, origin) =>
+		interpolateVariables(value, variables, (reference) =>
+			references.push({ ...reference, source: origin }),
+		);
+
+	const layers = collectConfigLayers(path.resolve(configPath), interpolate);
+	const config = {};
+	const sources = {};
+
+	for (const { file, content } of layers) {
+		mergeConfigLayer(config, content, displayPath(file), sources);
+	}
+
+	if (profile) {
+		const profileLayers = layers.filter(({ content }) =>
+			Object.hasOwn(content.profiles || {}, profile),
+		);
+		if (profileLayers.length === 0) {
+			const available = [
+				...new Set(
+					layers.flatMap(({ content }) => Object.keys(content.profiles || {})),
+				),
+			];
+			throw new ConfigError(
+				`Unknown profile "${profile}" in ${configPath}. ${available.length > 0 ? `Available profiles: ${available.join(", ")}` : "The configuration defines no profiles"}`,
+			);
+		}
+
+		for (const { file, content } of profileLayers) {
+			if (!isPlainObject(content.profiles[profile])) {
+				throw new ConfigError(
+					`Profile "${profile}" in ${displayPath(file)} must be an object`,
+				);
+			}
+			const origin = `${displayPath(file)} (profile "${profile}")`;
+			mergeConfigLayer(
+				config,
+				interpolate(content.profiles[profile], origin),
+				origin,
+				sources,
+			);
+		}
+	}
+
+	return {
+		config,
+		sources,
+		files: [...new Set(layers.map(({ file }) => file))],
+		profile,
+		variables: references,
+	};
+}
+
+/**
+ * Loads, resolves and validates the export configuration file
+ * @param {string} configPath - Path to the configuration file
+ * @param {object} [options] - Resolution options
+ * @param {string} [options.profile] - Name of the profile to apply
+ * @param {string} [options.envFile] - .env-style file with more variables
+ * @returns {object} The resolved and validated configuration
+ */
+export function loadConfig(configPath, options = {}) {
+	const { config, sources, variables } = resolveConfig(configPath, options);
+	return validateConfig(config, { sources, variables });
+}
+
+/**
+ * Finds the origin of the value at a key path
+ * Falls back to the values below the key path, then to its parents
+ * @param {object} sources - Origin of each value by key path
+ * @param {string} keyPath - The key path
+ * @returns {string|undefined} The origin
+ */
+function findSource(sources, keyPath) {
+	if (sources[keyPath]) {
+		return sources[keyPath];
+	}
+
+	const below = Object.keys(sources).find((p) => p.startsWith(`${keyPath}.`));
+	if (below) {
+		return sources[below];
+	}
+
+	const parts = keyPath.split(".");
+	while (parts.pop() && parts.length > 0) {
+		if (sources[parts.join(".")]) {
+			return sources[parts.join(".")];
+		}
+	}
+	return undefined;
 }
 
 /**
  * Validates the configuration structure
+ * Value types and keys are checked against the JSON Schema of the
+ * configuration; the checks the schema cannot express (data unit mapping,
+ * cron expressions, archive name placeholders, variables) follow
  * @param {object} config - The configuration object to validate
+ * @param {object} [options] - Validation options
+ * @param {object} [options.sources] - Origin of each value by key path (from
+ *   resolveConfig), reported with each error
+ * @param {object[]} [options.variables] - Variable references (from
+ *   resolveConfig); undefined variables are reported as errors
  * @returns {object} The validated configuration
  */
-export function validateConfig(config) {
+export function validateConfig(config, { sources = {}, variables = [] } = {}) {
 	const errors = [];
+	const addError = (location, message, source) =>
+		errors.push({
+			segments: Array.isArray(location) ? location : location.split("."),
+			message,
+			source,
+		});
+
+	// Every referenced variable must be defined or have a default value
+	for (const { name, status, keyPath, source } of variables) {
+		if (status === "undefined") {
+			addError(
+				keyPath,
+				`Undefined environment variable "${name}"; set it or use \${${name}:-default}`,
+				source,
+			);
+		}
+	}
 
 	// Must have dataUnits
 	if (!config.dataUnits) {
-		errors.push('Configuration must have a "dataUnits" property');
-	} else {
-		// Validate dataUnits structure
-		const validDataUnitKeys = [
-			"global_data",
-			"sites",
-			"customer_lists",
-			"inventory_lists",
-		];
-
-		for (const key of Object.keys(config.dataUnits)) {
-			if (!validDataUnitKeys.includes(key)) {
-				errors.push(
-					`Unknown dataUnits key: "${key}". Valid keys are: ${validDataUnitKeys.join(", ")}`,
+		addError("dataUnits", 'Configuration must have a "dataUnits" property');
+	}
+
+	// Keys and value types
+	for (const { path: segments, message } of validateSchema(
+		config,
+		getConfigSchema(),
+	)) {
+		addError(segments, message);
+	}
+
+	// Every accepted section must reach the export job
+	if (isPlainObject(config.dataUnits)) {
+		for (const section of getUnmappedSections(config.dataUnits)) {
+			if (getConfigSchema().properties.dataUnits.properties[section]) {
+				addError(
+					["dataUnits", section],
+					`dataUnits section "${section}" has no export mapping and would be silently dropped from the export job`,
 				);
 			}
 		}
+	}
 
-		// Validate global_data options
-		if (config.dataUnits.global_data) {
-			for (const key of Object.keys(config.dataUnits.global_data)) {
-				if (!globalDataOptions.includes(key)) {
-					errors.push(`Unknown global_data option: "${key}"`);
-				}
-			}
-		}
+	// Cron expressions (schedule command)
+	if (isPlainObject(config.schedule)) {
+		validateSchedule(config.schedule, addError);
+	}
 
-		// Validate sites configuration
-		if (config.dataUnits.sites) {
-			for (const [siteId, siteConfig] of Object.entries(
-				config.dataUnits.sites,
-			)) {
-				if (typeof siteConfig === "object" && siteConfig !== null) {
-					for (const key of Object.keys(siteConfig)) {
-						if (!siteDataOptions.includes(key)) {
-							errors.push(
-								`Unknown site data option for site "${siteId}": "${key}"`,
-							);
-						}
-					}
-				} else if (typeof siteConfig !== "boolean") {
-					errors.push(
-						`Invalid site configuration for "${siteId}": must be boolean or object`,
-					);
-				}
+	// Selectors and patterns of the transformation rules
+	if (Array.isArray(config.transform?.rules)) {
+		validateTransformRules(config.transform.rules, addError);
+	}
+
+	// Allow patterns of the secret scan
+	if (Array.isArray(config.scan?.allow)) {
+		config.scan.allow.forEach((pattern, index) => {
+			if (typeof pattern !== "string") return;
+			try {
+				new RegExp(pattern);
+			} catch (error) {
+				addError(
+					["scan", "allow", index],
+					`Invalid regular expression: ${error.message}`,
+				);
 			}
+		});
+	}
+
+	// Archive name template placeholders
+	const templatePath = config.archive?.name
+		? ["archive", "name"]
+		: ["archive_name_template"];
+	const archiveTemplate = config.archive?.name || config.archive_name_template;
+	if (typeof archiveTemplate === "string") {
+		for (const placeholder of findUnknownPlaceholders(archiveTemplate)) {
+			addError(
+				templatePath,
+				`Unknown archive name placeholder: "{${placeholder}}". Supported placeholders are: ${archiveNamePlaceholders.map((p) => `{${p}}`).join(", ")}`,
+			);
 		}
 	}
 
 	if (errors.length > 0) {
-		throw new Error(
-			`Configuration validation failed:\n${errors.map((e) => `  - ${e}`).join("\n")}`,
+		const lines = errors.map(({ segments, message, source: knownSource }) => {
+			const source = knownSource || findSource(sources, segments.join("."));
+			return `  - ${toJsonPath(segments)}: ${message}${source ? ` (${source})` : ""}`;
+		});
+		throw new ConfigError(
+			`Configuration validation failed:\n${lines.join("\n")}`,
 		);
 	}
 
 	return config;
 }
 
+let configSchema = null;
+
+/**
+ * Returns the JSON Schema of the configuration (built once)
+ * @returns {object} The JSON Schema
+ */
+function getConfigSchema() {
+	configSchema ??= buildConfigSchema();
+	return configSchema;
+}
+
+/**
+ * Validates the cron expressions of the schedule section
+ * @param {object} schedule - The schedule configuration
+ * @param {Function} addError - Reports an error (location, message)
+ */
+function validateSchedule(schedule, addError) {
+	const checkCron = (cron, location) => {
+		if (typeof cron !== "string") return;
+		const cronError = checkCronExpression(cron);
+		if (cronError) {
+			addError(location, `Invalid cron expression: ${cronError}`);
+		}
+	};
+
+	checkCron(schedule.cron, ["schedule", "cron"]);
+
+	const instances = isPlainObject(schedule.instances)
+		? Object.entries(schedule.instances)
+		: [];
+	for (const [instance, instanceSchedule] of instances) {
+		const location = ["schedule", "instances", instance];
+		if (instanceSchedule?.cron !== undefined) {
+			checkCron(instanceSchedule.cron, [...location, "cron"]);
+		} else if (schedule.cron === undefined) {
+			addError(location, "has no cron expression");
+		}
+	}
+
+	if (schedule.cron === undefined && instances.length === 0) {
+		addError("schedule", '"schedule" must define a cron expression');
+	}
+}
+
+/**
+ * Validates the selectors and search patterns of the transformation rules
+ * @param {object[]} rules - The transform.rules configuration
+ * @param {Function} addError - Reports an error (location, message)
+ */
+function validateTransformRules(rules, addError) {
+	rules.forEach((rule, index) => {
+		if (!isPlainObject(rule)) return;
+		const location = ["transform", "rules", index];
+
+		if (typeof rule.select === "string" && rule.select.length > 0) {
+			try {
+				parseSelector(rule.select);
+			} catch (error) {
+				addError([...location, "select"], error.message);
+			}
+		}
+		if (rule.regex === true && typeof rule.search === "string") {
+			try {
+				new RegExp(rule.search);
+			} catch (error) {
+				addError(
+					[...location, "search"],
+					`Invalid regular expression: ${error.message}`,
+				);
+			}
+		}
+		if (
+			rule.action === "replace" &&
+			rule.select === undefined &&
+			rule.search === undefined
+		) {
+			addError(location, '"replace" needs a selector ("select") or a "search"');
+		}
+	});
+}
+
+/**
+ * Placeholders supported in archive name templates
+ */
+export const archiveNamePlaceholders = [
+	"date",
+	"time",
+	"timestamp",
+	"site",
+	"instance",
+	"hostname",
+	"codeVersion",
+	"config",
+	"user",
+];
+
+/**
+ * Returns the placeholders of a template that are not supported
+ * @param {string} template - The name template
+ * @returns {string[]} Unknown placeholder names
+ */
+export function findUnknownPlaceholders(template) {
+	const unknown = [];
+	for (const [, placeholder] of template.matchAll(/\{([^{}]*)\}/g)) {
+		if (
+			!archiveNamePlaceholders.includes(placeholder) &&
+			!unknown.includes(placeholder)
+		) {
+			unknown.push(placeholder);
+		}
+	}
+	return unknown;
+}
+
 /**
  * Generates the archive name based on the template
+ * Every occurrence of each placeholder is replaced
  * @param {string} template - The name template
  * @param {object} context - Context for placeholder replacement
+ * @param {string} [context.site] - Site ID (if exporting a single site)
+ * @param {string} [context.instance] - Instance name from dw.json
+ * @param {string} [context.hostname] - Instance hostname
+ * @param {string} [context.codeVersion] - Active code version
+ * @param {string} [context.configPath] - Path of the export configuration file
  * @returns {string} The generated archive name
  */
 export function generateArchiveName(template, context = {}) {
-	const now = new Date();
-	const date = now.toISOString().split("T")[0]; // YYYY-MM-DD
-	const time = now.toTimeString().split(" ")[0].replace(/:/g, "-"); // HH-MM-SS
-	const timestamp = now.getTime();
-
-	const name = template
-		.replace("{date}", date)
-		.replace("{time}", time)
-		.replace("{timestamp}", timestamp.toString())
-		.replace("{site}", context.site || "all");
+	const unknown = findUnknownPlaceholders(template);
+	if (unknown.length > 0) {
+		throw new ConfigError(
+			`Unknown archive name placeholder(s): ${unknown.map((p) => `{${p}}`).join(", ")}. Supported placeholders are: ${archiveNamePlaceholders.map((p) => `{${p}}`).join(", ")}`,
+		);
+	}
 
-	return name;
+	const now = new Date();
+	const values = {
+		date: now.toISOString().split("T")[0], // YYYY-MM-DD
+		time: now.toTimeString().split(" ")[0].replace(/:/g, "-"), // HH-MM-SS
+		timestamp: now.getTime().toString(),
+		site: context.site || "all",
+		instance: context.instance || "default",
+		hostname: context.hostname || "unknown",
+		codeVersion: context.codeVersion || "unknown",
+		config: context.configPath
+			? path.basename(context.configPath, path.extname(context.configPath))
+			: "interactive",
+		user: os.userInfo().username,
+	};
+
+	// Values end up in file names: strip path separators and other unsafe characters
+	return template.replace(/\{([^{}]*)\}/g, (_, placeholder) =>
+		String(values[placeholder]).replace(/[\\/:*?"<>|\s]+/g, "-"),
+	);
 }
 
 /**
@@ -325,47 +860,77 @@ export function filterEnabledDataUnits(dataUnits) {
  * @param {object} dataUnits - The filtered data units
  */
 export function printExportSummary(dataUnits) {
-	console.log(chalk.cyan("\n📦 Export Summary:\n"));
+	printMessage(chalk.cyan("\n📦 Export Summary:\n"));
 
 	// Global data
 	if (dataUnits.global_data) {
 		const globalItems = Object.keys(dataUnits.global_data);
 		if (globalItems.length > 0) {
-			console.log(chalk.yellow("  Global Data:"));
-			globalItems.forEach((item) => console.log(`    - ${item}`));
+			printMessage(chalk.yellow("  Global Data:"));
+			globalItems.forEach((item) =>
+				printMessage(
+					`    - ${item}${SENSITIVE_DATA_UNITS[item] ? chalk.red(" (sensitive)") : ""}`,
+				),
+			);
 		}
 	}
 
 	// Sites
 	if (dataUnits.sites) {
-		console.log(chalk.yellow("\n  Sites:"));
+		printMessage(chalk.yellow("\n  Sites:"));
 		for (const [siteId, siteConfig] of Object.entries(dataUnits.sites)) {
-			console.log(`    ${chalk.green(siteId)}:`);
+			printMessage(`    ${chalk.green(siteId)}:`);
 			if (typeof siteConfig === "object") {
 				Object.keys(siteConfig).forEach((item) =>
-					console.log(`      - ${item}`),
+					printMessage(`      - ${item}`),
 				);
 			} else {
-				console.log("      - all data");
+				printMessage("      - all data");
 			}
 		}
 	}
 
+	// Catalogs
+	if (dataUnits.catalogs) {
+		printMessage(chalk.yellow("\n  Catalogs:"));
+		Object.keys(dataUnits.catalogs).forEach((id) =>
+			printMessage(`    - ${id}`),
+		);
+	}
+
+	// Price lists
+	if (dataUnits.price_lists) {
+		printMessage(chalk.yellow("\n  Price Lists:"));
+		Object.keys(dataUnits.price_lists).forEach((id) =>
+			printMessage(`    - ${id}`),
+		);
+	}
+
+	// Libraries
+	if (dataUnits.libraries) {
+		printMessage(chalk.yellow("\n  Libraries:"));
+		Object.keys(dataUnits.libraries).forEach((id) =>
+			printMessage(`    - ${id}`),
+		);
+	}
+
 	// Customer lists
 	if (dataUnits.customer_lists) {
-		console.log(chalk.yellow("\n  Customer Lists:"));
+		printMessage(
+			`${chalk.yellow("\n  Customer Lists:")}${chalk.red(" (sensitive)")}`,
+		);
 		Object.keys(dataUnits.customer_lists).forEach((id) =>
-			console.log(`    - ${id}`),
+			printMessage(`    - ${id}`),
 		);
 	}
 
 	// Inventory lists
 	if (dataUnits.inventory_lists) {
-		console.log(chalk.yellow("\n  Inventory Lists:"));
+		printMessage(chalk.yellow("\n  Inventory Lists:"));
 		Object.keys(dataUnits.inventory_lists).forEach((id) =>
-			console.log(`    - ${id}`),
+			printMessage(`    - ${id}`),
 		);
 	}
 
-	console.log("");
+	printMessage("");
 }
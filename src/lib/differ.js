@@ -0,0 +1,324 @@
+/**
+ * Semantic diff of two site exports
+ * Compares objects by their IDs (attribute definitions, preferences, services,
+ * promotions, content assets, jobs) instead of comparing text lines
+ */
+
+import chalk from "chalk";
+import { XMLParser } from "fast-xml-parser";
+import { ERROR_CODES, FileError } from "./errors.js";
+import { printMessage } from "./output.js";
+
+/**
+ * Object kinds compared by the diff
+ * - files: archive paths holding the objects; the first capture group, if
+ *   any, scopes the object IDs (site or library ID)
+ * - elements: XML elements identifying an object, with the attribute(s)
+ *   holding its ID; `key` builds the object key from the ID and the ancestry
+ */
+export const DIFF_KINDS = [
+	{
+		name: "attribute-definitions",
+		label: "Custom Attribute Definitions",
+		files: [/^meta\/[^/]+\.xml$/],
+		elements: [
+			{
+				tag: "attribute-definition",
+				idAttr: "attribute-id",
+				key: (id, ancestry) =>
+					`${findAncestorAttribute(ancestry, "type-id") ?? "?"}.${id}`,
+			},
+		],
+	},
+	{
+		name: "site-preferences",
+		label: "Site Preferences",
+		files: [/^sites\/([^/]+)\/preferences\.xml$/],
+		elements: [
+			{
+				tag: "preference",
+				idAttr: "preference-id",
+				// Preferences are grouped by kind (custom-preferences,
+				// standard-preferences), then by instance type (all-instances,
+				// development...): a custom and a standard preference can share an ID
+				key: (id, ancestry) =>
+					`${ancestry.findLast(({ tag }) => tag.endsWith("-preferences"))?.tag ?? "?"}.${ancestry.at(-1)?.tag}.${id}`,
+			},
+		],
+	},
+	{
+		name: "services",
+		label: "Services",
+		files: [/^services\.xml$/],
+		elements: [
+			{ tag: "service-credential", idAttr: "service-credential-id" },
+			{ tag: "service-profile", idAttr: "service-profile-id" },
+			{ tag: "service", idAttr: "service-id" },
+		],
+	},
+	{
+		name: "promotions",
+		label: "Campaigns and Promotions",
+		files: [/^sites\/([^/]+)\/promotions\.xml$/],
+		elements: [
+			{ tag: "campaign", idAttr: "campaign-id" },
+			{ tag: "promotion", idAttr: "promotion-id" },
+			{
+				tag: "promotion-campaign-assignment",
+				idAttr: ["promotion-id", "campaign-id"],
+			},
+		],
+	},
+	{
+		name: "content-assets",
+		label: "Content Assets",
+		files: [
+			/^libraries\/([^/]+)\/library\.xml$/,
+			/^sites\/([^/]+)\/library\/library\.xml$/,
+		],
+		elements: [{ tag: "content", idAttr: "content-id" }],
+	},
+	{
+		name: "jobs",
+		label: "Jobs",
+		files: [/^jobs\.xml$/],
+		elements: [{ tag: "job", idAttr: "job-id" }],
+	},
+];
+
+const xmlParser = new XMLParser({
+	ignoreAttributes: false,
+	attributeNamePrefix: "@_",
+	parseTagValue: false,
+	parseAttributeValue: false,
+	// Every element is an array, so repeated and single elements look the same
+	isArray: (_name, _path, _isLeaf, isAttribute) => !isAttribute,
+});
+
+/**
+ * Returns the value of an attribute on the nearest ancestor that has it
+ * @param {{tag: string, node: object}[]} ancestry - Ancestors, outermost first
+ * @param {string} attribute - Attribute name
+ * @returns {string|undefined} The attribute value
+ */
+function findAncestorAttribute(ancestry, attribute) {
+	for (let i = ancestry.length - 1; i >= 0; i--) {
+		const value = ancestry[i].node[`@_${attribute}`];
+		if (value !== undefined) return value;
+	}
+	return undefined;
+}
+
+/**
+ * Flattens a parsed XML element into { path: value } pairs
+ * Repeated elements are indexed by their xml:lang attribute, or by position
+ * @param {object|string} node - Parsed element
+ * @param {string} prefix - Path of the element
+ * @param {object} flat - Accumulator
+ * @returns {object} Flattened element
+ */
+function flattenElement(node, prefix = "", flat = {}) {
+	if (typeof node !== "object") {
+		flat[prefix.replace(/\/$/, "") || "#text"] = node;
+		return flat;
+	}
+
+	for (const [key, value] of Object.entries(node)) {
+		if (key.startsWith("@_")) {
+			flat[`${prefix}@${key.slice(2)}`] = value;
+		} else if (key === "#text") {
+			flat[`${prefix}#text`] = value;
+		} else {
+			value.forEach((child, index) => {
+				const lang = typeof child === "object" ? child["@_xml:lang"] : null;
+				const suffix = lang
+					? `[${lang}]`
+					: value.length > 1
+						? `[${index}]`
+						: "";
+				flattenElement(child, `${prefix}${key}${suffix}/`, flat);
+			});
+		}
+	}
+
+	return flat;
+}
+
+/**
+ * Collects the objects of a kind from a parsed XML document
+ * @param {object} node - Parsed XML node
+ * @param {object} kind - Object kind (see DIFF_KINDS)
+ * @param {string|undefined} scope - Scope of the file (site or library ID)
+ * @param {Map} objects - Accumulator (object key -> flattened object)
+ * @param {{tag: string, node: object}[]} ancestry - Ancestors of the node
+ */
+function collectObjects(node, kind, scope, objects, ancestry = []) {
+	for (const [tag, children] of Object.entries(node)) {
+		if (tag.startsWith("@_") || tag.startsWith("?") || tag === "#text") {
+			continue;
+		}
+
+		for (const child of children) {
+			if (typeof child !== "object") continue;
+
+			const element = kind.elements.find((e) => e.tag === tag);
+			const idAttrs = element ? [element.idAttr].flat() : [];
+			const ids = idAttrs.map((attr) => child[`@_${attr}`]);
+
+			if (element && ids.every((id) => id !== undefined)) {
+				const id = ids.join("@");
+				let key = element.key ? element.key(id, ancestry) : id;
+				if (kind.elements.length > 1) key = `${tag}:${key}`;
+				if (scope) key = `${scope}/${key}`;
+				objects.set(key, flattenElement(child));
+			} else {
+				collectObjects(child, kind, scope, objects, [
+					...ancestry,
+					{ tag, node: child },
+				]);
+			}
+		}
+	}
+}
+
+/**
+ * Extracts the comparable objects of every kind from an archive
+ * @param {object[]} entries - Archive entries from readArchive
+ * @returns {object} Maps of objects by kind name
+ */
+export function extractObjects(entries) {
+	const result = {};
+
+	for (const kind of DIFF_KINDS) {
+		const objects = new Map();
+
+		for (const entry of entries) {
+			const match = kind.files
+				.map((pattern) => entry.path.match(pattern))
+				.find(Boolean);
+			if (!match) continue;
+
+			let document;
+			try {
+				document = xmlParser.parse(entry.read().toString("utf8"));
+			} catch (error) {
+				throw new FileError(`Cannot parse ${entry.path}: ${error.message}`, {
+					code: ERROR_CODES.ARCHIVE_INVALID,
+				});
+			}
+			collectObjects(document, kind, match[1], objects);
+		}
+
+		result[kind.name] = objects;
+	}
+
+	return result;
+}
+
+/**
+ * Compares two flattened objects
+ * @param {object} before - Flattened object from the first archive
+ * @param {object} after - Flattened object from the second archive
+ * @returns {{path: string, before: string|null, after: string|null}[]} Changes
+ */
+function diffObject(before, after) {
+	const changes = [];
+	const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+	for (const path of [...paths].sort()) {
+		if (before[path] !== after[path]) {
+			changes.push({
+				path,
+				before: before[path] ?? null,
+				after: after[path] ?? null,
+			});
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Compares the objects of two archives
+ * @param {object[]} entriesA - Entries of the first (older) archive
+ * @param {object[]} entriesB - Entries of the second (newer) archive
+ * @returns {object} Added, removed and modified objects by kind name
+ */
+export function diffArchives(entriesA, entriesB) {
+	const objectsA = extractObjects(entriesA);
+	const objectsB = extractObjects(entriesB);
+	const result = {};
+
+	for (const kind of DIFF_KINDS) {
+		const a = objectsA[kind.name];
+		const b = objectsB[kind.name];
+
+		const added = [...b.keys()].filter((key) => !a.has(key)).sort();
+		const removed = [...a.keys()].filter((key) => !b.has(key)).sort();
+		const modified = [];
+
+		for (const key of [...a.keys()].sort()) {
+			if (!b.has(key)) continue;
+			const changes = diffObject(a.get(key), b.get(key));
+			if (changes.length > 0) {
+				modified.push({ id: key, changes });
+			}
+		}
+
+		result[kind.name] = { added, removed, modified };
+	}
+
+	return result;
+}
+
+/**
+ * Checks whether a diff result contains any change
+ * @param {object} diff - Result of diffArchives
+ * @returns {boolean} True if the archives differ
+ */
+export function hasDifferences(diff) {
+	return Object.values(diff).some(
+		(d) => d.added.length + d.removed.length + d.modified.length > 0,
+	);
+}
+
+/**
+ * Prints a diff result in human-readable form
+ * @param {object} diff - Result of diffArchives
+ */
+export function printDiff(diff) {
+	const format = (value) =>
+		value === null ? chalk.gray("(none)") : `"${value}"`;
+
+	for (const kind of DIFF_KINDS) {
+		const { added, removed, modified } = diff[kind.name];
+		if (added.length + removed.length + modified.length === 0) continue;
+
+		printMessage(
+			chalk.yellow(
+				`\n  ${kind.label} (${chalk.green(`+${added.length}`)} ${chalk.red(`-${removed.length}`)} ${chalk.cyan(`~${modified.length}`)}):`,
+			),
+		);
+		for (const id of added) {
+			printMessage(chalk.green(`    + ${id}`));
+		}
+		for (const id of removed) {
+			printMessage(chalk.red(`    - ${id}`));
+		}
+		for (const { id, changes } of modified) {
+			printMessage(chalk.cyan(`    ~ ${id}`));
+			for (const change of changes) {
+				printMessage(
+					chalk.gray(
+						`        ${change.path}: ${format(change.before)} → ${format(change.after)}`,
+					),
+				);
+			}
+		}
+	}
+
+	if (!hasDifferences(diff)) {
+		printMessage(chalk.green("\n  No differences found"));
+	}
+	printMessage("");
+}
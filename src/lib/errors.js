@@ -0,0 +1,273 @@
+/**
+ * Error classes - every expected failure has a stable error code and a
+ * documented process exit code
+ *
+ * Exit codes:
+ *   0  Success
+ *   1  Unexpected error
+ *   2  Invalid configuration or command line options
+ *   3  Missing prerequisite (b2c CLI, dw.json)
+ *   4  Authentication failed
+ *   5  Instance unreachable (temporary)
+ *   6  Export or import job timed out (temporary)
+ *   7  Quota or rate limit exceeded (temporary)
+ *   8  Site not found on the instance
+ *   9  Export or import job failed
+ *   10 Local file error (archive, manifest, output file)
+ *   11 Some instances of a batch export failed
+ *   12 Upload failed or uploaded copy does not match
+ *   13 Unredacted secrets found in the archive
+ *   14 Cancelled at a confirmation prompt
+ */
+
+/**
+ * Stable error codes reported in machine-readable output
+ */
+export const ERROR_CODES = {
+	B2C_CLI_NOT_FOUND: "B2C_CLI_NOT_FOUND",
+	DWJSON_NOT_FOUND: "DWJSON_NOT_FOUND",
+	INVALID_OPTIONS: "INVALID_OPTIONS",
+	CONFIRMATION_REQUIRED: "CONFIRMATION_REQUIRED",
+	CONFIG_NOT_FOUND: "CONFIG_NOT_FOUND",
+	CONFIG_INVALID: "CONFIG_INVALID",
+	NO_DATA_UNITS: "NO_DATA_UNITS",
+	AUTH_FAILED: "AUTH_FAILED",
+	CONNECTION_FAILED: "CONNECTION_FAILED",
+	JOB_TIMEOUT: "JOB_TIMEOUT",
+	QUOTA_EXCEEDED: "QUOTA_EXCEEDED",
+	SITE_NOT_FOUND: "SITE_NOT_FOUND",
+	ID_NOT_FOUND: "ID_NOT_FOUND",
+	EXPORT_FAILED: "EXPORT_FAILED",
+	IMPORT_FAILED: "IMPORT_FAILED",
+	FILE_EXISTS: "FILE_EXISTS",
+	ARCHIVE_NOT_FOUND: "ARCHIVE_NOT_FOUND",
+	ARCHIVE_INVALID: "ARCHIVE_INVALID",
+	MANIFEST_NOT_FOUND: "MANIFEST_NOT_FOUND",
+	MANIFEST_INVALID: "MANIFEST_INVALID",
+	BATCH_FAILED: "BATCH_FAILED",
+	UPLOAD_FAILED: "UPLOAD_FAILED",
+	CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",
+	SECRETS_FOUND: "SECRETS_FOUND",
+	CANCELLED: "CANCELLED",
+	UNKNOWN_ERROR: "UNKNOWN_ERROR",
+};
+
+/**
+ * Base class of the expected failures
+ */
+export class ExporterError extends Error {
+	/** Process exit code of the error class */
+	static exitCode = 1;
+
+	/** Whether running the command again later may succeed */
+	static retryable = false;
+
+	/** Error code used when none is given */
+	static defaultCode = ERROR_CODES.UNKNOWN_ERROR;
+
+	/**
+	 * @param {string} message - Error message
+	 * @param {object} [options] - Error options
+	 * @param {string} [options.code] - Error code from ERROR_CODES
+	 * @param {Error} [options.cause] - Underlying error
+	 */
+	constructor(message, { code, cause } = {}) {
+		super(message, { cause });
+		this.name = new.target.name;
+		this.code = code || new.target.defaultCode;
+	}
+
+	get exitCode() {
+		return this.constructor.exitCode;
+	}
+
+	get retryable() {
+		return this.constructor.retryable;
+	}
+}
+
+/**
+ * Invalid configuration file or command line options
+ * Codes: CONFIG_INVALID, CONFIG_NOT_FOUND, INVALID_OPTIONS,
+ * CONFIRMATION_REQUIRED, NO_DATA_UNITS
+ */
+export class ConfigError extends ExporterError {
+	static exitCode = 2;
+	static defaultCode = ERROR_CODES.CONFIG_INVALID;
+}
+
+/**
+ * Missing prerequisite on the machine running the export
+ * Codes: B2C_CLI_NOT_FOUND, DWJSON_NOT_FOUND
+ */
+export class EnvironmentError extends ExporterError {
+	static exitCode = 3;
+	static defaultCode = ERROR_CODES.B2C_CLI_NOT_FOUND;
+}
+
+/**
+ * The instance rejected the credentials (client ID, secret or permissions)
+ */
+export class AuthError extends ExporterError {
+	static exitCode = 4;
+	static defaultCode = ERROR_CODES.AUTH_FAILED;
+}
+
+/**
+ * The instance could not be reached
+ */
+export class ConnectionError extends ExporterError {
+	static exitCode = 5;
+	static retryable = true;
+	static defaultCode = ERROR_CODES.CONNECTION_FAILED;
+}
+
+/**
+ * The export or import job did not finish within the timeout
+ */
+export class JobTimeoutError extends ExporterError {
+	static exitCode = 6;
+	static retryable = true;
+	static defaultCode = ERROR_CODES.JOB_TIMEOUT;
+}
+
+/**
+ * The instance refused the request because of a quota or rate limit
+ */
+export class QuotaError extends ExporterError {
+	static exitCode = 7;
+	static retryable = true;
+	static defaultCode = ERROR_CODES.QUOTA_EXCEEDED;
+}
+
+/**
+ * A site or another ID of the export configuration does not exist on the
+ * instance
+ * Codes: SITE_NOT_FOUND, ID_NOT_FOUND
+ */
+export class SiteNotFoundError extends ExporterError {
+	static exitCode = 8;
+	static defaultCode = ERROR_CODES.SITE_NOT_FOUND;
+}
+
+/**
+ * The export or import job failed for any other reason
+ * Codes: EXPORT_FAILED, IMPORT_FAILED
+ */
+export class JobFailedError extends ExporterError {
+	static exitCode = 9;
+	static defaultCode = ERROR_CODES.EXPORT_FAILED;
+}
+
+/**
+ * Local file error
+ * Codes: FILE_EXISTS, ARCHIVE_NOT_FOUND, ARCHIVE_INVALID, MANIFEST_NOT_FOUND,
+ * MANIFEST_INVALID
+ */
+export class FileError extends ExporterError {
+	static exitCode = 10;
+	static defaultCode = ERROR_CODES.FILE_EXISTS;
+}
+
+/**
+ * Some instances of a batch export failed
+ */
+export class BatchError extends ExporterError {
+	static exitCode = 11;
+	static defaultCode = ERROR_CODES.BATCH_FAILED;
+}
+
+/**
+ * The archive could not be uploaded to a destination, or the uploaded copy
+ * does not match the local one
+ * Codes: UPLOAD_FAILED, CHECKSUM_MISMATCH
+ */
+export class UploadError extends ExporterError {
+	static exitCode = 12;
+	static defaultCode = ERROR_CODES.UPLOAD_FAILED;
+}
+
+/**
+ * The secret scan found secrets left unredacted in the archive
+ * (scan.failOnSecrets)
+ */
+export class ScanError extends ExporterError {
+	static exitCode = 13;
+	static defaultCode = ERROR_CODES.SECRETS_FOUND;
+}
+
+/**
+ * The user declined a confirmation prompt (import into production)
+ */
+export class CancelledError extends ExporterError {
+	static exitCode = 14;
+	static defaultCode = ERROR_CODES.CANCELLED;
+}
+
+/**
+ * b2c failures recognized from their message or HTTP status, checked in order
+ * (network errors first: "ETIMEDOUT" is a connection error, not a job timeout)
+ */
+const B2C_FAILURE_PATTERNS = [
+	{
+		ErrorClass: ConnectionError,
+		statuses: [502, 503, 504],
+		pattern:
+			/ENOTFOUND|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|getaddrinfo|socket hang up|network error/i,
+	},
+	{
+		ErrorClass: AuthError,
+		statuses: [401, 403],
+		pattern:
+			/unauthori[sz]ed|forbidden|invalid[_ ]client|invalid[_ ]grant|authentication failed|access denied|OAuth/i,
+	},
+	{
+		ErrorClass: QuotaError,
+		statuses: [429],
+		pattern: /quota|rate limit|too many requests|limit exceeded/i,
+	},
+	{
+		ErrorClass: JobTimeoutError,
+		statuses: [],
+		pattern: /timed out|timeout/i,
+	},
+	{
+		ErrorClass: SiteNotFoundError,
+		statuses: [],
+		pattern:
+			/site\b.*\b(not found|does not exist|unknown)|unknown site|SiteNotFound/i,
+	},
+];
+
+/**
+ * Turns a failed b2c command into a typed error
+ * @param {string} message - Error message reported by b2c
+ * @param {object} [details] - Error details
+ * @param {number} [details.status] - HTTP status reported by b2c, if any
+ * @param {typeof ExporterError} [details.fallback] - Class used when the
+ *   failure is not recognized
+ * @returns {ExporterError} The typed error
+ */
+export function classifyB2cFailure(
+	message,
+	{ status, fallback = JobFailedError } = {},
+) {
+	const match = B2C_FAILURE_PATTERNS.find(
+		({ statuses, pattern }) =>
+			statuses.includes(status) || pattern.test(message),
+	);
+	const ErrorClass = match ? match.ErrorClass : fallback;
+	return new ErrorClass(message);
+}
+
+/**
+ * Wraps any error into an ExporterError
+ * @param {Error} error - The error
+ * @returns {ExporterError} The error itself, or an unexpected error wrapping it
+ */
+export function toExporterError(error) {
+	if (error instanceof ExporterError) {
+		return error;
+	}
+	return new ExporterError(error?.message || String(error), { cause: error });
+}
@@ -0,0 +1,175 @@
+/**
+ * Export run helpers - steps shared by the export and sync commands between
+ * the export job and the manifest: archive naming, retries, transformation
+ * rules and secret scan
+ */
+
+import path from "node:path";
+import { findSensitiveDataUnits, generateArchiveName } from "./config.js";
+import { emitEvent } from "./output.js";
+import { resolveScanSettings, scanArchive } from "./scanner.js";
+import { compileTransformRules, transformArchive } from "./transformer.js";
+
+/**
+ * Generates the archive name of an export run from the configured template
+ * @param {object} config - Export configuration (file or interactive format)
+ * @param {object} dataUnits - The filtered data units
+ * @param {object} instanceInfo - Instance info from getInstanceInfo
+ * @param {object} options - Command options
+ * @param {string|null} instance - Instance name from dw.json
+ * @param {string|null} [defaultTemplate] - Template used when the
+ *   configuration has none
+ * @returns {string|null} The archive name, or null if no template is configured
+ */
+export function resolveArchiveName(
+	config,
+	dataUnits,
+	instanceInfo,
+	options,
+	instance,
+	defaultTemplate = null,
+) {
+	const archiveTemplate =
+		config.archive?.name || config.archive_name_template || defaultTemplate;
+	if (!archiveTemplate) {
+		return null;
+	}
+
+	const siteIds = Object.keys(dataUnits.sites || {});
+	return generateArchiveName(archiveTemplate, {
+		site: siteIds.length === 1 ? siteIds[0] : null,
+		instance,
+		hostname: instanceInfo.hostname,
+		codeVersion: instanceInfo.codeVersion,
+		configPath: options.interactive ? null : options.config,
+	});
+}
+
+/**
+ * Describes a failed attempt before it is retried
+ * @param {object} retry - Retry details from executeSiteExportWithRetry
+ * @returns {string} Human-readable description
+ */
+export function describeRetry({
+	attempt,
+	maxAttempts,
+	error,
+	delaySeconds,
+	resume,
+}) {
+	const next = resume
+		? `downloading ${error.archiveFilename} again`
+		: "starting a new export job";
+	return `Attempt ${attempt}/${maxAttempts} failed (${error.code}): ${error.message}. Retrying in ${delaySeconds}s, ${next}`;
+}
+
+/**
+ * Checks whether an export run downloaded an archive
+ * @param {object} result - Result of executeSiteExportWithRetry
+ * @param {string} outputPath - Output directory of the export
+ * @returns {boolean} True if the archive is in the output directory
+ */
+export function isDownloaded(result, outputPath) {
+	return (
+		Boolean(result.localPath) &&
+		path.resolve(result.localPath) !== path.resolve(outputPath)
+	);
+}
+
+/**
+ * Compiles the transformation rules of an export run
+ * @param {object|undefined} config - Export configuration
+ * @param {object} options - Command options
+ * @returns {object[]} Compiled rules; none with --no-transform
+ */
+export function getTransformRules(config, options) {
+	return options.transform ? compileTransformRules(config?.transform) : [];
+}
+
+/**
+ * Applies the transformation rules to a downloaded archive, before its
+ * manifest is written
+ * @param {string} localPath - Path to the downloaded archive
+ * @param {object[]} rules - Compiled rules
+ * @param {string|null} instance - Instance name from dw.json
+ * @returns {object} Report of transformArchive
+ */
+export function transformDownload(localPath, rules, instance) {
+	const report = transformArchive(localPath, rules);
+	emitEvent("transformed", {
+		instance,
+		localPath,
+		rules: report.rules,
+		files: report.files,
+		changes: report.changes.length,
+	});
+	return report;
+}
+
+/**
+ * Resolves the secret scan of an export run
+ * @param {object|undefined} config - Export configuration
+ * @param {object} dataUnits - The filtered data units
+ * @param {object} options - Command options
+ * @returns {object|null} Scan settings, or null if the archive is not
+ *   scanned (no scan section and no sensitive data unit, or --no-scan)
+ */
+export function getScanSettings(config, dataUnits, options) {
+	return options.scan
+		? resolveScanSettings(config?.scan, findSensitiveDataUnits(dataUnits))
+		: null;
+}
+
+/**
+ * Scans a downloaded archive for secrets and personal data, after the
+ * transformation rules and before its manifest is written
+ * @param {string} localPath - Path to the downloaded archive
+ * @param {object} settings - Scan settings
+ * @param {string|null} instance - Instance name from dw.json
+ * @returns {object} Report of scanArchive
+ */
+export function scanDownload(localPath, settings, instance) {
+	const report = scanArchive(localPath, settings);
+	emitEvent("scanned", {
+		instance,
+		localPath,
+		policy: report.policy,
+		files: report.files,
+		secrets: report.secrets,
+		personal: report.personal,
+		unredactedSecrets: report.unredactedSecrets,
+	});
+	return report;
+}
+
+/**
+ * Describes the result of a secret scan
+ * @param {object} report - Report of scanArchive
+ * @returns {string} Human-readable description
+ */
+export function describeScan(report) {
+	const found = `${report.secrets} secret(s) and ${report.personal} personal data value(s)`;
+	return report.policy === "redact"
+		? `Secret scan: ${found} redacted`
+		: `Secret scan: ${found} found`;
+}
+
+/**
+ * Emits the NDJSON event of a failed attempt that is retried
+ * @param {string|null} instance - Instance name from dw.json
+ * @param {object} retry - Retry details from executeSiteExportWithRetry
+ */
+export function emitRetryEvent(
+	instance,
+	{ attempt, maxAttempts, error, delaySeconds, resume },
+) {
+	emitEvent("retry", {
+		instance,
+		attempt,
+		maxAttempts,
+		delaySeconds,
+		resume,
+		archiveFilename: error.archiveFilename || null,
+		error: { code: error.code, message: error.message },
+	});
+}
@@ -2,10 +2,20 @@
  * Export service - handles the site archive export using b2c CLI
  */
 
-import { spawn } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
+import AdmZip from "adm-zip";
 import chalk from "chalk";
+import { getB2cBackend } from "./backend.js";
+import {
+	ConfigError,
+	ConnectionError,
+	classifyB2cFailure,
+	EnvironmentError,
+	ERROR_CODES,
+	FileError,
+} from "./errors.js";
+import { printMessage } from "./output.js";
 
 /**
  * Checks if dw.json exists in the current directory or parent directories
@@ -79,20 +89,56 @@ export async function testInstanceConnectivity(options = {}) {
  * @returns {Promise<boolean>} True if b2c CLI is available
  */
 export async function checkB2cCli() {
-	return new Promise((resolve) => {
-		const child = spawn("b2c", ["--version"], {
-			shell: true,
-			stdio: "pipe",
-		});
+	return (await getB2cCliVersion()) !== null;
+}
 
-		child.on("close", (code) => {
-			resolve(code === 0);
-		});
+/**
+ * Gets the version of the installed b2c CLI
+ * @returns {Promise<string|null>} The version string, or null if b2c CLI is not available
+ */
+export async function getB2cCliVersion() {
+	return getB2cBackend().version();
+}
 
-		child.on("error", () => {
-			resolve(false);
-		});
-	});
+/**
+ * Builds the full arguments of a b2c command: the command arguments followed
+ * by the instance, log level and JSON output flags
+ * @param {string[]} args - Command arguments
+ * @param {object} options - Execution options (instance, debug)
+ * @returns {string[]} Full arguments passed to b2c
+ */
+export function buildB2cArgs(args, options = {}) {
+	const { debug = false, instance = null } = options;
+
+	// Build full args array
+	const fullArgs = [...args];
+
+	if (instance) {
+		fullArgs.push("--instance", instance);
+	}
+
+	// Debug mode enables trace-level logging for network traffic
+	if (debug) {
+		fullArgs.push("--log-level", "trace");
+	}
+
+	// Always output JSON for parsing
+	fullArgs.push("--json");
+
+	return fullArgs;
+}
+
+/**
+ * Formats a b2c command line for display, quoting the arguments for a POSIX
+ * shell so it can be copied and run as is
+ * @param {string[]} fullArgs - Full arguments from buildB2cArgs
+ * @returns {string} The command line
+ */
+export function formatB2cCommandLine(fullArgs) {
+	const quoted = fullArgs.map((arg) =>
+		/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`,
+	);
+	return ["b2c", ...quoted].join(" ");
 }
 
 /**
@@ -102,71 +148,160 @@ export async function checkB2cCli() {
  * @returns {Promise<{stdout: string, stderr: string, code: number}>}
  */
 export function executeB2cCommand(args, options = {}) {
-	return new Promise((resolve, reject) => {
-		const { debug = false, cwd = process.cwd(), instance = null } = options;
+	const { debug = false, cwd = process.cwd() } = options;
+	const fullArgs = buildB2cArgs(args, options);
+
+	if (debug) {
+		// Don't print the full JSON for data-units
+		const printArgs = fullArgs.map((arg, i) => {
+			if (fullArgs[i - 1] === "--data-units" && arg.startsWith("{")) {
+				return "{...}";
+			}
+			return arg;
+		});
+		printMessage(chalk.gray(`\n> b2c ${printArgs.join(" ")}\n`));
+	}
 
-		// Build full args array
-		const fullArgs = [...args];
+	return getB2cBackend().exec(fullArgs, { cwd, debug });
+}
 
-		if (instance) {
-			fullArgs.push("--instance", instance);
-		}
+/**
+ * How each dataUnits section of the export config maps onto the site export job
+ * - jobSection: section name in the job's data units payload (--data-units)
+ * - flag: individual b2c flag taking a comma-separated list of IDs, or null
+ *   when the section can only be sent through the --data-units payload
+ * Every section accepted by validateConfig must have an entry here, otherwise
+ * it would be silently dropped from the export job
+ */
+export const DATA_UNIT_EXPORT_MAPPINGS = {
+	global_data: { jobSection: "global_data", flag: "--global-data" },
+	sites: { jobSection: "sites", flag: "--site" },
+	catalogs: { jobSection: "catalogs", flag: "--catalog" },
+	price_lists: { jobSection: "price_books", flag: "--price-book" },
+	libraries: { jobSection: "libraries", flag: "--library" },
+	customer_lists: { jobSection: "customer_lists", flag: null },
+	inventory_lists: { jobSection: "inventory_lists", flag: "--inventory-list" },
+};
 
-		// Debug mode enables trace-level logging for network traffic
-		if (debug) {
-			fullArgs.push("--log-level", "trace");
-		}
+/**
+ * ID-keyed sections ({ id: true }) of the data units configuration
+ */
+const ID_SECTIONS = [
+	"catalogs",
+	"price_lists",
+	"libraries",
+	"customer_lists",
+	"inventory_lists",
+];
 
-		// Always output JSON for parsing
-		fullArgs.push("--json");
+/**
+ * Returns the IDs enabled in an ID-keyed data units section
+ * @param {object} section - Section configuration ({ id: boolean })
+ * @returns {string[]} Enabled IDs
+ */
+function getEnabledIds(section) {
+	return Object.entries(section || {})
+		.filter(([_, enabled]) => enabled === true)
+		.map(([id]) => id);
+}
 
-		if (debug) {
-			// Don't print the full JSON for data-units
-			const printArgs = fullArgs.map((arg, i) => {
-				if (fullArgs[i - 1] === "--data-units" && arg.startsWith("{")) {
-					return "{...}";
-				}
-				return arg;
-			});
-			console.log(chalk.gray(`\n> b2c ${printArgs.join(" ")}\n`));
-		}
+/**
+ * Returns the dataUnits sections that have no export mapping
+ * @param {object} dataUnits - The data units configuration
+ * @returns {string[]} Section names that would be dropped from the export job
+ */
+export function getUnmappedSections(dataUnits = {}) {
+	return Object.keys(dataUnits).filter(
+		(section) => !DATA_UNIT_EXPORT_MAPPINGS[section],
+	);
+}
 
-		// Use shell: false to avoid escaping issues with JSON
-		// Find the b2c executable path
-		const b2cPath = process.platform === "win32" ? "b2c.cmd" : "b2c";
+/**
+ * Returns the enabled data units of a single site configuration
+ * A site set to `true` exports all of its data
+ * @param {boolean|object} siteConfig - The site configuration
+ * @returns {string[]} Enabled site data units
+ */
+export function getSiteDataUnits(siteConfig) {
+	if (siteConfig === true) {
+		return ["all"];
+	}
+	if (typeof siteConfig !== "object" || siteConfig === null) {
+		return [];
+	}
+	return Object.entries(siteConfig)
+		.filter(([_, enabled]) => enabled === true)
+		.map(([key]) => key);
+}
 
-		const child = spawn(b2cPath, fullArgs, {
-			shell: false,
-			cwd,
-			stdio: "pipe",
-			env: { ...process.env },
-		});
+/**
+ * Checks whether every site requests exactly the same data units
+ * @param {object} sites - The sites configuration
+ * @returns {boolean} True if all sites share the same selection
+ */
+export function hasUniformSiteData(sites = {}) {
+	const selections = Object.values(sites).map((siteConfig) =>
+		getSiteDataUnits(siteConfig).sort().join(","),
+	);
+	return selections.every((selection) => selection === selections[0]);
+}
 
-		let stdout = "";
-		let stderr = "";
+/**
+ * Checks whether the selection can only be submitted as a --data-units payload
+ * Sites with different data unit selections cannot be expressed with the
+ * individual flags (--site-data applies to every --site), and some sections
+ * have no individual flag at all
+ * @param {object} dataUnits - The data units configuration
+ * @returns {boolean} True if the job must be submitted with --data-units
+ */
+export function requiresDataUnitsPayload(dataUnits) {
+	const hasFlaglessSection = ID_SECTIONS.some(
+		(section) =>
+			!DATA_UNIT_EXPORT_MAPPINGS[section].flag &&
+			getEnabledIds(dataUnits[section]).length > 0,
+	);
+	return hasFlaglessSection || !hasUniformSiteData(dataUnits.sites);
+}
 
-		child.stdout.on("data", (data) => {
-			stdout += data.toString();
-			if (debug) {
-				process.stdout.write(data);
-			}
-		});
+/**
+ * Builds the per-site data units payload of the site export job
+ * @param {object} dataUnits - The data units configuration
+ * @returns {object} Data units in the format expected by the export job
+ */
+export function buildDataUnitsPayload(dataUnits) {
+	const payload = {};
+
+	const globalData = getEnabledIds(dataUnits.global_data);
+	if (globalData.length > 0) {
+		payload.global_data = Object.fromEntries(
+			globalData.map((unit) => [unit, true]),
+		);
+	}
 
-		child.stderr.on("data", (data) => {
-			stderr += data.toString();
-			if (debug) {
-				process.stderr.write(data);
+	if (dataUnits.sites) {
+		const sites = {};
+		for (const [siteId, siteConfig] of Object.entries(dataUnits.sites)) {
+			const siteData = getSiteDataUnits(siteConfig);
+			if (siteData.length > 0) {
+				sites[siteId] = Object.fromEntries(
+					siteData.map((unit) => [unit, true]),
+				);
 			}
-		});
+		}
+		if (Object.keys(sites).length > 0) {
+			payload.sites = sites;
+		}
+	}
 
-		child.on("close", (code) => {
-			resolve({ stdout, stderr, code });
-		});
+	for (const section of ID_SECTIONS) {
+		const ids = getEnabledIds(dataUnits[section]);
+		if (ids.length > 0) {
+			const { jobSection } = DATA_UNIT_EXPORT_MAPPINGS[section];
+			payload[jobSection] = Object.fromEntries(ids.map((id) => [id, true]));
+		}
+	}
 
-		child.on("error", (err) => {
-			reject(err);
-		});
-	});
+	return payload;
 }
 
 /**
@@ -206,56 +341,85 @@ export function buildExportArgs(dataUnits, exportOptions = {}) {
 		args.push("--no-download");
 	}
 
+	const unmappedSections = getUnmappedSections(dataUnits);
+	if (unmappedSections.length > 0) {
+		throw new ConfigError(
+			`No export mapping for dataUnits section(s): ${unmappedSections.join(", ")}`,
+		);
+	}
+
+	if (requiresDataUnitsPayload(dataUnits)) {
+		args.push("--data-units", JSON.stringify(buildDataUnitsPayload(dataUnits)));
+		return args;
+	}
+
 	// Build arguments using individual flags instead of --data-units JSON
 	// This provides better compatibility with different SFCC instance versions
 
 	// Global data
-	if (dataUnits.global_data && Object.keys(dataUnits.global_data).length > 0) {
-		const enabledGlobalData = Object.entries(dataUnits.global_data)
-			.filter(([_, enabled]) => enabled === true)
-			.map(([key]) => key);
-		if (enabledGlobalData.length > 0) {
-			args.push("--global-data", enabledGlobalData.join(","));
-		}
+	const enabledGlobalData = getEnabledIds(dataUnits.global_data);
+	if (enabledGlobalData.length > 0) {
+		args.push("--global-data", enabledGlobalData.join(","));
 	}
 
-	// Sites
+	// Sites - every site shares the same selection at this point
 	if (dataUnits.sites && Object.keys(dataUnits.sites).length > 0) {
 		const siteIds = Object.keys(dataUnits.sites);
 		args.push("--site", siteIds.join(","));
 
-		// Collect all enabled site data units across all sites
-		const allSiteData = new Set();
-		for (const siteConfig of Object.values(dataUnits.sites)) {
-			if (typeof siteConfig === "object") {
-				for (const [key, enabled] of Object.entries(siteConfig)) {
-					if (enabled === true) {
-						allSiteData.add(key);
-					}
-				}
-			}
-		}
-		if (allSiteData.size > 0) {
-			args.push("--site-data", [...allSiteData].join(","));
+		const siteData = getSiteDataUnits(dataUnits.sites[siteIds[0]]);
+		if (siteData.length > 0) {
+			args.push("--site-data", siteData.join(","));
 		}
 	}
 
-	// Inventory lists
-	if (
-		dataUnits.inventory_lists &&
-		Object.keys(dataUnits.inventory_lists).length > 0
-	) {
-		const inventoryIds = Object.entries(dataUnits.inventory_lists)
-			.filter(([_, enabled]) => enabled === true)
-			.map(([id]) => id);
-		if (inventoryIds.length > 0) {
-			args.push("--inventory-list", inventoryIds.join(","));
+	// Catalogs, price lists, libraries and inventory lists
+	for (const section of ID_SECTIONS) {
+		const ids = getEnabledIds(dataUnits[section]);
+		if (ids.length > 0) {
+			args.push(DATA_UNIT_EXPORT_MAPPINGS[section].flag, ids.join(","));
 		}
 	}
 
 	return args;
 }
 
+/**
+ * Reads the error reported by a failed b2c command
+ * b2c prints a JSON error object with --json; anything else is taken as text
+ * @param {{stdout: string, stderr: string}} result - Result of the command
+ * @returns {{message: string, status: number|undefined, archiveFilename: string|undefined}}
+ *   Error message, HTTP status and name of the archive created on the
+ *   instance, if reported
+ */
+export function readB2cError(result) {
+	try {
+		const output = JSON.parse(result.stdout || result.stderr);
+		const error = output.error ?? output;
+		if (typeof error === "string") {
+			return {
+				message: error,
+				status: undefined,
+				archiveFilename: output.archiveFilename,
+			};
+		}
+		return {
+			message: error.message || output.message || "Export failed",
+			status: error.status ?? error.statusCode ?? output.status,
+			archiveFilename: output.archiveFilename ?? error.archiveFilename,
+		};
+	} catch {
+		return {
+			message:
+				result.stderr?.trim() ||
+				result.stdout?.trim() ||
+				"Export failed with unknown error",
+			status: undefined,
+			archiveFilename: undefined,
+		};
+	}
+}
+
 /**
  * Executes the site archive export using b2c CLI
  * @param {object} dataUnits - The data units configuration
@@ -271,12 +435,13 @@ export async function executeSiteExport(dataUnits, options = {}) {
 		timeout = 600,
 		debug = false,
 		instance = null,
+		archiveName = null,
 	} = options;
 
 	// Check if b2c CLI is available
 	const cliAvailable = await checkB2cCli();
 	if (!cliAvailable) {
-		throw new Error(
+		throw new EnvironmentError(
 			"b2c CLI is not installed or not in PATH.\n" +
 				"Please install it with: npm install -g @salesforce/b2c-cli\n" +
 				"See: https://salesforcecommercecloud.github.io/b2c-developer-tooling/guide/installation.html",
@@ -290,11 +455,13 @@ export async function executeSiteExport(dataUnits, options = {}) {
 	}
 
 	// Build export arguments
+	// A named archive stays on the instance until it is renamed there, then
+	// downloaded by downloadInstanceArchive
 	const args = buildExportArgs(dataUnits, {
 		outputPath: absoluteOutputPath,
 		keepArchive,
 		zipOnly,
-		noDownload,
+		noDownload: noDownload || Boolean(archiveName),
 		timeout,
 	});
 
@@ -305,39 +472,306 @@ export async function executeSiteExport(dataUnits, options = {}) {
 	});
 
 	if (result.code !== 0) {
-		// Try to parse error from JSON output
-		let errorMessage = "Export failed";
-		try {
-			const output = JSON.parse(result.stdout || result.stderr);
-			if (output.error) {
-				errorMessage = output.error.message || output.error;
-			} else if (output.message) {
-				errorMessage = output.message;
-			}
-		} catch {
-			// Use stderr if JSON parsing fails
-			errorMessage =
-				result.stderr || result.stdout || "Export failed with unknown error";
-		}
-		throw new Error(errorMessage);
+		const { message, status, archiveFilename } = readB2cError(result);
+		// The archive may already exist on the instance (e.g. the download
+		// failed): keep its name so a retry can resume with the download
+		throw Object.assign(classifyB2cFailure(message, { status }), {
+			archiveFilename,
+		});
 	}
 
 	// Parse the result
+	let output;
 	try {
-		const output = JSON.parse(result.stdout);
-		return {
-			success: true,
-			localPath: output.localPath || output.path,
-			archiveFilename: output.archiveFilename || output.archive,
-			...output,
-		};
+		output = JSON.parse(result.stdout);
 	} catch {
-		// Return basic success if JSON parsing fails
+		// The job succeeded but the archive path is unknown: nothing can be
+		// renamed, transformed or uploaded
 		return {
 			success: true,
-			localPath: absoluteOutputPath,
+			localPath: null,
 		};
 	}
+
+	const exportResult = {
+		success: true,
+		...output,
+		localPath: output.localPath || output.path || null,
+		archiveFilename: output.archiveFilename || output.archive,
+	};
+
+	if (archiveName) {
+		if (!exportResult.archiveFilename) {
+			throw new FileError(
+				"Cannot rename the archive on the instance: the b2c CLI did not report its name",
+				{ code: ERROR_CODES.ARCHIVE_NOT_FOUND },
+			);
+		}
+		if (noDownload) {
+			return {
+				success: true,
+				localPath: null,
+				archiveFilename: await renameInstanceArchive(
+					exportResult.archiveFilename,
+					archiveName,
+					{ debug, instance },
+				),
+			};
+		}
+		return downloadInstanceArchive(exportResult.archiveFilename, options);
+	}
+
+	// The output directory itself is not an archive
+	if (
+		exportResult.localPath &&
+		path.resolve(exportResult.localPath) === absoluteOutputPath
+	) {
+		exportResult.localPath = null;
+	}
+
+	return exportResult;
+}
+
+/**
+ * Renames an archive on the instance (Impex/src/instance) after the archive
+ * name template
+ * @param {string} archiveFilename - Archive file name on the instance
+ * @param {string} archiveName - New archive name, without extension
+ * @param {object} options - Options including instance name and debug flag
+ * @returns {Promise<string>} The new archive file name
+ */
+export async function renameInstanceArchive(
+	archiveFilename,
+	archiveName,
+	options = {},
+) {
+	const targetFilename = `${archiveName}.zip`;
+	if (archiveFilename === targetFilename) {
+		return archiveFilename;
+	}
+
+	const result = await executeB2cCommand(
+		[
+			"webdav",
+			"mv",
+			"--root",
+			"impex",
+			`src/instance/${archiveFilename}`,
+			`src/instance/${targetFilename}`,
+		],
+		options,
+	);
+	if (result.code !== 0) {
+		const { message, status } = readB2cError(result);
+		// The archive keeps its name: a retry can still resume with it
+		throw Object.assign(
+			classifyB2cFailure(
+				`Renaming ${archiveFilename} to ${targetFilename} on the instance failed: ${message}`,
+				{ status, fallback: ConnectionError },
+			),
+			{ archiveFilename },
+		);
+	}
+
+	return targetFilename;
+}
+
+/**
+ * Downloads an archive that already exists on the instance
+ * (Impex/src/instance), extracts it unless zipOnly is set, and removes it
+ * from the instance unless keepArchive is set
+ * With archiveName, the archive is first renamed on the instance, then the
+ * downloaded zip/folder is named after it too
+ * @param {string} archiveFilename - Archive file name on the instance
+ * @param {object} options - Export options (outputPath, keepArchive, zipOnly,
+ *   debug, instance, archiveName)
+ * @returns {Promise<object>} Export result; cleanedUp is false if the archive
+ *   could not be removed from the instance
+ */
+export async function downloadInstanceArchive(archiveFilename, options = {}) {
+	const {
+		outputPath = "./exports",
+		keepArchive = false,
+		zipOnly = false,
+		debug = false,
+		instance = null,
+		archiveName = null,
+	} = options;
+	if (archiveName) {
+		archiveFilename = await renameInstanceArchive(
+			archiveFilename,
+			archiveName,
+			{ debug, instance },
+		);
+	}
+	const remotePath = `src/instance/${archiveFilename}`;
+
+	const absoluteOutputPath = path.resolve(outputPath);
+	fs.mkdirSync(absoluteOutputPath, { recursive: true });
+	const zipPath = path.join(absoluteOutputPath, archiveFilename);
+
+	const result = await executeB2cCommand(
+		["webdav", "get", "--root", "impex", remotePath, "--output", zipPath],
+		{ debug, instance },
+	);
+	if (result.code !== 0) {
+		const { message, status } = readB2cError(result);
+		throw Object.assign(
+			classifyB2cFailure(`Download of ${archiveFilename} failed: ${message}`, {
+				status,
+				fallback: ConnectionError,
+			}),
+			{ archiveFilename },
+		);
+	}
+
+	let localPath = zipPath;
+	if (!zipOnly) {
+		const zip = new AdmZip(zipPath);
+		// A renamed archive still holds the folder named by the instance
+		const rootFolder = zip.getEntries()[0]?.entryName.split("/").find(Boolean);
+		zip.extractAllTo(absoluteOutputPath, true);
+		fs.rmSync(zipPath);
+		localPath = path.join(
+			absoluteOutputPath,
+			rootFolder ||
+				path.basename(archiveFilename, path.extname(archiveFilename)),
+		);
+	}
+
+	let cleanedUp = keepArchive;
+	if (!keepArchive) {
+		const removal = await executeB2cCommand(
+			["webdav", "rm", "--root", "impex", remotePath],
+			{ debug, instance },
+		);
+		cleanedUp = removal.code === 0;
+	}
+
+	if (archiveName) {
+		localPath = renameDownloadedArchive(localPath, archiveName);
+	}
+
+	return { success: true, localPath, archiveFilename, cleanedUp };
+}
+
+/**
+ * Retries of transient failures (connection, timeout, quota) when neither the
+ * command line nor the configuration sets them
+ */
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Delay before the first retry, in seconds (doubled after each retry)
+ */
+const DEFAULT_RETRY_DELAY = 30;
+
+/**
+ * Resolves the retry settings of an export run
+ * Command line options win over the "retry" section of the configuration
+ * @param {object|undefined} config - Export configuration
+ * @param {object} options - Command options (retries, retryDelay)
+ * @returns {{retries: number, retryDelay: number}} Retry settings
+ */
+export function resolveRetryOptions(config, options) {
+	const retries = options.retries ?? config?.retry?.retries ?? DEFAULT_RETRIES;
+	const retryDelay =
+		options.retryDelay ?? config?.retry?.delaySeconds ?? DEFAULT_RETRY_DELAY;
+
+	return {
+		retries: Number.parseInt(retries, 10) || 0,
+		retryDelay: Math.max(Number.parseFloat(retryDelay) || 0, 0),
+	};
+}
+
+/**
+ * Runs the export, retrying transient failures (connection, timeout, quota)
+ * with exponential backoff
+ * When a failed attempt reports the archive it created on the instance, the
+ * next attempts only download it instead of starting a new export job
+ * @param {object} dataUnits - The data units configuration
+ * @param {object} options - Export options, plus:
+ * @param {number} [options.retries] - Number of retries after the first attempt
+ * @param {number} [options.retryDelay] - Delay before the first retry, in
+ *   seconds; doubled after each retry
+ * @param {string|null} [options.resumeArchive] - Archive on the instance to
+ *   download instead of starting an export job
+ * @param {Function} [options.onRetry] - Called before each retry with
+ *   { attempt, maxAttempts, error, delaySeconds, resume }
+ * @returns {Promise<object>} Export result, with the number of attempts and
+ *   whether the archive was downloaded by resuming
+ */
+export async function executeSiteExportWithRetry(dataUnits, options = {}) {
+	const {
+		retries = 0,
+		retryDelay = 30,
+		resumeArchive = null,
+		onRetry = () => {},
+	} = options;
+	let archiveFilename = resumeArchive;
+
+	for (let attempt = 1; ; attempt++) {
+		const resume = Boolean(archiveFilename);
+		try {
+			const result = resume
+				? await downloadInstanceArchive(archiveFilename, options)
+				: await executeSiteExport(dataUnits, options);
+			return { ...result, attempts: attempt, resumed: resume };
+		} catch (error) {
+			if (!options.noDownload) {
+				archiveFilename = error.archiveFilename || archiveFilename;
+			}
+			error.archiveFilename = archiveFilename || undefined;
+			if (!error.retryable || attempt > retries) {
+				throw error;
+			}
+
+			const delaySeconds = retryDelay * 2 ** (attempt - 1);
+			await onRetry({
+				attempt,
+				maxAttempts: retries + 1,
+				error,
+				delaySeconds,
+				resume: Boolean(archiveFilename),
+			});
+			await new Promise((resolve) => setTimeout(resolve, delaySeconds * 1000));
+		}
+	}
+}
+
+/**
+ * Renames a downloaded archive (zip file or extracted folder)
+ * @param {string} localPath - Path of the downloaded archive
+ * @param {string} archiveName - New archive name, without extension
+ * @returns {string} The new path of the archive
+ */
+export function renameDownloadedArchive(localPath, archiveName) {
+	if (!fs.existsSync(localPath)) {
+		throw new FileError(
+			`Cannot rename downloaded archive ${localPath}: it does not exist`,
+			{ code: ERROR_CODES.ARCHIVE_NOT_FOUND },
+		);
+	}
+
+	const isZip = path.extname(localPath).toLowerCase() === ".zip";
+	const targetPath = path.join(
+		path.dirname(localPath),
+		isZip ? `${archiveName}.zip` : archiveName,
+	);
+
+	if (targetPath === localPath) {
+		return localPath;
+	}
+
+	if (fs.existsSync(targetPath)) {
+		throw new FileError(
+			`Cannot rename downloaded archive to ${targetPath}: file already exists.\n` +
+				`The export was kept at: ${localPath}`,
+		);
+	}
+
+	fs.renameSync(localPath, targetPath);
+	return targetPath;
 }
 
 /**
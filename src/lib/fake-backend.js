@@ -0,0 +1,330 @@
+/**
+ * Fake b2c backend - canned b2c CLI responses for offline testing
+ * Answers `setup config`, the `list` commands of sites, catalogs, price books,
+ * libraries, customer lists and inventory lists, `job export`, `job import`,
+ * `webdav get`, `webdav mv` and `webdav rm`; the export writes a sample site archive holding
+ * a file for each requested data unit, the import accepts any existing archive
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import AdmZip from "adm-zip";
+import {
+	GLOBAL_DATA_PATHS,
+	ID_SECTION_FOLDERS,
+	SITE_DATA_PATHS,
+} from "./inspector.js";
+
+/**
+ * Default answers of the fake instance
+ */
+const FAKE_DEFAULTS = {
+	version: "@salesforce/b2c-cli/0.0.0-fake",
+	hostname: "fake-instance.dx.commercecloud.salesforce.com",
+	codeVersion: "version1",
+	sites: ["RefArch", "RefArchGlobal"],
+	catalogs: ["apparel-catalog", "electronics-catalog", "storefront-catalog"],
+	priceBooks: ["usd-list-prices", "usd-sale-prices"],
+	libraries: ["RefArchSharedLibrary"],
+	customerLists: ["RefArch"],
+	inventoryLists: ["inventory_m"],
+};
+
+/**
+ * Settings holding the IDs returned by each `list` command
+ */
+const LIST_SETTINGS = {
+	"sites list": "sites",
+	"catalogs list": "catalogs",
+	"price-books list": "priceBooks",
+	"libraries list": "libraries",
+	"customer-lists list": "customerLists",
+	"inventory-lists list": "inventoryLists",
+};
+
+/**
+ * Export job sections of the ID-keyed config sections
+ */
+const JOB_SECTIONS = {
+	catalogs: "catalogs",
+	price_lists: "price_books",
+	libraries: "libraries",
+	customer_lists: "customer_lists",
+	inventory_lists: "inventory_lists",
+};
+
+/**
+ * Flags of the ID-keyed config sections
+ */
+const ID_FLAGS = {
+	catalogs: "--catalog",
+	price_lists: "--price-book",
+	libraries: "--library",
+	inventory_lists: "--inventory-list",
+};
+
+/**
+ * Reads the data units selected by `job export` arguments
+ * @param {string[]} args - Command arguments
+ * @returns {object} Selection: globalData, sites ({ id: units }) and ID lists
+ */
+export function parseExportSelection(args) {
+	const value = (flag) => {
+		const index = args.indexOf(flag);
+		return index >= 0 ? args[index + 1] : null;
+	};
+	const list = (flag) => value(flag)?.split(",").filter(Boolean) || [];
+
+	const payload = value("--data-units");
+	if (payload) {
+		const dataUnits = JSON.parse(payload);
+		return {
+			globalData: Object.keys(dataUnits.global_data || {}),
+			sites: Object.fromEntries(
+				Object.entries(dataUnits.sites || {}).map(([id, units]) => [
+					id,
+					Object.keys(units),
+				]),
+			),
+			...Object.fromEntries(
+				Object.entries(JOB_SECTIONS).map(([section, jobSection]) => [
+					section,
+					Object.keys(dataUnits[jobSection] || {}),
+				]),
+			),
+		};
+	}
+
+	const siteData = list("--site-data");
+	return {
+		globalData: list("--global-data"),
+		sites: Object.fromEntries(list("--site").map((id) => [id, siteData])),
+		customer_lists: [],
+		...Object.fromEntries(
+			Object.entries(ID_FLAGS).map(([section, flag]) => [section, list(flag)]),
+		),
+	};
+}
+
+/**
+ * Lists the archive files written for a selection
+ * @param {object} selection - Selection from parseExportSelection
+ * @returns {string[]} File paths, relative to the archive root
+ */
+export function getSampleArchiveFiles(selection) {
+	const files = [];
+	const addPaths = (prefix, paths) => {
+		for (const p of paths) {
+			files.push(p.endsWith("/") ? `${prefix}${p}sample.xml` : `${prefix}${p}`);
+		}
+	};
+
+	const globalUnits = selection.globalData.includes("all")
+		? Object.keys(GLOBAL_DATA_PATHS)
+		: selection.globalData;
+	for (const unit of globalUnits) {
+		addPaths("", GLOBAL_DATA_PATHS[unit] || []);
+	}
+
+	for (const [siteId, units] of Object.entries(selection.sites)) {
+		const siteUnits =
+			units.length === 0 || units.includes("all")
+				? Object.keys(SITE_DATA_PATHS)
+				: units;
+		for (const unit of siteUnits) {
+			addPaths(`sites/${siteId}/`, SITE_DATA_PATHS[unit] || []);
+		}
+	}
+
+	for (const [section, folder] of Object.entries(ID_SECTION_FOLDERS)) {
+		for (const id of selection[section] || []) {
+			files.push(`${folder}/${id}.xml`);
+		}
+	}
+
+	return files;
+}
+
+/**
+ * Writes a sample site archive
+ * @param {string} outputPath - Output directory
+ * @param {string} archiveName - Archive name, without extension
+ * @param {string[]} files - File paths, relative to the archive root
+ * @param {boolean} zipOnly - Keep the zip instead of extracting it
+ * @returns {string} Path of the written zip file or folder
+ */
+function writeSampleArchive(outputPath, archiveName, files, zipOnly) {
+	const zip = new AdmZip();
+	for (const file of files) {
+		zip.addFile(
+			`${archiveName}/${file}`,
+			Buffer.from(
+				`<?xml version="1.0" encoding="UTF-8"?>\n<!-- ${file} (fake b2c backend) -->\n<sample/>\n`,
+			),
+		);
+	}
+
+	fs.mkdirSync(outputPath, { recursive: true });
+	if (zipOnly) {
+		const zipPath = path.join(outputPath, `${archiveName}.zip`);
+		zip.writeZip(zipPath);
+		return zipPath;
+	}
+
+	zip.extractAllTo(outputPath, true);
+	return path.join(outputPath, archiveName);
+}
+
+/**
+ * Creates a fake backend
+ * @param {object} [options] - Fake instance settings
+ * @param {string|null} [options.version] - b2c CLI version, null for "not installed"
+ * @param {string} [options.hostname] - Instance hostname
+ * @param {string} [options.codeVersion] - Active code version
+ * @param {string[]} [options.sites] - Site IDs returned by `sites list`
+ * @param {string[]} [options.catalogs] - Catalog IDs returned by `catalogs list`
+ * @param {string[]} [options.priceBooks] - Price book IDs returned by
+ *   `price-books list`
+ * @param {string[]} [options.libraries] - Library IDs returned by `libraries list`
+ * @param {string[]} [options.customerLists] - Customer list IDs returned by
+ *   `customer-lists list`
+ * @param {string[]} [options.inventoryLists] - Inventory list IDs returned by
+ *   `inventory-lists list`
+ * @param {object} [options.responses] - Canned results by command ("job export"...),
+ *   replacing the default answers
+ * @param {string} [options.downloadError] - Makes the first export job fail
+ *   with this message after creating its archive, as a dropped download would
+ * @returns {object} The fake backend; `calls` records the executed arguments
+ *   and `archives` the archives stored on the fake instance
+ */
+export function createFakeBackend(options = {}) {
+	const settings = { ...FAKE_DEFAULTS, ...options };
+	const responses = options.responses || {};
+	const archives = new Map();
+	let downloadError = options.downloadError || null;
+	const ok = (data) => ({ stdout: JSON.stringify(data), stderr: "", code: 0 });
+	const fail = (message, data = {}) => ({
+		stdout: JSON.stringify({ error: { message }, ...data }),
+		stderr: "",
+		code: 1,
+	});
+
+	const handlers = {
+		"setup config": () =>
+			ok({
+				config: {
+					hostname: settings.hostname,
+					codeVersion: settings.codeVersion,
+				},
+			}),
+
+		...Object.fromEntries(
+			Object.entries(LIST_SETTINGS).map(([command, setting]) => [
+				command,
+				() => ok({ data: settings[setting].map((id) => ({ id })) }),
+			]),
+		),
+
+		"job export": (args) => {
+			const archiveName = `fake-export-${Date.now()}`;
+			const archiveFilename = `${archiveName}.zip`;
+			const files = getSampleArchiveFiles(parseExportSelection(args));
+			archives.set(archiveFilename, files);
+
+			if (downloadError) {
+				const message = downloadError;
+				downloadError = null;
+				return fail(message, { archiveFilename });
+			}
+			if (args.includes("--no-download")) {
+				return ok({ archiveFilename });
+			}
+			if (!args.includes("--keep-archive")) {
+				archives.delete(archiveFilename);
+			}
+
+			const outputPath = args[args.indexOf("--output") + 1];
+			const localPath = writeSampleArchive(
+				outputPath,
+				archiveName,
+				files,
+				args.includes("--zip-only"),
+			);
+			return ok({ localPath, archiveFilename });
+		},
+
+		"job import": (args) => {
+			const archivePath = args[2];
+			if (!fs.existsSync(archivePath)) {
+				return fail(`Archive not found: ${archivePath}`);
+			}
+
+			const archiveFilename = fs.statSync(archivePath).isDirectory()
+				? `${path.basename(archivePath)}.zip`
+				: path.basename(archivePath);
+			if (args.includes("--keep-archive")) {
+				archives.set(archiveFilename, []);
+			}
+			return ok({ archiveFilename, status: "OK" });
+		},
+
+		"webdav get": (args) => {
+			const archiveFilename = path.basename(args[4]);
+			if (!archives.has(archiveFilename)) {
+				return fail(`Not found: ${args[4]}`, { status: 404 });
+			}
+
+			const zipPath = args[args.indexOf("--output") + 1];
+			writeSampleArchive(
+				path.dirname(zipPath),
+				path.basename(archiveFilename, ".zip"),
+				archives.get(archiveFilename),
+				true,
+			);
+			return ok({ path: zipPath });
+		},
+
+		"webdav mv": (args) => {
+			const source = path.basename(args[4]);
+			if (!archives.has(source)) {
+				return fail(`Not found: ${args[4]}`, { status: 404 });
+			}
+
+			archives.set(path.basename(args[5]), archives.get(source));
+			archives.delete(source);
+			return ok({ source: args[4], destination: args[5] });
+		},
+
+		"webdav rm": (args) => {
+			archives.delete(path.basename(args[4]));
+			return ok({ removed: args[4] });
+		},
+	};
+
+	return {
+		name: "fake",
+		calls: [],
+		archives,
+
+		async version() {
+			return settings.version;
+		},
+
+		async exec(args) {
+			this.calls.push(args);
+			const command = args.slice(0, 2).join(" ");
+
+			if (responses[command]) {
+				return { stdout: "", stderr: "", code: 0, ...responses[command] };
+			}
+			if (handlers[command]) {
+				return handlers[command](args);
+			}
+			return {
+				stdout: "",
+				stderr: `Fake backend: unsupported command "${command}"`,
+				code: 1,
+			};
+		},
+	};
+}
@@ -0,0 +1,184 @@
+/**
+ * Import service - pushes a site archive into an instance using b2c CLI
+ * The archive (zip file or folder produced by `export`) is uploaded to
+ * Impex/src/instance and the site import job is run on it
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { confirm } from "@inquirer/prompts";
+import chalk from "chalk";
+import { readArchive } from "./archive.js";
+import {
+	CancelledError,
+	ConfigError,
+	classifyB2cFailure,
+	EnvironmentError,
+	ERROR_CODES,
+	FileError,
+	JobFailedError,
+} from "./errors.js";
+import { checkB2cCli, executeB2cCommand, readB2cError } from "./exporter.js";
+import { inspectArchive } from "./inspector.js";
+import { getManifestPath, readManifest } from "./manifest.js";
+import { isMachineOutput, printMessage } from "./output.js";
+
+/**
+ * Host name or instance name segments of production instances
+ * (production-eu01-brand.demandware.net, prd, prod-us...)
+ */
+const PRODUCTION_PATTERN = /(^|[^a-z0-9])(prod|production|prd)([^a-z0-9]|$)/i;
+
+/**
+ * Reads the archive to import and the manifest written next to it by export
+ * @param {string} archive - Path to the archive (zip file or folder)
+ * @returns {{path: string, isZip: boolean, inventory: object, manifest: object|null, manifestPath: string|null}}
+ *   The absolute archive path, its contents and its manifest, if any
+ * @throws {FileError} If the archive does not exist, cannot be read or holds
+ *   no site data
+ */
+export function resolveImportArchive(archive) {
+	const absolutePath = path.resolve(archive);
+	const { entries } = readArchive(absolutePath);
+
+	if (entries.length === 0) {
+		throw new FileError(`Archive is empty: ${absolutePath}`, {
+			code: ERROR_CODES.ARCHIVE_INVALID,
+		});
+	}
+
+	let manifest = null;
+	let manifestPath = null;
+	if (fs.existsSync(getManifestPath(absolutePath))) {
+		({ path: manifestPath, manifest } = readManifest(absolutePath));
+	}
+
+	return {
+		path: absolutePath,
+		isZip: !fs.statSync(absolutePath).isDirectory(),
+		inventory: inspectArchive(entries),
+		manifest,
+		manifestPath,
+	};
+}
+
+/**
+ * Checks whether an instance looks like a production instance, from its
+ * dw.json instance name or its host name
+ * @param {object} target - The target instance
+ * @param {string|null} [target.instance] - Instance name from dw.json
+ * @param {string|null} [target.hostname] - Instance host name
+ * @returns {boolean} True if either name has a prod, production or prd segment
+ */
+export function looksLikeProduction({ instance, hostname }) {
+	return [instance, hostname].some(
+		(name) => Boolean(name) && PRODUCTION_PATTERN.test(name),
+	);
+}
+
+/**
+ * Asks for confirmation before importing into a production instance
+ * Prompts need the terminal: without one, --yes is required
+ * @param {string} target - Instance name and host name
+ * @param {string} archiveName - Name of the archive to import
+ * @param {object} [context] - Prompt streams (input, output); the terminal by
+ *   default
+ * @throws {ConfigError} If there is no terminal to ask on
+ * @throws {CancelledError} If the import is declined
+ */
+export async function confirmProductionImport(
+	target,
+	archiveName,
+	context = {},
+) {
+	if (isMachineOutput() || !(context.input ?? process.stdin).isTTY) {
+		throw new ConfigError(
+			`${target} looks like a production instance: run with --yes to confirm the import`,
+			{ code: ERROR_CODES.CONFIRMATION_REQUIRED },
+		);
+	}
+
+	printMessage(
+		chalk.yellow(
+			`\n⚠️  ${chalk.bold(target)} looks like a production instance.`,
+		),
+	);
+	const confirmed = await confirm(
+		{ message: `Import ${archiveName} into ${target}?`, default: false },
+		context,
+	);
+	if (!confirmed) {
+		throw new CancelledError(`Import into ${target} cancelled`);
+	}
+}
+
+/**
+ * Builds the import command arguments
+ * @param {string} archivePath - Path to the archive (zip file or folder)
+ * @param {object} importOptions - Import options
+ * @returns {string[]} Command arguments
+ */
+export function buildImportArgs(archivePath, importOptions = {}) {
+	const { keepArchive = false, timeout = 600 } = importOptions;
+	const args = ["job", "import", path.resolve(archivePath)];
+
+	// Timeout
+	args.push("--timeout", timeout.toString());
+
+	// Keep archive flag
+	if (keepArchive) {
+		args.push("--keep-archive");
+	}
+
+	return args;
+}
+
+/**
+ * Executes the site archive import using b2c CLI
+ * @param {string} archivePath - Path to the archive (zip file or folder)
+ * @param {object} options - Import options (keepArchive, timeout, debug,
+ *   instance)
+ * @returns {Promise<object>} Import result, with the archive name on the
+ *   instance
+ */
+export async function executeSiteImport(archivePath, options = {}) {
+	const { debug = false, instance = null } = options;
+
+	// Check if b2c CLI is available
+	const cliAvailable = await checkB2cCli();
+	if (!cliAvailable) {
+		throw new EnvironmentError(
+			"b2c CLI is not installed or not in PATH.\n" +
+				"Please install it with: npm install -g @salesforce/b2c-cli\n" +
+				"See: https://salesforcecommercecloud.github.io/b2c-developer-tooling/guide/installation.html",
+		);
+	}
+
+	const result = await executeB2cCommand(
+		buildImportArgs(archivePath, options),
+		{ debug, instance },
+	);
+
+	if (result.code !== 0) {
+		const { message, status } = readB2cError(result);
+		const error = classifyB2cFailure(message, { status });
+		if (error instanceof JobFailedError) {
+			error.code = ERROR_CODES.IMPORT_FAILED;
+		}
+		throw error;
+	}
+
+	// Parse the result
+	let output;
+	try {
+		output = JSON.parse(result.stdout);
+	} catch {
+		return { success: true, archiveFilename: null };
+	}
+
+	return {
+		success: true,
+		archiveFilename: output.archiveFilename || output.archive || null,
+		...output,
+	};
+}
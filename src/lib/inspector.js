@@ -0,0 +1,314 @@
+/**
+ * Archive inspector - reports what a downloaded site export actually contains
+ * and checks it against the data units that were requested
+ */
+
+import chalk from "chalk";
+import { printMessage } from "./output.js";
+
+/**
+ * Folder of each ID-keyed data units section in the archive
+ * IDs are the first path segment below the folder (`.xml` stripped)
+ */
+export const ID_SECTION_FOLDERS = {
+	catalogs: "catalogs",
+	price_lists: "pricebooks",
+	libraries: "libraries",
+	customer_lists: "customer-lists",
+	inventory_lists: "inventory-lists",
+};
+
+/**
+ * Files or folders (trailing slash) written for global data units
+ * Units that are not listed here cannot be verified from the archive layout
+ */
+export const GLOBAL_DATA_PATHS = {
+	custom_types: ["meta/custom-objecttype-definitions.xml"],
+	global_custom_objects: ["custom-objects/"],
+	job_schedules: ["jobs.xml"],
+	meta_data: ["meta/system-objecttype-extensions.xml"],
+	preferences: ["preferences.xml"],
+	services: ["services.xml"],
+	static_resources: ["static/"],
+};
+
+/**
+ * Files or folders (trailing slash), relative to `sites/<siteId>/`, written
+ * for site data units
+ * Units that are not listed here cannot be verified from the archive layout
+ */
+export const SITE_DATA_PATHS = {
+	ab_tests: ["ab-tests.xml"],
+	cache_settings: ["cache-settings.xml"],
+	campaigns_and_promotions: ["promotions.xml"],
+	content: ["library/"],
+	coupons: ["coupons.xml"],
+	custom_objects: ["custom-objects/"],
+	customer_groups: ["customer-groups.xml"],
+	gift_certificates: ["gift-certificates.xml"],
+	payment_methods: ["payment-methods.xml"],
+	redirect_urls: ["redirect-urls.xml"],
+	search_settings: ["search.xml"],
+	shipping: ["shipping.xml"],
+	site_descriptor: ["site.xml"],
+	site_preferences: ["preferences.xml"],
+	slots: ["slots.xml"],
+	sorting_rules: ["sort.xml"],
+	source_codes: ["source-codes.xml"],
+	stores: ["stores.xml"],
+	url_rules: ["url-rules.xml"],
+};
+
+/**
+ * Adds a file entry to a { key: { files, size } } group
+ * @param {object} group - The group to update
+ * @param {string} key - Group key
+ * @param {object} entry - Archive file entry
+ */
+function addToGroup(group, key, entry) {
+	group[key] = group[key] || { files: 0, size: 0 };
+	group[key].files++;
+	group[key].size += entry.size;
+}
+
+/**
+ * Builds the inventory of an archive: sites, catalogs, libraries, meta-data
+ * files and custom object types, with file counts and sizes
+ * @param {object[]} entries - Archive entries from readArchive
+ * @returns {object} The archive inventory
+ */
+export function inspectArchive(entries) {
+	const inventory = {
+		totals: { files: 0, size: 0 },
+		sites: {},
+		meta: {},
+		customObjectTypes: {},
+		global: {},
+	};
+	for (const section of Object.keys(ID_SECTION_FOLDERS)) {
+		inventory[section] = {};
+	}
+	const folderSections = Object.fromEntries(
+		Object.entries(ID_SECTION_FOLDERS).map(([section, folder]) => [
+			folder,
+			section,
+		]),
+	);
+
+	for (const entry of entries) {
+		inventory.totals.files++;
+		inventory.totals.size += entry.size;
+
+		const segments = entry.path.split("/");
+		const [top, second] = segments;
+
+		if (segments.length === 1) {
+			addToGroup(inventory.global, top, entry);
+		} else if (top === "sites") {
+			addToGroup(inventory.sites, second, entry);
+			if (segments[2] === "custom-objects" && segments.length === 4) {
+				addToGroup(
+					inventory.customObjectTypes,
+					segments[3].replace(/\.xml$/, ""),
+					entry,
+				);
+			}
+		} else if (top === "meta") {
+			addToGroup(inventory.meta, segments.slice(1).join("/"), entry);
+		} else if (top === "custom-objects") {
+			addToGroup(
+				inventory.customObjectTypes,
+				second.replace(/\.xml$/, ""),
+				entry,
+			);
+		} else if (folderSections[top]) {
+			addToGroup(
+				inventory[folderSections[top]],
+				second.replace(/\.xml$/, ""),
+				entry,
+			);
+		} else {
+			addToGroup(inventory.global, `${top}/`, entry);
+		}
+	}
+
+	return inventory;
+}
+
+/**
+ * Returns the total size of the entries matching a file or folder path
+ * @param {object[]} entries - Archive entries
+ * @param {string} expectedPath - File path, or folder path ending with a slash
+ * @returns {{files: number, size: number}}
+ */
+function measurePath(entries, expectedPath) {
+	const matching = entries.filter((entry) =>
+		expectedPath.endsWith("/")
+			? entry.path.startsWith(expectedPath)
+			: entry.path === expectedPath,
+	);
+	return {
+		files: matching.length,
+		size: matching.reduce((total, entry) => total + entry.size, 0),
+	};
+}
+
+/**
+ * Checks a measured unit and returns an issue if it is missing or empty
+ * @param {string} unit - Data unit label (e.g. "sites.RefArch.content")
+ * @param {{files: number, size: number}} measure - Measured files
+ * @returns {object|null} The issue, or null if the unit came back with data
+ */
+function checkMeasure(unit, measure) {
+	if (measure.files === 0) {
+		return { unit, status: "missing" };
+	}
+	if (measure.size === 0) {
+		return { unit, status: "empty" };
+	}
+	return null;
+}
+
+/**
+ * Compares an archive with the data units that were requested
+ * Flags units that came back missing or empty; units whose files are not
+ * known are reported as unchecked
+ * @param {object[]} entries - Archive entries from readArchive
+ * @param {object} dataUnits - The filtered data units that were requested
+ * @returns {{issues: object[], unchecked: string[]}}
+ */
+export function compareWithDataUnits(entries, dataUnits) {
+	const issues = [];
+	const unchecked = [];
+
+	const checkPaths = (unit, paths) => {
+		const measures = paths.map((p) => measurePath(entries, p));
+		const issue = checkMeasure(unit, {
+			files: measures.reduce((total, m) => total + m.files, 0),
+			size: measures.reduce((total, m) => total + m.size, 0),
+		});
+		if (issue) issues.push(issue);
+	};
+
+	// Global data
+	for (const unit of Object.keys(dataUnits.global_data || {})) {
+		if (GLOBAL_DATA_PATHS[unit]) {
+			checkPaths(`global_data.${unit}`, GLOBAL_DATA_PATHS[unit]);
+		} else if (unit !== "all") {
+			unchecked.push(`global_data.${unit}`);
+		}
+	}
+
+	// Sites
+	for (const [siteId, siteConfig] of Object.entries(dataUnits.sites || {})) {
+		const siteFolder = `sites/${siteId}/`;
+		const siteIssue = checkMeasure(
+			`sites.${siteId}`,
+			measurePath(entries, siteFolder),
+		);
+		if (siteIssue) {
+			issues.push(siteIssue);
+			continue;
+		}
+
+		if (typeof siteConfig !== "object") continue;
+		for (const unit of Object.keys(siteConfig)) {
+			if (SITE_DATA_PATHS[unit]) {
+				checkPaths(
+					`sites.${siteId}.${unit}`,
+					SITE_DATA_PATHS[unit].map((p) => `${siteFolder}${p}`),
+				);
+			} else if (unit !== "all") {
+				unchecked.push(`sites.${siteId}.${unit}`);
+			}
+		}
+	}
+
+	// Catalogs, price lists, libraries, customer and inventory lists
+	for (const [section, folder] of Object.entries(ID_SECTION_FOLDERS)) {
+		for (const id of Object.keys(dataUnits[section] || {})) {
+			checkPaths(`${section}.${id}`, [
+				`${folder}/${id}/`,
+				`${folder}/${id}.xml`,
+			]);
+		}
+	}
+
+	return { issues, unchecked };
+}
+
+/**
+ * Formats a size in bytes for display
+ * @param {number} size - Size in bytes
+ * @returns {string} Human readable size
+ */
+export function formatSize(size) {
+	if (size < 1024) return `${size} B`;
+	if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+	return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Prints the inventory of an archive
+ * @param {object} inventory - The inventory from inspectArchive
+ */
+export function printInventory(inventory) {
+	const printGroup = (label, group) => {
+		const keys = Object.keys(group).sort();
+		if (keys.length === 0) return;
+		printMessage(chalk.yellow(`\n  ${label}:`));
+		for (const key of keys) {
+			const { files, size } = group[key];
+			printMessage(
+				`    - ${key} ${chalk.gray(`(${files} file${files === 1 ? "" : "s"}, ${formatSize(size)})`)}`,
+			);
+		}
+	};
+
+	printMessage(chalk.cyan("\n🔎 Archive Contents:"));
+	printGroup("Sites", inventory.sites);
+	printGroup("Catalogs", inventory.catalogs);
+	printGroup("Price Lists", inventory.price_lists);
+	printGroup("Libraries", inventory.libraries);
+	printGroup("Customer Lists", inventory.customer_lists);
+	printGroup("Inventory Lists", inventory.inventory_lists);
+	printGroup("Meta Data", inventory.meta);
+	printGroup("Custom Object Types", inventory.customObjectTypes);
+	printGroup("Global Files", inventory.global);
+
+	printMessage(
+		chalk.gray(
+			`\n  Total: ${inventory.totals.files} files, ${formatSize(inventory.totals.size)}\n`,
+		),
+	);
+}
+
+/**
+ * Prints the result of the comparison with the requested data units
+ * @param {{issues: object[], unchecked: string[]}} comparison - Comparison result
+ */
+export function printComparison({ issues, unchecked }) {
+	if (issues.length === 0) {
+		printMessage(
+			chalk.green("✅ Every requested data unit came back with data"),
+		);
+	} else {
+		printMessage(
+			chalk.red(
+				`❌ ${issues.length} requested data unit(s) are not in the archive:`,
+			),
+		);
+		for (const issue of issues) {
+			printMessage(chalk.red(`    - ${issue.unit}: ${issue.status}`));
+		}
+	}
+
+	if (unchecked.length > 0) {
+		printMessage(
+			chalk.gray(
+				`\n   Not verifiable from the archive layout: ${unchecked.join(", ")}`,
+			),
+		);
+	}
+	printMessage("");
+}
@@ -0,0 +1,155 @@
+/**
+ * Online checks of an export configuration against the instance
+ * Lists the sites, catalogs, price books, libraries, customer lists and
+ * inventory lists of the instance and reports the configured IDs it does not
+ * have, with the closest existing ID as a suggestion
+ */
+
+import chalk from "chalk";
+import { ERROR_CODES, SiteNotFoundError } from "./errors.js";
+import { executeB2cCommand } from "./exporter.js";
+import { printMessage } from "./output.js";
+import { findClosestMatch } from "./suggestions.js";
+
+/**
+ * b2c commands listing the IDs of each ID-keyed dataUnits section, with the
+ * singular and plural labels of the IDs
+ */
+export const INSTANCE_ID_LISTS = {
+	sites: { label: "site", plural: "sites", command: ["sites", "list"] },
+	catalogs: {
+		label: "catalog",
+		plural: "catalogs",
+		command: ["catalogs", "list"],
+	},
+	price_lists: {
+		label: "price book",
+		plural: "price books",
+		command: ["price-books", "list"],
+	},
+	libraries: {
+		label: "library",
+		plural: "libraries",
+		command: ["libraries", "list"],
+	},
+	customer_lists: {
+		label: "customer list",
+		plural: "customer lists",
+		command: ["customer-lists", "list"],
+	},
+	inventory_lists: {
+		label: "inventory list",
+		plural: "inventory lists",
+		command: ["inventory-lists", "list"],
+	},
+};
+
+/**
+ * Fetches a list of object IDs from the SFCC instance
+ * @param {string[]} args - b2c command returning a `data` array (e.g. ["sites", "list"])
+ * @param {object} [options] - Execution options (instance, debug)
+ * @returns {Promise<string[]|null>} Array of IDs, or null if they could not be fetched
+ */
+export async function fetchInstanceIds(args, options = {}) {
+	try {
+		const result = await executeB2cCommand(args, options);
+		if (result.code === 0) {
+			const list = JSON.parse(result.stdout);
+			if (list?.data && Array.isArray(list.data)) {
+				return list.data.map((item) => item.id || item.siteId || item);
+			}
+		}
+	} catch {
+		// Failed to fetch IDs
+	}
+	return null;
+}
+
+/**
+ * Checks that every configured ID exists on the instance
+ * A list the instance cannot return is reported as skipped, not as missing
+ * @param {object} dataUnits - The filtered data units
+ * @param {object} [options] - Execution options (instance, debug)
+ * @returns {Promise<{checked: number, missing: object[], skipped: object[]}>}
+ *   Number of IDs found, missing IDs ({ section, id, suggestion }) and the
+ *   sections that could not be checked ({ section, ids })
+ */
+export async function checkInstanceIds(dataUnits, options = {}) {
+	const result = { checked: 0, missing: [], skipped: [] };
+
+	for (const [section, { command }] of Object.entries(INSTANCE_ID_LISTS)) {
+		const ids = Object.keys(dataUnits[section] || {});
+		if (ids.length === 0) {
+			continue;
+		}
+
+		const availableIds = await fetchInstanceIds(command, options);
+		if (!availableIds) {
+			result.skipped.push({ section, ids });
+			continue;
+		}
+
+		for (const id of ids) {
+			if (availableIds.includes(id)) {
+				result.checked++;
+			} else {
+				result.missing.push({
+					section,
+					id,
+					suggestion: findClosestMatch(id, availableIds),
+				});
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Describes a configured ID missing on the instance
+ * @param {object} missing - Missing ID from checkInstanceIds
+ * @returns {string} Human-readable description
+ */
+export function describeMissingId({ section, id, suggestion }) {
+	const label = INSTANCE_ID_LISTS[section].label;
+	return `${label[0].toUpperCase()}${label.slice(1)} "${id}" does not exist on the instance${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`;
+}
+
+/**
+ * Builds the error of configured IDs missing on an instance
+ * @param {object[]} missing - Missing IDs from checkInstanceIds
+ * @param {string|null} [instance] - Instance name from dw.json
+ * @returns {SiteNotFoundError} The error (SITE_NOT_FOUND when only sites are
+ *   missing, ID_NOT_FOUND otherwise)
+ */
+export function createMissingIdsError(missing, instance = null) {
+	const onlySites = missing.every(({ section }) => section === "sites");
+	return new SiteNotFoundError(
+		`${missing.length} configured ID(s) not found on ${instance ? `instance "${instance}"` : "the instance"}: ${missing.map(describeMissingId).join("; ")}`,
+		{
+			code: onlySites ? ERROR_CODES.SITE_NOT_FOUND : ERROR_CODES.ID_NOT_FOUND,
+		},
+	);
+}
+
+/**
+ * Prints the result of an online check
+ * @param {object} check - Result of checkInstanceIds
+ */
+export function printInstanceCheck({ checked, missing, skipped }) {
+	for (const item of missing) {
+		printMessage(chalk.red(`    ✗ ${describeMissingId(item)}`));
+	}
+	for (const { section, ids } of skipped) {
+		printMessage(
+			chalk.yellow(
+				`    ⚠️  Could not list the ${INSTANCE_ID_LISTS[section].plural} of the instance: ${ids.join(", ")} not checked`,
+			),
+		);
+	}
+	if (missing.length === 0) {
+		printMessage(
+			chalk.green(`    ✓ ${checked} configured ID(s) found on the instance`),
+		);
+	}
+}
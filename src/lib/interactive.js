@@ -2,113 +2,208 @@
  * Interactive CLI prompts for SFCC Site Exporter
  */
 
-import { checkbox, confirm, input } from "@inquirer/prompts";
+import { checkbox, confirm, input, select } from "@inquirer/prompts";
 import chalk from "chalk";
-import { globalDataOptions, siteDataOptions } from "./config.js";
-import { executeB2cCommand } from "./exporter.js";
+import {
+	findSensitiveDataUnits,
+	GLOBAL_DATA_DESCRIPTIONS,
+	globalDataOptions,
+	SENSITIVE_DATA_UNITS,
+	SITE_DATA_DESCRIPTIONS,
+	siteDataOptions,
+} from "./config.js";
+import { fetchInstanceIds } from "./instance-check.js";
+import { printMessage } from "./output.js";
+import {
+	describePresetDataUnits,
+	getPreset,
+	PRESET_WILDCARD,
+} from "./presets.js";
 
 /**
- * Descriptions for global data units
+ * Fetches available sites from the SFCC instance
+ * @returns {Promise<string[]>} Array of site IDs
  */
-const GLOBAL_DATA_DESCRIPTIONS = {
-	access_roles: "User access roles and permissions",
-	all: "Export all global data",
-	csc_settings: "Customer Service Center settings",
-	csrf_whitelists: "CSRF whitelist configurations",
-	custom_preference_groups: "Custom preference group definitions",
-	custom_quota_settings: "Custom quota configurations",
-	custom_types: "Custom object type definitions",
-	geolocations: "Geolocation data",
-	global_custom_objects: "Global custom object instances",
-	job_schedules: "Job schedule configurations",
-	job_schedules_deprecated: "Deprecated job schedules",
-	locales: "Locale configurations",
-	meta_data: "System and custom object metadata",
-	oauth_providers: "OAuth provider configurations",
-	ocapi_settings: "Global OCAPI settings",
-	page_meta_tags: "Page meta tag definitions",
-	preferences: "Global system preferences",
-	price_adjustment_limits: "Price adjustment limit settings",
-	services: "Service configurations",
-	sorting_rules: "Global sorting rules",
-	static_resources: "Static resource files",
-	system_type_definitions: "System type definitions",
-	users: "Business Manager users",
-	webdav_client_permissions: "WebDAV client permission settings",
-};
+async function fetchAvailableSites() {
+	return fetchInstanceIds(["sites", "list"]);
+}
 
 /**
- * Descriptions for site data units
+ * Tag shown next to the data units that can contain credentials or personal
+ * data
+ * @param {string} unit - Data unit name
+ * @returns {string} The tag, or an empty string
  */
-const SITE_DATA_DESCRIPTIONS = {
-	all: "Export all site data",
-	ab_tests: "A/B test configurations",
-	active_data_feeds: "Active data feed configurations",
-	cache_settings: "Page cache settings",
-	campaigns_and_promotions: "Campaigns and promotion definitions",
-	content: "Content assets and folders",
-	coupons: "Coupon definitions",
-	custom_objects: "Site-specific custom objects",
-	customer_cdn_settings: "Customer CDN configurations",
-	customer_groups: "Customer group definitions",
-	distributed_commerce_extensions: "Distributed commerce extensions",
-	dynamic_file_resources: "Dynamic file resources",
-	gift_certificates: "Gift certificate configurations",
-	ocapi_settings: "Site-specific OCAPI settings",
-	payment_methods: "Payment method configurations",
-	payment_processors: "Payment processor configurations",
-	redirect_urls: "URL redirect rules",
-	search_settings: "Search configuration settings",
-	shipping: "Shipping method configurations",
-	site_descriptor: "Site descriptor settings",
-	site_preferences: "Site preference values",
-	sitemap_settings: "Sitemap configurations",
-	slots: "Content slot configurations",
-	sorting_rules: "Product sorting rules",
-	source_codes: "Source code definitions",
-	static_dynamic_alias_mappings: "Static/dynamic alias mappings",
-	stores: "Store locator data",
-	tax: "Tax configurations",
-	url_rules: "URL rewrite rules",
-};
+function sensitiveTag(unit) {
+	return SENSITIVE_DATA_UNITS[unit]
+		? chalk.red(` ⚠ sensitive: ${SENSITIVE_DATA_UNITS[unit]}`)
+		: "";
+}
 
 /**
- * Fetches available sites from the SFCC instance
- * @returns {Promise<string[]>} Array of site IDs
+ * Checks whether a preset selects an ID; "*" selects every ID
+ * @param {object} [section] - ID-keyed section of the preset data units
+ * @param {string} id - The ID
+ * @returns {boolean} True if preselected
  */
-async function fetchAvailableSites() {
-	try {
-		const result = await executeB2cCommand(["sites", "list"], {});
-		if (result.code === 0) {
-			const sites = JSON.parse(result.stdout);
-			if (sites?.data && Array.isArray(sites.data)) {
-				return sites.data.map((s) => s.id || s.siteId || s);
-			}
+function isPreselected(section, id) {
+	return Boolean(section?.[PRESET_WILDCARD] || section?.[id]);
+}
+
+/**
+ * Lists the IDs a preset names explicitly (not "*"), as the default of
+ * manual entry
+ * @param {object} [section] - ID-keyed section of the preset data units
+ * @returns {string} Comma-separated IDs
+ */
+function explicitIds(section) {
+	return Object.keys(section || {})
+		.filter((id) => id !== PRESET_WILDCARD && section[id])
+		.join(", ");
+}
+
+/**
+ * Lists the site data units a preset selects, for any of its sites
+ * @param {object} [sites] - Sites of the preset data units
+ * @returns {Set<string>|null} Unit names, or null when a site exports all
+ *   its data
+ */
+function getPresetSiteUnits(sites) {
+	const units = new Set();
+	for (const siteUnits of Object.values(sites || {})) {
+		if (siteUnits === true || siteUnits?.all) {
+			return null;
 		}
-	} catch {
-		// Failed to fetch sites
+		for (const [unit, enabled] of Object.entries(siteUnits || {})) {
+			if (enabled) units.add(unit);
+		}
+	}
+	return units;
+}
+
+/**
+ * Prompts for the preset the wizard starts from
+ * @param {object} presets - Presets from loadPresets
+ * @returns {Promise<object|null>} The preset, or null to start from scratch
+ */
+async function promptPreset(presets) {
+	const name = await select({
+		message: "Start from a preset?",
+		choices: [
+			{ name: "No preset - select everything by hand", value: null },
+			...Object.entries(presets).map(([presetName, preset]) => ({
+				name: `${presetName} ${chalk.gray(`- ${preset.description}`)}`,
+				value: presetName,
+				description: describePresetDataUnits(preset.dataUnits).join("\n"),
+			})),
+		],
+		pageSize: 10,
+		loop: false,
+	});
+	return name ? getPreset(presets, name) : null;
+}
+
+/**
+ * Prompts for a set of IDs for an ID-keyed data unit (catalogs, libraries...)
+ * Lists the IDs found on the instance, or falls back to manual entry
+ * @param {object} options - Prompt options
+ * @param {string} options.label - Plural label shown to the user (e.g. "catalogs")
+ * @param {string[]} options.command - b2c command listing the IDs on the instance
+ * @param {string} [options.unit] - Data unit name, to tag sensitive units
+ * @param {object} [options.preselected] - Section of the preset data units,
+ *   whose IDs are preselected
+ * @returns {Promise<object>} Selected IDs as { id: true }
+ */
+async function promptIdSelection({ label, command, unit, preselected }) {
+	const wanted = await confirm({
+		message: `Export ${label}?${sensitiveTag(unit)}`,
+		default: Object.values(preselected || {}).some(Boolean),
+	});
+
+	if (!wanted) {
+		return {};
+	}
+
+	printMessage(chalk.gray(`Fetching ${label} from instance...`));
+	const availableIds = await fetchInstanceIds(command);
+
+	let selectedIds = [];
+
+	if (availableIds && availableIds.length > 0) {
+		printMessage(chalk.green(`Found ${availableIds.length} ${label}\n`));
+		selectedIds = await checkbox({
+			message: `Select ${label} to export:`,
+			choices: availableIds.map((id) => ({
+				name: id,
+				value: id,
+				checked: isPreselected(preselected, id),
+			})),
+			pageSize: 15,
+			loop: false,
+		});
+	} else {
+		printMessage(
+			chalk.yellow(`Could not fetch ${label}. You can enter them manually.\n`),
+		);
+		const idsInput = await input({
+			message: `Enter ${label} IDs (comma-separated, empty to skip):`,
+			default: explicitIds(preselected),
+		});
+		selectedIds = idsInput
+			.split(",")
+			.map((id) => id.trim())
+			.filter(Boolean);
+	}
+
+	const selection = {};
+	for (const id of selectedIds) {
+		selection[id] = true;
 	}
-	return null;
+	return selection;
 }
 
 /**
  * Runs the interactive export configuration wizard
+ * @param {object} [options] - Wizard options
+ * @param {object} [options.presets] - Presets from loadPresets, offered as
+ *   the first step
+ * @param {object|null} [options.preset] - Preset to start from (from
+ *   getPreset), instead of asking for one
  * @returns {Promise<object>} Export configuration object
  */
-export async function runInteractivePrompts() {
-	console.log(chalk.cyan("\n📋 Interactive Export Configuration\n"));
+export async function runInteractivePrompts({ presets, preset } = {}) {
+	printMessage(chalk.cyan("\n📋 Interactive Export Configuration\n"));
+
+	// Step 1: Preset, whose data units are preselected in the next steps
+	printMessage(chalk.yellow("Step 1: Preset"));
+	const startPreset = preset || (presets ? await promptPreset(presets) : null);
+	if (startPreset) {
+		printMessage(
+			chalk.gray(
+				`Starting from preset ${chalk.cyan(startPreset.name)}; change the selection as needed:`,
+			),
+		);
+		for (const line of describePresetDataUnits(startPreset.dataUnits)) {
+			printMessage(chalk.gray(`  - ${line}`));
+		}
+	}
+	const preselected = startPreset?.dataUnits || {};
+	const preselectedSiteUnits = getPresetSiteUnits(preselected.sites);
 
-	// Step 1: Global Data Selection
-	console.log(chalk.yellow("Step 1: Global Data"));
-	console.log(
+	// Step 2: Global Data Selection
+	printMessage(chalk.yellow("\nStep 2: Global Data"));
+	printMessage(
 		chalk.gray("Select global data units to export (affects all sites)\n"),
 	);
 
 	const globalDataChoices = globalDataOptions
 		.filter((key) => key !== "all") // Exclude 'all' for more granular control
 		.map((key) => ({
-			name: `${key} ${chalk.gray(`- ${GLOBAL_DATA_DESCRIPTIONS[key] || ""}`)}`,
+			name: `${key} ${chalk.gray(`- ${GLOBAL_DATA_DESCRIPTIONS[key] || ""}`)}${sensitiveTag(key)}`,
 			value: key,
+			checked: Boolean(
+				preselected.global_data?.all || preselected.global_data?.[key],
+			),
 		}));
 
 	const selectedGlobalData = await checkbox({
@@ -118,8 +213,8 @@ export async function runInteractivePrompts() {
 		loop: false,
 	});
 
-	// Step 2: Sites Selection
-	console.log(chalk.yellow("\nStep 2: Sites"));
+	// Step 3: Sites Selection
+	printMessage(chalk.yellow("\nStep 3: Sites"));
 
 	// Try to fetch available sites
 	const fetchSites = await confirm({
@@ -129,12 +224,12 @@ export async function runInteractivePrompts() {
 
 	let availableSites = null;
 	if (fetchSites) {
-		console.log(chalk.gray("Fetching sites from instance..."));
+		printMessage(chalk.gray("Fetching sites from instance..."));
 		availableSites = await fetchAvailableSites();
 		if (availableSites && availableSites.length > 0) {
-			console.log(chalk.green(`Found ${availableSites.length} sites\n`));
+			printMessage(chalk.green(`Found ${availableSites.length} sites\n`));
 		} else {
-			console.log(
+			printMessage(
 				chalk.yellow("Could not fetch sites. You can enter them manually.\n"),
 			);
 		}
@@ -145,13 +240,18 @@ export async function runInteractivePrompts() {
 	if (availableSites && availableSites.length > 0) {
 		selectedSites = await checkbox({
 			message: "Select sites to export:",
-			choices: availableSites.map((site) => ({ name: site, value: site })),
+			choices: availableSites.map((site) => ({
+				name: site,
+				value: site,
+				checked: isPreselected(preselected.sites, site),
+			})),
 			pageSize: 15,
 			loop: false,
 		});
 	} else {
 		const sitesInput = await input({
 			message: "Enter site IDs (comma-separated):",
+			default: explicitIds(preselected.sites),
 			validate: (value) =>
 				value.trim().length > 0 ? true : "Please enter at least one site ID",
 		});
@@ -161,11 +261,11 @@ export async function runInteractivePrompts() {
 			.filter(Boolean);
 	}
 
-	// Step 3: Site Data Selection
+	// Step 4: Site Data Selection
 	const siteDataConfig = {};
 
 	if (selectedSites.length > 0) {
-		console.log(chalk.yellow("\nStep 3: Site Data Units"));
+		printMessage(chalk.yellow("\nStep 4: Site Data Units"));
 
 		const sameDataForAll =
 			selectedSites.length > 1
@@ -180,10 +280,13 @@ export async function runInteractivePrompts() {
 			.map((key) => ({
 				name: `${key} ${chalk.gray(`- ${SITE_DATA_DESCRIPTIONS[key] || ""}`)}`,
 				value: key,
+				checked: !preselectedSiteUnits || preselectedSiteUnits.has(key),
 			}));
 
 		if (sameDataForAll) {
-			console.log(chalk.gray("\nSelect data units to export for all sites:\n"));
+			printMessage(
+				chalk.gray("\nSelect data units to export for all sites:\n"),
+			);
 			const selectedSiteData = await checkbox({
 				message: "Site data units:",
 				choices: siteDataChoices,
@@ -198,7 +301,7 @@ export async function runInteractivePrompts() {
 		} else {
 			// Configure each site individually
 			for (const site of selectedSites) {
-				console.log(chalk.cyan(`\nConfiguring site: ${site}`));
+				printMessage(chalk.cyan(`\nConfiguring site: ${site}`));
 				const selectedSiteData = await checkbox({
 					message: `Data units for ${site}:`,
 					choices: siteDataChoices,
@@ -210,8 +313,42 @@ export async function runInteractivePrompts() {
 		}
 	}
 
-	// Step 4: Output Options
-	console.log(chalk.yellow("\nStep 4: Output Options"));
+	// Step 5: Catalogs, Price Lists, Libraries, Customer and Inventory Lists
+	printMessage(
+		chalk.yellow(
+			"\nStep 5: Catalogs, Price Lists, Libraries, Customer and Inventory Lists",
+		),
+	);
+
+	const catalogs = await promptIdSelection({
+		label: "catalogs",
+		preselected: preselected.catalogs,
+		command: ["catalogs", "list"],
+	});
+	const priceLists = await promptIdSelection({
+		label: "price lists",
+		preselected: preselected.price_lists,
+		command: ["price-books", "list"],
+	});
+	const libraries = await promptIdSelection({
+		label: "libraries",
+		preselected: preselected.libraries,
+		command: ["libraries", "list"],
+	});
+	const customerLists = await promptIdSelection({
+		label: "customer lists",
+		command: ["customer-lists", "list"],
+		unit: "customer_lists",
+		preselected: preselected.customer_lists,
+	});
+	const inventoryLists = await promptIdSelection({
+		label: "inventory lists",
+		command: ["inventory-lists", "list"],
+		preselected: preselected.inventory_lists,
+	});
+
+	// Step 6: Output Options
+	printMessage(chalk.yellow("\nStep 6: Output Options"));
 
 	const outputDir = await input({
 		message: "Output directory:",
@@ -237,6 +374,14 @@ export async function runInteractivePrompts() {
 		sites: {},
 	};
 
+	if (Object.keys(catalogs).length > 0) config.catalogs = catalogs;
+	if (Object.keys(priceLists).length > 0) config.price_lists = priceLists;
+	if (Object.keys(libraries).length > 0) config.libraries = libraries;
+	if (Object.keys(customerLists).length > 0)
+		config.customer_lists = customerLists;
+	if (Object.keys(inventoryLists).length > 0)
+		config.inventory_lists = inventoryLists;
+
 	// Set global data
 	for (const unit of selectedGlobalData) {
 		config.global_data[unit] = true;
@@ -250,6 +395,26 @@ export async function runInteractivePrompts() {
 		}
 	}
 
+	// Sensitive units are always scanned; offer to redact what is found
+	const sensitiveUnits = findSensitiveDataUnits(config);
+	if (sensitiveUnits.length > 0) {
+		printMessage(
+			chalk.red(
+				`\n⚠️  ${sensitiveUnits.join(", ")} can contain credentials or personal data`,
+			),
+		);
+		printMessage(
+			chalk.gray(
+				"The downloaded archive is scanned for secrets and personal data\n",
+			),
+		);
+		const redact = await confirm({
+			message: "Redact the values found in the archive?",
+			default: true,
+		});
+		config.scan = { policy: redact ? "redact" : "report" };
+	}
+
 	// Ask to save config
 	const saveConfig = await confirm({
 		message: "Save this configuration to a file for future use?",
@@ -272,38 +437,48 @@ export async function runInteractivePrompts() {
  * @param {object} config - The configuration object
  */
 export function displayInteractiveSummary(config) {
-	console.log(chalk.cyan("\n📦 Export Configuration Summary:\n"));
+	printMessage(chalk.cyan("\n📦 Export Configuration Summary:\n"));
 
 	const globalUnits = Object.keys(config.global_data || {}).filter(
 		(k) => config.global_data[k],
 	);
 	if (globalUnits.length > 0) {
-		console.log(chalk.white("  Global Data:"));
+		printMessage(chalk.white("  Global Data:"));
 		for (const unit of globalUnits) {
-			console.log(chalk.gray(`    - ${unit}`));
+			printMessage(chalk.gray(`    - ${unit}`));
 		}
 	}
 
 	const sites = Object.keys(config.sites || {});
 	if (sites.length > 0) {
-		console.log(chalk.white("\n  Sites:"));
+		printMessage(chalk.white("\n  Sites:"));
 		for (const site of sites) {
-			console.log(chalk.cyan(`    ${site}:`));
+			printMessage(chalk.cyan(`    ${site}:`));
 			const siteUnits = Object.keys(config.sites[site]).filter(
 				(k) => config.sites[site][k],
 			);
 			for (const unit of siteUnits) {
-				console.log(chalk.gray(`      - ${unit}`));
+				printMessage(chalk.gray(`      - ${unit}`));
 			}
 		}
 	}
 
-	if (config.inventory_lists?.length) {
-		console.log(
-			chalk.white("  Inventory Lists:"),
-			config.inventory_lists.join(", "),
-		);
+	const idSections = [
+		["catalogs", "Catalogs"],
+		["price_lists", "Price Lists"],
+		["libraries", "Libraries"],
+		["customer_lists", "Customer Lists"],
+		["inventory_lists", "Inventory Lists"],
+	];
+	for (const [key, label] of idSections) {
+		const ids = Object.keys(config[key] || {}).filter((id) => config[key][id]);
+		if (ids.length > 0) {
+			printMessage(chalk.white(`\n  ${label}:`));
+			for (const id of ids) {
+				printMessage(chalk.gray(`    - ${id}`));
+			}
+		}
 	}
 
-	console.log("");
+	printMessage("");
 }
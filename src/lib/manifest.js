@@ -0,0 +1,192 @@
+/**
+ * Export run manifest
+ * Writes and reads the machine-readable manifest stored next to each archive
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import { ERROR_CODES, FileError } from "./errors.js";
+import { printMessage } from "./output.js";
+
+/**
+ * Version of the manifest format
+ */
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Suffix appended to the archive name to build the manifest file name
+ */
+export const MANIFEST_SUFFIX = ".manifest.json";
+
+/**
+ * Computes the SHA-256 hash of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string} Hex encoded hash
+ */
+export function hashFile(filePath) {
+	return crypto
+		.createHash("sha256")
+		.update(fs.readFileSync(filePath))
+		.digest("hex");
+}
+
+/**
+ * Returns the manifest path of an archive
+ * For `exports/foo.zip` or the extracted folder `exports/foo`, the manifest is
+ * `exports/foo.manifest.json`
+ * @param {string} archivePath - Path to the archive (zip file or folder)
+ * @returns {string} Path to the manifest file
+ */
+export function getManifestPath(archivePath) {
+	const absolutePath = path.resolve(archivePath);
+	if (absolutePath.endsWith(MANIFEST_SUFFIX)) {
+		return absolutePath;
+	}
+	const baseName = path.basename(absolutePath, ".zip");
+	return path.join(path.dirname(absolutePath), `${baseName}${MANIFEST_SUFFIX}`);
+}
+
+/**
+ * Builds the manifest of an export run
+ * @param {object} run - Export run details
+ * @param {object} run.dataUnits - The resolved data units that were exported
+ * @param {object} run.instanceInfo - Instance info from getInstanceInfo
+ * @param {string|null} run.instance - Instance name from dw.json
+ * @param {string|null} run.configPath - Path of the export configuration file
+ * @param {string|null} [run.configProfile] - Profile applied to the configuration
+ * @param {string|null} [run.configPreset] - Preset replacing the data units of
+ *   the configuration
+ * @param {string|null} run.b2cCliVersion - Version of the b2c CLI
+ * @param {number} run.startTime - Start of the export job (ms since epoch)
+ * @param {number} run.endTime - End of the export job (ms since epoch)
+ * @param {object} run.result - Result of executeSiteExportWithRetry
+ * @param {object|null} [run.transform] - Report of transformArchive, if the
+ *   archive was transformed
+ * @param {object|null} [run.scan] - Report of scanArchive, if the archive was
+ *   scanned
+ * @returns {object} The manifest
+ */
+export function buildManifest(run) {
+	const configPath = run.configPath ? path.resolve(run.configPath) : null;
+
+	return {
+		manifestVersion: MANIFEST_VERSION,
+		archive: {
+			fileName: path.basename(run.result.localPath),
+			instanceFileName: run.result.archiveFilename || null,
+		},
+		instance: {
+			name: run.instance || null,
+			hostname: run.instanceInfo.hostname,
+			codeVersion: run.instanceInfo.codeVersion || null,
+		},
+		config: {
+			path: configPath,
+			sha256:
+				configPath && fs.existsSync(configPath) ? hashFile(configPath) : null,
+			profile: run.configProfile || null,
+			preset: run.configPreset || null,
+		},
+		b2cCliVersion: run.b2cCliVersion || null,
+		startedAt: new Date(run.startTime).toISOString(),
+		finishedAt: new Date(run.endTime).toISOString(),
+		durationMs: run.endTime - run.startTime,
+		attempts: run.result.attempts || 1,
+		resumed: Boolean(run.result.resumed),
+		dataUnits: run.dataUnits,
+		transform: run.transform || null,
+		scan: run.scan || null,
+	};
+}
+
+/**
+ * Writes the manifest next to the archive
+ * @param {string} archivePath - Path to the archive (zip file or folder)
+ * @param {object} manifest - The manifest to write
+ * @returns {string} Path to the written manifest
+ */
+export function writeManifest(archivePath, manifest) {
+	const manifestPath = getManifestPath(archivePath);
+	fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf8");
+	return manifestPath;
+}
+
+/**
+ * Reads the manifest of an archive
+ * @param {string} archivePath - Path to the archive, or to the manifest itself
+ * @returns {{path: string, manifest: object}} The manifest and its path
+ */
+export function readManifest(archivePath) {
+	const manifestPath = getManifestPath(archivePath);
+
+	if (!fs.existsSync(manifestPath)) {
+		throw new FileError(`No manifest found for archive: ${manifestPath}`, {
+			code: ERROR_CODES.MANIFEST_NOT_FOUND,
+		});
+	}
+
+	try {
+		const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+		return { path: manifestPath, manifest };
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			throw new FileError(`Invalid JSON in manifest file: ${error.message}`, {
+				code: ERROR_CODES.MANIFEST_INVALID,
+			});
+		}
+		throw error;
+	}
+}
+
+/**
+ * Prints a human-readable view of a manifest
+ * @param {object} manifest - The manifest to print
+ */
+export function printManifest(manifest) {
+	const row = (label, value) =>
+		printMessage(`  ${chalk.yellow(label.padEnd(14))} ${value ?? "-"}`);
+
+	printMessage(chalk.cyan("\n🧾 Export Manifest:\n"));
+	row("Archive", manifest.archive?.fileName);
+	if (manifest.archive?.instanceFileName) {
+		row("Instance file", manifest.archive.instanceFileName);
+	}
+	row("Instance", manifest.instance?.name || "default");
+	row("Hostname", manifest.instance?.hostname);
+	row("Code version", manifest.instance?.codeVersion);
+	row(
+		"Config",
+		manifest.config?.path || (manifest.config?.preset ? "none" : "interactive"),
+	);
+	row("Config SHA-256", manifest.config?.sha256);
+	if (manifest.config?.profile) {
+		row("Config profile", manifest.config.profile);
+	}
+	if (manifest.config?.preset) {
+		row("Preset", manifest.config.preset);
+	}
+	row("b2c CLI", manifest.b2cCliVersion);
+	row("Started", manifest.startedAt);
+	row("Finished", manifest.finishedAt);
+	row("Duration", `${(manifest.durationMs / 1000).toFixed(1)}s`);
+	if (manifest.attempts > 1) {
+		row(
+			"Attempts",
+			`${manifest.attempts}${manifest.resumed ? " (download resumed)" : ""}`,
+		);
+	}
+	if (manifest.transform) {
+		row(
+			"Transform",
+			`${manifest.transform.changes.length} change(s) in ${manifest.transform.files} file(s) by ${manifest.transform.rules} rule(s)`,
+		);
+	}
+	if (manifest.scan) {
+		row(
+			"Secret scan",
+			`${manifest.scan.secrets} secret(s), ${manifest.scan.personal} personal data value(s) (${manifest.scan.policy === "redact" ? "redacted" : "reported"})`,
+		);
+	}
+}
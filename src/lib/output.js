@@ -0,0 +1,158 @@
+/**
+ * Output modes - human-readable text, a single JSON result (--json) or
+ * NDJSON progress events (--ndjson)
+ *
+ * In the machine-readable modes, stdout only carries JSON: human-readable
+ * messages are written to stderr without colors, and spinners are silent.
+ */
+
+import chalk from "chalk";
+import ora from "ora";
+import { toExporterError } from "./errors.js";
+
+let outputMode = "text";
+
+/**
+ * Selects the output mode from the global CLI options
+ * @param {object} options - Global options
+ * @param {boolean} [options.json] - Print a single JSON result
+ * @param {boolean} [options.ndjson] - Print NDJSON progress events
+ */
+export function configureOutput({ json = false, ndjson = false } = {}) {
+	outputMode = ndjson ? "ndjson" : json ? "json" : "text";
+
+	if (isMachineOutput()) {
+		chalk.level = 0;
+	}
+}
+
+/**
+ * Returns the current output mode
+ * @returns {"text"|"json"|"ndjson"} The output mode
+ */
+export function getOutputMode() {
+	return outputMode;
+}
+
+/**
+ * Checks whether the output is machine-readable (--json or --ndjson)
+ * @returns {boolean} True in the JSON and NDJSON modes
+ */
+export function isMachineOutput() {
+	return outputMode !== "text";
+}
+
+/**
+ * Prints a human-readable message, like console.log
+ * In the machine-readable modes the message goes to stderr, keeping stdout
+ * for JSON
+ * @param {...*} args - Values to print
+ */
+export function printMessage(...args) {
+	if (isMachineOutput()) {
+		console.error(...args);
+	} else {
+		console.log(...args);
+	}
+}
+
+/**
+ * Prints the error message of a failed command to stderr (text mode only:
+ * the JSON modes report the error through exitWithError)
+ * @param {...*} args - Values to print
+ */
+export function printError(...args) {
+	if (!isMachineOutput()) {
+		console.error(...args);
+	}
+}
+
+/**
+ * Creates a spinner that only animates on a terminal and stays silent in the
+ * machine-readable modes
+ * @returns {object} The ora spinner
+ */
+export function createSpinner() {
+	return ora({
+		isEnabled: Boolean(process.stdout.isTTY && process.stderr.isTTY),
+		isSilent: isMachineOutput(),
+	});
+}
+
+/**
+ * Writes a JSON value to stdout
+ * @param {object} value - The value to write
+ * @param {boolean} [pretty] - Indent the JSON instead of writing one line
+ */
+function writeJson(value, pretty = false) {
+	process.stdout.write(`${JSON.stringify(value, null, pretty ? 2 : 0)}\n`);
+}
+
+/**
+ * Emits a typed progress event (NDJSON mode only)
+ * @param {string} type - Event type (cli-check, config-loaded, job-started...)
+ * @param {object} [data] - Event data
+ */
+export function emitEvent(type, data = {}) {
+	if (outputMode === "ndjson") {
+		writeJson({ type, timestamp: new Date().toISOString(), ...data });
+	}
+}
+
+/**
+ * Prints the final result of a command (JSON and NDJSON modes only)
+ * @param {string} command - Command name
+ * @param {object} result - Result data
+ * @param {boolean} [success] - Whether the command succeeded
+ */
+export function printResult(command, result, success = true) {
+	const value = { command, success, ...result };
+	if (outputMode === "json") {
+		writeJson(value, true);
+	} else if (outputMode === "ndjson") {
+		writeJson({
+			type: "result",
+			timestamp: new Date().toISOString(),
+			...value,
+		});
+	}
+}
+
+/**
+ * Reports a failed command and exits with the exit code of the error
+ * Text mode callers print their own message; the JSON modes print the error
+ * with its stable code
+ * @param {string} command - Command name
+ * @param {Error} error - The error
+ */
+export function exitWithError(command, error) {
+	const exporterError = toExporterError(error);
+	const failure = {
+		command,
+		success: false,
+		error: {
+			code: exporterError.code,
+			message: exporterError.message,
+			exitCode: exporterError.exitCode,
+			retryable: exporterError.retryable,
+			...(exporterError.archiveFilename && {
+				archiveFilename: exporterError.archiveFilename,
+			}),
+			// Failed step of a multi-step command (sync) and the archive it kept
+			...(exporterError.step && { step: exporterError.step }),
+			...(exporterError.localPath && { localPath: exporterError.localPath }),
+		},
+	};
+
+	if (outputMode === "json") {
+		writeJson(failure, true);
+	} else if (outputMode === "ndjson") {
+		writeJson({
+			type: "error",
+			timestamp: new Date().toISOString(),
+			...failure,
+		});
+	}
+
+	process.exit(exporterError.exitCode);
+}
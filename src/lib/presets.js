@@ -0,0 +1,328 @@
+/**
+ * Export presets - named data unit selections for common scenarios
+ * Built-in presets cover a sandbox configuration, a merchandising snapshot
+ * and a full backup; user presets are read from a presets file (JSON, JSONC
+ * or YAML) and win over built-in presets of the same name
+ * In a preset, the "*" ID of an ID-keyed section (sites, catalogs...) stands
+ * for every ID of the instance, listed when the preset is applied
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import { SENSITIVE_DATA_UNITS } from "./config.js";
+import {
+	CONFIG_FORMATS,
+	getConfigFormat,
+	parseConfigText,
+} from "./config-format.js";
+import { ConfigError, ERROR_CODES } from "./errors.js";
+import { fetchInstanceIds, INSTANCE_ID_LISTS } from "./instance-check.js";
+import { printMessage } from "./output.js";
+import { buildConfigSchema, toJsonPath, validateSchema } from "./schema.js";
+import { findClosestMatch } from "./suggestions.js";
+
+/**
+ * ID standing for every ID of the instance
+ */
+export const PRESET_WILDCARD = "*";
+
+/**
+ * Presets file read when --presets is not given (optional)
+ */
+export const DEFAULT_PRESETS_FILE = "./export-presets.json";
+
+/**
+ * Built-in presets
+ */
+export const BUILT_IN_PRESETS = {
+	"sandbox-config": {
+		description: "Code-adjacent configuration for a new sandbox",
+		dataUnits: {
+			global_data: {
+				meta_data: true,
+				custom_types: true,
+				services: true,
+				job_schedules: true,
+			},
+			sites: { [PRESET_WILDCARD]: { site_preferences: true } },
+		},
+	},
+	merchandising: {
+		description:
+			"Merchandising snapshot: catalogs, price books, inventory, promotions, slots and sorting rules",
+		dataUnits: {
+			sites: {
+				[PRESET_WILDCARD]: {
+					campaigns_and_promotions: true,
+					coupons: true,
+					slots: true,
+					sorting_rules: true,
+					search_settings: true,
+				},
+			},
+			catalogs: { [PRESET_WILDCARD]: true },
+			price_lists: { [PRESET_WILDCARD]: true },
+			inventory_lists: { [PRESET_WILDCARD]: true },
+		},
+	},
+	"full-backup": {
+		description:
+			"Every global and site data unit, with all catalogs, price books, libraries, customer lists and inventory lists",
+		dataUnits: {
+			global_data: { all: true },
+			sites: { [PRESET_WILDCARD]: true },
+			catalogs: { [PRESET_WILDCARD]: true },
+			price_lists: { [PRESET_WILDCARD]: true },
+			libraries: { [PRESET_WILDCARD]: true },
+			customer_lists: { [PRESET_WILDCARD]: true },
+			inventory_lists: { [PRESET_WILDCARD]: true },
+		},
+	},
+};
+
+/**
+ * Reads the presets of a presets file
+ * The file holds the presets by name: { "name": { "description", "dataUnits" } }
+ * @param {string} absolutePath - Absolute path of the file
+ * @returns {object} The presets, by name
+ */
+function readPresetsFile(absolutePath) {
+	const relativePath = path.relative(process.cwd(), absolutePath);
+	const displayPath = relativePath.startsWith("..")
+		? absolutePath
+		: relativePath;
+	const format = getConfigFormat(absolutePath);
+	let content;
+	try {
+		content = parseConfigText(fs.readFileSync(absolutePath, "utf8"), format);
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			throw new ConfigError(
+				`Invalid ${CONFIG_FORMATS[format].label} in presets file ${displayPath}: ${error.message}`,
+			);
+		}
+		throw error;
+	}
+
+	const schema = buildConfigSchema();
+	const errors = [];
+	if (
+		typeof content !== "object" ||
+		content === null ||
+		Array.isArray(content)
+	) {
+		errors.push(`must contain a ${CONFIG_FORMATS[format].label} object`);
+	} else {
+		for (const [name, preset] of Object.entries(content)) {
+			if (typeof preset !== "object" || preset === null) {
+				errors.push(`${toJsonPath([name])}: must be an object`);
+				continue;
+			}
+			if (
+				preset.description !== undefined &&
+				typeof preset.description !== "string"
+			) {
+				errors.push(`${toJsonPath([name, "description"])}: must be a string`);
+			}
+			if (preset.dataUnits === undefined) {
+				errors.push(`${toJsonPath([name])}: Missing required key "dataUnits"`);
+				continue;
+			}
+			for (const error of validateSchema(
+				preset.dataUnits,
+				schema.properties.dataUnits,
+				schema,
+				[name, "dataUnits"],
+			)) {
+				errors.push(`${toJsonPath(error.path)}: ${error.message}`);
+			}
+		}
+	}
+
+	if (errors.length > 0) {
+		throw new ConfigError(
+			`Invalid presets file ${displayPath}:\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+		);
+	}
+	return content;
+}
+
+/**
+ * Lists the built-in presets and the presets of a presets file
+ * @param {string} [presetsPath] - Presets file; without it, the default
+ *   presets file is read if it exists
+ * @returns {object} Presets by name, each with its description, data units
+ *   and source ("built-in" or the presets file path)
+ */
+export function loadPresets(presetsPath) {
+	const presets = Object.fromEntries(
+		Object.entries(BUILT_IN_PRESETS).map(([name, preset]) => [
+			name,
+			{ ...preset, source: "built-in" },
+		]),
+	);
+
+	const absolutePath = path.resolve(presetsPath || DEFAULT_PRESETS_FILE);
+	if (!fs.existsSync(absolutePath)) {
+		if (presetsPath) {
+			throw new ConfigError(`Presets file not found: ${absolutePath}`, {
+				code: ERROR_CODES.CONFIG_NOT_FOUND,
+			});
+		}
+		return presets;
+	}
+
+	for (const [name, preset] of Object.entries(readPresetsFile(absolutePath))) {
+		presets[name] = {
+			description: preset.description || "",
+			dataUnits: preset.dataUnits,
+			source: absolutePath,
+		};
+	}
+	return presets;
+}
+
+/**
+ * Looks a preset up by name
+ * @param {object} presets - Presets from loadPresets
+ * @param {string} name - Preset name
+ * @returns {object} The preset, with its name
+ */
+export function getPreset(presets, name) {
+	if (!presets[name]) {
+		const names = Object.keys(presets);
+		const suggestion = findClosestMatch(name, names);
+		throw new ConfigError(
+			`Unknown preset "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}. Available presets: ${names.join(", ")}`,
+			{ code: ERROR_CODES.INVALID_OPTIONS },
+		);
+	}
+	return { name, ...presets[name] };
+}
+
+/**
+ * Lists the ID-keyed sections of data units holding the "*" ID
+ * @param {object} dataUnits - Data units of a preset
+ * @returns {string[]} Section names
+ */
+export function findWildcardSections(dataUnits) {
+	return Object.keys(INSTANCE_ID_LISTS).filter((section) =>
+		Object.hasOwn(dataUnits[section] || {}, PRESET_WILDCARD),
+	);
+}
+
+/**
+ * Replaces the "*" ID of each section with a list of IDs; the IDs the preset
+ * names explicitly keep their own value
+ * @param {object} dataUnits - Data units of a preset
+ * @param {object} idsBySection - IDs by section name
+ * @returns {object} The expanded data units
+ */
+export function expandPreset(dataUnits, idsBySection) {
+	const expanded = structuredClone(dataUnits);
+	for (const section of findWildcardSections(dataUnits)) {
+		const { [PRESET_WILDCARD]: value, ...explicit } = expanded[section];
+		expanded[section] = {
+			...Object.fromEntries(
+				(idsBySection[section] || []).map((id) => [id, structuredClone(value)]),
+			),
+			...explicit,
+		};
+	}
+	return expanded;
+}
+
+/**
+ * Expands a preset with the IDs listed on an instance
+ * @param {object} preset - Preset from getPreset
+ * @param {object} [options] - Execution options (instance, debug)
+ * @returns {Promise<object>} The expanded data units
+ */
+export async function expandPresetFromInstance(preset, options = {}) {
+	const idsBySection = {};
+	for (const section of findWildcardSections(preset.dataUnits)) {
+		const { plural, command } = INSTANCE_ID_LISTS[section];
+		const ids = await fetchInstanceIds(command, options);
+		if (!ids) {
+			throw new ConfigError(
+				`Could not list the ${plural} of the instance for preset "${preset.name}": name them in a configuration file instead (see init --preset)`,
+			);
+		}
+		idsBySection[section] = ids;
+	}
+	return expandPreset(preset.dataUnits, idsBySection);
+}
+
+/**
+ * Describes what the data units of a preset expand to, one line per section
+ * @param {object} dataUnits - Data units of a preset
+ * @returns {string[]} Lines ("Global data: meta_data, custom_types"...)
+ */
+export function describePresetDataUnits(dataUnits) {
+	const describeIds = (section) => {
+		const ids = Object.keys(dataUnits[section]).filter(
+			(id) => dataUnits[section][id],
+		);
+		return ids
+			.map((id) =>
+				id === PRESET_WILDCARD
+					? `every ${INSTANCE_ID_LISTS[section].label} of the instance`
+					: id,
+			)
+			.join(", ");
+	};
+	const lines = [];
+
+	const globalUnits = Object.keys(dataUnits.global_data || {}).filter(
+		(unit) => dataUnits.global_data[unit],
+	);
+	if (globalUnits.length > 0) {
+		lines.push(
+			`Global data: ${globalUnits.map((unit) => `${unit}${SENSITIVE_DATA_UNITS[unit] || unit === "all" ? chalk.red(" (sensitive)") : ""}`).join(", ")}`,
+		);
+	}
+
+	for (const [siteId, siteUnits] of Object.entries(dataUnits.sites || {})) {
+		const site =
+			siteId === PRESET_WILDCARD ? "every site of the instance" : siteId;
+		const units =
+			typeof siteUnits === "object"
+				? Object.keys(siteUnits)
+						.filter((unit) => siteUnits[unit])
+						.join(", ")
+				: "all data";
+		lines.push(`Sites (${site}): ${units}`);
+	}
+
+	for (const [section, { plural }] of Object.entries(INSTANCE_ID_LISTS)) {
+		if (section === "sites" || !dataUnits[section]) continue;
+		const ids = describeIds(section);
+		if (ids) {
+			lines.push(
+				`${plural[0].toUpperCase()}${plural.slice(1)}: ${ids}${SENSITIVE_DATA_UNITS[section] ? chalk.red(" (sensitive)") : ""}`,
+			);
+		}
+	}
+
+	return lines;
+}
+
+/**
+ * Prints presets with what they expand to
+ * @param {object[]} presets - Presets from getPreset
+ */
+export function printPresets(presets) {
+	for (const preset of presets) {
+		printMessage(
+			`  ${chalk.green(preset.name)}${preset.source === "built-in" ? "" : chalk.gray(` (${path.relative(process.cwd(), preset.source)})`)}`,
+		);
+		if (preset.description) {
+			printMessage(chalk.gray(`    ${preset.description}`));
+		}
+		for (const line of describePresetDataUnits(preset.dataUnits)) {
+			printMessage(`    - ${line}`);
+		}
+		printMessage("");
+	}
+}
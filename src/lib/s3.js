@@ -0,0 +1,459 @@
+/**
+ * S3-compatible upload destination (AWS S3, MinIO, Ceph...)
+ * Requests are signed with AWS Signature Version 4. A file is streamed in a
+ * single PUT request carrying its SHA-256 checksum, which the store checks
+ * before accepting the object; files above the multipart threshold are sent
+ * in parts, each with its own checksum, one part in memory at a time
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { Readable } from "node:stream";
+import { sha256 } from "./checksum.js";
+import { ERROR_CODES, UploadError } from "./errors.js";
+
+/**
+ * Region used when the destination does not set one
+ */
+const DEFAULT_REGION = "us-east-1";
+
+/**
+ * Size from which a file is uploaded in parts, in MiB, when the destination
+ * does not set one
+ */
+const DEFAULT_MULTIPART_THRESHOLD_MB = 64;
+
+/**
+ * Size of the parts of a multipart upload, in MiB, when the destination does
+ * not set one (S3 requires at least 5 MiB for every part but the last)
+ */
+const DEFAULT_PART_SIZE_MB = 16;
+
+/**
+ * Bytes in a MiB
+ */
+const MEBIBYTE = 1024 * 1024;
+
+/**
+ * Encodes a string as an URI component the way Signature Version 4 expects
+ * (RFC 3986: only letters, digits and -._~ are kept)
+ * @param {string} value - The string
+ * @returns {string} The encoded string
+ */
+function encodeRfc3986(value) {
+	return encodeURIComponent(value).replace(
+		/[!'()*]/g,
+		(char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+	);
+}
+
+/**
+ * Encodes an object key as an URI path, keeping its slashes
+ * @param {string} key - Object key
+ * @returns {string} The encoded path
+ */
+function encodeKey(key) {
+	return key.split("/").map(encodeRfc3986).join("/");
+}
+
+/**
+ * Computes an HMAC-SHA256
+ * @param {Buffer|string} key - Key
+ * @param {string} data - Data
+ * @returns {Buffer} The digest
+ */
+function hmac(key, data) {
+	return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {object} request - The request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL
+ * @param {object} request.headers - Headers to sign (lowercase names); must
+ *   include x-amz-content-sha256
+ * @param {object} credentials - accessKeyId, secretAccessKey and optional
+ *   sessionToken
+ * @param {string} region - Region of the bucket
+ * @param {Date} [date] - Signing time
+ * @returns {object} The headers, with host, x-amz-date and authorization
+ */
+export function signRequest(
+	{ method, url, headers },
+	credentials,
+	region,
+	date = new Date(),
+) {
+	const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+	const day = amzDate.slice(0, 8);
+	const signed = {
+		...headers,
+		host: url.host,
+		"x-amz-date": amzDate,
+		...(credentials.sessionToken && {
+			"x-amz-security-token": credentials.sessionToken,
+		}),
+	};
+
+	const names = Object.keys(signed).sort();
+	const query = [...url.searchParams]
+		.map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+		.sort()
+		.join("&");
+	const canonicalRequest = [
+		method,
+		url.pathname,
+		query,
+		...names.map((name) => `${name}:${String(signed[name]).trim()}`),
+		"",
+		names.join(";"),
+		signed["x-amz-content-sha256"],
+	].join("\n");
+
+	const scope = `${day}/${region}/s3/aws4_request`;
+	const stringToSign = [
+		"AWS4-HMAC-SHA256",
+		amzDate,
+		scope,
+		sha256(canonicalRequest),
+	].join("\n");
+	const signingKey = [day, region, "s3", "aws4_request"].reduce(
+		hmac,
+		`AWS4${credentials.secretAccessKey}`,
+	);
+	const signature = hmac(signingKey, stringToSign).toString("hex");
+
+	return {
+		...signed,
+		authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+	};
+}
+
+/**
+ * Builds the URL of an object
+ * Path-style URLs (endpoint/bucket/key) are used with a custom endpoint,
+ * virtual-hosted URLs (bucket.s3.region.amazonaws.com/key) with AWS
+ * @param {object} settings - Destination settings
+ * @param {string} key - Object key
+ * @returns {URL} The object URL
+ */
+export function getObjectUrl(settings, key) {
+	const region = settings.region || DEFAULT_REGION;
+	const endpoint = new URL(
+		settings.endpoint || `https://s3.${region}.amazonaws.com`,
+	);
+	const pathStyle = settings.forcePathStyle ?? Boolean(settings.endpoint);
+	const basePath = endpoint.pathname.replace(/\/$/, "");
+
+	if (pathStyle) {
+		return new URL(
+			`${endpoint.origin}${basePath}/${encodeRfc3986(settings.bucket)}/${encodeKey(key)}`,
+		);
+	}
+	return new URL(
+		`${endpoint.protocol}//${settings.bucket}.${endpoint.host}${basePath}/${encodeKey(key)}`,
+	);
+}
+
+/**
+ * Reads the credentials of a destination, falling back to the standard AWS
+ * environment variables
+ * @param {object} settings - Destination settings
+ * @returns {{accessKeyId: string, secretAccessKey: string, sessionToken: string|undefined}}
+ * @throws {UploadError} If no credentials are set
+ */
+function getCredentials(settings) {
+	const credentials = {
+		accessKeyId: settings.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+		secretAccessKey:
+			settings.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+		sessionToken: settings.sessionToken || process.env.AWS_SESSION_TOKEN,
+	};
+	if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+		throw new UploadError(
+			`No credentials for s3://${settings.bucket}: set accessKeyId and secretAccessKey, or AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY`,
+		);
+	}
+	return credentials;
+}
+
+/**
+ * Reads the error message of a failed S3 request (XML error document)
+ * @param {Response} response - The response
+ * @returns {Promise<string>} The message
+ */
+async function readS3Error(response) {
+	const body = await response.text().catch(() => "");
+	const code = body.match(/<Code>([^<]*)<\/Code>/)?.[1];
+	const message = body.match(/<Message>([^<]*)<\/Message>/)?.[1];
+	return [`HTTP ${response.status}`, code, message].filter(Boolean).join(": ");
+}
+
+/**
+ * Signs and sends a request to the store
+ * @param {object} request - The request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL
+ * @param {object} request.headers - Headers to sign (see signRequest)
+ * @param {Buffer|string|ReadableStream} [request.body] - Request body
+ * @param {object} context - Destination context
+ * @param {object} context.settings - Destination settings
+ * @param {object} context.credentials - Credentials of the destination
+ * @param {string} context.region - Region of the bucket
+ * @param {string} context.key - Key of the uploaded object
+ * @returns {Promise<Response>} The response of the store
+ * @throws {UploadError} If the store cannot be reached or rejects the request
+ */
+async function sendSignedRequest(
+	{ method, url, headers, body },
+	{ settings, credentials, region, key },
+) {
+	const signed = signRequest({ method, url, headers }, credentials, region);
+	// fetch sets the host header itself
+	delete signed.host;
+
+	let response;
+	try {
+		response = await fetch(url, {
+			method,
+			headers: signed,
+			body,
+			...(body instanceof ReadableStream && { duplex: "half" }),
+		});
+	} catch (error) {
+		throw new UploadError(
+			`Upload to s3://${settings.bucket}/${key} failed: ${error.cause?.message || error.message}`,
+			{ cause: error },
+		);
+	}
+	if (!response.ok) {
+		const message = await readS3Error(response);
+		throw new UploadError(
+			`Upload to s3://${settings.bucket}/${key} failed: ${message}`,
+			{
+				code: /BadDigest|XAmzContentSHA256Mismatch/.test(message)
+					? ERROR_CODES.CHECKSUM_MISMATCH
+					: ERROR_CODES.UPLOAD_FAILED,
+			},
+		);
+	}
+	return response;
+}
+
+/**
+ * Streams a file to the store in a single PUT request
+ * @param {object} file - File from collectUploadFiles
+ * @param {URL} url - Object URL
+ * @param {object} context - Destination context (see sendSignedRequest)
+ * @returns {Promise<void>}
+ * @throws {UploadError} If the upload fails or the checksums differ
+ */
+async function uploadObject(file, url, context) {
+	const checksum = Buffer.from(file.sha256, "hex").toString("base64");
+	const response = await sendSignedRequest(
+		{
+			method: "PUT",
+			url,
+			headers: {
+				"content-length": String(fs.statSync(file.localPath).size),
+				"x-amz-checksum-sha256": checksum,
+				"x-amz-content-sha256": file.sha256,
+			},
+			body: Readable.toWeb(fs.createReadStream(file.localPath)),
+		},
+		context,
+	);
+
+	// Stores that return the checksum they computed must agree with ours
+	const stored = response.headers.get("x-amz-checksum-sha256");
+	if (stored && stored !== checksum) {
+		throw new UploadError(
+			`Checksum mismatch for s3://${context.settings.bucket}/${context.key}`,
+			{ code: ERROR_CODES.CHECKSUM_MISMATCH },
+		);
+	}
+}
+
+/**
+ * Uploads a file to the store in parts (multipart upload)
+ * Each part carries its own checksum; the parts must also add up to the
+ * checksum of the file, otherwise the upload is aborted
+ * @param {object} file - File from collectUploadFiles
+ * @param {URL} url - Object URL
+ * @param {number} partSize - Size of the parts, in bytes
+ * @param {object} context - Destination context (see sendSignedRequest)
+ * @returns {Promise<void>}
+ * @throws {UploadError} If the upload fails or the checksums differ
+ */
+async function uploadMultipart(file, url, partSize, context) {
+	const withQuery = (query) => {
+		const queryUrl = new URL(url);
+		for (const [name, value] of Object.entries(query)) {
+			queryUrl.searchParams.set(name, value);
+		}
+		return queryUrl;
+	};
+
+	const created = await sendSignedRequest(
+		{
+			method: "POST",
+			url: withQuery({ uploads: "" }),
+			headers: {
+				"x-amz-checksum-algorithm": "SHA256",
+				"x-amz-content-sha256": sha256(""),
+			},
+		},
+		context,
+	);
+	const uploadId = (await created.text()).match(
+		/<UploadId>([^<]*)<\/UploadId>/,
+	)?.[1];
+	if (!uploadId) {
+		throw new UploadError(
+			`Upload to s3://${context.settings.bucket}/${context.key} failed: no upload ID in the response of the store`,
+		);
+	}
+
+	const handle = await fs.promises.open(file.localPath);
+	try {
+		const size = (await handle.stat()).size;
+		const fileHash = crypto.createHash("sha256");
+		const buffer = Buffer.alloc(Math.min(partSize, size));
+		const parts = [];
+
+		for (let position = 0; position < size; position += partSize) {
+			const { bytesRead } = await handle.read(
+				buffer,
+				0,
+				Math.min(partSize, size - position),
+				position,
+			);
+			const body = buffer.subarray(0, bytesRead);
+			const partNumber = parts.length + 1;
+			const checksum = crypto.createHash("sha256").update(body).digest();
+			fileHash.update(body);
+
+			const response = await sendSignedRequest(
+				{
+					method: "PUT",
+					url: withQuery({ partNumber: String(partNumber), uploadId }),
+					headers: {
+						"x-amz-checksum-sha256": checksum.toString("base64"),
+						"x-amz-content-sha256": checksum.toString("hex"),
+					},
+					body,
+				},
+				context,
+			);
+			parts.push({
+				partNumber,
+				etag: response.headers.get("etag"),
+				checksum: checksum.toString("base64"),
+			});
+		}
+
+		if (fileHash.digest("hex") !== file.sha256) {
+			throw new UploadError(
+				`Checksum mismatch for s3://${context.settings.bucket}/${context.key}: the file changed during the upload`,
+				{ code: ERROR_CODES.CHECKSUM_MISMATCH },
+			);
+		}
+
+		const completion = `<CompleteMultipartUpload>${parts
+			.map(
+				({ partNumber, etag, checksum }) =>
+					`<Part><PartNumber>${partNumber}</PartNumber><ETag>${etag}</ETag><ChecksumSHA256>${checksum}</ChecksumSHA256></Part>`,
+			)
+			.join("")}</CompleteMultipartUpload>`;
+		const completed = await sendSignedRequest(
+			{
+				method: "POST",
+				url: withQuery({ uploadId }),
+				headers: { "x-amz-content-sha256": sha256(completion) },
+				body: completion,
+			},
+			context,
+		);
+		// The store can report a failed completion with a 200 status
+		const result = await completed.text();
+		if (result.includes("<Error>")) {
+			throw new UploadError(
+				`Upload to s3://${context.settings.bucket}/${context.key} failed: ${result.match(/<Message>([^<]*)<\/Message>/)?.[1] || "the store could not assemble the parts"}`,
+			);
+		}
+	} catch (error) {
+		// Parts of an aborted upload are not billed or kept by the store
+		await sendSignedRequest(
+			{
+				method: "DELETE",
+				url: withQuery({ uploadId }),
+				headers: { "x-amz-content-sha256": sha256("") },
+			},
+			context,
+		).catch(() => {});
+		throw error;
+	} finally {
+		await handle.close();
+	}
+}
+
+/**
+ * Creates an S3-compatible destination
+ * @param {object} settings - Destination settings
+ * @param {string} settings.bucket - Bucket name
+ * @param {string} [settings.prefix] - Key prefix of the uploaded files
+ * @param {string} [settings.region] - Region (default: us-east-1)
+ * @param {string} [settings.endpoint] - Endpoint of an S3-compatible store
+ *   (MinIO: http://localhost:9000); AWS S3 when not set
+ * @param {boolean} [settings.forcePathStyle] - Use path-style URLs (default:
+ *   true with a custom endpoint)
+ * @param {string} [settings.accessKeyId] - Access key (default:
+ *   AWS_ACCESS_KEY_ID)
+ * @param {string} [settings.secretAccessKey] - Secret key (default:
+ *   AWS_SECRET_ACCESS_KEY)
+ * @param {string} [settings.sessionToken] - Session token (default:
+ *   AWS_SESSION_TOKEN)
+ * @param {number} [settings.multipartThresholdMB] - Size from which files are
+ *   uploaded in parts, in MiB (default: 64)
+ * @param {number} [settings.partSizeMB] - Size of the parts, in MiB (default:
+ *   16)
+ * @returns {object} The destination
+ */
+export function createS3Destination(settings) {
+	const region = settings.region || DEFAULT_REGION;
+	const prefix = (settings.prefix || "").replace(/^\/+/, "");
+	const multipartThreshold =
+		(settings.multipartThresholdMB ?? DEFAULT_MULTIPART_THRESHOLD_MB) *
+		MEBIBYTE;
+	const partSize = (settings.partSizeMB ?? DEFAULT_PART_SIZE_MB) * MEBIBYTE;
+
+	return {
+		type: "s3",
+		location: `s3://${settings.bucket}/${prefix}`,
+
+		async upload(files, remoteDir) {
+			const credentials = getCredentials(settings);
+			const uploaded = [];
+
+			for (const file of files) {
+				const key = [prefix.replace(/\/+$/, ""), remoteDir, file.relativePath]
+					.filter(Boolean)
+					.join("/");
+				const url = getObjectUrl(settings, key);
+				const context = { settings, credentials, region, key };
+				if (file.size >= multipartThreshold) {
+					await uploadMultipart(file, url, partSize, context);
+				} else {
+					await uploadObject(file, url, context);
+				}
+				uploaded.push({
+					...file,
+					remotePath: `s3://${settings.bucket}/${key}`,
+				});
+			}
+
+			return uploaded;
+		},
+	};
+}
@@ -0,0 +1,437 @@
+/**
+ * Secret and personal data scanner
+ * Looks for credentials (passwords, client secrets, API keys) and personal
+ * data (email addresses, phone numbers) in the XML files of a downloaded
+ * archive, then reports or redacts them following the `scan` policy of the
+ * configuration. Reports never hold the values found, only masked previews.
+ *
+ * A value is found from the name it is stored under (element, attribute, or
+ * the *-id attribute of a preference or custom attribute: `apiKey`,
+ * `client-secret`...) or from its content (AWS keys, private keys, tokens,
+ * email addresses).
+ */
+
+import chalk from "chalk";
+import { openArchive } from "./archive.js";
+import { ConfigError, ERROR_CODES, ScanError } from "./errors.js";
+import { printMessage } from "./output.js";
+import {
+	buildXmlFile,
+	childElements,
+	decodeXml,
+	descendantElements,
+	encodeXml,
+	getElementText,
+	localName,
+	parseXmlFile,
+} from "./xml.js";
+
+/**
+ * What happens to the values found: listed, or replaced in the archive
+ */
+export const SCAN_POLICIES = ["report", "redact"];
+
+/**
+ * Detectors, in match order: `names` is matched against the name a value is
+ * stored under, `values` against the value itself
+ */
+export const SCAN_DETECTORS = {
+	password: {
+		category: "secret",
+		description: "Passwords",
+		names: /passw(?:or)?d|passphrase|pwd/i,
+	},
+	client_secret: {
+		category: "secret",
+		description: "Client secrets and other secrets",
+		names: /secret/i,
+	},
+	api_key: {
+		category: "secret",
+		description: "API keys, access tokens and private keys",
+		names: /api[-_]?key|access[-_]?key|private[-_]?key|token/i,
+		values:
+			/\bAKIA[0-9A-Z]{16}\b|-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----|\b[rs]k_live_[0-9A-Za-z]{16,}\b|\beyJ[\w-]{8,}\.eyJ[\w-]{8,}\.[\w-]{8,}/g,
+	},
+	email: {
+		category: "personal",
+		description: "Email addresses",
+		values: /[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+	},
+	phone: {
+		category: "personal",
+		description: "Phone numbers",
+		names: /phone/i,
+	},
+};
+
+/**
+ * Replacement of redacted secrets and phone numbers
+ */
+const REDACTED = "REDACTED";
+
+/**
+ * Findings printed per detector; the manifest holds all of them
+ */
+const PRINTED_FINDINGS = 20;
+
+/**
+ * Values holding nothing to hide: masked in the export (`********`), already
+ * redacted, or flags (`enablePasswordReset`: `true`)
+ */
+const HARMLESS_VALUE_PATTERN =
+	/^(?:\*+|REDACTED|redacted-\d+@example\.invalid|true|false)$/;
+
+/**
+ * Values that are settings rather than secrets, even when their name looks
+ * like one: numbers and flags of stock preferences (`PasswordMinLength`: `8`,
+ * `TokenLifetime`: `3600`, `SecretQuestionEnabled`: `TRUE`)
+ */
+const SETTING_VALUE_PATTERN = /^(?:[-+]?\d+(?:\.\d+)?|true|false)$/i;
+
+/**
+ * Resolves the scan settings of an export run
+ * The archive is scanned when the configuration has a `scan` section, or in
+ * report mode when sensitive data units are exported
+ * @param {object|undefined} scan - scan section of the configuration
+ * @param {string[]} sensitiveUnits - Sensitive data units of the export
+ * @returns {object|null} Settings (policy, detectors, allow patterns,
+ *   failOnSecrets), or null if the archive is not scanned
+ * @throws {ConfigError} If an allow pattern is not a valid regular expression
+ */
+export function resolveScanSettings(scan, sensitiveUnits = []) {
+	if (!scan && sensitiveUnits.length === 0) {
+		return null;
+	}
+
+	const allow = (scan?.allow || []).map((pattern) => {
+		try {
+			return new RegExp(pattern);
+		} catch (error) {
+			throw new ConfigError(
+				`Invalid scan.allow pattern "${pattern}": ${error.message}`,
+				{ code: ERROR_CODES.CONFIG_INVALID },
+			);
+		}
+	});
+
+	return {
+		policy: scan?.policy || "report",
+		detectors: scan?.detectors || Object.keys(SCAN_DETECTORS),
+		allow,
+		failOnSecrets: Boolean(scan?.failOnSecrets),
+	};
+}
+
+/**
+ * Masks a value found by a detector, for the report
+ * @param {string} value - The value
+ * @param {string} detector - Detector name
+ * @returns {string} Masked preview (`j***@example.com`, `*** (12 characters)`)
+ */
+export function maskValue(value, detector) {
+	if (detector === "email") {
+		const at = value.lastIndexOf("@");
+		return `${value[0]}***${value.slice(at)}`;
+	}
+	if (detector === "phone") {
+		return `***${value.slice(-2)}`;
+	}
+	return `*** (${value.length} characters)`;
+}
+
+/**
+ * Returns the names a value is stored under: the element or attribute name,
+ * and the *-id attributes of the element (preference-id, attribute-id...)
+ * @param {object} element - Element
+ * @param {string} [attribute] - Attribute name, for attribute values
+ * @returns {string[]} Names
+ */
+function getValueNames(element, attribute) {
+	if (attribute) {
+		return [attribute];
+	}
+	const attributes = element.node[":@"] || {};
+	return [
+		localName(element.tag),
+		...Object.keys(attributes)
+			.filter((name) => name.endsWith("-id"))
+			.map((name) => decodeXml(attributes[name])),
+	];
+}
+
+/**
+ * Scans a value
+ * @param {string} value - The value
+ * @param {string[]} names - Names the value is stored under
+ * @param {object[]} detectors - Enabled detectors, with their name
+ * @param {RegExp[]} allow - Values that are never reported
+ * @returns {{detector: string, value: string, whole: boolean}[]} The values
+ *   found: the whole value (found by name) or parts of it
+ */
+function scanValue(value, names, detectors, allow) {
+	const trimmed = value.trim();
+	if (!trimmed || HARMLESS_VALUE_PATTERN.test(trimmed)) {
+		return [];
+	}
+	const isAllowed = (found) =>
+		HARMLESS_VALUE_PATTERN.test(found) ||
+		allow.some((pattern) => pattern.test(found));
+
+	const isSetting = SETTING_VALUE_PATTERN.test(trimmed);
+	const byName = detectors.find(
+		(detector) =>
+			detector.names &&
+			!(isSetting && detector.category === "secret") &&
+			names.some((name) => detector.names.test(name)),
+	);
+	if (byName) {
+		return isAllowed(trimmed)
+			? []
+			: [{ detector: byName.name, value: trimmed, whole: true }];
+	}
+
+	return detectors.flatMap((detector) =>
+		detector.values
+			? [...trimmed.matchAll(detector.values)]
+					.map(([found]) => found)
+					.filter((found) => !isAllowed(found))
+					.map((found) => ({ detector: detector.name, value: found }))
+			: [],
+	);
+}
+
+/**
+ * Scans the element texts and attribute values of a document, redacting the
+ * values found if asked to
+ * @param {object[]} tree - Parsed document
+ * @param {object[]} detectors - Enabled detectors, with their name
+ * @param {object} settings - Scan settings
+ * @param {Function|null} redact - Returns the replacement of a found value,
+ *   or null to only report
+ * @returns {object[]} Findings: detector, location, value
+ */
+function scanDocument(tree, detectors, settings, redact) {
+	const findings = [];
+
+	for (const element of descendantElements({ children: tree, location: "" })) {
+		const attributes = element.node[":@"] || {};
+		for (const [attribute, escaped] of Object.entries(attributes)) {
+			const value = decodeXml(escaped);
+			const found = scanValue(
+				value,
+				getValueNames(element, attribute),
+				detectors,
+				settings.allow,
+			);
+			if (found.length > 0 && redact) {
+				attributes[attribute] = encodeXml(
+					found.reduce(
+						(text, item) =>
+							item.whole
+								? redact(item)
+								: text.replaceAll(item.value, redact(item)),
+						value,
+					),
+				);
+			}
+			findings.push(
+				...found.map((item) => ({
+					...item,
+					location: `${element.location}/@${attribute}`,
+				})),
+			);
+		}
+
+		// Values are element texts: containers only hold whitespace
+		if (childElements(element).length > 0) {
+			continue;
+		}
+		const found = scanValue(
+			getElementText(element),
+			getValueNames(element),
+			detectors,
+			settings.allow,
+		);
+		if (found.length > 0 && redact) {
+			for (const child of element.children) {
+				const cdata = child["#cdata"]?.[0];
+				const text =
+					child["#text"] !== undefined
+						? decodeXml(child["#text"])
+						: cdata?.["#text"];
+				if (text === undefined) continue;
+				const replaced = found.reduce(
+					(current, item) => current.replaceAll(item.value, redact(item)),
+					text,
+				);
+				if (child["#text"] !== undefined) {
+					child["#text"] = encodeXml(replaced);
+				} else {
+					cdata["#text"] = replaced;
+				}
+			}
+		}
+		findings.push(
+			...found.map((item) => ({ ...item, location: element.location })),
+		);
+	}
+
+	return findings;
+}
+
+/**
+ * Scans the XML files of a downloaded archive (zip file or folder)
+ * With the redact policy, the values found are replaced in the archive: a
+ * secret or phone number by REDACTED, an email address by
+ * redacted-<n>@example.invalid (the same address gets the same replacement,
+ * so logins stay unique); a zip file is repacked
+ * @param {string} archivePath - Path to the archive
+ * @param {object} settings - Settings from resolveScanSettings
+ * @returns {object} The report: policy, number of scanned files, findings
+ *   (detector, category, file, location, masked preview, redacted) and
+ *   counts by category
+ * @throws {FileError} If an XML file cannot be parsed
+ */
+export function scanArchive(archivePath, settings) {
+	const archive = openArchive(archivePath);
+	const detectors = settings.detectors.map((name) => ({
+		name,
+		...SCAN_DETECTORS[name],
+	}));
+	const redacting = settings.policy === "redact";
+	const emailReplacements = new Map();
+	const redact = redacting
+		? ({ detector, value }) => {
+				if (detector !== "email") return REDACTED;
+				if (!emailReplacements.has(value)) {
+					emailReplacements.set(
+						value,
+						`redacted-${emailReplacements.size + 1}@example.invalid`,
+					);
+				}
+				return emailReplacements.get(value);
+			}
+		: null;
+
+	const writes = new Map();
+	const findings = [];
+	let files = 0;
+
+	const entries = archive.entries
+		.filter((entry) => entry.path.toLowerCase().endsWith(".xml"))
+		.toSorted((a, b) => a.path.localeCompare(b.path));
+	for (const entry of entries) {
+		files++;
+		const content = entry.read().toString("utf8");
+
+		// Most files (catalogs, content) hold nothing to find: skip parsing them
+		const candidate = detectors.some(
+			({ names, values }) =>
+				names?.test(content) || (values && content.search(values) !== -1),
+		);
+		if (!candidate) {
+			continue;
+		}
+
+		const tree = parseXmlFile(content, entry.path);
+		const fileFindings = scanDocument(tree, detectors, settings, redact);
+		if (fileFindings.length === 0) {
+			continue;
+		}
+		if (redacting) {
+			writes.set(entry.path, Buffer.from(buildXmlFile(tree, content)));
+		}
+		findings.push(
+			...fileFindings.map(({ detector, value, location }) => ({
+				detector,
+				category: SCAN_DETECTORS[detector].category,
+				file: entry.path,
+				location,
+				preview: maskValue(value, detector),
+				redacted: redacting,
+			})),
+		);
+	}
+
+	if (writes.size > 0) {
+		archive.save({ writes, renames: new Map() });
+	}
+
+	const count = (category, redacted) =>
+		findings.filter(
+			(finding) =>
+				finding.category === category && finding.redacted === redacted,
+		).length;
+	return {
+		policy: settings.policy,
+		files,
+		secrets: count("secret", true) + count("secret", false),
+		personal: count("personal", true) + count("personal", false),
+		unredactedSecrets: count("secret", false),
+		findings,
+	};
+}
+
+/**
+ * Builds the error of an archive holding unredacted secrets
+ * (scan.failOnSecrets)
+ * @param {object} report - Report of scanArchive
+ * @param {string} localPath - Path to the archive
+ * @returns {ScanError} The error
+ */
+export function createSecretsFoundError(report, localPath) {
+	return new ScanError(
+		`${report.unredactedSecrets} unredacted secret(s) found in ${localPath}: set scan.policy to "redact" or remove them with transform rules`,
+		{ code: ERROR_CODES.SECRETS_FOUND },
+	);
+}
+
+/**
+ * Prints the report of scanArchive
+ * @param {object} report - The report
+ */
+export function printScanReport(report) {
+	const total = report.findings.length;
+	const title = `\n🔎 Secret scan: ${report.secrets} secret(s) and ${report.personal} personal data value(s) in ${report.files} XML file(s)`;
+	if (total === 0) {
+		printMessage(chalk.green(title));
+		printMessage("");
+		return;
+	}
+	printMessage(
+		report.unredactedSecrets > 0 ? chalk.yellow(title) : chalk.cyan(title),
+	);
+
+	for (const [name, { description }] of Object.entries(SCAN_DETECTORS)) {
+		const found = report.findings.filter(
+			(finding) => finding.detector === name,
+		);
+		if (found.length === 0) continue;
+
+		printMessage(
+			`\n  ${chalk.yellow(description)} ${chalk.gray(`(${found.length})`)}`,
+		);
+		for (const finding of found.slice(0, PRINTED_FINDINGS)) {
+			printMessage(
+				`    - ${finding.file} ${chalk.gray(finding.location)} ${finding.preview}${finding.redacted ? chalk.green(" redacted") : ""}`,
+			);
+		}
+		if (found.length > PRINTED_FINDINGS) {
+			printMessage(
+				chalk.gray(
+					`    ... and ${found.length - PRINTED_FINDINGS} more (see the manifest)`,
+				),
+			);
+		}
+	}
+
+	if (report.policy === "report") {
+		printMessage(
+			chalk.gray(
+				'\n   Set scan.policy to "redact" to replace these values in the archive.',
+			),
+		);
+	}
+	printMessage("");
+}
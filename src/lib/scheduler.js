@@ -0,0 +1,267 @@
+/**
+ * Scheduler - runs exports on cron schedules and applies retention rules
+ */
+
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import chalk from "chalk";
+import { Cron } from "croner";
+import { ConfigError } from "./errors.js";
+import { executeB2cCommand } from "./exporter.js";
+import { getManifestPath } from "./manifest.js";
+import { emitEvent, getOutputMode } from "./output.js";
+
+/**
+ * Entry point of the CLI, used to run each scheduled export in its own process
+ */
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+
+/**
+ * Root output directory when neither the command line nor the configuration
+ * sets it
+ */
+const DEFAULT_OUTPUT = "./exports";
+
+/**
+ * Validates a cron expression
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @returns {string|null} Error message, or null if the expression is valid
+ */
+export function checkCronExpression(expression) {
+	try {
+		new Cron(expression, { paused: true }).stop();
+		return null;
+	} catch (error) {
+		return error.message;
+	}
+}
+
+/**
+ * Builds the scheduled jobs of an export configuration
+ * One job per instance: from `schedule.instances`, else from `instances`,
+ * else a single job for the default instance
+ * @param {string} configPath - Path to the export configuration file
+ * @param {object} config - The loaded export configuration
+ * @param {string} [outputRoot] - Root output directory (--output); defaults to
+ *   `output_directory` of the configuration, else ./exports
+ * @returns {object[]} Jobs with name, cron, instance, retention and outputPath
+ */
+export function buildScheduleJobs(configPath, config, outputRoot) {
+	const schedule = config.schedule;
+	if (!schedule) {
+		throw new ConfigError(`No "schedule" section in ${configPath}`);
+	}
+
+	const configName = path.basename(configPath, path.extname(configPath));
+	const instanceSchedules =
+		schedule.instances && Object.keys(schedule.instances).length > 0
+			? Object.entries(schedule.instances)
+			: (config.instances || [null]).map((instance) => [instance, {}]);
+
+	return instanceSchedules.map(([instanceName, overrides = {}]) => {
+		const cron = overrides.cron || schedule.cron;
+		if (!cron) {
+			throw new ConfigError(
+				`No cron expression for instance "${instanceName || "default"}" in ${configPath}`,
+			);
+		}
+
+		return {
+			name: `${configName}/${instanceName || "default"}`,
+			configPath: path.resolve(configPath),
+			instance: instanceName,
+			cron,
+			retention: { ...schedule.retention, ...overrides.retention },
+			outputPath: path.resolve(
+				outputRoot || config.output_directory || DEFAULT_OUTPUT,
+				configName,
+				instanceName || "default",
+			),
+		};
+	});
+}
+
+/**
+ * Rejects jobs sharing an output directory, as configuration files with the
+ * same name in different folders would: the retention rules of each job would
+ * prune the archives of the other
+ * @param {object[]} jobs - Jobs from buildScheduleJobs, of every configuration
+ * @throws {ConfigError} If two jobs write to the same directory
+ */
+export function assertDistinctOutputPaths(jobs) {
+	const jobsByPath = new Map();
+
+	for (const job of jobs) {
+		const other = jobsByPath.get(job.outputPath);
+		if (other) {
+			throw new ConfigError(
+				`Scheduled jobs of ${other.configPath} and ${job.configPath} both write to ${job.outputPath}: ` +
+					"their retention rules would prune each other's archives. Rename one of the configuration files or give them different output directories",
+			);
+		}
+		jobsByPath.set(job.outputPath, job);
+	}
+}
+
+/**
+ * Runs one export through the regular export command, in a child process
+ * so a failing export cannot stop the scheduler
+ * In NDJSON mode, the events of the export are re-emitted with the job name
+ * @param {object} job - Scheduled job
+ * @param {object} options - Export options (profile, envFile, keepArchive,
+ *   zipOnly, timeout, debug)
+ * @returns {Promise<number>} Exit code of the export
+ */
+export function runScheduledExport(job, options = {}) {
+	const args = [
+		CLI_PATH,
+		"export",
+		"--config",
+		job.configPath,
+		"--output",
+		job.outputPath,
+	];
+	if (job.instance) args.push("--instance", job.instance);
+	if (options.profile) args.push("--profile", options.profile);
+	if (options.envFile) args.push("--env-file", options.envFile);
+	if (options.timeout) args.push("--timeout", options.timeout.toString());
+	if (options.keepArchive) args.push("--keep-archive");
+	if (options.zipOnly) args.push("--zip-only");
+	if (options.debug) args.push("--debug");
+	const ndjson = getOutputMode() === "ndjson";
+	if (ndjson) args.push("--ndjson");
+
+	return new Promise((resolve) => {
+		const child = spawn(process.execPath, args, { stdio: "pipe" });
+		const prefix = chalk.cyan(`[${job.name}]`);
+
+		const writeLine = (line, target) => {
+			if (!line.trim()) return;
+			if (ndjson && target === process.stdout) {
+				try {
+					const { type, ...data } = JSON.parse(line);
+					emitEvent(type, { job: job.name, ...data });
+					return;
+				} catch {
+					// Not an event: stdout only carries events, so it goes to stderr
+					process.stderr.write(`${prefix} ${line}\n`);
+					return;
+				}
+			}
+			target.write(`${prefix} ${line}\n`);
+		};
+
+		const forward = (stream, target) => {
+			let pending = "";
+			stream.on("data", (data) => {
+				const lines = (pending + data.toString()).split("\n");
+				pending = lines.pop();
+				for (const line of lines) {
+					writeLine(line, target);
+				}
+			});
+			stream.on("end", () => writeLine(pending, target));
+		};
+		forward(child.stdout, process.stdout);
+		forward(child.stderr, process.stderr);
+
+		child.on("close", (code) => resolve(code ?? 1));
+		child.on("error", () => resolve(1));
+	});
+}
+
+/**
+ * Lists the archives (zip files and extracted folders) of an output directory,
+ * newest first
+ * @param {string} outputPath - Output directory
+ * @returns {{path: string, mtime: Date}[]} Archives
+ */
+function listArchives(outputPath) {
+	if (!fs.existsSync(outputPath)) {
+		return [];
+	}
+
+	return fs
+		.readdirSync(outputPath, { withFileTypes: true })
+		.filter(
+			(dirent) =>
+				dirent.isDirectory() ||
+				(dirent.isFile() && dirent.name.toLowerCase().endsWith(".zip")),
+		)
+		.map((dirent) => {
+			const archivePath = path.join(outputPath, dirent.name);
+			return { path: archivePath, mtime: fs.statSync(archivePath).mtime };
+		})
+		.sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * Applies retention rules to an output directory
+ * An archive is removed, with its manifest, when it is not among the last
+ * `keepLast` archives or is older than `maxAgeDays`
+ * @param {string} outputPath - Output directory of a scheduled job
+ * @param {object} retention - Retention rules
+ * @param {number} [retention.keepLast] - Number of archives to keep
+ * @param {number} [retention.maxAgeDays] - Maximum archive age in days
+ * @param {Date} [now] - Reference date for archive ages
+ * @returns {{path: string, instanceFileName: string|null}[]} Removed archives
+ */
+export function pruneArchives(outputPath, retention = {}, now = new Date()) {
+	const { keepLast, maxAgeDays } = retention;
+	if (keepLast === undefined && maxAgeDays === undefined) {
+		return [];
+	}
+
+	const maxAgeMs =
+		maxAgeDays === undefined ? Infinity : maxAgeDays * 24 * 60 * 60 * 1000;
+	const removed = [];
+
+	listArchives(outputPath).forEach((archive, index) => {
+		const tooMany = keepLast !== undefined && index >= keepLast;
+		const tooOld = now - archive.mtime > maxAgeMs;
+		if (!tooMany && !tooOld) return;
+
+		const manifestPath = getManifestPath(archive.path);
+		let instanceFileName = null;
+		if (fs.existsSync(manifestPath)) {
+			try {
+				const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+				instanceFileName = manifest.archive?.instanceFileName || null;
+			} catch {
+				// Unreadable manifest: the archive is still pruned locally
+			}
+			fs.rmSync(manifestPath, { force: true });
+		}
+
+		fs.rmSync(archive.path, { recursive: true, force: true });
+		removed.push({ path: archive.path, instanceFileName });
+	});
+
+	return removed;
+}
+
+/**
+ * Removes archives kept on the instance (--keep-archive) from Impex/src/instance
+ * @param {string[]} fileNames - Archive file names on the instance
+ * @param {object} options - Options including instance name and debug flag
+ * @returns {Promise<{fileName: string, success: boolean}[]>} Result per archive
+ */
+export async function pruneInstanceArchives(fileNames, options = {}) {
+	const results = [];
+
+	for (const fileName of fileNames) {
+		try {
+			const result = await executeB2cCommand(
+				["webdav", "rm", "--root", "impex", `src/instance/${fileName}`],
+				options,
+			);
+			results.push({ fileName, success: result.code === 0 });
+		} catch {
+			results.push({ fileName, success: false });
+		}
+	}
+
+	return results;
+}
@@ -0,0 +1,647 @@
+/**
+ * JSON Schema of the export configuration
+ * The schema is generated from the data unit lists and shipped as
+ * schema/export-config.schema.json for editors; validateSchema checks a
+ * configuration against it and reports the JSON path of each error
+ */
+
+import { fileURLToPath } from "node:url";
+import {
+	GLOBAL_DATA_DESCRIPTIONS,
+	globalDataOptions,
+	SITE_DATA_DESCRIPTIONS,
+	siteDataOptions,
+} from "./config.js";
+import { SCAN_DETECTORS, SCAN_POLICIES } from "./scanner.js";
+import { findClosestMatch } from "./suggestions.js";
+import { RENAME_SECTIONS } from "./transformer.js";
+
+/**
+ * Path of the shipped schema file
+ */
+export const SCHEMA_PATH = fileURLToPath(
+	new URL("../../schema/export-config.schema.json", import.meta.url),
+);
+
+/**
+ * Builds an object of boolean options with their descriptions
+ * @param {string[]} options - Option names
+ * @param {object} descriptions - Descriptions by option name
+ * @returns {object} Schema properties
+ */
+function booleanOptions(options, descriptions) {
+	return Object.fromEntries(
+		options.map((option) => [
+			option,
+			{ type: "boolean", description: descriptions[option] },
+		]),
+	);
+}
+
+/**
+ * Builds the schema of an ID-keyed data unit section (catalogs, lists...)
+ * @param {string} description - Section description
+ * @returns {object} Schema of the section
+ */
+function idSection(description) {
+	return {
+		type: "object",
+		description,
+		additionalProperties: { type: "boolean" },
+	};
+}
+
+/**
+ * Builds the JSON Schema of the export configuration
+ * @returns {object} The JSON Schema (draft-07)
+ */
+export function buildConfigSchema() {
+	const settings = {
+		archive: {
+			type: "object",
+			description: "Archive configuration",
+			properties: {
+				name: {
+					type: "string",
+					minLength: 1,
+					description:
+						"Name template of the archive, on the instance and once downloaded. Placeholders: {date}, {time}, {timestamp}, {site}, {instance}, {hostname}, {codeVersion}, {config}, {user}",
+				},
+			},
+			additionalProperties: false,
+		},
+		archive_name_template: {
+			type: "string",
+			minLength: 1,
+			description: "Deprecated: use archive.name",
+		},
+		output_directory: {
+			type: "string",
+			minLength: 1,
+			description: "Output directory of the downloaded archive (--output wins)",
+		},
+		instances: {
+			type: "array",
+			description: "dw.json instance names to export from in one run",
+			items: { type: "string", minLength: 1 },
+		},
+		retry: {
+			type: "object",
+			description: "Retries of transient failures",
+			properties: {
+				retries: {
+					type: "integer",
+					minimum: 0,
+					description: "Retries of transient failures (default: 2)",
+				},
+				delaySeconds: {
+					type: "number",
+					minimum: 0,
+					description:
+						"Delay before the first retry, doubled after each retry (default: 30)",
+				},
+			},
+			additionalProperties: false,
+		},
+		schedule: {
+			type: "object",
+			description: "Cron schedule of the schedule command",
+			properties: {
+				cron: { $ref: "#/definitions/cron" },
+				retention: { $ref: "#/definitions/retention" },
+				instances: {
+					type: "object",
+					description: "Schedule of each dw.json instance",
+					additionalProperties: {
+						type: "object",
+						properties: {
+							cron: { $ref: "#/definitions/cron" },
+							retention: { $ref: "#/definitions/retention" },
+						},
+						additionalProperties: false,
+					},
+				},
+			},
+			additionalProperties: false,
+		},
+		upload: {
+			type: "object",
+			description:
+				"Destinations the downloaded archive and its manifest are uploaded to",
+			properties: {
+				destinations: {
+					type: "array",
+					description: "Upload destinations, in upload order",
+					items: {
+						oneOf: [
+							{ $ref: "#/definitions/s3Destination" },
+							{ $ref: "#/definitions/sftpDestination" },
+							{ $ref: "#/definitions/directoryDestination" },
+						],
+					},
+				},
+				deleteLocal: {
+					type: "boolean",
+					description:
+						"Delete the local archive and manifest once every upload is checked (default: false)",
+				},
+			},
+			additionalProperties: false,
+		},
+		transform: {
+			type: "object",
+			description:
+				"Changes applied to the downloaded archive before it is uploaded or imported",
+			properties: {
+				rules: {
+					type: "array",
+					description: "Transformation rules, applied in order",
+					items: {
+						oneOf: [
+							{ $ref: "#/definitions/removeRule" },
+							{ $ref: "#/definitions/replaceRule" },
+							{ $ref: "#/definitions/renameRule" },
+						],
+					},
+				},
+			},
+			additionalProperties: false,
+		},
+		scan: {
+			type: "object",
+			description:
+				"Scan of the downloaded archive for secrets and personal data (on in report mode when users, services, oauth_providers or customer_lists are exported)",
+			properties: {
+				policy: {
+					type: "string",
+					enum: SCAN_POLICIES,
+					description:
+						"report: list the values found; redact: replace them in the archive (default: report)",
+				},
+				detectors: {
+					type: "array",
+					description: "Detectors to run (default: all)",
+					items: { type: "string", enum: Object.keys(SCAN_DETECTORS) },
+				},
+				allow: {
+					type: "array",
+					description:
+						"Regular expressions of values that are never reported (e.g. @example\\.com$)",
+					items: { type: "string", minLength: 1 },
+				},
+				failOnSecrets: {
+					type: "boolean",
+					description:
+						"Fail the export when secrets are left unredacted (default: false)",
+				},
+			},
+			additionalProperties: false,
+		},
+		dataUnits: {
+			type: "object",
+			description: "Data units to export",
+			properties: {
+				global_data: {
+					type: "object",
+					description: "Global data units",
+					properties: booleanOptions(
+						globalDataOptions,
+						GLOBAL_DATA_DESCRIPTIONS,
+					),
+					additionalProperties: false,
+				},
+				sites: {
+					type: "object",
+					description:
+						"Sites to export by site ID: true for all site data, or the site data units",
+					additionalProperties: {
+						oneOf: [{ type: "boolean" }, { $ref: "#/definitions/siteData" }],
+					},
+				},
+				catalogs: idSection("Catalogs by catalog ID"),
+				price_lists: idSection("Price books by price book ID"),
+				libraries: idSection("Content libraries by library ID"),
+				customer_lists: idSection("Customer lists by list ID"),
+				inventory_lists: idSection("Inventory lists by list ID"),
+			},
+			additionalProperties: false,
+		},
+	};
+
+	return {
+		$schema: "http://json-schema.org/draft-07/schema#",
+		title: "SFCC Site Exporter export configuration",
+		type: "object",
+		properties: {
+			$schema: {
+				type: "string",
+				description: "JSON Schema of the file, for editors",
+			},
+			extends: {
+				description:
+					"Base configuration file(s), merged before this file (paths relative to this file)",
+				oneOf: [
+					{ type: "string", minLength: 1 },
+					{ type: "array", items: { type: "string", minLength: 1 } },
+				],
+			},
+			profiles: {
+				type: "object",
+				description: "Named overrides applied with --profile <name>",
+				additionalProperties: {
+					type: "object",
+					properties: settings,
+					additionalProperties: false,
+				},
+			},
+			...settings,
+		},
+		additionalProperties: false,
+		definitions: {
+			cron: {
+				type: "string",
+				minLength: 1,
+				description: "Cron expression (5 fields, or 6 with seconds)",
+			},
+			retention: {
+				type: "object",
+				description: "Retention rules of the exported archives",
+				properties: {
+					keepLast: {
+						type: "integer",
+						minimum: 1,
+						description: "Number of archives to keep",
+					},
+					maxAgeDays: {
+						type: "integer",
+						minimum: 1,
+						description: "Maximum age of the archives, in days",
+					},
+					pruneInstance: {
+						type: "boolean",
+						description: "Also delete the pruned archives kept on the instance",
+					},
+				},
+				additionalProperties: false,
+			},
+			siteData: {
+				type: "object",
+				description: "Site data units",
+				properties: booleanOptions(siteDataOptions, SITE_DATA_DESCRIPTIONS),
+				additionalProperties: false,
+			},
+			selector: {
+				type: "string",
+				minLength: 1,
+				description:
+					"Elements or attributes to change: /a/b, //b, a//b, *, [@attr], [@attr='value'] and a last @attr step",
+			},
+			files: {
+				type: "string",
+				minLength: 1,
+				description:
+					"Archive files the rule applies to, relative to the archive root (default: **/*.xml)",
+			},
+			removeRule: {
+				type: "object",
+				description: "Removes elements or attributes (service credentials...)",
+				properties: {
+					action: { const: "remove" },
+					select: { $ref: "#/definitions/selector" },
+					files: { $ref: "#/definitions/files" },
+				},
+				required: ["action", "select"],
+				additionalProperties: false,
+			},
+			replaceRule: {
+				type: "object",
+				description:
+					"Replaces values (host names in site preferences...); without a selector, every element text and attribute value is searched",
+				properties: {
+					action: { const: "replace" },
+					select: { $ref: "#/definitions/selector" },
+					files: { $ref: "#/definitions/files" },
+					search: {
+						type: "string",
+						minLength: 1,
+						description:
+							"Text to replace in the selected values (default: the whole value)",
+					},
+					regex: {
+						type: "boolean",
+						description:
+							"Read search as a regular expression; the replacement may use $1... (default: false)",
+					},
+					replacement: { type: "string", description: "New text" },
+				},
+				required: ["action", "replacement"],
+				additionalProperties: false,
+			},
+			renameRule: {
+				type: "object",
+				description:
+					"Renames an ID (site, catalog...): the ID attributes and elements and the archive folder or file",
+				properties: {
+					action: { const: "rename" },
+					section: {
+						type: "string",
+						enum: Object.keys(RENAME_SECTIONS),
+						description: "Section of the ID",
+					},
+					from: { type: "string", minLength: 1, description: "Current ID" },
+					to: { type: "string", minLength: 1, description: "New ID" },
+				},
+				required: ["action", "section", "from", "to"],
+				additionalProperties: false,
+			},
+			s3Destination: {
+				type: "object",
+				description: "S3-compatible object store (AWS S3, MinIO...)",
+				properties: {
+					type: { const: "s3" },
+					bucket: { type: "string", minLength: 1, description: "Bucket name" },
+					prefix: {
+						type: "string",
+						description: "Key prefix of the uploaded files",
+					},
+					region: {
+						type: "string",
+						minLength: 1,
+						description: "Region of the bucket (default: us-east-1)",
+					},
+					endpoint: {
+						type: "string",
+						minLength: 1,
+						description:
+							"Endpoint of an S3-compatible store (e.g. http://localhost:9000); AWS S3 when not set",
+					},
+					forcePathStyle: {
+						type: "boolean",
+						description:
+							"Use path-style URLs (default: true with a custom endpoint)",
+					},
+					accessKeyId: {
+						type: "string",
+						minLength: 1,
+						description: "Access key (default: AWS_ACCESS_KEY_ID)",
+					},
+					secretAccessKey: {
+						type: "string",
+						minLength: 1,
+						description: "Secret key (default: AWS_SECRET_ACCESS_KEY)",
+					},
+					sessionToken: {
+						type: "string",
+						minLength: 1,
+						description: "Session token (default: AWS_SESSION_TOKEN)",
+					},
+					multipartThresholdMB: {
+						type: "integer",
+						minimum: 5,
+						description:
+							"Size from which files are uploaded in parts, in MiB (default: 64)",
+					},
+					partSizeMB: {
+						type: "integer",
+						minimum: 5,
+						description:
+							"Size of the parts of a multipart upload, in MiB (default: 16)",
+					},
+				},
+				required: ["type", "bucket"],
+				additionalProperties: false,
+			},
+			sftpDestination: {
+				type: "object",
+				description: "SFTP server (OpenSSH sftp client, key authentication)",
+				properties: {
+					type: { const: "sftp" },
+					host: { type: "string", minLength: 1, description: "Host name" },
+					port: {
+						type: "integer",
+						minimum: 1,
+						description: "Port (default: 22)",
+					},
+					user: {
+						type: "string",
+						minLength: 1,
+						description: "User name (default: from ~/.ssh/config)",
+					},
+					path: {
+						type: "string",
+						minLength: 1,
+						description: "Remote folder (default: home folder)",
+					},
+					identityFile: {
+						type: "string",
+						minLength: 1,
+						description: "Private key file",
+					},
+				},
+				required: ["type", "host"],
+				additionalProperties: false,
+			},
+			directoryDestination: {
+				type: "object",
+				description: "Local or mounted directory (network share...)",
+				properties: {
+					type: { const: "directory" },
+					path: {
+						type: "string",
+						minLength: 1,
+						description: "Target directory",
+					},
+				},
+				required: ["type", "path"],
+				additionalProperties: false,
+			},
+		},
+	};
+}
+
+/**
+ * Formats a location as a JSON path ($.dataUnits.sites["my-site"])
+ * @param {(string|number)[]} segments - Keys and array indexes
+ * @returns {string} The JSON path
+ */
+export function toJsonPath(segments) {
+	return segments.reduce((jsonPath, segment) => {
+		if (typeof segment === "number") {
+			return `${jsonPath}[${segment}]`;
+		}
+		return /^[A-Za-z_$][\w$]*$/.test(segment)
+			? `${jsonPath}.${segment}`
+			: `${jsonPath}[${JSON.stringify(segment)}]`;
+	}, "$");
+}
+
+/**
+ * Checks whether a value has a JSON Schema type
+ * @param {*} value - The value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+	switch (type) {
+		case "object":
+			return (
+				typeof value === "object" && value !== null && !Array.isArray(value)
+			);
+		case "array":
+			return Array.isArray(value);
+		case "integer":
+			return Number.isInteger(value);
+		case "number":
+			return typeof value === "number" && Number.isFinite(value);
+		default:
+			return typeof value === type;
+	}
+}
+
+/**
+ * Describes the values a schema accepts, for error messages
+ * @param {object} schema - The schema
+ * @returns {string} Description ("a boolean", "a non-negative integer"...)
+ */
+function describeSchema(schema) {
+	if (schema.type === "integer" || schema.type === "number") {
+		if (schema.minimum === 0) return `a non-negative ${schema.type}`;
+		if (schema.minimum === 1 && schema.type === "integer") {
+			return "a positive integer";
+		}
+		return schema.type === "integer" ? "an integer" : "a number";
+	}
+	if (schema.type === "string" && schema.minLength > 0) {
+		return "a non-empty string";
+	}
+	if (schema.type === "array" && schema.items?.type) {
+		return `an array of ${schema.items.type}s`;
+	}
+	return schema.type === "object" || schema.type === "array"
+		? `an ${schema.type}`
+		: `a ${schema.type}`;
+}
+
+/**
+ * Resolves a local reference (#/definitions/...)
+ * @param {object} schema - The schema, possibly a reference
+ * @param {object} root - Root schema
+ * @returns {object} The referenced schema
+ */
+function resolveRef(schema, root) {
+	if (!schema.$ref) {
+		return schema;
+	}
+	return schema.$ref
+		.replace(/^#\//, "")
+		.split("/")
+		.reduce((node, key) => node[key], root);
+}
+
+/**
+ * Returns the key whose `const` value tells object branches apart (the
+ * "type" of a destination)
+ * @param {object[]} branches - Object schemas
+ * @returns {string|undefined} The discriminator key
+ */
+function findDiscriminator(branches) {
+	return Object.keys(branches[0].properties || {}).find((key) =>
+		branches.every((branch) => branch.properties?.[key]?.const !== undefined),
+	);
+}
+
+/**
+ * Validates a value against a schema (the subset of JSON Schema used by
+ * buildConfigSchema: type, const, enum, properties, required,
+ * additionalProperties, items, oneOf, minimum, minLength and local $ref)
+ * @param {*} value - The value
+ * @param {object} schema - The schema
+ * @param {object} [root] - Root schema, for references
+ * @param {(string|number)[]} [segments] - Location of the value
+ * @returns {{path: (string|number)[], message: string}[]} Errors, with the
+ *   keys and indexes leading to each invalid value
+ */
+export function validateSchema(value, schema, root = schema, segments = []) {
+	const resolved = resolveRef(schema, root);
+	const error = (message, at = segments) => [{ path: at, message }];
+
+	if (resolved.oneOf) {
+		const branches = resolved.oneOf.map((branch) => resolveRef(branch, root));
+		const sameType = branches.filter((branch) => hasType(value, branch.type));
+		if (sameType.length === 1) {
+			return validateSchema(value, sameType[0], root, segments);
+		}
+
+		// Object branches told apart by a constant key
+		const key = sameType.length > 1 && findDiscriminator(sameType);
+		if (key) {
+			const branch = sameType.find(
+				(candidate) => candidate.properties[key].const === value[key],
+			);
+			if (branch) {
+				return validateSchema(value, branch, root, segments);
+			}
+			const values = sameType
+				.map((candidate) => JSON.stringify(candidate.properties[key].const))
+				.join(", ");
+			return value[key] === undefined
+				? error(`Missing required key "${key}" (one of ${values})`)
+				: error(`must be one of ${values}`, [...segments, key]);
+		}
+		return error(`must be ${branches.map(describeSchema).join(" or ")}`);
+	}
+
+	if (resolved.const !== undefined && value !== resolved.const) {
+		return error(`must be ${JSON.stringify(resolved.const)}`);
+	}
+	if (resolved.type && !hasType(value, resolved.type)) {
+		return error(`must be ${describeSchema(resolved)}`);
+	}
+	if (resolved.enum && !resolved.enum.includes(value)) {
+		const suggestion = findClosestMatch(value, resolved.enum);
+		return error(
+			`must be one of ${resolved.enum.map((item) => JSON.stringify(item)).join(", ")}${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`,
+		);
+	}
+	if (
+		(resolved.minimum !== undefined && value < resolved.minimum) ||
+		(resolved.minLength !== undefined && value.length < resolved.minLength)
+	) {
+		return error(`must be ${describeSchema(resolved)}`);
+	}
+
+	if (resolved.type === "array" && resolved.items) {
+		return value.flatMap((item, index) =>
+			validateSchema(item, resolved.items, root, [...segments, index]),
+		);
+	}
+
+	if (resolved.type === "object") {
+		const properties = resolved.properties || {};
+		const knownKeys = Object.keys(properties);
+		const missing = (resolved.required || [])
+			.filter((key) => value[key] === undefined)
+			.flatMap((key) => error(`Missing required key "${key}"`));
+		return missing.concat(
+			Object.entries(value).flatMap(([key, item]) => {
+				const at = [...segments, key];
+				if (properties[key]) {
+					return validateSchema(item, properties[key], root, at);
+				}
+				if (resolved.additionalProperties === false) {
+					const suggestion = findClosestMatch(key, knownKeys);
+					return error(
+						`Unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}${knownKeys.length <= 10 ? `. Valid keys are: ${knownKeys.join(", ")}` : ""}`,
+						at,
+					);
+				}
+				if (typeof resolved.additionalProperties === "object") {
+					return validateSchema(item, resolved.additionalProperties, root, at);
+				}
+				return [];
+			}),
+		);
+	}
+
+	return [];
+}
@@ -0,0 +1,159 @@
+/**
+ * SFTP upload destination
+ * Runs the OpenSSH `sftp` client in batch mode, so authentication uses the
+ * usual SSH keys, agent and ~/.ssh/config. SFTP has no checksum command: the
+ * uploaded files are read back in the same session and their checksums
+ * compared with the local ones
+ */
+
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { sha256File } from "./checksum.js";
+import { ERROR_CODES, UploadError } from "./errors.js";
+
+/**
+ * Quotes a path for an sftp batch file
+ * @param {string} value - The path
+ * @returns {string} The quoted path
+ */
+function quote(value) {
+	return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Builds the sftp batch commands of an upload: create the remote folders,
+ * upload every file, then download each one again for the checksum check
+ * @param {object[]} files - Files to upload (localPath, relativePath)
+ * @param {string} remoteRoot - Remote folder of the upload
+ * @param {string} verifyDir - Local folder receiving the downloaded copies
+ * @returns {string} The batch commands, one per line
+ */
+export function buildSftpBatch(files, remoteRoot, verifyDir) {
+	const remotePaths = files.map((file) =>
+		path.posix.join(remoteRoot, file.relativePath),
+	);
+
+	// Every parent folder, shortest first; "-" ignores the folders that exist
+	const folders = new Set();
+	for (const remotePath of remotePaths) {
+		let folder = path.posix.dirname(remotePath);
+		while (folder !== "." && folder !== "/" && !folders.has(folder)) {
+			folders.add(folder);
+			folder = path.posix.dirname(folder);
+		}
+	}
+
+	return [
+		...[...folders]
+			.sort((a, b) => a.length - b.length)
+			.map((folder) => `-mkdir ${quote(folder)}`),
+		...files.map(
+			(file, index) =>
+				`put ${quote(file.localPath)} ${quote(remotePaths[index])}`,
+		),
+		...remotePaths.map(
+			(remotePath, index) =>
+				`get ${quote(remotePath)} ${quote(path.join(verifyDir, String(index)))}`,
+		),
+		"",
+	].join("\n");
+}
+
+/**
+ * Runs sftp with batch commands read from stdin
+ * @param {string[]} args - sftp arguments
+ * @param {string} batch - Batch commands
+ * @returns {Promise<{code: number, stderr: string}>} Exit code and error output
+ */
+function runSftp(args, batch) {
+	return new Promise((resolve, reject) => {
+		const child = spawn("sftp", args, {
+			stdio: ["pipe", "ignore", "pipe"],
+		});
+		let stderr = "";
+		child.stderr.on("data", (data) => {
+			stderr += data.toString();
+		});
+		child.on("error", reject);
+		child.on("close", (code) => resolve({ code, stderr }));
+		child.stdin.end(batch);
+	});
+}
+
+/**
+ * Creates an SFTP destination
+ * @param {object} settings - Destination settings
+ * @param {string} settings.host - Server host name
+ * @param {number} [settings.port] - Server port (default: 22)
+ * @param {string} [settings.user] - User name (default: from ~/.ssh/config)
+ * @param {string} [settings.path] - Remote folder (default: home folder)
+ * @param {string} [settings.identityFile] - Private key file
+ * @returns {object} The destination
+ */
+export function createSftpDestination(settings) {
+	const target = settings.user
+		? `${settings.user}@${settings.host}`
+		: settings.host;
+	const remoteRoot = settings.path || ".";
+	const location = `sftp://${target}${settings.port ? `:${settings.port}` : ""}/${remoteRoot.replace(/^\//, "")}`;
+
+	return {
+		type: "sftp",
+		location,
+
+		async upload(files, remoteDir) {
+			const uploadRoot = path.posix.join(remoteRoot, remoteDir || "");
+			const verifyDir = fs.mkdtempSync(path.join(os.tmpdir(), "sftp-verify-"));
+
+			try {
+				const args = ["-b", "-", "-o", "BatchMode=yes"];
+				if (settings.port) args.push("-P", String(settings.port));
+				if (settings.identityFile) {
+					args.push(
+						"-i",
+						settings.identityFile.replace(/^~(?=\/)/, os.homedir()),
+					);
+				}
+				args.push(target);
+
+				let result;
+				try {
+					result = await runSftp(
+						args,
+						buildSftpBatch(files, uploadRoot, verifyDir),
+					);
+				} catch (error) {
+					throw new UploadError(
+						`Could not run sftp (is the OpenSSH client installed?): ${error.message}`,
+						{ cause: error },
+					);
+				}
+				if (result.code !== 0) {
+					throw new UploadError(
+						`Upload to ${location} failed: ${result.stderr.trim() || `sftp exited with code ${result.code}`}`,
+					);
+				}
+
+				const uploaded = [];
+				for (const [index, file] of files.entries()) {
+					const remotePath = path.posix.join(uploadRoot, file.relativePath);
+					const checksum = await sha256File(
+						path.join(verifyDir, String(index)),
+					);
+					if (checksum !== file.sha256) {
+						throw new UploadError(
+							`Checksum mismatch for ${target}:${remotePath}`,
+							{ code: ERROR_CODES.CHECKSUM_MISMATCH },
+						);
+					}
+					uploaded.push({ ...file, remotePath: `${target}:${remotePath}` });
+				}
+				return uploaded;
+			} finally {
+				fs.rmSync(verifyDir, { recursive: true, force: true });
+			}
+		},
+	};
+}
@@ -0,0 +1,51 @@
+/**
+ * "Did you mean" suggestions for mistyped keys and IDs
+ */
+
+/**
+ * Computes the edit distance between two strings (Levenshtein)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits from a to b
+ */
+export function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Finds the candidate closest to a mistyped value
+ * Case differences are ignored; candidates further than a third of the
+ * value length (at least 2 edits) are not suggested
+ * @param {string} value - The mistyped value
+ * @param {string[]} candidates - Valid values
+ * @returns {string|null} The closest candidate, if close enough
+ */
+export function findClosestMatch(value, candidates) {
+	const maxDistance = Math.max(2, Math.floor(value.length / 3));
+	let closest = null;
+	let closestDistance = Number.POSITIVE_INFINITY;
+
+	for (const candidate of candidates) {
+		const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+		if (distance < closestDistance) {
+			closest = candidate;
+			closestDistance = distance;
+		}
+	}
+
+	return closestDistance <= maxDistance ? closest : null;
+}
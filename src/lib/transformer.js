@@ -0,0 +1,648 @@
+/**
+ * Archive transformation rules
+ * The `transform.rules` of the export configuration change the downloaded
+ * archive before it is handed over or imported elsewhere: remove elements or
+ * attributes (service credentials...), replace values (production host
+ * names...) and rename IDs (site IDs...). Rules run in order and every change
+ * is reported; removed values are never part of the report.
+ *
+ * Elements and attributes are selected with a subset of XPath:
+ * - `/a/b` starts at the root element, `//b` (or `b`) matches anywhere and
+ *   `a//b` anywhere below `a`
+ * - `*` matches any element; `[@attr]` and `[@attr='value']` filter on
+ *   attributes
+ * - a last `@attr` (or `@*`) step selects attributes
+ * Element names are matched without their namespace prefix.
+ */
+
+import chalk from "chalk";
+import { openArchive } from "./archive.js";
+import { ConfigError, ERROR_CODES } from "./errors.js";
+import { ID_SECTION_FOLDERS } from "./inspector.js";
+import { printMessage } from "./output.js";
+import {
+	buildXmlFile,
+	childElements,
+	decodeXml,
+	descendantElements,
+	encodeXml,
+	getElementText,
+	localName,
+	parseXmlFile,
+} from "./xml.js";
+
+/**
+ * Transformation actions
+ */
+export const TRANSFORM_ACTIONS = ["remove", "replace", "rename"];
+
+/**
+ * Sections whose IDs a rename rule can change: the archive folder holding
+ * each ID, the attributes and elements holding it in the files of that folder
+ * (idNames), and the ones referencing it from any file (references)
+ * Customer and inventory lists both use `list-id`, so it is only renamed in
+ * the folder of the section
+ */
+export const RENAME_SECTIONS = {
+	sites: { folder: "sites", idNames: ["site-id"], references: ["site-id"] },
+	catalogs: {
+		folder: ID_SECTION_FOLDERS.catalogs,
+		idNames: ["catalog-id"],
+		references: ["catalog-id"],
+	},
+	price_lists: {
+		folder: ID_SECTION_FOLDERS.price_lists,
+		idNames: ["pricebook-id"],
+		references: ["pricebook-id"],
+	},
+	libraries: {
+		folder: ID_SECTION_FOLDERS.libraries,
+		idNames: ["library-id"],
+		references: ["library-id"],
+	},
+	customer_lists: {
+		folder: ID_SECTION_FOLDERS.customer_lists,
+		idNames: ["list-id"],
+		references: ["customer-list-id"],
+	},
+	inventory_lists: {
+		folder: ID_SECTION_FOLDERS.inventory_lists,
+		idNames: ["list-id"],
+		references: ["inventory-list-id"],
+	},
+};
+
+/**
+ * Files a remove or replace rule applies to when it has no `files` pattern
+ */
+const DEFAULT_FILES = "**/*.xml";
+
+/**
+ * Changes printed per rule; the manifest holds all of them
+ */
+const PRINTED_CHANGES = 20;
+
+const STEP_PATTERN = /^(\/\/|\/)?(@?)([\w.-]+(?::[\w.-]+)?|\*)/;
+const PREDICATE_PATTERN =
+	/^\[\s*@([\w.:-]+)\s*(?:=\s*(?:'([^']*)'|"([^"]*)")\s*)?\]/;
+
+/**
+ * Turns a file pattern into a regular expression
+ * `**` matches any number of folders, `*` and `?` stay within a folder
+ * @param {string} pattern - File pattern, relative to the archive root
+ * @returns {RegExp} The regular expression
+ */
+export function globToRegExp(pattern) {
+	let source = "";
+	for (let index = 0; index < pattern.length; index++) {
+		const char = pattern[index];
+		if (pattern.startsWith("**/", index)) {
+			source += "(?:.*/)?";
+			index += 2;
+		} else if (pattern.startsWith("**", index)) {
+			source += ".*";
+			index += 1;
+		} else if (char === "*") {
+			source += "[^/]*";
+		} else if (char === "?") {
+			source += "[^/]";
+		} else {
+			source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parses a selector (see the module description)
+ * @param {string} selector - The selector
+ * @returns {object[]} Steps: descendant (any depth), attribute, name and
+ *   predicates ({ name, value })
+ * @throws {ConfigError} If the selector is not supported
+ */
+export function parseSelector(selector) {
+	const invalid = (reason) =>
+		new ConfigError(`Invalid selector "${selector}": ${reason}`, {
+			code: ERROR_CODES.CONFIG_INVALID,
+		});
+	const steps = [];
+	let rest = selector.trim();
+
+	while (rest.length > 0) {
+		const match = STEP_PATTERN.exec(rest);
+		if (!match || (steps.length > 0 && !match[1])) {
+			throw invalid(`unexpected "${rest}"`);
+		}
+		if (steps.at(-1)?.attribute) {
+			throw invalid("an attribute step (@name) must be the last step");
+		}
+		rest = rest.slice(match[0].length);
+
+		const predicates = [];
+		for (
+			let predicate = PREDICATE_PATTERN.exec(rest);
+			predicate;
+			predicate = PREDICATE_PATTERN.exec(rest)
+		) {
+			predicates.push({
+				name: predicate[1],
+				value: predicate[2] ?? predicate[3],
+			});
+			rest = rest.slice(predicate[0].length);
+		}
+		if (rest.startsWith("[")) {
+			throw invalid(
+				`unsupported predicate "${rest}" (use [@attr] or [@attr='value'])`,
+			);
+		}
+		if (match[2] && predicates.length > 0) {
+			throw invalid("attribute steps cannot have predicates");
+		}
+
+		steps.push({
+			descendant: match[1] !== "/",
+			attribute: match[2] === "@",
+			name: match[3],
+			predicates,
+		});
+	}
+
+	if (steps.length === 0) {
+		throw invalid("the selector is empty");
+	}
+	return steps;
+}
+
+/**
+ * Compiles a rule of the configuration
+ * @param {object} rule - Rule from transform.rules
+ * @param {number} index - Position of the rule (from 1)
+ * @returns {object} The compiled rule
+ * @throws {ConfigError} If the rule is invalid
+ */
+export function compileTransformRule(rule, index) {
+	const invalid = (message) =>
+		new ConfigError(`Transform rule ${index}: ${message}`, {
+			code: ERROR_CODES.CONFIG_INVALID,
+		});
+
+	if (rule.action === "rename") {
+		if (!RENAME_SECTIONS[rule.section]) {
+			throw invalid(
+				`unknown section "${rule.section}" (valid sections: ${Object.keys(RENAME_SECTIONS).join(", ")})`,
+			);
+		}
+		return { ...rule, index, ...RENAME_SECTIONS[rule.section] };
+	}
+
+	if (!TRANSFORM_ACTIONS.includes(rule.action)) {
+		throw invalid(
+			`unknown action "${rule.action}" (valid actions: ${TRANSFORM_ACTIONS.join(", ")})`,
+		);
+	}
+	if (rule.action === "remove" && !rule.select) {
+		throw invalid('"remove" needs a selector ("select")');
+	}
+	if (rule.action === "replace" && !rule.select && rule.search === undefined) {
+		throw invalid('"replace" needs a selector ("select") or a "search" value');
+	}
+
+	let search = null;
+	if (rule.search !== undefined) {
+		try {
+			search = rule.regex
+				? new RegExp(rule.search, "g")
+				: new RegExp(rule.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g");
+		} catch (error) {
+			throw invalid(`invalid regular expression: ${error.message}`);
+		}
+	}
+
+	return {
+		...rule,
+		index,
+		filesPattern: globToRegExp(rule.files || DEFAULT_FILES),
+		steps: rule.select ? parseSelector(rule.select) : null,
+		searchPattern: search,
+	};
+}
+
+/**
+ * Compiles the rules of the transform section
+ * @param {object|undefined} transform - transform section of the configuration
+ * @returns {object[]} Compiled rules (none without a transform section)
+ * @throws {ConfigError} If a rule is invalid
+ */
+export function compileTransformRules(transform) {
+	return (transform?.rules || []).map((rule, position) =>
+		compileTransformRule(rule, position + 1),
+	);
+}
+
+/**
+ * Checks whether an element matches a selector step
+ * @param {object} element - Element
+ * @param {object} step - Selector step
+ * @returns {boolean} True on a match
+ */
+function matchesStep(element, step) {
+	const attributes = element.node[":@"] || {};
+	return (
+		(step.name === "*" || localName(element.tag) === localName(step.name)) &&
+		step.predicates.every(({ name, value }) =>
+			value === undefined
+				? attributes[name] !== undefined
+				: attributes[name] !== undefined &&
+					decodeXml(attributes[name]) === value,
+		)
+	);
+}
+
+/**
+ * Keeps the first occurrence of each element
+ * @param {object[]} elements - Elements
+ * @returns {object[]} Distinct elements
+ */
+function distinctElements(elements) {
+	const seen = new Set();
+	return elements.filter((element) => {
+		if (seen.has(element.node)) return false;
+		seen.add(element.node);
+		return true;
+	});
+}
+
+/**
+ * Selects the elements or attributes of a document
+ * @param {object[]} tree - Parsed document
+ * @param {object[]} steps - Selector steps
+ * @returns {object[]} Matches: { element } or { element, attribute }, with
+ *   their location
+ */
+function selectNodes(tree, steps) {
+	let contexts = [{ children: tree, location: "" }];
+
+	for (const step of steps) {
+		if (step.attribute) {
+			const owners = step.descendant
+				? distinctElements(
+						contexts.flatMap((context) => [
+							...(context.node ? [context] : []),
+							...descendantElements(context),
+						]),
+					)
+				: contexts;
+			return owners.flatMap((element) =>
+				Object.keys(element.node[":@"] || {})
+					.filter((name) => step.name === "*" || name === step.name)
+					.map((attribute) => ({
+						element,
+						attribute,
+						location: `${element.location}/@${attribute}`,
+					})),
+			);
+		}
+
+		contexts = distinctElements(
+			contexts
+				.flatMap(step.descendant ? descendantElements : childElements)
+				.filter((element) => matchesStep(element, step)),
+		);
+	}
+
+	return contexts.map((element) => ({ element, location: element.location }));
+}
+
+/**
+ * Applies a search and replacement to a value
+ * @param {string} value - The value
+ * @param {object} rule - Compiled replace rule
+ * @returns {string} The new value
+ */
+function replaceValue(value, rule) {
+	return rule.searchPattern
+		? value.replace(rule.searchPattern, rule.replacement)
+		: rule.replacement;
+}
+
+/**
+ * Applies a remove rule to a document
+ * The indentation before a removed element goes with it
+ * @param {object[]} tree - Parsed document
+ * @param {object} rule - Compiled rule
+ * @returns {object[]} Changes: location of each removed node
+ */
+function applyRemove(tree, rule) {
+	const changes = [];
+	const removed = new Set();
+	const isRemoved = (element) =>
+		removed.has(element.node) ||
+		Boolean(element.container && isRemoved(element.container));
+
+	for (const { element, attribute, location } of selectNodes(
+		tree,
+		rule.steps,
+	)) {
+		// Nodes inside a removed element went with it
+		if (isRemoved(element)) {
+			continue;
+		}
+
+		if (attribute) {
+			delete element.node[":@"][attribute];
+			if (Object.keys(element.node[":@"]).length === 0) {
+				delete element.node[":@"];
+			}
+		} else {
+			const index = element.parent.indexOf(element.node);
+			const previous = element.parent[index - 1];
+			const indented =
+				previous?.["#text"] !== undefined && previous["#text"].trim() === "";
+			element.parent.splice(indented ? index - 1 : index, indented ? 2 : 1);
+			removed.add(element.node);
+		}
+		changes.push({ location });
+	}
+
+	return changes;
+}
+
+/**
+ * Applies a replace rule to a document
+ * Without a selector, every attribute value and element text is searched
+ * @param {object[]} tree - Parsed document
+ * @param {object} rule - Compiled rule
+ * @returns {object[]} Changes: location and new value of each changed node
+ */
+function applyReplace(tree, rule) {
+	const matches = rule.steps
+		? selectNodes(tree, rule.steps)
+		: [
+				...selectNodes(tree, parseSelector("//*")),
+				...selectNodes(tree, parseSelector("//@*")),
+			];
+	const changes = [];
+
+	for (const { element, attribute, location } of matches) {
+		if (attribute) {
+			const attributes = element.node[":@"];
+			const value = decodeXml(attributes[attribute]);
+			const replaced = replaceValue(value, rule);
+			if (replaced !== value) {
+				attributes[attribute] = encodeXml(replaced);
+				changes.push({ location, after: replaced });
+			}
+			continue;
+		}
+
+		const text = getElementText(element);
+		if (!rule.searchPattern) {
+			// The whole content of the element is replaced
+			const hasChildElements = childElements(element).length > 0;
+			if (text !== rule.replacement || hasChildElements) {
+				element.children.splice(0, element.children.length, {
+					"#text": encodeXml(rule.replacement),
+				});
+				changes.push({ location, after: rule.replacement });
+			}
+			continue;
+		}
+
+		for (const child of element.children) {
+			if (child["#text"] !== undefined) {
+				child["#text"] = encodeXml(
+					replaceValue(decodeXml(child["#text"]), rule),
+				);
+			} else if (child["#cdata"]?.[0]?.["#text"] !== undefined) {
+				child["#cdata"][0]["#text"] = replaceValue(
+					child["#cdata"][0]["#text"],
+					rule,
+				);
+			}
+		}
+		const replaced = getElementText(element);
+		if (replaced !== text) {
+			changes.push({ location, after: replaced.trim() });
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Applies a rename rule to a document: the ID attributes and elements of the
+ * section holding the old ID get the new one, and so do its references
+ * @param {object[]} tree - Parsed document
+ * @param {object} rule - Compiled rule
+ * @param {string} filePath - Path of the document in the archive
+ * @returns {object[]} Changes: location, old and new ID
+ */
+function applyRename(tree, rule, filePath) {
+	const names = filePath.startsWith(`${rule.folder}/`)
+		? [...new Set([...rule.idNames, ...rule.references])]
+		: rule.references;
+	const changes = [];
+
+	for (const element of descendantElements({ children: tree, location: "" })) {
+		const attributes = element.node[":@"] || {};
+		for (const name of names) {
+			if (
+				attributes[name] !== undefined &&
+				decodeXml(attributes[name]) === rule.from
+			) {
+				attributes[name] = encodeXml(rule.to);
+				changes.push({
+					location: `${element.location}/@${name}`,
+					before: rule.from,
+					after: rule.to,
+				});
+			}
+		}
+
+		if (
+			names.includes(localName(element.tag)) &&
+			getElementText(element).trim() === rule.from
+		) {
+			for (const child of element.children) {
+				if (child["#text"] !== undefined) {
+					child["#text"] = child["#text"].replace(
+						encodeXml(rule.from),
+						encodeXml(rule.to),
+					);
+				}
+			}
+			changes.push({
+				location: element.location,
+				before: rule.from,
+				after: rule.to,
+			});
+		}
+	}
+
+	return changes;
+}
+
+const RULE_APPLIERS = {
+	remove: applyRemove,
+	replace: applyReplace,
+	rename: applyRename,
+};
+
+/**
+ * Returns the new path of an archive file moved by a rename rule
+ * (`sites/<id>/...`, `catalogs/<id>.xml`...)
+ * @param {string} filePath - Path of the file in the archive
+ * @param {object} rule - Compiled rename rule
+ * @returns {string|null} The new path, or null if the file stays
+ */
+function getRenamedPath(filePath, rule) {
+	const [folder, name, ...rest] = filePath.split("/");
+	if (folder !== rule.folder) {
+		return null;
+	}
+	if (name === rule.from && rest.length > 0) {
+		return [folder, rule.to, ...rest].join("/");
+	}
+	if (name === `${rule.from}.xml` && rest.length === 0) {
+		return `${folder}/${rule.to}.xml`;
+	}
+	return null;
+}
+
+/**
+ * Applies transformation rules to a downloaded archive (zip file or folder)
+ * Every change is computed before the archive is written, so an archive with
+ * a malformed file is left untouched; a zip file is repacked. Files are
+ * processed in path order and changes are reported by rule
+ * @param {string} archivePath - Path to the archive
+ * @param {object[]} rules - Compiled rules from compileTransformRules
+ * @returns {{rules: number, files: number, changes: object[]}} The report:
+ *   number of rules and changed files, and every change (rule, action, file,
+ *   location, and the new value of replacements and renames)
+ * @throws {FileError} If an XML file cannot be parsed
+ */
+export function transformArchive(archivePath, rules) {
+	const archive = openArchive(archivePath);
+	const entries = archive.entries.toSorted((a, b) =>
+		a.path.localeCompare(b.path),
+	);
+	const writes = new Map();
+	const renames = new Map();
+	const changes = [];
+
+	for (const entry of entries) {
+		if (!entry.path.toLowerCase().endsWith(".xml")) {
+			continue;
+		}
+
+		let content = null;
+		const read = () => {
+			content ??= entry.read().toString("utf8");
+			return content;
+		};
+		const fileRules = rules.filter((rule) =>
+			rule.action === "rename"
+				? read().includes(encodeXml(rule.from))
+				: rule.filesPattern.test(entry.path),
+		);
+		if (fileRules.length === 0) {
+			continue;
+		}
+
+		const tree = parseXmlFile(read(), entry.path);
+		const fileChanges = fileRules.flatMap((rule) =>
+			RULE_APPLIERS[rule.action](tree, rule, entry.path).map((change) => ({
+				rule: rule.index,
+				action: rule.action,
+				file: entry.path,
+				...change,
+			})),
+		);
+		if (fileChanges.length > 0) {
+			writes.set(entry.path, Buffer.from(buildXmlFile(tree, content)));
+			changes.push(...fileChanges);
+		}
+	}
+
+	for (const rule of rules.filter(({ action }) => action === "rename")) {
+		for (const entry of entries) {
+			const currentPath = renames.get(entry.path) || entry.path;
+			const renamedPath = getRenamedPath(currentPath, rule);
+			if (renamedPath) {
+				renames.set(entry.path, renamedPath);
+				changes.push({
+					rule: rule.index,
+					action: "rename",
+					file: entry.path,
+					location: null,
+					before: currentPath,
+					after: renamedPath,
+				});
+			}
+		}
+	}
+
+	if (writes.size > 0 || renames.size > 0) {
+		archive.save({ writes, renames });
+	}
+
+	return {
+		rules: rules.length,
+		files: new Set([...writes.keys(), ...renames.keys()]).size,
+		changes: changes.sort((a, b) => a.rule - b.rule),
+	};
+}
+
+/**
+ * Describes a rule for the report
+ * @param {object} rule - Rule from the configuration
+ * @returns {string} Description
+ */
+function describeRule(rule) {
+	if (rule.action === "rename") {
+		return `rename ${rule.section} ${rule.from} → ${rule.to}`;
+	}
+	const target = rule.select || "all values";
+	const files = rule.files ? ` in ${rule.files}` : "";
+	return rule.action === "remove"
+		? `remove ${target}${files}`
+		: `replace ${rule.search !== undefined ? `"${rule.search}" ` : ""}in ${target}${files}`;
+}
+
+/**
+ * Prints the report of transformArchive
+ * @param {object} report - The report
+ * @param {object[]} rules - The rules of the configuration
+ */
+export function printTransformReport(report, rules) {
+	printMessage(
+		chalk.cyan(
+			`\n🛠️  Transformations: ${report.changes.length} change(s) in ${report.files} file(s)`,
+		),
+	);
+
+	rules.forEach((rule, position) => {
+		const ruleChanges = report.changes.filter(
+			(change) => change.rule === position + 1,
+		);
+		printMessage(
+			`\n  ${chalk.yellow(`Rule ${position + 1}`)} ${describeRule(rule)} ${chalk.gray(`(${ruleChanges.length} change(s))`)}`,
+		);
+		for (const change of ruleChanges.slice(0, PRINTED_CHANGES)) {
+			const target = change.location
+				? `${change.file} ${chalk.gray(change.location)}`
+				: change.before;
+			const result =
+				change.after === undefined ? "removed" : `→ ${change.after}`;
+			printMessage(`    - ${target} ${result}`);
+		}
+		if (ruleChanges.length > PRINTED_CHANGES) {
+			printMessage(
+				chalk.gray(
+					`    ... and ${ruleChanges.length - PRINTED_CHANGES} more (see the manifest)`,
+				),
+			);
+		}
+	});
+	printMessage("");
+}
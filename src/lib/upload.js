@@ -0,0 +1,198 @@
+/**
+ * Upload destinations of exported archives
+ * After the download, the archive (zip file or extracted folder) and its
+ * manifest are uploaded to every destination of the `upload` section of the
+ * export configuration. Each uploaded file is checked against the SHA-256
+ * checksum of the local file; the local copy can then be deleted.
+ *
+ * A destination is created from its settings by the factory registered for
+ * its `type`, and has a `type`, a `location` and an
+ * `upload(files, remoteDir)` method returning the uploaded files.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { runWithConcurrency } from "./batch.js";
+import { sha256File } from "./checksum.js";
+import { ConfigError, ERROR_CODES, FileError, UploadError } from "./errors.js";
+import { createS3Destination } from "./s3.js";
+import { createSftpDestination } from "./sftp.js";
+
+/**
+ * Files hashed at a time: an extracted archive can hold thousands of files,
+ * more than the open file limit
+ */
+const HASH_CONCURRENCY = 4;
+
+/**
+ * Creates a local or mounted directory destination (a network share, a
+ * synced folder...)
+ * @param {object} settings - Destination settings
+ * @param {string} settings.path - Target directory
+ * @returns {object} The destination
+ */
+function createDirectoryDestination(settings) {
+	const root = path.resolve(settings.path);
+
+	return {
+		type: "directory",
+		location: root,
+
+		async upload(files, remoteDir) {
+			const uploaded = [];
+
+			for (const file of files) {
+				const targetPath = path.join(root, remoteDir || "", file.relativePath);
+				try {
+					await fs.promises.mkdir(path.dirname(targetPath), {
+						recursive: true,
+					});
+					await fs.promises.copyFile(file.localPath, targetPath);
+				} catch (error) {
+					throw new UploadError(
+						`Copy to ${targetPath} failed: ${error.message}`,
+						{ cause: error },
+					);
+				}
+
+				if ((await sha256File(targetPath)) !== file.sha256) {
+					throw new UploadError(`Checksum mismatch for ${targetPath}`, {
+						code: ERROR_CODES.CHECKSUM_MISMATCH,
+					});
+				}
+				uploaded.push({ ...file, remotePath: targetPath });
+			}
+
+			return uploaded;
+		},
+	};
+}
+
+/**
+ * Destination factories by destination type
+ */
+export const DESTINATION_TYPES = {
+	s3: createS3Destination,
+	sftp: createSftpDestination,
+	directory: createDirectoryDestination,
+};
+
+/**
+ * Creates the destination of an `upload.destinations` entry
+ * @param {object} settings - Destination settings, with their `type`
+ * @returns {object} The destination
+ */
+export function createDestination(settings) {
+	const create = DESTINATION_TYPES[settings.type];
+	if (!create) {
+		throw new ConfigError(
+			`Unknown upload destination type "${settings.type}" (valid types: ${Object.keys(DESTINATION_TYPES).join(", ")})`,
+			{ code: ERROR_CODES.CONFIG_INVALID },
+		);
+	}
+	return create(settings);
+}
+
+/**
+ * Lists the files of an export run to upload, with their size and checksum
+ * @param {string} localPath - Downloaded archive (zip file or folder)
+ * @param {string|null} manifestPath - Manifest of the run
+ * @returns {Promise<object[]>} Files: localPath, relativePath (POSIX path
+ *   under the upload folder), size and sha256
+ */
+export async function collectUploadFiles(localPath, manifestPath) {
+	if (!fs.existsSync(localPath)) {
+		throw new FileError(`Archive not found: ${localPath}`, {
+			code: ERROR_CODES.ARCHIVE_NOT_FOUND,
+		});
+	}
+
+	const archiveName = path.basename(localPath);
+	const entries = fs.statSync(localPath).isDirectory()
+		? fs
+				.readdirSync(localPath, { recursive: true })
+				.map((entry) => path.join(localPath, entry))
+				.filter((filePath) => fs.statSync(filePath).isFile())
+				.sort()
+				.map((filePath) => ({
+					localPath: filePath,
+					relativePath: path
+						.join(archiveName, path.relative(localPath, filePath))
+						.split(path.sep)
+						.join("/"),
+				}))
+		: [{ localPath, relativePath: archiveName }];
+	if (manifestPath) {
+		entries.push({
+			localPath: manifestPath,
+			relativePath: path.basename(manifestPath),
+		});
+	}
+
+	return runWithConcurrency(entries, HASH_CONCURRENCY, async (entry) => ({
+		...entry,
+		size: fs.statSync(entry.localPath).size,
+		sha256: await sha256File(entry.localPath),
+	}));
+}
+
+/**
+ * Uploads the archive and manifest of an export run to every destination,
+ * then deletes the local copy if requested (only when every upload succeeded)
+ * @param {object} run - Export run
+ * @param {string} run.localPath - Downloaded archive (zip file or folder)
+ * @param {string|null} run.manifestPath - Manifest of the run
+ * @param {string} [run.remoteDir] - Folder under each destination (the
+ *   instance name of a batch export)
+ * @param {object} upload - `upload` section of the export configuration
+ * @param {object} [callbacks] - Progress callbacks
+ * @param {Function} [callbacks.onUploading] - Called with the type and
+ *   location of each destination before its upload
+ * @param {Function} [callbacks.onUploaded] - Called with the result of each
+ *   destination
+ * @returns {Promise<{files: number, bytes: number, destinations: object[], deletedLocal: boolean}>}
+ *   Upload summary; each destination has its type, location and uploaded
+ *   files
+ * @throws {UploadError} If an upload fails or a checksum does not match
+ */
+export async function uploadExport(
+	run,
+	upload,
+	{ onUploading, onUploaded } = {},
+) {
+	const destinations = (upload.destinations || []).map(createDestination);
+	const files = await collectUploadFiles(run.localPath, run.manifestPath);
+	const results = [];
+
+	for (const destination of destinations) {
+		onUploading?.({ type: destination.type, location: destination.location });
+		const uploaded = await destination.upload(files, run.remoteDir || "");
+		const result = {
+			type: destination.type,
+			location: destination.location,
+			files: uploaded.map(({ relativePath, remotePath, size, sha256 }) => ({
+				relativePath,
+				remotePath,
+				size,
+				sha256,
+			})),
+		};
+		onUploaded?.(result);
+		results.push(result);
+	}
+
+	const deletedLocal = Boolean(upload.deleteLocal && destinations.length > 0);
+	if (deletedLocal) {
+		fs.rmSync(run.localPath, { recursive: true, force: true });
+		if (run.manifestPath) {
+			fs.rmSync(run.manifestPath, { force: true });
+		}
+	}
+
+	return {
+		files: files.length,
+		bytes: files.reduce((total, file) => total + file.size, 0),
+		destinations: results,
+		deletedLocal,
+	};
+}
@@ -0,0 +1,123 @@
+/**
+ * Environment variables in configuration files
+ * String values and object keys may reference `${NAME}` or
+ * `${NAME:-default}` (default used when NAME is unset or empty); `$${NAME}`
+ * is kept as the literal text `${NAME}`
+ */
+
+import fs from "node:fs";
+import { parseEnv } from "node:util";
+import { ConfigError, ERROR_CODES } from "./errors.js";
+
+/**
+ * Matches a variable reference: escape, name and default value
+ */
+const VARIABLE_PATTERN = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Reads an .env-style file (KEY=value lines, # comments, quoted values)
+ * @param {string} envFilePath - Path to the file
+ * @returns {object} Variables defined by the file
+ */
+export function readEnvFile(envFilePath) {
+	if (!fs.existsSync(envFilePath)) {
+		throw new ConfigError(`Environment file not found: ${envFilePath}`, {
+			code: ERROR_CODES.CONFIG_NOT_FOUND,
+		});
+	}
+	return parseEnv(fs.readFileSync(envFilePath, "utf8"));
+}
+
+/**
+ * Builds the variables available to configuration files
+ * Variables of the process environment win over the ones of the file
+ * @param {string} [envFilePath] - Optional .env-style file
+ * @returns {object} Variables by name
+ */
+export function getConfigVariables(envFilePath) {
+	return envFilePath
+		? { ...readEnvFile(envFilePath), ...process.env }
+		: { ...process.env };
+}
+
+/**
+ * Replaces the variable references of a string
+ * @param {string} value - The string
+ * @param {object} variables - Variables by name
+ * @param {Function} onReference - Called with (name, status) for each
+ *   reference; status is "defined", "default" or "undefined"
+ * @returns {string} The string with its references replaced (undefined
+ *   variables are replaced with an empty string)
+ */
+function interpolateString(value, variables, onReference) {
+	return value.replace(
+		VARIABLE_PATTERN,
+		(match, escaped, name, defaultValue) => {
+			if (escaped) {
+				return match.slice(1);
+			}
+
+			const variable = variables[name];
+			if (
+				variable !== undefined &&
+				!(defaultValue !== undefined && variable === "")
+			) {
+				onReference(name, "defined");
+				return variable;
+			}
+			if (defaultValue !== undefined) {
+				onReference(name, "default");
+				return defaultValue;
+			}
+			onReference(name, "undefined");
+			return "";
+		},
+	);
+}
+
+/**
+ * Replaces the variable references of every string value and object key
+ * @param {*} value - Configuration value
+ * @param {object} variables - Variables by name
+ * @param {Function} onReference - Called with { name, status, keyPath } for
+ *   each reference
+ * @param {string} prefix - Key path of the value
+ * @returns {*} A copy of the value with its references replaced
+ */
+export function interpolateVariables(
+	value,
+	variables,
+	onReference,
+	prefix = "",
+) {
+	const report = (keyPath) => (name, status) =>
+		onReference({ name, status, keyPath });
+
+	if (typeof value === "string") {
+		return interpolateString(value, variables, report(prefix));
+	}
+	if (Array.isArray(value)) {
+		return value.map((item, index) =>
+			interpolateVariables(
+				item,
+				variables,
+				onReference,
+				prefix ? `${prefix}.${index}` : `${index}`,
+			),
+		);
+	}
+	if (typeof value === "object" && value !== null) {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => {
+				// Paths keep the key as written, so a missing variable in a key
+				// can still be located
+				const keyPath = prefix ? `${prefix}.${key}` : key;
+				return [
+					interpolateString(key, variables, report(keyPath)),
+					interpolateVariables(item, variables, onReference, keyPath),
+				];
+			}),
+		);
+	}
+	return value;
+}
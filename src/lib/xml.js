@@ -0,0 +1,285 @@
+/**
+ * XML files of site export archives
+ * Parses files into ordered trees and writes them back, so a changed file only
+ * differs where it was changed; lists their elements with a readable location
+ *
+ * The parsed tree does not tell <x/> from <x></x>: self-closing elements are
+ * marked with an attribute before parsing, remembered with the whitespace
+ * before their "/>" and written back self-closing as long as they stay empty
+ */
+
+import { XMLBuilder, XMLParser, XMLValidator } from "fast-xml-parser";
+import { ERROR_CODES, FileError } from "./errors.js";
+
+/**
+ * Parser and builder options keeping the document as written: order,
+ * comments, CDATA sections, whitespace and escaped text
+ */
+const XML_OPTIONS = {
+	preserveOrder: true,
+	ignoreAttributes: false,
+	attributeNamePrefix: "",
+	commentPropName: "#comment",
+	cdataPropName: "#cdata",
+	trimValues: false,
+	parseTagValue: false,
+	parseAttributeValue: false,
+	processEntities: false,
+	suppressEmptyNode: false,
+};
+
+const xmlParser = new XMLParser(XML_OPTIONS);
+const xmlBuilder = new XMLBuilder(XML_OPTIONS);
+
+/**
+ * Attribute marking the self-closing elements while a file is parsed or built
+ */
+const SELF_CLOSING_ATTRIBUTE = "sfcc-exporter-self-closing";
+
+/**
+ * Comments, CDATA sections, declarations and self-closing tags of a document
+ * (attribute values are matched whole, so a "/>" inside one is not a tag end)
+ */
+const SELF_CLOSING_TAG_PATTERN =
+	/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)(\s*)\/>/g;
+
+/**
+ * Nodes of the parsed documents that were self-closing elements, with the
+ * whitespace before their "/>" (encoded, see encodeSpace)
+ */
+const selfClosingNodes = new WeakMap();
+
+const XML_ENTITIES = {
+	"&amp;": "&",
+	"&lt;": "<",
+	"&gt;": ">",
+	"&quot;": '"',
+	"&apos;": "'",
+};
+
+/**
+ * Decodes the escaped text of an XML document
+ * @param {string} text - Escaped text
+ * @returns {string} The text
+ */
+export function decodeXml(text) {
+	return text.replace(
+		/&(?:amp|lt|gt|quot|apos|#(\d+)|#x([\da-f]+));/gi,
+		(entity, decimal, hex) => {
+			if (decimal) return String.fromCodePoint(Number.parseInt(decimal, 10));
+			if (hex) return String.fromCodePoint(Number.parseInt(hex, 16));
+			return XML_ENTITIES[entity];
+		},
+	);
+}
+
+/**
+ * Escapes text for an XML document (element text or attribute value)
+ * @param {string} text - The text
+ * @returns {string} Escaped text
+ */
+export function encodeXml(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Returns the tag of a node of the parsed document
+ * @param {object} node - Node
+ * @returns {string} Element name, #text, #comment, #cdata or ?xml
+ */
+function getTag(node) {
+	return Object.keys(node).find((key) => key !== ":@");
+}
+
+/**
+ * Returns an element name without its namespace prefix
+ * @param {string} tag - Element name
+ * @returns {string} Local name
+ */
+export function localName(tag) {
+	return tag.slice(tag.indexOf(":") + 1);
+}
+
+/**
+ * Lists the child elements of an element (or of the document)
+ * Each element has its node, tag, children, parent array, containing element
+ * and location (a path naming the *-id attribute of each element, for the
+ * report)
+ * @param {object} context - Element or document
+ * @returns {object[]} Child elements
+ */
+export function childElements(context) {
+	return context.children.flatMap((node) => {
+		const tag = getTag(node);
+		if (/^[#?!]/.test(tag)) {
+			return [];
+		}
+		const attributes = node[":@"] || {};
+		const idName = Object.keys(attributes).find((name) => name.endsWith("-id"));
+		return {
+			node,
+			tag,
+			children: node[tag],
+			parent: context.children,
+			container: context.node ? context : null,
+			location: `${context.location}/${localName(tag)}${idName ? `[@${idName}='${decodeXml(attributes[idName])}']` : ""}`,
+		};
+	});
+}
+
+/**
+ * Lists the elements below an element (or the document), in document order
+ * @param {object} context - Element or document
+ * @returns {object[]} Descendant elements
+ */
+export function descendantElements(context) {
+	return childElements(context).flatMap((element) => [
+		element,
+		...descendantElements(element),
+	]);
+}
+
+/**
+ * Returns the text directly inside an element (text and CDATA children)
+ * @param {object} element - Element
+ * @returns {string} The decoded text
+ */
+export function getElementText(element) {
+	return element.children
+		.map((child) => {
+			if (child["#text"] !== undefined) return decodeXml(child["#text"]);
+			if (child["#cdata"]) return child["#cdata"][0]?.["#text"] ?? "";
+			return "";
+		})
+		.join("");
+}
+
+/**
+ * Parses an XML file of the archive
+ * @param {string} xml - File content
+ * @param {string} filePath - Path of the file in the archive
+ * @returns {object[]} Parsed document
+ * @throws {FileError} If the file is not well-formed XML
+ */
+export function parseXmlFile(xml, filePath) {
+	const validation = XMLValidator.validate(xml);
+	if (validation !== true) {
+		throw new FileError(
+			`Cannot parse ${filePath}: ${validation.err.msg} (line ${validation.err.line})`,
+			{ code: ERROR_CODES.ARCHIVE_INVALID },
+		);
+	}
+	const tree = xmlParser.parse(
+		xml.replace(SELF_CLOSING_TAG_PATTERN, (match, tag, attributes, space) =>
+			tag
+				? `<${tag}${attributes} ${SELF_CLOSING_ATTRIBUTE}="${encodeSpace(space)}"/>`
+				: match,
+		),
+	);
+	rememberSelfClosingNodes(tree);
+	return tree;
+}
+
+/**
+ * Encodes whitespace as the value of the self-closing mark
+ * @param {string} space - Whitespace before "/>"
+ * @returns {string} Attribute value (never empty)
+ */
+function encodeSpace(space) {
+	return `s${encodeURIComponent(space)}`;
+}
+
+/**
+ * Decodes the value of a self-closing mark
+ * @param {string} value - Attribute value from encodeSpace
+ * @returns {string} Whitespace before "/>"
+ */
+function decodeSpace(value) {
+	return decodeURIComponent(value.slice(1));
+}
+
+/**
+ * Moves the self-closing marks of parsed nodes from their attributes to
+ * selfClosingNodes
+ * @param {object[]} nodes - Parsed nodes
+ */
+function rememberSelfClosingNodes(nodes) {
+	for (const node of nodes) {
+		const tag = getTag(node);
+		if (/^[#?!]/.test(tag)) {
+			continue;
+		}
+		const attributes = node[":@"];
+		if (attributes?.[SELF_CLOSING_ATTRIBUTE] !== undefined) {
+			selfClosingNodes.set(node, attributes[SELF_CLOSING_ATTRIBUTE]);
+			delete attributes[SELF_CLOSING_ATTRIBUTE];
+			if (Object.keys(attributes).length === 0) {
+				delete node[":@"];
+			}
+		}
+		rememberSelfClosingNodes(node[tag]);
+	}
+}
+
+/**
+ * Lists the nodes to write self-closing: the self-closing elements of the
+ * original file that are still empty
+ * @param {object[]} nodes - Parsed nodes
+ * @returns {object[]} The nodes
+ */
+function findSelfClosingNodes(nodes) {
+	return nodes.flatMap((node) => {
+		const tag = getTag(node);
+		if (/^[#?!]/.test(tag)) {
+			return [];
+		}
+		return selfClosingNodes.has(node) && node[tag].length === 0
+			? [node]
+			: findSelfClosingNodes(node[tag]);
+	});
+}
+
+/**
+ * Serializes a parsed document, keeping the line breaks the builder drops
+ * (after the XML declaration and at the end of the file)
+ * @param {object[]} tree - Parsed document
+ * @param {string} original - Original file content
+ * @returns {string} The XML document
+ */
+export function buildXmlFile(tree, original) {
+	const selfClosing = findSelfClosingNodes(tree);
+	for (const node of selfClosing) {
+		node[":@"] = {
+			...node[":@"],
+			[SELF_CLOSING_ATTRIBUTE]: selfClosingNodes.get(node),
+		};
+	}
+	let xml;
+	try {
+		xml = xmlBuilder
+			.build(tree)
+			.replace(
+				new RegExp(` ${SELF_CLOSING_ATTRIBUTE}="([^"]*)"></[^>]+>`, "g"),
+				(_match, space) => `${decodeSpace(space)}/>`,
+			);
+	} finally {
+		for (const node of selfClosing) {
+			delete node[":@"][SELF_CLOSING_ATTRIBUTE];
+			if (Object.keys(node[":@"]).length === 0) {
+				delete node[":@"];
+			}
+		}
+	}
+	const declaration = /^<\?xml[^>]*\?>(\r?\n)/.exec(original);
+	if (declaration && !xml.startsWith(declaration[0])) {
+		xml = xml.replace(/^(<\?xml[^>]*\?>)/, `$1${declaration[1]}`);
+	}
+	if (/\n$/.test(original) && !xml.endsWith("\n")) {
+		xml += original.endsWith("\r\n") ? "\r\n" : "\n";
+	}
+	return xml;
+}
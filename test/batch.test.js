@@ -0,0 +1,160 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+	printBatchSummary,
+	resolveInstances,
+	runWithConcurrency,
+} from "../src/lib/batch.js";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+/**
+ * Runs the CLI on the fake backend
+ */
+function runCli(args, cwd, env = {}) {
+	return spawnSync(process.execPath, [CLI_PATH, ...args], {
+		cwd,
+		encoding: "utf8",
+		env: {
+			...process.env,
+			SFCC_EXPORTER_BACKEND: "fake",
+			NO_COLOR: "1",
+			...env,
+		},
+	});
+}
+
+describe("resolveInstances", () => {
+	it("prefers --instance over the instances of the configuration", () => {
+		assert.deepEqual(resolveInstances("stg, dev,,stg", ["prod"]), [
+			"stg",
+			"dev",
+		]);
+		assert.deepEqual(resolveInstances(undefined, ["prod", "stg", "prod"]), [
+			"prod",
+			"stg",
+		]);
+		assert.deepEqual(resolveInstances(undefined, undefined), []);
+	});
+});
+
+describe("runWithConcurrency", () => {
+	it("runs at most `limit` workers and keeps the order of the items", async () => {
+		let running = 0;
+		let maxRunning = 0;
+
+		const results = await runWithConcurrency(
+			[30, 10, 20, 0],
+			2,
+			async (delay, index) => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				await new Promise((resolve) => setTimeout(resolve, delay));
+				running--;
+				return `${index}:${delay}`;
+			},
+		);
+
+		assert.deepEqual(results, ["0:30", "1:10", "2:20", "3:0"]);
+		assert.equal(maxRunning, 2);
+	});
+});
+
+describe("printBatchSummary", () => {
+	it("lists every instance and counts the failures", (t) => {
+		const lines = [];
+		t.mock.method(console, "log", (line) => lines.push(line));
+
+		printBatchSummary([
+			{
+				instance: "stg",
+				success: true,
+				durationMs: 1500,
+				localPath: "/exports/stg/export",
+			},
+			{
+				instance: "dev",
+				success: false,
+				durationMs: 200,
+				error: "Could not connect",
+			},
+		]);
+
+		const output = lines.join("\n");
+		assert.match(output, /stg\s+success\s+1\.5s\s+\/exports\/stg\/export/);
+		assert.match(output, /dev\s+failed\s+0\.2s\s+Could not connect/);
+		assert.match(output, /1 of 2 instance exports failed/);
+	});
+});
+
+describe("batch export", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-"));
+		fs.writeFileSync(path.join(workDir, "dw.json"), "{}");
+		fs.writeFileSync(
+			path.join(workDir, "export-config.json"),
+			JSON.stringify({
+				instances: ["stg", "dev"],
+				dataUnits: { sites: { RefArch: { site_preferences: true } } },
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("exports every instance into its own folder", () => {
+		const result = runCli(
+			["export", "-c", "export-config.json", "--concurrency", "2", "--json"],
+			workDir,
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const output = JSON.parse(result.stdout);
+		assert.deepEqual(
+			output.results.map(({ instance, success }) => [instance, success]),
+			[
+				["stg", true],
+				["dev", true],
+			],
+		);
+		for (const { instance, localPath } of output.results) {
+			assert.equal(
+				path.dirname(localPath),
+				path.join(workDir, "exports", instance),
+			);
+		}
+	});
+
+	it("reports each failed instance and exits with the batch error code", () => {
+		const result = runCli(
+			["export", "-c", "export-config.json", "--ndjson"],
+			workDir,
+			{ SFCC_EXPORTER_FAKE_ERROR: "Export job failed with status ERROR" },
+		);
+
+		assert.equal(result.status, 11);
+		const events = result.stdout
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		assert.deepEqual(
+			events
+				.filter((event) => event.type === "instance-failed")
+				.map((event) => event.instance),
+			["stg", "dev"],
+		);
+		const finalResult = events.at(-1);
+		assert.equal(finalResult.success, false);
+		assert.equal(finalResult.error.code, "BATCH_FAILED");
+		assert.match(finalResult.error.message, /2 of 2 instance exports failed/);
+	});
+});
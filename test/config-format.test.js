@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { loadConfig } from "../src/lib/config.js";
+import {
+	getConfigFormat,
+	parseConfigText,
+	renderConfig,
+	stripJsonComments,
+} from "../src/lib/config-format.js";
+
+const config = {
+	archive: { name: "export-{date}" },
+	instances: ["dev01", "stg"],
+	dataUnits: {
+		global_data: { meta_data: true, services: false },
+		sites: { RefArch: { content: true } },
+		catalogs: {},
+	},
+};
+
+const notes = {
+	header: ["Test configuration"],
+	comments: {
+		archive: ["Archive configuration", "Name template"],
+		"dataUnits.global_data.meta_data": "System and custom object metadata",
+		"dataUnits.sites": "Sites to export",
+	},
+	examples: { "dataUnits.catalogs": { "storefront-catalog": true } },
+};
+
+describe("getConfigFormat", () => {
+	it("picks the format from the file extension", () => {
+		assert.equal(getConfigFormat("config.json"), "json");
+		assert.equal(getConfigFormat("config.jsonc"), "jsonc");
+		assert.equal(getConfigFormat("config.YAML"), "yaml");
+		assert.equal(getConfigFormat("config.yml"), "yaml");
+		assert.equal(getConfigFormat("config"), "json");
+	});
+});
+
+describe("stripJsonComments", () => {
+	it("removes comments and trailing commas outside strings", () => {
+		const text = `{
+  // Line comment
+  "url": "https://example.com/*not a comment*/", /* block */
+  "list": ["a", "b",],
+  "note": "a, }",
+}`;
+
+		assert.deepEqual(JSON.parse(stripJsonComments(text)), {
+			url: "https://example.com/*not a comment*/",
+			list: ["a", "b"],
+			note: "a, }",
+		});
+	});
+
+	it("keeps line numbers for parse errors", () => {
+		const stripped = stripJsonComments('{\n  /* a\n  b */\n  "x": 1\n}');
+		assert.equal(stripped.split("\n").length, 5);
+	});
+});
+
+describe("renderConfig", () => {
+	for (const format of ["json", "jsonc", "yaml"]) {
+		it(`writes ${format} that reads back to the same configuration`, () => {
+			const text = renderConfig(config, format, notes);
+			assert.deepEqual(parseConfigText(text, format), config);
+		});
+	}
+
+	it("writes the comments next to each option", () => {
+		const jsonc = renderConfig(config, "jsonc", notes);
+		assert.match(jsonc, /^\/\/ Test configuration$/m);
+		assert.match(
+			jsonc,
+			/"meta_data": true, \/\/ System and custom object metadata$/m,
+		);
+		assert.match(jsonc, /^ {6}\/\/ "storefront-catalog": true,$/m);
+
+		const yaml = renderConfig(config, "yaml", notes);
+		assert.match(yaml, /^# Archive configuration\n# Name template\narchive:$/m);
+		assert.match(yaml, /meta_data: true # System and custom object metadata$/m);
+	});
+});
+
+describe("loadConfig formats", () => {
+	it("reads YAML and JSONC configuration files", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-format-"));
+		try {
+			const yamlPath = path.join(dir, "config.yaml");
+			const jsoncPath = path.join(dir, "config.jsonc");
+			fs.writeFileSync(yamlPath, renderConfig(config, "yaml", notes));
+			fs.writeFileSync(jsoncPath, renderConfig(config, "jsonc", notes));
+
+			assert.deepEqual(loadConfig(yamlPath), config);
+			assert.deepEqual(loadConfig(jsoncPath), config);
+
+			fs.writeFileSync(yamlPath, "dataUnits: [unclosed");
+			assert.throws(
+				() => loadConfig(yamlPath),
+				/Invalid YAML in configuration file/,
+			);
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
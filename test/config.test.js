@@ -0,0 +1,372 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+	filterEnabledDataUnits,
+	generateArchiveName,
+	loadConfig,
+	resolveConfig,
+	validateConfig,
+} from "../src/lib/config.js";
+
+describe("validateConfig", () => {
+	it("accepts a valid configuration", () => {
+		const config = {
+			archive: { name: "export-{date}-{site}" },
+			dataUnits: {
+				global_data: { meta_data: true },
+				sites: { RefArch: { content: true }, SiteB: true },
+				catalogs: { "storefront-catalog": true },
+				customer_lists: { customers: true },
+			},
+		};
+
+		assert.equal(validateConfig(config), config);
+	});
+
+	it("requires dataUnits", () => {
+		assert.throws(() => validateConfig({}), /must have a "dataUnits" property/);
+	});
+
+	it("reports every invalid key", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					dataUnits: {
+						products: {},
+						global_data: { not_a_unit: true },
+						sites: { RefArch: { nope: true }, Other: "yes" },
+					},
+				}),
+			(error) => {
+				assert.match(
+					error.message,
+					/\$\.dataUnits\.products: Unknown key "products"\. Valid keys are: global_data, sites/,
+				);
+				assert.match(
+					error.message,
+					/\$\.dataUnits\.global_data\.not_a_unit: Unknown key "not_a_unit"/,
+				);
+				assert.match(
+					error.message,
+					/\$\.dataUnits\.sites\.RefArch\.nope: Unknown key "nope"/,
+				);
+				assert.match(
+					error.message,
+					/\$\.dataUnits\.sites\.Other: must be a boolean or an object/,
+				);
+				return true;
+			},
+		);
+	});
+
+	it("rejects unknown archive name placeholders", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					archive: { name: "export-{date}-{branch}" },
+					dataUnits: {},
+				}),
+			/Unknown archive name placeholder: "\{branch\}"/,
+		);
+	});
+
+	it("rejects invalid retry settings", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					retry: { retries: -1, delaySeconds: "30" },
+					dataUnits: {},
+				}),
+			(error) => {
+				assert.match(
+					error.message,
+					/retry\.retries: must be a non-negative integer/,
+				);
+				assert.match(
+					error.message,
+					/retry\.delaySeconds: must be a non-negative number/,
+				);
+				return true;
+			},
+		);
+	});
+
+	it("rejects invalid cron expressions", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					schedule: { cron: "every night" },
+					dataUnits: {},
+				}),
+			/schedule\.cron: Invalid cron expression/,
+		);
+	});
+
+	it("rejects unsupported transformation selectors and patterns", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					transform: {
+						rules: [
+							{ action: "remove", select: "//service[position()=1]" },
+							{ action: "replace", search: "(", regex: true, replacement: "" },
+							{ action: "replace", replacement: "x" },
+						],
+					},
+					dataUnits: {},
+				}),
+			(error) => {
+				assert.match(
+					error.message,
+					/transform\.rules\[0\]\.select: Invalid selector .*unsupported predicate/,
+				);
+				assert.match(
+					error.message,
+					/transform\.rules\[1\]\.search: Invalid regular expression/,
+				);
+				assert.match(
+					error.message,
+					/transform\.rules\[2\]: "replace" needs a selector/,
+				);
+				return true;
+			},
+		);
+	});
+
+	it("rejects invalid secret scan settings", () => {
+		assert.throws(
+			() =>
+				validateConfig({
+					scan: { policy: "mask", detectors: ["email"], allow: ["["] },
+					dataUnits: {},
+				}),
+			(error) => {
+				assert.match(
+					error.message,
+					/scan\.policy: must be one of "report", "redact"/,
+				);
+				assert.match(
+					error.message,
+					/scan\.allow\[0\]: Invalid regular expression/,
+				);
+				return true;
+			},
+		);
+	});
+});
+
+describe("resolveConfig", () => {
+	let configDir;
+	const write = (name, content) => {
+		const filePath = path.join(configDir, name);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, JSON.stringify(content));
+		return filePath;
+	};
+
+	before(() => {
+		configDir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+		write("shared/base.json", {
+			archive: { name: "export-{date}" },
+			dataUnits: {
+				global_data: { meta_data: true, services: true },
+				sites: { RefArch: { content: true, site_preferences: true } },
+			},
+		});
+		write("shared/catalogs.json", {
+			dataUnits: { catalogs: { "storefront-catalog": true } },
+		});
+	});
+
+	after(() => {
+		fs.rmSync(configDir, { recursive: true, force: true });
+	});
+
+	it("deep merges the extended files, the extending file last", () => {
+		const configPath = write("project.json", {
+			extends: ["./shared/base.json", "./shared/catalogs.json"],
+			dataUnits: {
+				global_data: { services: false },
+				sites: { RefArch: { content: false }, SiteB: true },
+			},
+		});
+
+		const { config, sources, files } = resolveConfig(configPath);
+		assert.deepEqual(config, {
+			archive: { name: "export-{date}" },
+			dataUnits: {
+				global_data: { meta_data: true, services: false },
+				sites: {
+					RefArch: { content: false, site_preferences: true },
+					SiteB: true,
+				},
+				catalogs: { "storefront-catalog": true },
+			},
+		});
+		assert.equal(files.length, 3);
+		assert.match(sources["dataUnits.global_data.meta_data"], /base\.json$/);
+		assert.match(sources["dataUnits.global_data.services"], /project\.json$/);
+	});
+
+	it("applies the selected profile on top of the merged files", () => {
+		const configPath = write("profiles.json", {
+			extends: "./shared/base.json",
+			profiles: {
+				full: { dataUnits: { global_data: { all: true } } },
+				light: { dataUnits: { sites: { RefArch: true } } },
+			},
+		});
+
+		const config = loadConfig(configPath, { profile: "light" });
+		assert.equal(config.dataUnits.sites.RefArch, true);
+		assert.equal(config.profiles, undefined);
+		assert.equal(config.extends, undefined);
+		assert.throws(
+			() => loadConfig(configPath, { profile: "staging" }),
+			/Unknown profile "staging".*Available profiles: full, light/,
+		);
+	});
+
+	it("rejects circular extends", () => {
+		write("loop-a.json", { extends: "./loop-b.json", dataUnits: {} });
+		const configPath = write("loop-b.json", {
+			extends: "./loop-a.json",
+			dataUnits: {},
+		});
+
+		assert.throws(() => resolveConfig(configPath), /Circular "extends"/);
+	});
+
+	it("reports the file and key path of invalid values", () => {
+		const configPath = write("invalid.json", {
+			extends: "./shared/base.json",
+			profiles: {
+				prod: { dataUnits: { sites: { RefArch: { contnet: true } } } },
+			},
+		});
+
+		assert.throws(
+			() => loadConfig(configPath, { profile: "prod" }),
+			/\$\.dataUnits\.sites\.RefArch\.contnet: Unknown key "contnet" \(did you mean "content"\?\) \(.*invalid\.json \(profile "prod"\)\)/,
+		);
+	});
+});
+
+describe("environment variables", () => {
+	let configDir;
+
+	before(() => {
+		configDir = fs.mkdtempSync(path.join(os.tmpdir(), "config-env-"));
+		fs.writeFileSync(
+			path.join(configDir, "config.json"),
+			JSON.stringify({
+				output_directory: `./exports/\${ENV_NAME:-dev}`,
+				archive: { name: `\${ENV_NAME}-{date}` },
+				instances: [`$\${LITERAL}`],
+				dataUnits: {
+					sites: { "${SITE_ID}": { content: true } },
+					catalogs: { "${CATALOG_ID:-storefront-catalog}": true },
+				},
+			}),
+		);
+		fs.writeFileSync(
+			path.join(configDir, ".env"),
+			'# Staging\nSITE_ID=RefArch\nexport ENV_NAME="stg"\n',
+		);
+	});
+
+	after(() => {
+		fs.rmSync(configDir, { recursive: true, force: true });
+	});
+
+	it("replaces variables in values and keys, with defaults", () => {
+		const { config, variables } = resolveConfig(
+			path.join(configDir, "config.json"),
+			{ variables: { SITE_ID: "RefArch", ENV_NAME: "prod" } },
+		);
+
+		assert.equal(config.output_directory, "./exports/prod");
+		assert.equal(config.archive.name, "prod-{date}");
+		assert.deepEqual(config.instances, [`\${LITERAL}`]);
+		assert.deepEqual(config.dataUnits.sites, { RefArch: { content: true } });
+		assert.deepEqual(config.dataUnits.catalogs, {
+			"storefront-catalog": true,
+		});
+		const { source, ...reference } = variables.find(
+			({ name }) => name === "CATALOG_ID",
+		);
+		assert.deepEqual(reference, {
+			name: "CATALOG_ID",
+			status: "default",
+			keyPath: `dataUnits.catalogs.\${CATALOG_ID:-storefront-catalog}`,
+		});
+		assert.match(source, /config\.json$/);
+	});
+
+	it("reads variables from an env file", () => {
+		const config = loadConfig(path.join(configDir, "config.json"), {
+			envFile: path.join(configDir, ".env"),
+		});
+
+		assert.equal(config.archive.name, "stg-{date}");
+		assert.deepEqual(Object.keys(config.dataUnits.sites), ["RefArch"]);
+	});
+
+	it("reports undefined variables with their key path", () => {
+		assert.throws(
+			() =>
+				loadConfig(path.join(configDir, "config.json"), {
+					variables: { ENV_NAME: "prod" },
+				}),
+			/\$\.dataUnits\.sites\["\$\{SITE_ID\}"\]: Undefined environment variable "SITE_ID"/,
+		);
+	});
+});
+
+describe("filterEnabledDataUnits", () => {
+	it("drops disabled units and empty sections", () => {
+		assert.deepEqual(
+			filterEnabledDataUnits({
+				global_data: { meta_data: true, users: false },
+				sites: {
+					RefArch: { content: true, tax: false },
+					Disabled: { content: false },
+					All: true,
+				},
+				inventory_lists: { inventory: false },
+			}),
+			{
+				global_data: { meta_data: true },
+				sites: { RefArch: { content: true }, All: true },
+			},
+		);
+	});
+});
+
+describe("generateArchiveName", () => {
+	it("replaces every occurrence of each placeholder", () => {
+		const name = generateArchiveName("{site}-{date}-{site}-{config}", {
+			site: "RefArch",
+			configPath: "./configs/nightly.json",
+		});
+
+		assert.match(name, /^RefArch-\d{4}-\d{2}-\d{2}-RefArch-nightly$/);
+	});
+
+	it("strips characters that are unsafe in file names", () => {
+		assert.equal(
+			generateArchiveName("{codeVersion}", { codeVersion: "release/1.0" }),
+			"release-1.0",
+		);
+	});
+
+	it("throws on unknown placeholders", () => {
+		assert.throws(
+			() => generateArchiveName("{unknown}"),
+			/Unknown archive name placeholder/,
+		);
+	});
+});
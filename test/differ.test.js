@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { diffArchives, hasDifferences } from "../src/lib/differ.js";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+/**
+ * Builds archive entries from { path: content }
+ */
+function entries(files) {
+	return Object.entries(files).map(([path, content]) => ({
+		path,
+		size: content.length,
+		read: () => Buffer.from(content),
+	}));
+}
+
+/**
+ * Builds a services.xml document
+ */
+function services(body) {
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<services xmlns="http://www.demandware.com/xml/impex/services/2014-09-26">${body}</services>`;
+}
+
+/**
+ * Builds a preferences.xml document with site preferences for all instances
+ */
+function preferences(body) {
+	return `<preferences><custom-preferences><all-instances>${body}</all-instances></custom-preferences></preferences>`;
+}
+
+describe("diffArchives", () => {
+	it("detects added, removed and changed objects by ID", () => {
+		const diff = diffArchives(
+			entries({
+				"services.xml": services(
+					'<service service-id="payment"><timeout>1000</timeout></service><service service-id="tax"/>',
+				),
+				"sites/RefArch/preferences.xml": preferences(
+					'<preference preference-id="enableX">true</preference>',
+				),
+			}),
+			entries({
+				"services.xml": services(
+					'<service service-id="payment"><timeout>3000</timeout></service><service service-id="shipping"/>',
+				),
+				"sites/RefArch/preferences.xml": preferences(
+					'<preference preference-id="enableX">true</preference><preference preference-id="enableY">false</preference>',
+				),
+			}),
+		);
+
+		assert.deepEqual(diff.services, {
+			added: ["service:shipping"],
+			removed: ["service:tax"],
+			modified: [
+				{
+					id: "service:payment",
+					changes: [{ path: "timeout", before: "1000", after: "3000" }],
+				},
+			],
+		});
+		assert.deepEqual(diff["site-preferences"], {
+			added: ["RefArch/custom-preferences.all-instances.enableY"],
+			removed: [],
+			modified: [],
+		});
+		assert.deepEqual(diff.jobs, { added: [], removed: [], modified: [] });
+		assert.equal(hasDifferences(diff), true);
+	});
+
+	it("keys attribute definitions by object type and localized values by language", () => {
+		const meta = (displayName) =>
+			entries({
+				"meta/system-objecttype-extensions.xml": `<metadata><type-extension type-id="Product"><custom-attribute-definitions><attribute-definition attribute-id="color"><display-name xml:lang="x-default">${displayName}</display-name><display-name xml:lang="fr">Couleur</display-name></attribute-definition></custom-attribute-definitions></type-extension></metadata>`,
+			});
+
+		const diff = diffArchives(meta("Color"), meta("Colour"));
+
+		assert.deepEqual(diff["attribute-definitions"].modified, [
+			{
+				id: "Product.color",
+				changes: [
+					{
+						path: "display-name[x-default]/#text",
+						before: "Color",
+						after: "Colour",
+					},
+				],
+			},
+		]);
+	});
+
+	it("tells custom and standard preferences with the same ID apart", () => {
+		const site = (standardValue) =>
+			entries({
+				"sites/RefArch/preferences.xml": `<preferences><custom-preferences><all-instances><preference preference-id="SiteCurrency">EUR</preference></all-instances></custom-preferences><standard-preferences><all-instances><preference preference-id="SiteCurrency">${standardValue}</preference></all-instances></standard-preferences></preferences>`,
+			});
+
+		assert.equal(hasDifferences(diffArchives(site("USD"), site("USD"))), false);
+		assert.deepEqual(
+			diffArchives(site("USD"), site("GBP"))["site-preferences"],
+			{
+				added: [],
+				removed: [],
+				modified: [
+					{
+						id: "RefArch/standard-preferences.all-instances.SiteCurrency",
+						changes: [{ path: "#text", before: "USD", after: "GBP" }],
+					},
+				],
+			},
+		);
+	});
+
+	it("finds no differences between identical archives", () => {
+		const files = {
+			"jobs.xml":
+				'<jobs><job job-id="Reindex"><description>Nightly</description></job></jobs>',
+		};
+
+		assert.equal(
+			hasDifferences(diffArchives(entries(files), entries(files))),
+			false,
+		);
+	});
+});
+
+describe("diff command", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-command-"));
+		for (const [name, timeout] of [
+			["monday", 1000],
+			["tuesday", 3000],
+		]) {
+			fs.mkdirSync(path.join(workDir, name));
+			fs.writeFileSync(
+				path.join(workDir, name, "services.xml"),
+				services(
+					`<service service-id="payment"><timeout>${timeout}</timeout></service>`,
+				),
+			);
+		}
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("prints the diff as JSON with --json after the archives", () => {
+		const result = spawnSync(
+			process.execPath,
+			[CLI_PATH, "diff", "monday", "tuesday", "--json"],
+			{
+				cwd: workDir,
+				encoding: "utf8",
+				env: { ...process.env, NO_COLOR: "1" },
+			},
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const output = JSON.parse(result.stdout);
+		assert.equal(output.command, "diff");
+		assert.equal(output.success, true);
+		assert.equal(output.hasDifferences, true);
+		assert.deepEqual(
+			output.diff.services.modified.map((object) => object.id),
+			["service:payment"],
+		);
+	});
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	AuthError,
+	ConfigError,
+	ConnectionError,
+	classifyB2cFailure,
+	ERROR_CODES,
+	ExporterError,
+	JobFailedError,
+	JobTimeoutError,
+	QuotaError,
+	SiteNotFoundError,
+	toExporterError,
+} from "../src/lib/errors.js";
+import { readB2cError } from "../src/lib/exporter.js";
+
+describe("error classes", () => {
+	it("carry a code, an exit code and a retry hint", () => {
+		const error = new ConfigError("Configuration file not found", {
+			code: ERROR_CODES.CONFIG_NOT_FOUND,
+		});
+
+		assert.ok(error instanceof ExporterError);
+		assert.equal(error.name, "ConfigError");
+		assert.equal(error.code, "CONFIG_NOT_FOUND");
+		assert.equal(error.exitCode, 2);
+		assert.equal(error.retryable, false);
+
+		const timeout = new JobTimeoutError("Job timed out");
+		assert.equal(timeout.code, "JOB_TIMEOUT");
+		assert.equal(timeout.exitCode, 6);
+		assert.equal(timeout.retryable, true);
+	});
+
+	it("wraps unexpected errors", () => {
+		const cause = new TypeError("boom");
+		const error = toExporterError(cause);
+
+		assert.equal(error.code, "UNKNOWN_ERROR");
+		assert.equal(error.exitCode, 1);
+		assert.equal(error.cause, cause);
+	});
+});
+
+describe("classifyB2cFailure", () => {
+	const cases = [
+		["OAuth authentication failed: invalid_client", undefined, AuthError],
+		["Request failed", 401, AuthError],
+		[
+			"getaddrinfo ENOTFOUND my-sandbox.example.com",
+			undefined,
+			ConnectionError,
+		],
+		["connect ETIMEDOUT 10.0.0.1:443", undefined, ConnectionError],
+		["Job execution timed out after 600 seconds", undefined, JobTimeoutError],
+		["API quota exceeded", undefined, QuotaError],
+		["Request failed", 429, QuotaError],
+		["Site 'RefArch' not found", undefined, SiteNotFoundError],
+		["Job finished with status ERROR", undefined, JobFailedError],
+	];
+
+	for (const [message, status, ErrorClass] of cases) {
+		it(`maps "${message}"${status ? ` (${status})` : ""} to ${ErrorClass.name}`, () => {
+			const error = classifyB2cFailure(message, { status });
+			assert.ok(error instanceof ErrorClass);
+			assert.equal(error.message, message);
+		});
+	}
+
+	it("uses the fallback class for unknown failures", () => {
+		assert.ok(
+			classifyB2cFailure("Something odd", {
+				fallback: ConnectionError,
+			}) instanceof ConnectionError,
+		);
+	});
+});
+
+describe("readB2cError", () => {
+	it("reads JSON errors with their status", () => {
+		assert.deepEqual(
+			readB2cError({
+				stdout: JSON.stringify({
+					error: { message: "Unauthorized", status: 401 },
+				}),
+				stderr: "",
+			}),
+			{ message: "Unauthorized", status: 401, archiveFilename: undefined },
+		);
+	});
+
+	it("reads the archive created before the failure", () => {
+		assert.equal(
+			readB2cError({
+				stdout: JSON.stringify({
+					error: { message: "socket hang up" },
+					archiveFilename: "export.zip",
+				}),
+				stderr: "",
+			}).archiveFilename,
+			"export.zip",
+		);
+	});
+
+	it("falls back to the text output", () => {
+		assert.deepEqual(readB2cError({ stdout: "", stderr: "fatal: boom\n" }), {
+			message: "fatal: boom",
+			status: undefined,
+			archiveFilename: undefined,
+		});
+	});
+});
@@ -0,0 +1,331 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, describe, it } from "node:test";
+import { setB2cBackend } from "../src/lib/backend.js";
+import { AuthError, JobFailedError } from "../src/lib/errors.js";
+import {
+	buildExportArgs,
+	executeSiteExport,
+	executeSiteExportWithRetry,
+	formatB2cCommandLine,
+	getInstanceInfo,
+} from "../src/lib/exporter.js";
+import { createFakeBackend } from "../src/lib/fake-backend.js";
+
+/**
+ * Returns the value following a flag in an argument list
+ */
+function flagValue(args, flag) {
+	const index = args.indexOf(flag);
+	return index >= 0 ? args[index + 1] : undefined;
+}
+
+describe("formatB2cCommandLine", () => {
+	it("quotes the arguments a shell would split or expand", () => {
+		assert.equal(
+			formatB2cCommandLine([
+				"job",
+				"export",
+				"--data-units",
+				'{"catalogs":{"men\'s":true}}',
+				"--output",
+				"/tmp/my exports",
+				"--json",
+			]),
+			`b2c job export --data-units '{"catalogs":{"men'\\''s":true}}' --output '/tmp/my exports' --json`,
+		);
+	});
+});
+
+describe("buildExportArgs", () => {
+	it("uses individual flags when every site shares the same selection", () => {
+		const args = buildExportArgs(
+			{
+				global_data: { meta_data: true, custom_types: true },
+				sites: {
+					RefArch: { content: true },
+					RefArchGlobal: { content: true },
+				},
+				catalogs: { "storefront-catalog": true },
+				price_lists: { "usd-list-prices": true },
+				libraries: { SharedLibrary: true },
+				inventory_lists: { inventory: true },
+			},
+			{ outputPath: "/tmp/exports", timeout: 900 },
+		);
+
+		assert.deepEqual(args.slice(0, 6), [
+			"job",
+			"export",
+			"--output",
+			path.resolve("/tmp/exports"),
+			"--timeout",
+			"900",
+		]);
+		assert.equal(flagValue(args, "--global-data"), "meta_data,custom_types");
+		assert.equal(flagValue(args, "--site"), "RefArch,RefArchGlobal");
+		assert.equal(flagValue(args, "--site-data"), "content");
+		assert.equal(flagValue(args, "--catalog"), "storefront-catalog");
+		assert.equal(flagValue(args, "--price-book"), "usd-list-prices");
+		assert.equal(flagValue(args, "--library"), "SharedLibrary");
+		assert.equal(flagValue(args, "--inventory-list"), "inventory");
+		assert.equal(args.includes("--data-units"), false);
+	});
+
+	it("adds the archive handling flags", () => {
+		const args = buildExportArgs(
+			{ global_data: { meta_data: true } },
+			{ keepArchive: true, zipOnly: true, noDownload: true },
+		);
+
+		assert.ok(args.includes("--keep-archive"));
+		assert.ok(args.includes("--zip-only"));
+		assert.ok(args.includes("--no-download"));
+	});
+
+	it("sends a per-site payload when site selections differ", () => {
+		const args = buildExportArgs({
+			global_data: { meta_data: true },
+			sites: { SiteA: { content: true }, SiteB: { tax: true } },
+			price_lists: { "usd-list-prices": true },
+		});
+
+		assert.equal(args.includes("--site"), false);
+		assert.deepEqual(JSON.parse(flagValue(args, "--data-units")), {
+			global_data: { meta_data: true },
+			sites: { SiteA: { content: true }, SiteB: { tax: true } },
+			price_books: { "usd-list-prices": true },
+		});
+	});
+
+	it("sends customer lists through the payload", () => {
+		const args = buildExportArgs({ customer_lists: { customers: true } });
+
+		assert.deepEqual(JSON.parse(flagValue(args, "--data-units")), {
+			customer_lists: { customers: true },
+		});
+	});
+
+	it("refuses sections without an export mapping", () => {
+		assert.throws(
+			() => buildExportArgs({ products: { foo: true } }),
+			/No export mapping for dataUnits section\(s\): products/,
+		);
+	});
+});
+
+describe("with the fake backend", () => {
+	afterEach(() => setB2cBackend(null));
+
+	it("reads the instance info", async () => {
+		setB2cBackend(createFakeBackend({ hostname: "stg.example.com" }));
+
+		assert.deepEqual(await getInstanceInfo(), {
+			hostname: "stg.example.com",
+			codeVersion: "version1",
+		});
+	});
+
+	it("downloads and renames the archive", async () => {
+		const backend = createFakeBackend();
+		setB2cBackend(backend);
+		const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "exporter-"));
+
+		try {
+			const result = await executeSiteExport(
+				{ sites: { RefArch: { site_preferences: true } } },
+				{ outputPath, zipOnly: true, archiveName: "nightly", instance: "stg" },
+			);
+
+			assert.equal(result.localPath, path.join(outputPath, "nightly.zip"));
+			assert.ok(fs.existsSync(result.localPath));
+
+			const exportCall = backend.calls.find((args) => args[0] === "job");
+			assert.equal(flagValue(exportCall, "--instance"), "stg");
+			assert.ok(exportCall.includes("--json"));
+		} finally {
+			fs.rmSync(outputPath, { recursive: true, force: true });
+		}
+	});
+
+	it("renames the archive on the instance before downloading it", async () => {
+		const backend = createFakeBackend();
+		setB2cBackend(backend);
+		const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "exporter-"));
+
+		try {
+			const result = await executeSiteExport(
+				{ sites: { RefArch: { site_preferences: true } } },
+				{ outputPath, keepArchive: true, archiveName: "nightly" },
+			);
+
+			assert.equal(result.archiveFilename, "nightly.zip");
+			assert.equal(result.localPath, path.join(outputPath, "nightly"));
+			assert.deepEqual([...backend.archives.keys()], ["nightly.zip"]);
+
+			const exportCall = backend.calls.find((args) => args[0] === "job");
+			assert.ok(exportCall.includes("--no-download"));
+			const moveCall = backend.calls.find((args) => args[1] === "mv");
+			assert.match(moveCall[4], /^src\/instance\/fake-export-\d+\.zip$/);
+			assert.equal(moveCall[5], "src/instance/nightly.zip");
+		} finally {
+			fs.rmSync(outputPath, { recursive: true, force: true });
+		}
+	});
+
+	it("keeps the renamed archive on the instance with noDownload", async () => {
+		const backend = createFakeBackend();
+		setB2cBackend(backend);
+
+		const result = await executeSiteExport(
+			{ sites: { RefArch: { site_preferences: true } } },
+			{ noDownload: true, archiveName: "nightly" },
+		);
+
+		assert.deepEqual(result, {
+			success: true,
+			localPath: null,
+			archiveFilename: "nightly.zip",
+		});
+		assert.deepEqual([...backend.archives.keys()], ["nightly.zip"]);
+	});
+
+	it("does not rename the output directory when the archive path is unknown", async () => {
+		setB2cBackend(
+			createFakeBackend({
+				responses: { "job export": { stdout: "Export finished" } },
+			}),
+		);
+		const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "exporter-"));
+
+		try {
+			const result = await executeSiteExport(
+				{ sites: { RefArch: { site_preferences: true } } },
+				{ outputPath, archiveName: "nightly" },
+			);
+
+			assert.equal(result.localPath, null);
+			assert.ok(fs.existsSync(outputPath));
+			assert.ok(!fs.existsSync(path.join(path.dirname(outputPath), "nightly")));
+		} finally {
+			fs.rmSync(outputPath, { recursive: true, force: true });
+		}
+	});
+
+	it("surfaces job errors", async () => {
+		setB2cBackend(
+			createFakeBackend({
+				responses: {
+					"job export": {
+						code: 1,
+						stdout: JSON.stringify({ error: { message: "Job failed" } }),
+					},
+				},
+			}),
+		);
+
+		await assert.rejects(
+			executeSiteExport(
+				{ global_data: { meta_data: true } },
+				{
+					noDownload: true,
+				},
+			),
+			(error) => {
+				assert.ok(error instanceof JobFailedError);
+				assert.equal(error.message, "Job failed");
+				return true;
+			},
+		);
+	});
+
+	it("resumes with the download when the archive exists on the instance", async () => {
+		const backend = createFakeBackend({ downloadError: "socket hang up" });
+		setB2cBackend(backend);
+		const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "exporter-"));
+		const retries = [];
+
+		try {
+			const result = await executeSiteExportWithRetry(
+				{ sites: { RefArch: { content: true } } },
+				{
+					outputPath,
+					archiveName: "nightly",
+					retries: 2,
+					retryDelay: 0,
+					onRetry: (retry) => retries.push(retry),
+				},
+			);
+
+			assert.equal(result.attempts, 2);
+			assert.equal(result.resumed, true);
+			assert.equal(result.cleanedUp, true);
+			assert.equal(result.localPath, path.join(outputPath, "nightly"));
+			assert.ok(
+				fs.existsSync(
+					path.join(outputPath, "nightly", "sites", "RefArch", "library"),
+				),
+			);
+
+			assert.equal(retries.length, 1);
+			assert.equal(retries[0].resume, true);
+			assert.equal(retries[0].error.code, "CONNECTION_FAILED");
+			assert.deepEqual(
+				backend.calls.map((args) => args.slice(0, 2).join(" ")),
+				["job export", "webdav mv", "webdav get", "webdav rm"],
+			);
+			assert.equal(backend.archives.size, 0);
+		} finally {
+			fs.rmSync(outputPath, { recursive: true, force: true });
+		}
+	});
+
+	it("starts a new job after a timeout", async () => {
+		const backend = createFakeBackend({
+			responses: {
+				"job export": {
+					code: 1,
+					stdout: JSON.stringify({ error: { message: "Job timed out" } }),
+				},
+			},
+		});
+		setB2cBackend(backend);
+
+		await assert.rejects(
+			executeSiteExportWithRetry(
+				{ global_data: { meta_data: true } },
+				{ noDownload: true, retries: 2, retryDelay: 0 },
+			),
+			(error) => {
+				assert.equal(error.code, "JOB_TIMEOUT");
+				return true;
+			},
+		);
+		assert.equal(backend.calls.length, 3);
+	});
+
+	it("does not retry permanent failures", async () => {
+		const backend = createFakeBackend({
+			responses: {
+				"job export": {
+					code: 1,
+					stdout: JSON.stringify({
+						error: { message: "Unauthorized", status: 401 },
+					}),
+				},
+			},
+		});
+		setB2cBackend(backend);
+
+		await assert.rejects(
+			executeSiteExportWithRetry(
+				{ global_data: { meta_data: true } },
+				{ noDownload: true, retries: 2, retryDelay: 0 },
+			),
+			AuthError,
+		);
+		assert.equal(backend.calls.length, 1);
+	});
+});
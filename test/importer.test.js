@@ -0,0 +1,223 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import AdmZip from "adm-zip";
+import { setB2cBackend } from "../src/lib/backend.js";
+import {
+	AuthError,
+	CancelledError,
+	JobFailedError,
+} from "../src/lib/errors.js";
+import { createFakeBackend } from "../src/lib/fake-backend.js";
+import {
+	buildImportArgs,
+	confirmProductionImport,
+	executeSiteImport,
+	looksLikeProduction,
+	resolveImportArchive,
+} from "../src/lib/importer.js";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+/**
+ * Runs the CLI on the fake backend
+ */
+function runCli(args, cwd) {
+	return spawnSync(process.execPath, [CLI_PATH, ...args], {
+		cwd,
+		encoding: "utf8",
+		env: { ...process.env, SFCC_EXPORTER_BACKEND: "fake", NO_COLOR: "1" },
+	});
+}
+
+describe("looksLikeProduction", () => {
+	it("matches prod, production and prd segments of either name", () => {
+		assert.equal(
+			looksLikeProduction({
+				hostname: "production-eu01-brand.demandware.net",
+			}),
+			true,
+		);
+		assert.equal(looksLikeProduction({ instance: "prd" }), true);
+		assert.equal(
+			looksLikeProduction({ instance: "brand-prod", hostname: "example.com" }),
+			true,
+		);
+	});
+
+	it("ignores names merely containing the letters", () => {
+		assert.equal(
+			looksLikeProduction({
+				instance: "staging",
+				hostname: "product-team-001.dx.commercecloud.salesforce.com",
+			}),
+			false,
+		);
+		assert.equal(
+			looksLikeProduction({ instance: null, hostname: null }),
+			false,
+		);
+	});
+});
+
+describe("confirmProductionImport", () => {
+	/**
+	 * Answers the prompt with keystrokes on a fake terminal
+	 */
+	function answer(t, keys) {
+		t.mock.method(console, "log", () => {});
+		const input = Object.assign(new PassThrough(), { isTTY: true });
+		const output = new PassThrough();
+		output.resume();
+		setImmediate(() => input.write(keys));
+		return confirmProductionImport(
+			"production (prod.example.com)",
+			"site.zip",
+			{ input, output },
+		);
+	}
+
+	it("stops with a cancellation error when the import is declined", async (t) => {
+		await assert.rejects(answer(t, "n\r"), (error) => {
+			assert.ok(error instanceof CancelledError);
+			assert.equal(error.code, "CANCELLED");
+			assert.equal(error.exitCode, 14);
+			return true;
+		});
+		await assert.rejects(answer(t, "\r"), CancelledError);
+	});
+
+	it("goes on when the import is confirmed", async (t) => {
+		await answer(t, "y\r");
+	});
+});
+
+describe("buildImportArgs", () => {
+	it("passes the absolute archive path, timeout and keep-archive flag", () => {
+		assert.deepEqual(
+			buildImportArgs("exports/site.zip", { keepArchive: true, timeout: "60" }),
+			[
+				"job",
+				"import",
+				path.resolve("exports/site.zip"),
+				"--timeout",
+				"60",
+				"--keep-archive",
+			],
+		);
+	});
+});
+
+describe("site import", () => {
+	let workDir;
+	let zipPath;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "import-"));
+		fs.writeFileSync(path.join(workDir, "dw.json"), "{}");
+		const zip = new AdmZip();
+		zip.addFile("site/sites/RefArch/preferences.xml", Buffer.from("<x/>"));
+		zip.addFile(
+			"site/meta/system-objecttype-extensions.xml",
+			Buffer.from("<x/>"),
+		);
+		zipPath = path.join(workDir, "site.zip");
+		zip.writeZip(zipPath);
+	});
+
+	afterEach(() => {
+		setB2cBackend(null);
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("reads the contents of the archive to import", () => {
+		const source = resolveImportArchive(zipPath);
+
+		assert.equal(source.isZip, true);
+		assert.equal(source.manifest, null);
+		assert.equal(source.inventory.totals.files, 2);
+		assert.deepEqual(Object.keys(source.inventory.sites), ["RefArch"]);
+	});
+
+	it("runs the import job and reports the archive name", async () => {
+		const backend = createFakeBackend();
+		setB2cBackend(backend);
+
+		const result = await executeSiteImport(zipPath, { instance: "stg" });
+
+		assert.equal(result.archiveFilename, "site.zip");
+		assert.deepEqual(backend.calls.at(-1).slice(0, 3), [
+			"job",
+			"import",
+			zipPath,
+		]);
+	});
+
+	it("maps failed import jobs to typed errors", async () => {
+		setB2cBackend(
+			createFakeBackend({
+				responses: {
+					"job import": {
+						code: 1,
+						stdout: JSON.stringify({
+							error: { message: "Import finished with status ERROR" },
+						}),
+					},
+				},
+			}),
+		);
+		await assert.rejects(executeSiteImport(zipPath), (error) => {
+			assert.ok(error instanceof JobFailedError);
+			assert.equal(error.code, "IMPORT_FAILED");
+			return true;
+		});
+
+		setB2cBackend(
+			createFakeBackend({
+				responses: {
+					"job import": { code: 1, stdout: "", stderr: "401 Unauthorized" },
+				},
+			}),
+		);
+		await assert.rejects(executeSiteImport(zipPath), AuthError);
+	});
+
+	it("requires --yes to import into production without a terminal", () => {
+		const result = runCli(
+			["import", "site.zip", "-n", "production", "--json"],
+			workDir,
+		);
+
+		assert.equal(result.status, 2);
+		assert.equal(JSON.parse(result.stdout).error.code, "CONFIRMATION_REQUIRED");
+
+		const confirmed = runCli(
+			["import", "site.zip", "-n", "production", "--yes", "--json"],
+			workDir,
+		);
+		assert.equal(confirmed.status, 0, confirmed.stderr);
+		const output = JSON.parse(confirmed.stdout);
+		assert.equal(output.production, true);
+		assert.equal(output.archiveFilename, "site.zip");
+	});
+
+	it("prints the import command without starting it in a dry run", () => {
+		const result = runCli(
+			["import", "site.zip", "-n", "production", "--dry-run", "--json"],
+			workDir,
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const output = JSON.parse(result.stdout);
+		assert.equal(output.dryRun, true);
+		assert.equal(
+			output.commandLine,
+			`b2c job import ${zipPath} --timeout 600 --instance production --json`,
+		);
+	});
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+const SCHEMA_FILE = "sfcc-site-exporter/schema/export-config.schema.json";
+
+/**
+ * Runs the init command
+ */
+function runInit(args, cwd) {
+	return spawnSync(process.execPath, [CLI_PATH, "init", ...args, "--json"], {
+		cwd,
+		encoding: "utf8",
+		env: { ...process.env, NO_COLOR: "1" },
+	});
+}
+
+describe("init command", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "init-command-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("points to the schema of the local dependency, relative to the file", () => {
+		const schemaPath = path.join(workDir, "node_modules", SCHEMA_FILE);
+		fs.mkdirSync(path.dirname(schemaPath), { recursive: true });
+		fs.writeFileSync(schemaPath, "{}");
+		fs.mkdirSync(path.join(workDir, "configs"));
+
+		const json = runInit(["-o", "configs/export-config.json"], workDir);
+		assert.equal(json.status, 0, json.stderr);
+		assert.equal(
+			JSON.parse(
+				fs.readFileSync(
+					path.join(workDir, "configs", "export-config.json"),
+					"utf8",
+				),
+			).$schema,
+			`../node_modules/${SCHEMA_FILE}`,
+		);
+		assert.equal(
+			JSON.parse(json.stdout).schema,
+			`../node_modules/${SCHEMA_FILE}`,
+		);
+
+		const yaml = runInit(["-o", "export-config.yaml"], workDir);
+		assert.equal(yaml.status, 0, yaml.stderr);
+		assert.match(
+			fs.readFileSync(path.join(workDir, "export-config.yaml"), "utf8"),
+			new RegExp(
+				`^# yaml-language-server: \\$schema=\\./node_modules/${SCHEMA_FILE}\n`,
+			),
+		);
+	});
+
+	it("leaves the schema out when the package is not a local dependency", () => {
+		const result = runInit(["-o", "export-config.json"], workDir);
+
+		assert.equal(result.status, 0, result.stderr);
+		assert.equal(JSON.parse(result.stdout).schema, null);
+		const config = JSON.parse(
+			fs.readFileSync(path.join(workDir, "export-config.json"), "utf8"),
+		);
+		assert.equal(config.$schema, undefined);
+		assert.ok(config.dataUnits);
+	});
+});
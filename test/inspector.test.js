@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	compareWithDataUnits,
+	formatSize,
+	inspectArchive,
+} from "../src/lib/inspector.js";
+
+/**
+ * Builds archive entries from { path: size }
+ */
+function entries(files) {
+	return Object.entries(files).map(([path, size]) => ({ path, size }));
+}
+
+const ARCHIVE = entries({
+	"services.xml": 300,
+	"jobs.xml": 0,
+	"meta/system-objecttype-extensions.xml": 2048,
+	"custom-objects/GlobalConfig.xml": 100,
+	"sites/RefArch/preferences.xml": 500,
+	"sites/RefArch/library/library.xml": 1000,
+	"sites/RefArch/custom-objects/StoreConfig.xml": 50,
+	"sites/RefArchGlobal/site.xml": 40,
+	"catalogs/storefront-catalog/catalog.xml": 4096,
+	"pricebooks/usd-list-prices.xml": 800,
+	"static/images/logo.png": 10,
+});
+
+describe("inspectArchive", () => {
+	it("groups the files by site, ID section, meta-data file and object type", () => {
+		const inventory = inspectArchive(ARCHIVE);
+
+		assert.deepEqual(inventory.totals, { files: 11, size: 8944 });
+		assert.deepEqual(inventory.sites, {
+			RefArch: { files: 3, size: 1550 },
+			RefArchGlobal: { files: 1, size: 40 },
+		});
+		assert.deepEqual(inventory.catalogs, {
+			"storefront-catalog": { files: 1, size: 4096 },
+		});
+		assert.deepEqual(inventory.price_lists, {
+			"usd-list-prices": { files: 1, size: 800 },
+		});
+		assert.deepEqual(inventory.libraries, {});
+		assert.deepEqual(inventory.meta, {
+			"system-objecttype-extensions.xml": { files: 1, size: 2048 },
+		});
+		assert.deepEqual(inventory.customObjectTypes, {
+			GlobalConfig: { files: 1, size: 100 },
+			StoreConfig: { files: 1, size: 50 },
+		});
+		assert.deepEqual(inventory.global, {
+			"services.xml": { files: 1, size: 300 },
+			"jobs.xml": { files: 1, size: 0 },
+			"static/": { files: 1, size: 10 },
+		});
+	});
+});
+
+describe("compareWithDataUnits", () => {
+	it("flags missing and empty units and lists the unverifiable ones", () => {
+		const comparison = compareWithDataUnits(ARCHIVE, {
+			global_data: {
+				services: true,
+				job_schedules: true,
+				users: true,
+				custom_types: true,
+			},
+			sites: {
+				RefArch: { site_preferences: true, content: true, slots: true },
+				RefArchGlobal: true,
+				SiteGenesis: { site_preferences: true },
+			},
+			catalogs: { "storefront-catalog": true, "master-catalog": true },
+			price_lists: { "usd-list-prices": true },
+		});
+
+		assert.deepEqual(comparison.issues, [
+			{ unit: "global_data.job_schedules", status: "empty" },
+			{ unit: "global_data.custom_types", status: "missing" },
+			{ unit: "sites.RefArch.slots", status: "missing" },
+			{ unit: "sites.SiteGenesis", status: "missing" },
+			{ unit: "catalogs.master-catalog", status: "missing" },
+		]);
+		assert.deepEqual(comparison.unchecked, ["global_data.users"]);
+	});
+});
+
+describe("formatSize", () => {
+	it("uses bytes, KB or MB", () => {
+		assert.equal(formatSize(512), "512 B");
+		assert.equal(formatSize(2048), "2.0 KB");
+		assert.equal(formatSize(5 * 1024 * 1024), "5.0 MB");
+	});
+});
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { setB2cBackend } from "../src/lib/backend.js";
+import { SiteNotFoundError } from "../src/lib/errors.js";
+import { createFakeBackend } from "../src/lib/fake-backend.js";
+import {
+	checkInstanceIds,
+	createMissingIdsError,
+} from "../src/lib/instance-check.js";
+
+describe("checkInstanceIds", () => {
+	afterEach(() => setB2cBackend(null));
+
+	it("reports the missing IDs with the closest existing ID", async () => {
+		setB2cBackend(createFakeBackend());
+
+		const check = await checkInstanceIds(
+			{
+				global_data: { meta_data: true },
+				sites: { RefArch: true, RefArc: { content: true } },
+				catalogs: { "storefront-catalog": true },
+				inventory_lists: { inventory_n: true },
+				libraries: { Unrelated: true },
+			},
+			{ instance: "stg" },
+		);
+
+		assert.equal(check.checked, 2);
+		assert.deepEqual(check.missing, [
+			{ section: "sites", id: "RefArc", suggestion: "RefArch" },
+			{ section: "libraries", id: "Unrelated", suggestion: null },
+			{
+				section: "inventory_lists",
+				id: "inventory_n",
+				suggestion: "inventory_m",
+			},
+		]);
+		assert.deepEqual(check.skipped, []);
+	});
+
+	it("only lists the sections that have IDs, on the given instance", async () => {
+		const backend = createFakeBackend();
+		setB2cBackend(backend);
+
+		await checkInstanceIds(
+			{ catalogs: { "storefront-catalog": true } },
+			{ instance: "stg" },
+		);
+
+		assert.deepEqual(backend.calls, [
+			["catalogs", "list", "--instance", "stg", "--json"],
+		]);
+	});
+
+	it("skips the lists the instance cannot return", async () => {
+		setB2cBackend(
+			createFakeBackend({
+				responses: { "inventory-lists list": { code: 1 } },
+			}),
+		);
+
+		const check = await checkInstanceIds({
+			inventory_lists: { inventory_m: true },
+		});
+
+		assert.equal(check.checked, 0);
+		assert.deepEqual(check.missing, []);
+		assert.deepEqual(check.skipped, [
+			{ section: "inventory_lists", ids: ["inventory_m"] },
+		]);
+	});
+});
+
+describe("createMissingIdsError", () => {
+	it("uses SITE_NOT_FOUND when only sites are missing", () => {
+		const error = createMissingIdsError(
+			[{ section: "sites", id: "RefArc", suggestion: "RefArch" }],
+			"stg",
+		);
+
+		assert.ok(error instanceof SiteNotFoundError);
+		assert.equal(error.code, "SITE_NOT_FOUND");
+		assert.equal(error.exitCode, 8);
+		assert.match(error.message, /instance "stg"/);
+		assert.match(error.message, /Site "RefArc".*did you mean "RefArch"\?/);
+	});
+
+	it("uses ID_NOT_FOUND when other IDs are missing", () => {
+		const error = createMissingIdsError([
+			{ section: "price_lists", id: "usd-prices", suggestion: null },
+		]);
+
+		assert.equal(error.code, "ID_NOT_FOUND");
+		assert.match(error.message, /Price book "usd-prices" does not exist/);
+	});
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ConfigError } from "../src/lib/errors.js";
+import {
+	BUILT_IN_PRESETS,
+	expandPreset,
+	findWildcardSections,
+	getPreset,
+	loadPresets,
+} from "../src/lib/presets.js";
+
+describe("expandPreset", () => {
+	it("replaces the * ID with the listed IDs, keeping explicit IDs", () => {
+		const dataUnits = {
+			global_data: { meta_data: true },
+			sites: { "*": { site_preferences: true }, RefArch: true },
+			catalogs: { "*": true },
+		};
+
+		assert.deepEqual(findWildcardSections(dataUnits), ["sites", "catalogs"]);
+		assert.deepEqual(
+			expandPreset(dataUnits, {
+				sites: ["RefArch", "RefArchGlobal"],
+				catalogs: ["storefront-catalog"],
+			}),
+			{
+				global_data: { meta_data: true },
+				sites: {
+					RefArch: true,
+					RefArchGlobal: { site_preferences: true },
+				},
+				catalogs: { "storefront-catalog": true },
+			},
+		);
+		assert.deepEqual(dataUnits.catalogs, { "*": true });
+	});
+});
+
+describe("loadPresets", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "presets-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("adds the presets of the presets file to the built-in presets", () => {
+		const presetsPath = path.join(workDir, "presets.yaml");
+		fs.writeFileSync(
+			presetsPath,
+			[
+				"content-only:",
+				"  description: Content of the shared library",
+				"  dataUnits:",
+				"    libraries:",
+				"      SharedLibrary: true",
+				"",
+			].join("\n"),
+		);
+
+		const presets = loadPresets(presetsPath);
+
+		assert.deepEqual(Object.keys(presets), [
+			...Object.keys(BUILT_IN_PRESETS),
+			"content-only",
+		]);
+		assert.equal(presets["sandbox-config"].source, "built-in");
+		assert.deepEqual(getPreset(presets, "content-only"), {
+			name: "content-only",
+			description: "Content of the shared library",
+			dataUnits: { libraries: { SharedLibrary: true } },
+			source: presetsPath,
+		});
+	});
+
+	it("reports invalid presets with their location", () => {
+		const presetsPath = path.join(workDir, "presets.json");
+		fs.writeFileSync(
+			presetsPath,
+			JSON.stringify({
+				broken: { dataUnits: { global_data: { metadata: true } } },
+				empty: { description: "No data units" },
+			}),
+		);
+
+		assert.throws(
+			() => loadPresets(presetsPath),
+			(error) => {
+				assert.ok(error instanceof ConfigError);
+				assert.match(
+					error.message,
+					/\$\.broken\.dataUnits\.global_data\.metadata: Unknown key "metadata" \(did you mean "meta_data"\?\)/,
+				);
+				assert.match(error.message, /\$\.empty: Missing required key/);
+				return true;
+			},
+		);
+		assert.throws(
+			() => loadPresets(path.join(workDir, "missing.json")),
+			/Presets file not found/,
+		);
+	});
+
+	it("suggests the closest preset name", () => {
+		assert.throws(
+			() => getPreset(loadPresets(), "full-backups"),
+			/Unknown preset "full-backups" \(did you mean "full-backup"\?\)/,
+		);
+	});
+});
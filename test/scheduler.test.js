@@ -0,0 +1,329 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { setB2cBackend } from "../src/lib/backend.js";
+import { ConfigError } from "../src/lib/errors.js";
+import { createFakeBackend } from "../src/lib/fake-backend.js";
+import {
+	assertDistinctOutputPaths,
+	buildScheduleJobs,
+	pruneArchives,
+	pruneInstanceArchives,
+} from "../src/lib/scheduler.js";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Runs the scheduler on the fake backend until an NDJSON event matches, then
+ * stops it
+ * @returns {Promise<object[]>} The events received
+ */
+function runScheduler(args, cwd, until) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, [CLI_PATH, "schedule", ...args], {
+			cwd,
+			env: { ...process.env, SFCC_EXPORTER_BACKEND: "fake", NO_COLOR: "1" },
+		});
+		const events = [];
+		let pending = "";
+		const timer = setTimeout(() => {
+			child.kill("SIGTERM");
+			reject(new Error("The scheduler did not emit the expected events"));
+		}, 30000);
+
+		child.stdout.on("data", (data) => {
+			const lines = (pending + data.toString()).split("\n");
+			pending = lines.pop();
+			for (const line of lines.filter(Boolean)) {
+				events.push(JSON.parse(line));
+				if (until(events)) {
+					clearTimeout(timer);
+					child.kill("SIGTERM");
+				}
+			}
+		});
+		child.on("close", () => {
+			clearTimeout(timer);
+			resolve(events);
+		});
+	});
+}
+
+describe("buildScheduleJobs", () => {
+	const config = {
+		instances: ["stg", "dev"],
+		schedule: { cron: "0 2 * * *", retention: { keepLast: 7 } },
+	};
+
+	it("builds one job per instance under the output directory", () => {
+		const jobs = buildScheduleJobs("./nightly.json", config, "./backups");
+
+		assert.deepEqual(
+			jobs.map(({ name, instance, cron, retention, outputPath }) => ({
+				name,
+				instance,
+				cron,
+				retention,
+				outputPath,
+			})),
+			[
+				{
+					name: "nightly/stg",
+					instance: "stg",
+					cron: "0 2 * * *",
+					retention: { keepLast: 7 },
+					outputPath: path.resolve("backups", "nightly", "stg"),
+				},
+				{
+					name: "nightly/dev",
+					instance: "dev",
+					cron: "0 2 * * *",
+					retention: { keepLast: 7 },
+					outputPath: path.resolve("backups", "nightly", "dev"),
+				},
+			],
+		);
+	});
+
+	it("falls back to output_directory of the configuration, then ./exports", () => {
+		assert.equal(
+			buildScheduleJobs("./nightly.json", {
+				...config,
+				output_directory: "./archives",
+			})[0].outputPath,
+			path.resolve("archives", "nightly", "stg"),
+		);
+		assert.equal(
+			buildScheduleJobs("./nightly.json", config)[0].outputPath,
+			path.resolve("exports", "nightly", "stg"),
+		);
+	});
+});
+
+describe("assertDistinctOutputPaths", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-jobs-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	/**
+	 * Builds the jobs of a configuration file of `<workDir>/<folder>/export.json`
+	 */
+	function buildJobs(folder, retention, outputDirectory) {
+		return buildScheduleJobs(path.join(workDir, folder, "export.json"), {
+			output_directory: outputDirectory,
+			schedule: { cron: "0 2 * * *", retention },
+		});
+	}
+
+	it("rejects configuration files of the same name writing to the same folder", () => {
+		const jobs = [
+			...buildJobs("stg", { keepLast: 1 }, path.join(workDir, "exports")),
+			...buildJobs("prod", { keepLast: 30 }, path.join(workDir, "exports")),
+		];
+
+		assert.throws(
+			() => assertDistinctOutputPaths(jobs),
+			(error) =>
+				error instanceof ConfigError &&
+				error.message.includes(path.join(workDir, "stg", "export.json")) &&
+				error.message.includes(path.join(workDir, "prod", "export.json")),
+		);
+	});
+
+	it("keeps the retention of each job to its own archives", () => {
+		const [stg] = buildJobs("stg", { keepLast: 1 }, path.join(workDir, "stg"));
+		const [prod] = buildJobs(
+			"prod",
+			{ keepLast: 30 },
+			path.join(workDir, "prod"),
+		);
+		assertDistinctOutputPaths([stg, prod]);
+
+		for (const job of [stg, prod]) {
+			for (const name of ["export-1", "export-2"]) {
+				fs.mkdirSync(path.join(job.outputPath, name), { recursive: true });
+			}
+		}
+
+		assert.equal(pruneArchives(stg.outputPath, stg.retention).length, 1);
+		assert.deepEqual(pruneArchives(prod.outputPath, prod.retention), []);
+		assert.deepEqual(fs.readdirSync(prod.outputPath).sort(), [
+			"export-1",
+			"export-2",
+		]);
+	});
+});
+
+describe("pruneArchives", () => {
+	let outputPath;
+	const now = new Date("2026-06-10T12:00:00Z");
+
+	/**
+	 * Creates an archive folder (and its manifest) modified some days ago
+	 */
+	function createArchive(name, daysAgo, instanceFileName = null) {
+		const archivePath = path.join(outputPath, name);
+		fs.mkdirSync(archivePath);
+		const mtime = new Date(now - daysAgo * DAY_MS);
+		fs.utimesSync(archivePath, mtime, mtime);
+		if (instanceFileName) {
+			fs.writeFileSync(
+				`${archivePath}.manifest.json`,
+				JSON.stringify({ archive: { instanceFileName } }),
+			);
+		}
+		return archivePath;
+	}
+
+	beforeEach(() => {
+		outputPath = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+		createArchive("export-1", 1, "export-1.zip");
+		createArchive("export-2", 2, "export-2.zip");
+		createArchive("export-3", 3);
+		createArchive("export-10", 10, "export-10.zip");
+	});
+
+	afterEach(() => {
+		fs.rmSync(outputPath, { recursive: true, force: true });
+	});
+
+	it("keeps the last archives with keepLast", () => {
+		const removed = pruneArchives(outputPath, { keepLast: 2 }, now);
+
+		assert.deepEqual(removed, [
+			{ path: path.join(outputPath, "export-3"), instanceFileName: null },
+			{
+				path: path.join(outputPath, "export-10"),
+				instanceFileName: "export-10.zip",
+			},
+		]);
+		assert.deepEqual(fs.readdirSync(outputPath).sort(), [
+			"export-1",
+			"export-1.manifest.json",
+			"export-2",
+			"export-2.manifest.json",
+		]);
+	});
+
+	it("removes the archives older than maxAgeDays", () => {
+		const removed = pruneArchives(outputPath, { maxAgeDays: 5 }, now);
+
+		assert.deepEqual(
+			removed.map((archive) => path.basename(archive.path)),
+			["export-10"],
+		);
+		assert.ok(!fs.existsSync(path.join(outputPath, "export-10.manifest.json")));
+	});
+
+	it("keeps everything without retention rules", () => {
+		assert.deepEqual(pruneArchives(outputPath, {}, now), []);
+		assert.equal(fs.readdirSync(outputPath).length, 7);
+	});
+});
+
+describe("pruneInstanceArchives", () => {
+	afterEach(() => setB2cBackend(null));
+
+	it("removes the kept archives from the instance", async () => {
+		const backend = createFakeBackend({
+			responses: {
+				"webdav rm": { code: 1, stderr: "Not found" },
+			},
+		});
+		setB2cBackend(backend);
+
+		const results = await pruneInstanceArchives(
+			["export-10.zip", "export-11.zip"],
+			{ instance: "stg" },
+		);
+
+		assert.deepEqual(results, [
+			{ fileName: "export-10.zip", success: false },
+			{ fileName: "export-11.zip", success: false },
+		]);
+		assert.deepEqual(
+			backend.calls.map((args) => args.slice(0, 5)),
+			[
+				["webdav", "rm", "--root", "impex", "src/instance/export-10.zip"],
+				["webdav", "rm", "--root", "impex", "src/instance/export-11.zip"],
+			],
+		);
+
+		setB2cBackend(createFakeBackend());
+		assert.deepEqual(
+			await pruneInstanceArchives(["export-10.zip"], { instance: "stg" }),
+			[{ fileName: "export-10.zip", success: true }],
+		);
+	});
+});
+
+describe("schedule command", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "schedule-command-"));
+		fs.writeFileSync(path.join(workDir, "dw.json"), "{}");
+		fs.writeFileSync(
+			path.join(workDir, "nightly.json"),
+			JSON.stringify({
+				output_directory: "./backups",
+				archive: { name: "nightly-{date}-{time}" },
+				schedule: {
+					cron: "0 2 * * *",
+					retention: { keepLast: 1, pruneInstance: true },
+				},
+				dataUnits: { sites: { RefArch: { site_preferences: true } } },
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("runs the export, then prunes the older archives locally and on the instance", async () => {
+		const jobPath = path.join(workDir, "backups", "nightly", "default");
+		fs.mkdirSync(path.join(jobPath, "nightly-old"), { recursive: true });
+		const old = new Date(Date.now() - 10 * DAY_MS);
+		fs.utimesSync(path.join(jobPath, "nightly-old"), old, old);
+		fs.writeFileSync(
+			path.join(jobPath, "nightly-old.manifest.json"),
+			JSON.stringify({ archive: { instanceFileName: "nightly-old.zip" } }),
+		);
+
+		const events = await runScheduler(
+			["-c", "nightly.json", "--run-now", "--keep-archive", "--ndjson"],
+			workDir,
+			(received) => received.some((event) => event.type === "instance-pruned"),
+		);
+
+		const finished = events.find((event) => event.type === "run-finished");
+		assert.equal(finished.success, true);
+		assert.deepEqual(
+			events
+				.filter((event) => event.type.endsWith("pruned"))
+				.map((event) => [event.type, event.path || event.fileName]),
+			[
+				["pruned", path.join(jobPath, "nightly-old")],
+				["instance-pruned", "nightly-old.zip"],
+			],
+		);
+		const archives = fs
+			.readdirSync(jobPath)
+			.filter((name) => !name.endsWith(".manifest.json"));
+		assert.equal(archives.length, 1);
+		assert.notEqual(archives[0], "nightly-old");
+	});
+});
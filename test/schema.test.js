@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import { globalDataOptions, siteDataOptions } from "../src/lib/config.js";
+import {
+	buildConfigSchema,
+	SCHEMA_PATH,
+	toJsonPath,
+	validateSchema,
+} from "../src/lib/schema.js";
+import { findClosestMatch } from "../src/lib/suggestions.js";
+
+describe("buildConfigSchema", () => {
+	it("lists every data unit option", () => {
+		const schema = buildConfigSchema();
+		const dataUnits = schema.properties.dataUnits.properties;
+
+		assert.deepEqual(
+			Object.keys(dataUnits.global_data.properties),
+			globalDataOptions,
+		);
+		assert.deepEqual(
+			Object.keys(schema.definitions.siteData.properties),
+			siteDataOptions,
+		);
+	});
+
+	it("matches the shipped schema file (run npm run schema)", () => {
+		assert.deepEqual(
+			JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8")),
+			buildConfigSchema(),
+		);
+	});
+});
+
+describe("validateSchema", () => {
+	const schema = buildConfigSchema();
+
+	it("accepts a valid configuration", () => {
+		const config = {
+			$schema: "./schema.json",
+			extends: ["./base.json"],
+			archive: { name: "export-{date}" },
+			retry: { retries: 0, delaySeconds: 1.5 },
+			dataUnits: {
+				global_data: { meta_data: true },
+				sites: { RefArch: { content: true }, SiteB: true },
+				catalogs: { "storefront-catalog": false },
+			},
+			profiles: { light: { dataUnits: { sites: { RefArch: true } } } },
+		};
+
+		assert.deepEqual(validateSchema(config, schema), []);
+	});
+
+	it("reports wrong value types with their location", () => {
+		const errors = validateSchema(
+			{
+				instances: ["dev01", 2],
+				dataUnits: {
+					global_data: { meta_data: "true" },
+					sites: { RefArch: "all" },
+					catalogs: { "storefront-catalog": 1 },
+				},
+				profiles: { full: { retry: { retries: -1 } } },
+			},
+			schema,
+		);
+
+		assert.deepEqual(
+			errors.map((error) => `${toJsonPath(error.path)}: ${error.message}`),
+			[
+				"$.instances[1]: must be a non-empty string",
+				"$.dataUnits.global_data.meta_data: must be a boolean",
+				"$.dataUnits.sites.RefArch: must be a boolean or an object",
+				'$.dataUnits.catalogs["storefront-catalog"]: must be a boolean',
+				"$.profiles.full.retry.retries: must be a non-negative integer",
+			],
+		);
+	});
+
+	it("checks upload destinations by their type", () => {
+		const errors = validateSchema(
+			{
+				upload: {
+					destinations: [
+						{ type: "s3", endpoint: "http://localhost:9000" },
+						{ type: "ftp", host: "backup.example.com" },
+						{ host: "backup.example.com" },
+						{ type: "sftp", host: "backup.example.com", port: 0 },
+						{ type: "directory", path: "/mnt/share" },
+					],
+				},
+				dataUnits: {},
+			},
+			schema,
+		);
+
+		assert.deepEqual(
+			errors.map((error) => `${toJsonPath(error.path)}: ${error.message}`),
+			[
+				'$.upload.destinations[0]: Missing required key "bucket"',
+				'$.upload.destinations[1].type: must be one of "s3", "sftp", "directory"',
+				'$.upload.destinations[2]: Missing required key "type" (one of "s3", "sftp", "directory")',
+				"$.upload.destinations[3].port: must be a positive integer",
+			],
+		);
+	});
+
+	it("checks transformation rules by their action", () => {
+		const errors = validateSchema(
+			{
+				transform: {
+					rules: [
+						{ action: "remove", select: "//password" },
+						{ action: "replace", select: "//url" },
+						{ action: "rename", section: "site", from: "A", to: "B" },
+						{ action: "move", select: "//url" },
+					],
+				},
+				dataUnits: {},
+			},
+			schema,
+		);
+
+		assert.deepEqual(
+			errors.map((error) => `${toJsonPath(error.path)}: ${error.message}`),
+			[
+				'$.transform.rules[1]: Missing required key "replacement"',
+				'$.transform.rules[2].section: must be one of "sites", "catalogs", "price_lists", "libraries", "customer_lists", "inventory_lists" (did you mean "sites"?)',
+				'$.transform.rules[3].action: must be one of "remove", "replace", "rename"',
+			],
+		);
+	});
+
+	it("suggests the closest key for unknown keys", () => {
+		const [error] = validateSchema(
+			{ dataUnits: { sites: { RefArch: { site_preference: true } } } },
+			schema,
+		);
+
+		assert.equal(
+			error.message,
+			'Unknown key "site_preference" (did you mean "site_preferences"?)',
+		);
+	});
+});
+
+describe("findClosestMatch", () => {
+	it("returns the closest candidate within the distance limit", () => {
+		assert.equal(
+			findClosestMatch("RefArh", ["RefArch", "SiteGenesis"]),
+			"RefArch",
+		);
+		assert.equal(findClosestMatch("refarch", ["RefArch"]), "RefArch");
+		assert.equal(findClosestMatch("Outlet", ["RefArch", "SiteGenesis"]), null);
+	});
+});
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const CLI_PATH = fileURLToPath(new URL("../src/index.js", import.meta.url));
+
+/**
+ * Runs the CLI on the fake backend
+ */
+function runCli(args, cwd, env = {}) {
+	return spawnSync(process.execPath, [CLI_PATH, ...args], {
+		cwd,
+		encoding: "utf8",
+		env: {
+			...process.env,
+			SFCC_EXPORTER_BACKEND: "fake",
+			NO_COLOR: "1",
+			...env,
+		},
+	});
+}
+
+describe("sync command", () => {
+	let workDir;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-command-"));
+		fs.writeFileSync(path.join(workDir, "dw.json"), "{}");
+		fs.writeFileSync(
+			path.join(workDir, "export-config.json"),
+			JSON.stringify({
+				archive: { name: "{instance}-{site}" },
+				dataUnits: {
+					global_data: { meta_data: true },
+					sites: { RefArch: { site_preferences: true } },
+				},
+			}),
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	it("exports from the source and imports the archive into the target", () => {
+		const result = runCli(
+			[
+				"sync",
+				"--from",
+				"stg",
+				"--to",
+				"dev",
+				"-c",
+				"export-config.json",
+				"--ndjson",
+			],
+			workDir,
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const events = result.stdout
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		assert.deepEqual(
+			events
+				.filter((event) => event.type.startsWith("job-"))
+				.map((event) => `${event.type} ${event.step} ${event.instance}`),
+			[
+				"job-started export stg",
+				"job-finished export stg",
+				"job-started import dev",
+				"job-finished import dev",
+			],
+		);
+
+		const localPath = path.join(workDir, "exports", "stg-RefArch");
+		const finalResult = events.at(-1);
+		assert.equal(finalResult.command, "sync");
+		assert.equal(finalResult.localPath, localPath);
+		assert.equal(finalResult.import.archiveFilename, "stg-RefArch.zip");
+		assert.ok(fs.existsSync(`${localPath}.manifest.json`));
+	});
+
+	it("applies the transformation rules between the export and the import", () => {
+		fs.writeFileSync(
+			path.join(workDir, "export-config.json"),
+			JSON.stringify({
+				archive: { name: "{instance}-{site}" },
+				transform: {
+					rules: [
+						{
+							action: "rename",
+							section: "sites",
+							from: "RefArch",
+							to: "RefArchDev",
+						},
+					],
+				},
+				dataUnits: { sites: { RefArch: { content: true } } },
+			}),
+		);
+
+		const result = runCli(
+			[
+				"sync",
+				"--from",
+				"stg",
+				"--to",
+				"dev",
+				"-c",
+				"export-config.json",
+				"--ndjson",
+			],
+			workDir,
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const events = result.stdout
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		const types = events.map((event) => event.type);
+		assert.ok(
+			types.indexOf("transformed") > types.indexOf("job-finished") &&
+				types.indexOf("transformed") < types.lastIndexOf("job-started"),
+		);
+		assert.deepEqual(
+			fs.readdirSync(path.join(workDir, "exports", "stg-RefArch", "sites")),
+			["RefArchDev"],
+		);
+		assert.ok(events.at(-1).transform.changes.length > 0);
+	});
+
+	it("retries the download and names the archive after the legacy template", () => {
+		fs.writeFileSync(
+			path.join(workDir, "export-config.json"),
+			JSON.stringify({
+				archive_name_template: "legacy-{instance}-{site}",
+				retry: { retries: 1, delaySeconds: 0 },
+				dataUnits: { sites: { RefArch: { site_preferences: true } } },
+			}),
+		);
+
+		const result = runCli(
+			[
+				"sync",
+				"--from",
+				"stg",
+				"--to",
+				"dev",
+				"-c",
+				"export-config.json",
+				"--ndjson",
+			],
+			workDir,
+			{ SFCC_EXPORTER_FAKE_DOWNLOAD_ERROR: "Download failed: ECONNRESET" },
+		);
+
+		assert.equal(result.status, 0, result.stderr);
+		const events = result.stdout
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		const retry = events.find((event) => event.type === "retry");
+		assert.equal(retry.instance, "stg");
+		assert.equal(retry.error.code, "CONNECTION_FAILED");
+		assert.equal(
+			events.at(-1).localPath,
+			path.join(workDir, "exports", "legacy-stg-RefArch"),
+		);
+	});
+
+	it("reports the failed step and keeps the intermediate archive", () => {
+		const result = runCli(
+			["sync", "--from", "stg", "--to", "dev", "-c", "export-config.json"],
+			workDir,
+			{ SFCC_EXPORTER_FAKE_IMPORT_ERROR: "Import finished with status ERROR" },
+		);
+
+		assert.equal(result.status, 9);
+		assert.match(result.stderr, /Sync failed during the import step/);
+		assert.match(result.stderr, /Intermediate archive kept at: .*stg-RefArch/);
+		assert.ok(fs.existsSync(path.join(workDir, "exports", "stg-RefArch")));
+	});
+
+	it("stops before exporting when a production target is not confirmed", () => {
+		const result = runCli(
+			[
+				"sync",
+				"--from",
+				"stg",
+				"--to",
+				"production",
+				"-c",
+				"export-config.json",
+				"--json",
+			],
+			workDir,
+		);
+
+		assert.equal(result.status, 2);
+		const output = JSON.parse(result.stdout);
+		assert.equal(output.error.code, "CONFIRMATION_REQUIRED");
+		assert.equal(output.error.step, "confirmation");
+		assert.ok(!fs.existsSync(path.join(workDir, "exports")));
+	});
+});
@@ -0,0 +1,324 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import AdmZip from "adm-zip";
+import { ConfigError, FileError } from "../src/lib/errors.js";
+import {
+	compileTransformRules,
+	globToRegExp,
+	parseSelector,
+	transformArchive,
+} from "../src/lib/transformer.js";
+
+const SERVICES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<services xmlns="http://www.demandware.com/xml/impex/services/2014-09-26">
+    <service-credential service-credential-id="payment.cred">
+        <url>https://api.prod.example.com/v1</url>
+        <user-id>svc-user</user-id>
+        <password masked="true">s3cr3t</password>
+    </service-credential>
+    <!-- api.prod.example.com is kept in comments -->
+    <service service-id="payment">
+        <description><![CDATA[Calls api.prod.example.com & co]]></description>
+    </service>
+</services>
+`;
+
+const SITE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<site xmlns="http://www.demandware.com/xml/impex/site/2007-04-30" site-id="RefArch">
+    <name>RefArch &amp; Co</name>
+</site>
+`;
+
+const PREFERENCES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<preferences xmlns="http://www.demandware.com/xml/impex/preferences/2007-03-31">
+    <custom-preferences>
+        <development>
+            <preference preference-id="apiHost">api.prod.example.com</preference>
+        </development>
+    </custom-preferences>
+</preferences>
+`;
+
+describe("parseSelector", () => {
+	it("parses absolute, descendant and attribute steps", () => {
+		assert.deepEqual(
+			parseSelector("/services//service[@service-id='payment']/@*"),
+			[
+				{
+					descendant: false,
+					attribute: false,
+					name: "services",
+					predicates: [],
+				},
+				{
+					descendant: true,
+					attribute: false,
+					name: "service",
+					predicates: [{ name: "service-id", value: "payment" }],
+				},
+				{ descendant: false, attribute: true, name: "*", predicates: [] },
+			],
+		);
+	});
+
+	it("rejects unsupported syntax", () => {
+		assert.throws(() => parseSelector("//a[1]"), ConfigError);
+		assert.throws(() => parseSelector("//@a/b"), /must be the last step/);
+		assert.throws(() => parseSelector("a b"), /unexpected/);
+	});
+});
+
+describe("globToRegExp", () => {
+	it("matches folders with ** and file names with *", () => {
+		assert.ok(globToRegExp("**/*.xml").test("services.xml"));
+		assert.ok(globToRegExp("**/*.xml").test("sites/RefArch/preferences.xml"));
+		assert.ok(
+			globToRegExp("sites/*/preferences.xml").test("sites/A/preferences.xml"),
+		);
+		assert.ok(!globToRegExp("sites/*.xml").test("sites/A/preferences.xml"));
+	});
+});
+
+describe("transformArchive", () => {
+	let workDir;
+	let folderPath;
+
+	beforeEach(() => {
+		workDir = fs.mkdtempSync(path.join(os.tmpdir(), "transform-"));
+		folderPath = path.join(workDir, "export");
+		const files = {
+			"export/services.xml": SERVICES_XML,
+			"export/sites/RefArch/site.xml": SITE_XML,
+			"export/sites/RefArch/preferences.xml": PREFERENCES_XML,
+		};
+		for (const [file, content] of Object.entries(files)) {
+			fs.mkdirSync(path.join(folderPath, path.dirname(file)), {
+				recursive: true,
+			});
+			fs.writeFileSync(path.join(folderPath, file), content);
+		}
+	});
+
+	afterEach(() => {
+		fs.rmSync(workDir, { recursive: true, force: true });
+	});
+
+	const read = (file) =>
+		fs.readFileSync(path.join(folderPath, "export", file), "utf8");
+
+	it("removes elements without reporting their values", () => {
+		const report = transformArchive(
+			folderPath,
+			compileTransformRules({
+				rules: [
+					{ action: "remove", select: "//service-credential/password" },
+					{
+						action: "remove",
+						select: "//service-credential/@service-credential-id",
+					},
+				],
+			}),
+		);
+
+		assert.equal(
+			read("services.xml"),
+			SERVICES_XML.replace(
+				'\n        <password masked="true">s3cr3t</password>',
+				"",
+			).replace(' service-credential-id="payment.cred"', ""),
+		);
+		assert.deepEqual(report.changes, [
+			{
+				rule: 1,
+				action: "remove",
+				file: "services.xml",
+				location:
+					"/services/service-credential[@service-credential-id='payment.cred']/password",
+			},
+			{
+				rule: 2,
+				action: "remove",
+				file: "services.xml",
+				location:
+					"/services/service-credential[@service-credential-id='payment.cred']/@service-credential-id",
+			},
+		]);
+		assert.ok(!JSON.stringify(report).includes("s3cr3t"));
+	});
+
+	it("replaces values in text, CDATA and attributes, leaving the rest untouched", () => {
+		const report = transformArchive(
+			folderPath,
+			compileTransformRules({
+				rules: [
+					{
+						action: "replace",
+						search: "api\\.prod\\.(\\w+)",
+						regex: true,
+						replacement: "api.dev.$1",
+					},
+					{
+						action: "replace",
+						select: "//preference[@preference-id='apiHost']",
+						files: "sites/*/preferences.xml",
+						replacement: "localhost & co",
+					},
+				],
+			}),
+		);
+
+		assert.equal(
+			read("services.xml"),
+			SERVICES_XML.replace(
+				"https://api.prod.example.com/v1",
+				"https://api.dev.example.com/v1",
+			).replace("Calls api.prod.example.com", "Calls api.dev.example.com"),
+		);
+		assert.equal(
+			read("sites/RefArch/preferences.xml"),
+			PREFERENCES_XML.replace("api.prod.example.com", "localhost &amp; co"),
+		);
+		assert.equal(read("sites/RefArch/site.xml"), SITE_XML);
+		assert.deepEqual(
+			report.changes.map(({ rule, file, after }) => `${rule} ${file} ${after}`),
+			[
+				"1 services.xml https://api.dev.example.com/v1",
+				"1 services.xml Calls api.dev.example.com & co",
+				"1 sites/RefArch/preferences.xml api.dev.example.com",
+				"2 sites/RefArch/preferences.xml localhost & co",
+			],
+		);
+		assert.equal(report.files, 2);
+	});
+
+	it("renames site IDs and moves the site folder of a zip archive", () => {
+		const zip = new AdmZip();
+		zip.addLocalFolder(folderPath);
+		const zipPath = path.join(workDir, "export.zip");
+		zip.writeZip(zipPath);
+
+		const report = transformArchive(
+			zipPath,
+			compileTransformRules({
+				rules: [
+					{
+						action: "rename",
+						section: "sites",
+						from: "RefArch",
+						to: "RefArchDev",
+					},
+				],
+			}),
+		);
+
+		const repacked = new AdmZip(zipPath);
+		const names = repacked
+			.getEntries()
+			.filter((entry) => !entry.isDirectory)
+			.map((entry) => entry.entryName)
+			.sort();
+		assert.deepEqual(names, [
+			"export/services.xml",
+			"export/sites/RefArchDev/preferences.xml",
+			"export/sites/RefArchDev/site.xml",
+		]);
+		assert.equal(
+			repacked.readAsText("export/sites/RefArchDev/site.xml"),
+			SITE_XML.replace('site-id="RefArch"', 'site-id="RefArchDev"'),
+		);
+		assert.deepEqual(
+			report.changes.map(({ before, after }) => `${before} → ${after}`),
+			[
+				"RefArch → RefArchDev",
+				"sites/RefArch/preferences.xml → sites/RefArchDev/preferences.xml",
+				"sites/RefArch/site.xml → sites/RefArchDev/site.xml",
+			],
+		);
+	});
+
+	it("renames a list ID in its own section and its references only", () => {
+		const listXml = (root, id) =>
+			`<?xml version="1.0" encoding="UTF-8"?>\n<${root} list-id="${id}"/>\n`;
+		const siteXml = `<?xml version="1.0" encoding="UTF-8"?>
+<site site-id="RefArch">
+    <customer-list-id>RefArch</customer-list-id>
+    <inventory-list-id>RefArch</inventory-list-id>
+</site>
+`;
+		const files = {
+			"customer-lists/RefArch.xml": listXml("customer-list", "RefArch"),
+			"inventory-lists/RefArch.xml": listXml("inventory", "RefArch"),
+			"sites/RefArch/site.xml": siteXml,
+		};
+		for (const [file, content] of Object.entries(files)) {
+			fs.mkdirSync(path.join(folderPath, "export", path.dirname(file)), {
+				recursive: true,
+			});
+			fs.writeFileSync(path.join(folderPath, "export", file), content);
+		}
+
+		const report = transformArchive(
+			folderPath,
+			compileTransformRules({
+				rules: [
+					{
+						action: "rename",
+						section: "customer_lists",
+						from: "RefArch",
+						to: "Loyalty",
+					},
+				],
+			}),
+		);
+
+		assert.equal(
+			read("customer-lists/Loyalty.xml"),
+			listXml("customer-list", "Loyalty"),
+		);
+		assert.equal(
+			read("inventory-lists/RefArch.xml"),
+			listXml("inventory", "RefArch"),
+		);
+		assert.equal(
+			read("sites/RefArch/site.xml"),
+			siteXml.replace(
+				"<customer-list-id>RefArch<",
+				"<customer-list-id>Loyalty<",
+			),
+		);
+		assert.deepEqual(
+			report.changes.map(({ file, location }) => `${file} ${location}`),
+			[
+				"customer-lists/RefArch.xml /customer-list[@list-id='RefArch']/@list-id",
+				"sites/RefArch/site.xml /site[@site-id='RefArch']/customer-list-id",
+				"customer-lists/RefArch.xml null",
+			],
+		);
+	});
+
+	it("leaves the archive untouched when a file is not well-formed", () => {
+		fs.writeFileSync(
+			path.join(folderPath, "export", "broken.xml"),
+			"<a><b></a>",
+		);
+
+		assert.throws(
+			() =>
+				transformArchive(
+					folderPath,
+					compileTransformRules({
+						rules: [{ action: "remove", select: "//password" }],
+					}),
+				),
+			(error) => {
+				assert.ok(error instanceof FileError);
+				assert.equal(error.code, "ARCHIVE_INVALID");
+				return true;
+			},
+		);
+		assert.equal(read("services.xml"), SERVICES_XML);
+	});
+});
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	buildXmlFile,
+	descendantElements,
+	parseXmlFile,
+} from "../src/lib/xml.js";
+
+const CATALOG_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<catalog xmlns="http://www.demandware.com/xml/impex/catalog/2006-10-31" catalog-id="storefront">
+    <!-- <header/> is kept in comments -->
+    <header>
+        <image-settings/>
+    </header>
+    <category category-id="root">
+        <display-name xml:lang="x-default"></display-name>
+        <online-flag>true</online-flag>
+        <page-attributes />
+        <custom-attributes
+        />
+        <template url="a/>b"/>
+    </category>
+    <product product-id="p1"><description><![CDATA[<br/>]]></description></product>
+</catalog>
+`;
+
+describe("buildXmlFile", () => {
+	it("writes an untouched document back byte for byte", () => {
+		const tree = parseXmlFile(CATALOG_XML, "catalog.xml");
+
+		assert.equal(buildXmlFile(tree, CATALOG_XML), CATALOG_XML);
+		assert.equal(buildXmlFile(tree, CATALOG_XML), CATALOG_XML);
+	});
+
+	it("does not expose the self-closing marks as attributes", () => {
+		const tree = parseXmlFile(CATALOG_XML, "catalog.xml");
+		const elements = descendantElements({ children: tree, location: "" });
+
+		assert.deepEqual(
+			elements
+				.filter((element) => element.node[":@"])
+				.map((element) => Object.keys(element.node[":@"]).join(",")),
+			["xmlns,catalog-id", "category-id", "xml:lang", "url", "product-id"],
+		);
+	});
+});